@@ -1,195 +1,164 @@
+#!/usr/bin/env node
 // Node.js built-in modules
-const fs = require('fs').promises;
 const path = require('path');
 
-// --- Configuration Constants ---
-const PROMPT_OUTPUT_DIR = './promts'; // Directory to save generated prompts
-
-// List of file and folder names to exclude from scanning and analysis
-const EXCLUDE_PATTERNS = [
-    '.DS_Store',
-    'node_modules',
-    '.git',
-    '.gitignore',
-    '.prettierrc',
-    'package-lock.json',
-    'yarn.lock',
-    path.basename(PROMPT_OUTPUT_DIR) // Exclude the output directory itself
-];
+// External dependencies
+const { hideBin } = require('yargs/helpers');
 
-/**
- * Generates a string representation of the folder structure.
- * @param {string} dirPath - The current directory to scan.
- * @param {string} prefix - The prefix for visual indentation of the structure.
- * @returns {Promise<string>} A string representing the folder structure.
- */
-async function generateFolderStructureString(dirPath, prefix = '') {
-    let structureString = '';
-    try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
-        for (const entry of entries) {
-            if (EXCLUDE_PATTERNS.some(excludePattern => entry.name === excludePattern)) {
-                continue;
-            }
-            structureString += `${prefix}-- ${entry.name}${entry.isDirectory() ? '/' : ''}\n`;
-            if (entry.isDirectory()) {
-                const subDirPath = path.join(dirPath, entry.name);
-                structureString += await generateFolderStructureString(subDirPath, prefix + '  ');
-            }
-        }
-    } catch (error) {
-        console.warn(`Could not read directory for structure generation ${dirPath}: ${error.message}`);
-        structureString += `${prefix}  Error reading directory: ${error.message}\n`;
-    }
-    return structureString;
-}
+// Local modules
+const { TOKENIZER_NAME } = require('./lib/tokenCounter');
+const { formatRedactionReport } = require('./lib/secretRedactor');
+const { extract, renderParts } = require('./lib/extractor');
+const { DEFAULT_OUTPUT_DIRECTORY, savePromptToFile, writePromptParts } = require('./lib/promptWriter');
+const { parseCommandLine } = require('./lib/cli');
+const { DEFAULT_CONTENT_CACHE_DIRECTORY } = require('./lib/contentCache');
 
-/**
- * Reads all files in a directory recursively, excluding specified patterns.
- * @param {string} dirPath - The directory to read.
- * @param {boolean} [shouldRemoveComments=false] - Whether to remove comments from file content.
- * @param {Array<object>} [fileListAccumulator=[]] - Accumulator for file data.
- * @returns {Promise<Array<object>>} A list of objects, each with 'filePath' and 'content'.
- */
-async function readDirectoryContentsRecursive(dirPath, shouldRemoveComments = false, fileListAccumulator = []) {
-    try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
-        for (const entry of entries) {
-            if (EXCLUDE_PATTERNS.some(excludePattern => entry.name === excludePattern)) {
-                continue;
-            }
-            const fullPath = path.join(dirPath, entry.name);
-            if (entry.isDirectory()) {
-                await readDirectoryContentsRecursive(fullPath, shouldRemoveComments, fileListAccumulator);
-            } else {
-                try {
-                    let content = await fs.readFile(fullPath, 'utf8');
-                    if (shouldRemoveComments) {
-                        content = stripComments(content);
-                    }
-                    fileListAccumulator.push({ filePath: fullPath, content });
-                } catch (readError) {
-                    console.warn(`Could not read file ${fullPath}: ${readError.message}`);
-                    fileListAccumulator.push({
-                        filePath: fullPath,
-                        content: `Error: Could not read file content. ${readError.message}`
-                    });
-                }
-            }
-        }
-    } catch (error) {
-        console.warn(`Could not read directory ${dirPath}: ${error.message}`);
-    }
-    return fileListAccumulator;
-}
-
-/**
- * Removes single-line (//) and multi-line (/* ... * /) comments from a string.
- * @param {string} codeContent - The code content as a string.
- * @returns {string} The code content with comments removed.
- */
-function stripComments(codeContent) {
-    // Remove single-line comments (e.g., // comment)
-    codeContent = codeContent.replace(/\/\/.*$/gm, '');
-    // Remove multi-line comments (e.g., /* comment */)
-    codeContent = codeContent.replace(/\/\*[\s\S]*?\*\//gm, '');
-    // Optional: Remove empty lines that might result from comment removal
-    codeContent = codeContent.replace(/^\s*[\r\n]/gm, '');
-    return codeContent;
-}
-
-/**
- * Prepares file content for analysis by reading files and making paths relative.
- * @param {string} projectBasePath - The root path of the project.
- * @param {boolean} [shouldRemoveComments=false] - Whether to remove comments.
- * @returns {Promise<Array<object>>} Array of objects with 'path' (relative) and 'content'.
- */
-async function prepareProjectContentForAnalysis(projectBasePath, shouldRemoveComments = false) {
-    const allFilesData = await readDirectoryContentsRecursive(projectBasePath, shouldRemoveComments);
-    const analysisData = allFilesData.map(fileData => ({
-        path: path.relative(projectBasePath, fileData.filePath),
-        content: fileData.content,
-    }));
-    return analysisData;
-}
+// --- Configuration Constants ---
+const DEFAULT_PROJECT_PATH = './files_to_extract/'; // Project analyzed when no path is given on the command line
 
 /**
- * Generates a Markdown-formatted string containing project structure and file contents.
- * This string is intended to be used as a prompt for an LLM or for manual review.
- * @param {string} projectBasePath - The root path of the project.
- * @param {boolean} shouldRemoveComments - Whether to remove comments from code.
- * @returns {Promise<string>} A Markdown string.
+ * Defines the usage text and options of the script (the configuration options are added by lib/cli).
+ * @param {object} parser - A yargs instance.
+ * @returns {object} The same instance, for chaining.
  */
-async function generateProjectMarkdown(projectBasePath, shouldRemoveComments) {
-    console.log(`Generating Markdown data for project at: ${projectBasePath}`);
-    const projectStructureString = await generateFolderStructureString(projectBasePath);
-    const projectFileContents = await prepareProjectContentForAnalysis(projectBasePath, shouldRemoveComments);
-
-    let markdownContent = `# Project Overview\n\n`; // Changed title slightly
-    markdownContent += `## Directory Structure\n\n`;
-    markdownContent += `\`\`\`text\n${projectStructureString}\n\`\`\`\n\n`;
-
-    markdownContent += `## File Contents\n\n`;
-
-    if (projectFileContents.length === 0) {
-        markdownContent += "No files found or all files were excluded.\n\n";
-    } else {
-        projectFileContents.forEach(file => {
-            const extension = path.extname(file.path).substring(1).toLowerCase();
-            const language = extension || 'text'; // Default to 'text' if no extension
-
-            markdownContent += `### File: ${file.path}\n\n`;
-            markdownContent += `\`\`\`${language}\n`;
-            markdownContent += `${file.content.trim()}\n`; // Trim to remove extraneous whitespace
-            markdownContent += `\`\`\`\n\n`;
+function defineCliOptions(parser) {
+    return parser
+        .usage('Usage: $0 [projectPath..] [options]\n\nA project path can be a directory, a .zip/.tar/.tar.gz archive, a git bundle or a bare repository.')
+        .option('out', {
+            type: 'string',
+            description: 'Output file, or directory that receives a generated file name. Default: ' + DEFAULT_OUTPUT_DIRECTORY + path.sep
+        })
+        .option('stdout', {
+            type: 'boolean',
+            description: 'Write the Markdown to stdout instead of a file (progress messages go to stderr).',
+            default: false
+        })
+        .option('deleteComments', {
+            alias: 'd',
+            type: 'boolean',
+            description: 'Remove comments from code.',
+            default: false
+        })
+        .option('include', {
+            alias: 'i',
+            type: 'array',
+            string: true,
+            description: 'Glob(s) of files to include, in .gitignore syntax. All files are included if omitted.',
+            default: []
+        })
+        .option('exclude', {
+            alias: 'x',
+            type: 'array',
+            string: true,
+            description: 'Additional glob(s) to exclude, in .gitignore syntax.',
+            default: []
+        })
+        .option('noRedact', {
+            type: 'boolean',
+            description: 'Do not replace secrets (API keys, tokens, private keys, passwords, .env values) with placeholders.',
+            default: false
+        })
+        .option('redactPattern', {
+            type: 'array',
+            string: true,
+            description: 'Additional secret pattern(s) to redact, as "TYPE=regex" or "regex".',
+            default: []
+        })
+        .option('strict', {
+            type: 'boolean',
+            description: 'Refuse to write the Markdown if possible secrets remain that could not be redacted.',
+            default: false
+        })
+        .option('ref', {
+            type: 'string',
+            description: 'Commit, branch or tag to read when a project path is a git bundle or a bare repository (default: HEAD).'
+        })
+        .option('noContentCache', {
+            type: 'boolean',
+            description: 'Do not reuse or store processed file contents in the content cache.',
+            default: false
+        })
+        .option('contentCacheDir', {
+            type: 'string',
+            description: 'Directory of the processed content cache.',
+            default: DEFAULT_CONTENT_CACHE_DIRECTORY
         });
-    }
-
-    return markdownContent;
 }
 
 /**
- * Saves the generated content to a Markdown file.
- * @param {string} markdownContent - The Markdown content to save.
+ * Validates the parsed arguments (passed to yargs .check).
+ * @param {object} argv - The parsed arguments.
+ * @returns {boolean} True if the arguments are valid.
  */
-async function saveMarkdownToFile(markdownContent) {
-    const now = new Date();
-    // Format: YYYY-MM-DDTHH-MM-SS
-    const dateTimeString = now.toISOString().replace(/:/g, '-').split('.')[0];
-    const outputFileName = `project-overview-${dateTimeString}.md`; // Changed filename slightly
-
-    try {
-        await fs.mkdir(PROMPT_OUTPUT_DIR, { recursive: true }); // Ensure output directory exists
-        const filePath = path.join(PROMPT_OUTPUT_DIR, outputFileName);
-        console.log(markdownContent)
-        await fs.writeFile(filePath, markdownContent);
-        console.log(`\nProject overview successfully saved to: ${filePath}`);
-    } catch (error) {
-        console.error('Error saving Markdown file:', error);
+function validateArguments(argv) {
+    if (argv.stdout && argv.out) {
+        throw new Error('--stdout and --out cannot be used together.');
     }
+    if (argv.strict && argv.noRedact) {
+        throw new Error('--strict cannot be combined with --noRedact.');
+    }
+    return true;
 }
 
 /**
  * Main function to orchestrate the script.
  */
 async function main() {
-    // Configuration: These could be made dynamic (e.g., command-line arguments)
-    const projectBasePath = './files_to_extract/'; // Path to the project directory to analyze
-    const shouldRemoveComments = false;         // Set to true to remove comments from code
-
-    console.log("Starting project data extraction...");
-
-    // Generate the Markdown content
-    const projectMarkdown = await generateProjectMarkdown(projectBasePath, shouldRemoveComments);
+    // Settings of a shared configuration file that this script does not use (LLM filtering, formats, ...) are silently skipped
+    const parsed = await parseCommandLine(hideBin(process.argv), {
+        defineOptions: defineCliOptions,
+        check: validateArguments,
+        defaultProjectPath: DEFAULT_PROJECT_PATH,
+        warnUnknownSettings: false
+    });
+    if (!parsed) return; // --printConfig
+    const { argv } = parsed;
+
+    const projectPaths = argv._.length > 0 ? argv._.map(String) : [DEFAULT_PROJECT_PATH];
+
+    const log = argv.stdout ? console.error : console.log; // Keep stdout clean for the Markdown
+
+    log("Starting project data extraction...");
+
+    // Extract the project without LLM filtering; the Markdown is rendered while it is written
+    const result = await extract({
+        paths: projectPaths,
+        deleteComments: argv.deleteComments,
+        includePatterns: argv.include,
+        excludePatterns: argv.exclude,
+        redact: !argv.noRedact,
+        redactPatterns: argv.redactPattern,
+        ref: argv.ref || null,
+        contentCache: argv.noContentCache ? null : { directory: argv.contentCacheDir },
+        progress: true
+    });
+    log(`Estimated size: ${result.totalTokens} tokens (tokenizer: ${TOKENIZER_NAME})`);
+    if (result.redactionReport) {
+        log(formatRedactionReport(result.redactionReport));
+        if (argv.strict && result.redactionReport.residualCount > 0) {
+            console.error(`--strict: not writing the Markdown because ${result.redactionReport.residualCount} possible secret(s) could not be redacted.`);
+            process.exit(1);
+        }
+    }
 
-    // Save the generated Markdown to a file
-    await saveMarkdownToFile(projectMarkdown);
+    if (argv.stdout) {
+        await writePromptParts(process.stdout, renderParts(result, 'markdown'));
+    } else {
+        // Save the generated Markdown to a file
+        await savePromptToFile(renderParts(result, 'markdown'), projectPaths, null, argv.out, '.md');
+    }
 
-    console.log("\nScript finished.");
+    log("\nScript finished.");
 }
 
 // Execute the main function and catch any unhandled errors
-main().catch(error => {
-    console.error("An unexpected error occurred in main execution:", error);
-    process.exit(1); // Exit with an error code
-});
\ No newline at end of file
+if (require.main === module) {
+    main().catch(error => {
+        console.error("An unexpected error occurred in main execution:", error);
+        process.exit(1); // Exit with an error code
+    });
+}
+
+module.exports = {
+    main
+};
@@ -0,0 +1,67 @@
+/**
+ * Programmatic API of the content extractor.
+ *
+ * @example
+ * const { extract, render } = require('context-extractor');
+ * const result = await extract({ paths: './my-project', filterLevel: 2, focus: 'authentication flow' });
+ * console.log(result.files.length, result.totalTokens);
+ * const prompt = render(result, 'xml');
+ *
+ * extract() reads, filters and budgets the files once; render() and renderChunks() turn the result into a prompt
+ * in any output format, and renderParts() renders it piece by piece for writing large prompts with writePromptParts().
+ * The command line tools (llmContentExtractor.js, contentExtractor.js) are thin wrappers around it.
+ */
+const {
+    extract,
+    generateAnalysisMarkdown,
+    readProjectFiles,
+    render,
+    renderChunks,
+    renderParts
+} = require('./lib/extractor');
+const { FORMAT_NAMES, getFormatter } = require('./lib/formatters');
+const { stripComments } = require('./lib/commentStripper');
+const { createIgnoreFilter } = require('./lib/ignoreRules');
+const { countTokens } = require('./lib/tokenCounter');
+const { createRedactor } = require('./lib/secretRedactor');
+const { loadProjectConfig } = require('./lib/configFile');
+const { getContentAwareExclusions, getLLMFilteredExclusions } = require('./lib/llmFilter');
+const { resolveProviderConfig } = require('./lib/llmProviders');
+const { savePromptChunks, savePromptToFile, writePromptParts } = require('./lib/promptWriter');
+const { createFileCache } = require('./lib/fileCache');
+const { watchProjectTrees } = require('./lib/watcher');
+const { diffAgainstManifest, loadManifest, writeManifest } = require('./lib/manifest');
+const { ASK_TEMPLATE_NAMES, askQuestion, buildQuestion, saveAnswer } = require('./lib/ask');
+const { openProjectSource } = require('./lib/projectSources');
+
+module.exports = {
+    ASK_TEMPLATE_NAMES,
+    FORMAT_NAMES,
+    askQuestion,
+    buildQuestion,
+    countTokens,
+    createFileCache,
+    createIgnoreFilter,
+    createRedactor,
+    diffAgainstManifest,
+    extract,
+    generateAnalysisMarkdown,
+    getContentAwareExclusions,
+    getFormatter,
+    getLLMFilteredExclusions,
+    loadManifest,
+    loadProjectConfig,
+    openProjectSource,
+    readProjectFiles,
+    render,
+    renderChunks,
+    renderParts,
+    resolveProviderConfig,
+    saveAnswer,
+    savePromptChunks,
+    savePromptToFile,
+    stripComments,
+    watchProjectTrees,
+    writeManifest,
+    writePromptParts
+};
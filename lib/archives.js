@@ -0,0 +1,318 @@
+// External dependencies
+const zlib = require('zlib');
+const { constants: { MAX_LENGTH: MAX_BUFFER_LENGTH } } = require('buffer');
+const { promisify } = require('util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+const gunzip = promisify(zlib.gunzip);
+
+// Record signatures of the zip format
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP64_END_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP_END_RECORD_SIZE = 22;
+const ZIP_MAX_COMMENT_LENGTH = 0xffff;
+
+// Zip compression methods that can be read (with zlib)
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const TAR_BLOCK_SIZE = 512;
+
+// Largest tar archive unpacked from a .tar.gz in memory, so that a small gzip bomb cannot exhaust it
+const MAX_GUNZIPPED_TAR_SIZE = 1024 * 1024 * 1024;
+
+// Unix file type bits of a mode, and the type of symbolic links
+const FILE_TYPE_MASK = 0o170000;
+const SYMBOLIC_LINK_TYPE = 0o120000;
+
+/**
+ * Recognizes an archive by its first bytes.
+ * @param {Buffer} header - The first 512 bytes of the file (or fewer for smaller files).
+ * @returns {'zip' | 'tar' | 'tar.gz' | null} The archive type, or null for other files. Any gzip file is assumed to
+ *   contain a tar archive; readArchive checks it.
+ */
+function detectArchiveType(header) {
+    if (header.length >= 4 && [ZIP_LOCAL_HEADER_SIGNATURE, ZIP_END_SIGNATURE].includes(header.readUInt32LE(0))) return 'zip';
+    if (header.length >= 2 && header[0] === 0x1f && header[1] === 0x8b) return 'tar.gz';
+    if (header.length >= TAR_BLOCK_SIZE && isValidTarHeader(header.subarray(0, TAR_BLOCK_SIZE))) return 'tar';
+    return null;
+}
+
+/**
+ * Converts an MS-DOS date and time (as stored in zip headers, in local time) into a timestamp.
+ * @param {number} date - The date field.
+ * @param {number} time - The time field.
+ * @returns {number} Milliseconds since the epoch.
+ */
+function dosDateTimeToMs(date, time) {
+    return new Date((date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2).getTime();
+}
+
+/**
+ * Finds the end of central directory record of a zip archive (it is followed by a comment of up to 64 KB).
+ * @param {Buffer} buffer - The archive.
+ * @returns {number} Offset of the record.
+ * @throws {Error} If there is none.
+ */
+function findZipEnd(buffer) {
+    const lowestOffset = Math.max(0, buffer.length - ZIP_END_RECORD_SIZE - ZIP_MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - ZIP_END_RECORD_SIZE; offset >= lowestOffset; offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_SIGNATURE) return offset;
+    }
+    throw new Error('no zip central directory found (the archive is truncated or not a zip file)');
+}
+
+/**
+ * Reads the 64-bit sizes and offset of a zip entry from its ZIP64 extra field. Only the fields whose 32-bit header
+ * value is 0xffffffff are stored there, in this order.
+ * @param {Buffer} extra - The extra fields of the central directory header.
+ * @param {{size: number, compressedSize: number, localOffset: number}} values - Values from the header.
+ * @returns {{size: number, compressedSize: number, localOffset: number}} The actual values.
+ */
+function applyZip64Extra(extra, values) {
+    for (let offset = 0; offset + 4 <= extra.length; offset += 4 + extra.readUInt16LE(offset + 2)) {
+        if (extra.readUInt16LE(offset) !== 0x0001) continue;
+        const result = { ...values };
+        let position = offset + 4;
+        for (const key of ['size', 'compressedSize', 'localOffset']) {
+            if (values[key] === 0xffffffff && position + 8 <= extra.length) {
+                result[key] = Number(extra.readBigUInt64LE(position));
+                position += 8;
+            }
+        }
+        return result;
+    }
+    return values;
+}
+
+/**
+ * Lists the entries of a zip archive from its central directory. Content is decompressed when a file is read.
+ * @param {Buffer} buffer - The archive.
+ * @returns {{files: Array<object>, directories: string[]}} The files (see createVolume in lib/virtualFs) and the
+ *   directories, by their path in the archive. Symbolic links are left out.
+ * @throws {Error} If the central directory is missing or corrupt.
+ */
+function readZipEntries(buffer) {
+    const end = findZipEnd(buffer);
+    let entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        const locator = end - 20;
+        if (locator < 0 || buffer.readUInt32LE(locator) !== ZIP64_END_LOCATOR_SIGNATURE) {
+            throw new Error('corrupt ZIP64 end of central directory');
+        }
+        const record = Number(buffer.readBigUInt64LE(locator + 8));
+        entryCount = Number(buffer.readBigUInt64LE(record + 32));
+        offset = Number(buffer.readBigUInt64LE(record + 48));
+    }
+
+    const files = [];
+    const directories = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+            throw new Error(`corrupt zip central directory (entry ${i + 1} of ${entryCount})`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const mtimeMs = dosDateTimeToMs(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12));
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const unixMode = buffer.readUInt32LE(offset + 38) >>> 16;
+        // Bit 11: the name is UTF-8; older archives use the DOS code page, read here as Latin-1
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+        const { size, compressedSize, localOffset } = applyZip64Extra(
+            buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength),
+            { size: buffer.readUInt32LE(offset + 24), compressedSize: buffer.readUInt32LE(offset + 20), localOffset: buffer.readUInt32LE(offset + 42) }
+        );
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            directories.push(name);
+            continue;
+        }
+        if ((unixMode & FILE_TYPE_MASK) === SYMBOLIC_LINK_TYPE) continue;
+
+        const getCompressedData = () => {
+            if (flags & 0x1) throw new Error('encrypted zip entries are not supported');
+            if (method !== ZIP_STORED && method !== ZIP_DEFLATED) throw new Error(`unsupported zip compression method ${method}`);
+            if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER_SIGNATURE) throw new Error('corrupt zip entry header');
+            const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            return buffer.subarray(dataOffset, dataOffset + compressedSize);
+        };
+        const checkSize = data => {
+            if (data.length !== size) throw new Error(`corrupt zip entry (${data.length} bytes instead of ${size})`);
+            return data;
+        };
+        // Inflation stops one byte past the declared size, so an entry cannot expand beyond it
+        const inflateOptions = { maxOutputLength: Math.min(size + 1, MAX_BUFFER_LENGTH) };
+        const checkInflateError = error => {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`corrupt zip entry (more than ${size} bytes)`);
+            throw error;
+        };
+        files.push({
+            path: name,
+            size,
+            mtimeMs,
+            read: async () => {
+                const data = getCompressedData();
+                return checkSize(method === ZIP_DEFLATED ? await inflateRaw(data, inflateOptions).catch(checkInflateError) : data);
+            },
+            readSync: () => {
+                const data = getCompressedData();
+                if (method !== ZIP_DEFLATED) return checkSize(data);
+                try {
+                    return checkSize(zlib.inflateRawSync(data, inflateOptions));
+                } catch (error) {
+                    return checkInflateError(error);
+                }
+            }
+        });
+    }
+    return { files, directories };
+}
+
+/**
+ * Reads a numeric tar header field: octal text, or base-256 for values that do not fit (GNU extension).
+ * @param {Buffer} field - The field.
+ * @returns {number} The value.
+ */
+function readTarNumber(field) {
+    if (field[0] & 0x80) {
+        let value = 0;
+        for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+        return value;
+    }
+    const text = field.toString('ascii').replace(/\0[\s\S]*$/, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Reads a NUL-terminated text field of a tar header.
+ * @param {Buffer} field - The field.
+ * @returns {string} The text.
+ */
+function readTarString(field) {
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? field.length : end);
+}
+
+/**
+ * Checks the checksum of a tar header: the sum of its bytes, with the checksum field itself counted as spaces.
+ * @param {Buffer} header - A 512-byte block.
+ * @returns {boolean} True if the block is a valid header.
+ */
+function isValidTarHeader(header) {
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return /[0-7]/.test(header.toString('ascii', 148, 156)) && readTarNumber(header.subarray(148, 156)) === sum;
+}
+
+/**
+ * Parses the records of a pax extended header ("<length> <key>=<value>\n").
+ * @param {Buffer} data - The content of the header entry.
+ * @returns {Object<string, string>} Key -> value.
+ */
+function parsePaxRecords(data) {
+    const records = {};
+    let position = 0;
+    while (position < data.length) {
+        const space = data.indexOf(0x20, position);
+        const length = space === -1 ? 0 : parseInt(data.toString('ascii', position, space), 10);
+        if (!(length > 0)) break;
+        const record = data.toString('utf8', space + 1, position + length - 1);
+        const equals = record.indexOf('=');
+        if (equals !== -1) records[record.slice(0, equals)] = record.slice(equals + 1);
+        position += length;
+    }
+    return records;
+}
+
+/**
+ * Lists the entries of a tar archive (ustar, with GNU long names and pax extended headers).
+ * @param {Buffer} buffer - The uncompressed archive.
+ * @returns {{files: Array<object>, directories: string[]}} The files (see createVolume in lib/virtualFs) and the
+ *   directories, by their path in the archive. Links, devices and FIFOs are left out.
+ * @throws {Error} If a header is corrupt or the archive is truncated.
+ */
+function readTarEntries(buffer) {
+    const files = [];
+    const directories = [];
+    let offset = 0;
+    let longName = null;
+    let pax = {};
+    while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+        const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break; // End of archive
+        if (!isValidTarHeader(header)) {
+            throw new Error(`corrupt tar header at offset ${offset}`);
+        }
+        const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+        const size = pax.size !== undefined ? Number(pax.size) : readTarNumber(header.subarray(124, 136));
+        const dataOffset = offset + TAR_BLOCK_SIZE;
+        if (dataOffset + size > buffer.length) {
+            throw new Error('the tar archive is truncated');
+        }
+        const data = buffer.subarray(dataOffset, dataOffset + size);
+        offset = dataOffset + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+        // These entries describe the next entry
+        if (type === 'L') {
+            longName = readTarString(data);
+            continue;
+        }
+        if (type === 'x') {
+            pax = parsePaxRecords(data);
+            continue;
+        }
+        if (type === 'g' || type === 'K') continue;
+
+        const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readTarString(header.subarray(345, 500)) : '';
+        const shortName = readTarString(header.subarray(0, 100));
+        const name = pax.path || longName || (prefix ? `${prefix}/${shortName}` : shortName);
+        const mtimeMs = (pax.mtime !== undefined ? parseFloat(pax.mtime) : readTarNumber(header.subarray(136, 148))) * 1000;
+        longName = null;
+        pax = {};
+
+        if (type === '5' || (type === '0' && name.endsWith('/'))) {
+            directories.push(name);
+        } else if (type === '0' || type === '7') {
+            files.push({ path: name, size, mtimeMs, read: async () => data, readSync: () => data });
+        }
+    }
+    return { files, directories };
+}
+
+/**
+ * Lists the entries of an archive.
+ * @param {Buffer} buffer - The archive file.
+ * @param {'zip' | 'tar' | 'tar.gz'} type - Its type (see detectArchiveType).
+ * @param {object} [options={}] - Read options.
+ * @param {number} [options.maxTarSize=MAX_GUNZIPPED_TAR_SIZE] - Largest tar archive a gzip file may unpack to.
+ * @returns {Promise<{files: Array<object>, directories: string[]}>} The entries (see readZipEntries and readTarEntries).
+ * @throws {Error} If the archive is corrupt, a gzip file does not contain a tar archive or unpacks to more than
+ *   maxTarSize bytes.
+ */
+async function readArchive(buffer, type, { maxTarSize = MAX_GUNZIPPED_TAR_SIZE } = {}) {
+    if (type === 'zip') return readZipEntries(buffer);
+    if (type === 'tar') return readTarEntries(buffer);
+    const tar = await gunzip(buffer, { maxOutputLength: maxTarSize }).catch(error => {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`the gzip file unpacks to more than ${maxTarSize} bytes`);
+        throw error;
+    });
+    if (tar.length < TAR_BLOCK_SIZE || !isValidTarHeader(tar.subarray(0, TAR_BLOCK_SIZE))) {
+        throw new Error('the gzip file does not contain a tar archive');
+    }
+    return readTarEntries(tar);
+}
+
+module.exports = {
+    detectArchiveType,
+    readArchive,
+    readTarEntries,
+    readZipEntries
+};
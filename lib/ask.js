@@ -0,0 +1,280 @@
+// External dependencies
+const fs = require('fs').promises;
+const path = require('path');
+
+// Local modules
+const { render, renderChunks } = require('./extractor');
+const { isContextLengthError, sendChatRequest, streamChatRequest } = require('./llmProviders');
+const { logStatus } = require('./progress');
+
+// Ready-made questions for common tasks (--template); a --question adds instructions to them
+const ASK_TEMPLATES = {
+    review: {
+        description: 'Code review: correctness, design, readability and risks, with concrete suggestions',
+        question: 'Review this code as a senior engineer. Point out bugs, risky logic, unclear design and missing error handling, '
+            + 'ordered by severity. For every finding, name the file (and function), explain the problem and suggest a concrete fix. '
+            + 'End with a short summary of the overall quality.'
+    },
+    document: {
+        description: 'Documentation: architecture overview, modules, data flow and how to run the project',
+        question: 'Write developer documentation for this project in Markdown: its purpose, architecture and main modules, '
+            + 'how data flows between them, the public interfaces, configuration, and how to build, run and test it. '
+            + 'Refer to the actual files and functions.'
+    },
+    'find-bugs': {
+        description: 'Bug hunt: likely defects with their location, trigger and fix',
+        question: 'Find bugs in this code: logic errors, unhandled edge cases, race conditions, resource leaks, incorrect error '
+            + 'handling and security issues. For every bug, give the file and function, the input or situation that triggers '
+            + 'it, the consequence, and a fix. Do not list style issues. If you are unsure, say how to confirm it.'
+    }
+};
+
+const ASK_TEMPLATE_NAMES = Object.keys(ASK_TEMPLATES);
+
+const ASK_SYSTEM_PROMPT = 'You are an expert software engineer. The user sends the source code of a project, extracted into a '
+    + 'single document (directory structure, then the files), followed by a question. Answer from the provided code, '
+    + 'cite file paths, and say so when the answer depends on code that is not included.';
+
+// Map-reduce parts are never split below this size; smaller parts would mostly repeat the document header
+const MIN_MAP_PART_TOKENS = 4000;
+
+/**
+ * Builds the question sent to the model from a template and/or a free-form question.
+ * @param {{template?: string, question?: string}} options - Template name (see ASK_TEMPLATES) and question.
+ * @returns {string} The question.
+ * @throws {Error} If the template is unknown or neither is given.
+ */
+function buildQuestion({ template, question }) {
+    if (template && !ASK_TEMPLATES[template]) {
+        throw new Error(`Unknown template "${template}". Use one of: ${ASK_TEMPLATE_NAMES.join(', ')}.`);
+    }
+    if (!template && !(question && question.trim())) {
+        throw new Error('A question or a template is required.');
+    }
+    if (!template) return question.trim();
+    const templateQuestion = ASK_TEMPLATES[template].question;
+    return question && question.trim() ? `${templateQuestion}\n\nAdditional instructions: ${question.trim()}` : templateQuestion;
+}
+
+/**
+ * Adds the token usage of a request to a running total.
+ * @param {{inputTokens: number, outputTokens: number}} total - The total; modified in place.
+ * @param {object | null} usage - Usage of one request (null if the provider reported none).
+ */
+function addUsage(total, usage) {
+    if (!usage) return;
+    total.inputTokens += usage.inputTokens || 0;
+    total.outputTokens += usage.outputTokens || 0;
+}
+
+/**
+ * Sends one request, streamed or not.
+ * @param {object} llmConfig - Provider configuration (see resolveProviderConfig).
+ * @param {string} userContent - The user message.
+ * @param {function(string): void | null} onText - Receives the reply as it is generated; null to wait for the whole reply.
+ * @returns {Promise<{content: string, usage: object | null}>}
+ */
+async function requestAnswer(llmConfig, userContent, onText) {
+    const messages = [{ role: 'system', content: ASK_SYSTEM_PROMPT }, { role: 'user', content: userContent }];
+    if (onText) {
+        return streamChatRequest(llmConfig, messages, { onText });
+    }
+    const { content, usage } = await sendChatRequest(llmConfig, messages);
+    return { content, usage };
+}
+
+/**
+ * Describes the parts a partial answer covers, e.g. "Part 2 of 5" or "Parts 1-3 of 5".
+ * @param {{parts: number[]}} partialAnswer - A partial answer.
+ * @param {number} count - The number of parts of the project.
+ * @returns {string} The heading.
+ */
+function describeAnswerParts({ parts }, count) {
+    return parts.length === 1 ? `Part ${parts[0]} of ${count}` : `Parts ${parts[0]}-${parts[parts.length - 1]} of ${count}`;
+}
+
+/**
+ * Combines partial answers into one (reduce). When they do not fit the context window together, each half is combined
+ * first (recursively), and the two answers are then combined.
+ * @param {Array<{parts: number[], files: string[], answer: string}>} partialAnswers - The answers, in part order.
+ * @param {number} count - The number of parts of the project.
+ * @param {string} question - The question.
+ * @param {object} llmConfig - Provider configuration.
+ * @param {function(string): void | null} onText - Receives the combined answer as it is generated (only the last
+ *   request streams).
+ * @param {Array<object>} requests - Receives every request made; modified in place.
+ * @returns {Promise<string>} The combined answer.
+ * @throws {Error} If two partial answers are too long to be combined within the context window.
+ */
+async function combineAnswers(partialAnswers, count, question, llmConfig, onText, requests) {
+    const parts = partialAnswers.flatMap(partialAnswer => partialAnswer.parts);
+    const isComplete = parts.length === count;
+    const notes = partialAnswers
+        .map(partialAnswer => `## ${describeAnswerParts(partialAnswer, count)}\n\nFiles: ${[...new Set(partialAnswer.files)].join(', ')}\n\n${partialAnswer.answer.trim()}`)
+        .join('\n\n');
+    const instructions = isComplete
+        ? 'Combine the partial answers into one complete answer: merge duplicates, resolve contradictions and keep the file references. '
+            + 'Answer as if you had seen the whole project.'
+        : 'Combine the partial answers below, which cover some of the parts, into one: merge duplicates and resolve contradictions, '
+            + 'but keep every finding and file reference, as the result will be combined with the answers on the other parts.';
+    try {
+        const reply = await requestAnswer(llmConfig, `The question below was asked about a project too large for a single request, so it was answered `
+            + `part by part. ${instructions}\n\nQuestion:\n${question}\n\n# Partial answers\n\n${notes}`, isComplete ? onText : null);
+        requests.push({ step: 'reduce', parts, usage: reply.usage });
+        return reply.content;
+    } catch (error) {
+        if (!isContextLengthError(error)) throw error;
+        // Two answers would only be split into themselves again
+        if (partialAnswers.length <= 2) {
+            const described = partialAnswers.map(partialAnswer => describeAnswerParts(partialAnswer, count).toLowerCase()).join(' and ');
+            throw new Error(`The answers on ${described} are too long to be combined within the context window of ${llmConfig.model}. `
+                + 'Ask a narrower question, or use a model with a larger context window.');
+        }
+    }
+
+    logStatus(`The partial answers on ${parts.length} parts do not fit the context window together; combining them in two groups.`);
+    const middle = Math.ceil(partialAnswers.length / 2);
+    const combined = [];
+    for (const group of [partialAnswers.slice(0, middle), partialAnswers.slice(middle)]) {
+        const answer = group.length === 1 ? group[0].answer : await combineAnswers(group, count, question, llmConfig, null, requests);
+        combined.push({ parts: group.flatMap(partialAnswer => partialAnswer.parts), files: group.flatMap(partialAnswer => partialAnswer.files), answer });
+    }
+    return combineAnswers(combined, count, question, llmConfig, onText, requests);
+}
+
+/**
+ * Asks about the project parts one by one (map), then combines the partial answers into one (reduce).
+ * Parts that still do not fit the context window are split further, down to MIN_MAP_PART_TOKENS.
+ * @param {object} result - The result of extract.
+ * @param {string} question - The question.
+ * @param {object} llmConfig - Provider configuration.
+ * @param {function(string): void | null} onText - Receives the final answer as it is generated.
+ * @param {Array<object>} requests - Receives every request made; modified in place.
+ * @returns {Promise<{answer: string, parts: number}>}
+ */
+async function askInParts(result, question, llmConfig, onText, requests) {
+    let partTokens = Math.max(MIN_MAP_PART_TOKENS, Math.ceil(result.totalTokens / 2));
+    for (;;) {
+        const chunks = renderChunks(result, partTokens);
+        logStatus(`Asking about the project in ${chunks.length} parts of up to ~${partTokens} tokens...`);
+        const partialAnswers = [];
+        let tooLarge = false;
+        for (let i = 0; i < chunks.length; i++) {
+            const part = `${i + 1} of ${chunks.length}`;
+            logStatus(`  Part ${part} (${chunks[i].files.length} file(s), ~${chunks[i].tokens} tokens)...`);
+            try {
+                const reply = await requestAnswer(llmConfig, `${chunks[i].content}\n\n---\n\nThis document is part ${part} of the project; the other parts are sent separately. `
+                    + `Answer the question below from this part only. Your notes will be merged with the notes on the other parts, so be thorough but concise, `
+                    + `and reply "Nothing relevant in this part." if it does not help with the question.\n\nQuestion:\n${question}`, null);
+                requests.push({ step: 'map', part: i + 1, usage: reply.usage });
+                partialAnswers.push({ parts: [i + 1], files: chunks[i].files.map(file => file.path), answer: reply.content });
+            } catch (error) {
+                if (!isContextLengthError(error)) throw error;
+                if (partTokens <= MIN_MAP_PART_TOKENS) {
+                    throw new Error(`Part ${part} (~${chunks[i].tokens} tokens) does not fit the context window of ${llmConfig.model}, and parts are not `
+                        + `split below ~${MIN_MAP_PART_TOKENS} tokens. Use a model with a larger context window.`);
+                }
+                tooLarge = true;
+                break;
+            }
+        }
+        if (tooLarge) {
+            partTokens = Math.max(MIN_MAP_PART_TOKENS, Math.floor(partTokens / 2));
+            logStatus(`A part is still too large for the model; splitting into smaller parts.`);
+            continue;
+        }
+
+        logStatus(`Combining ${partialAnswers.length} partial answers...`);
+        const answer = await combineAnswers(partialAnswers, chunks.length, question, llmConfig, onText, requests);
+        return { answer, parts: chunks.length };
+    }
+}
+
+/**
+ * Asks the model a question about an extracted project. The whole prompt is sent in one request; when it does not fit
+ * the model's context window, the project is split into parts of whole files, the question is answered for every part,
+ * and the partial answers are combined (map-reduce).
+ * @param {object} result - The result of extract.
+ * @param {string} question - The question (see buildQuestion).
+ * @param {object} [options={}] - Ask options.
+ * @param {object} options.llmConfig - Provider configuration (see resolveProviderConfig).
+ * @param {function(string): void | null} [options.onText=null] - Receives the answer as it is generated (streaming);
+ *   null to wait for the whole answer.
+ * @returns {Promise<{answer: string, strategy: string, parts: number, usage: {inputTokens: number, outputTokens: number},
+ *   requests: Array<{step: string, part?: number, parts?: number[], usage: object | null}>}>} The answer, 'single' or 'map-reduce',
+ *   the number of parts, and the token usage of every request and in total.
+ */
+async function askQuestion(result, question, { llmConfig, onText = null } = {}) {
+    const requests = [];
+    const finish = (answer, strategy, parts) => {
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        requests.forEach(request => addUsage(usage, request.usage));
+        return { answer, strategy, parts, usage, requests };
+    };
+
+    try {
+        const reply = await requestAnswer(llmConfig, `${render(result)}\n\n---\n\nQuestion:\n${question}`, onText);
+        requests.push({ step: 'single', usage: reply.usage });
+        return finish(reply.content, 'single', 1);
+    } catch (error) {
+        if (!isContextLengthError(error)) throw error;
+        logStatus(`\nThe prompt (~${result.totalTokens} tokens) does not fit the context window of ${llmConfig.model}; falling back to map-reduce over file groups.`);
+    }
+    const { answer, parts } = await askInParts(result, question, llmConfig, onText, requests);
+    return finish(answer, 'map-reduce', parts);
+}
+
+/**
+ * Determines the answer files written next to a prompt file: "review.md" -> "review.answer.md" and "review.answer.json".
+ * @param {string} promptFile - Path of the prompt file.
+ * @returns {{markdown: string, json: string}} Paths of the readable answer and of its record.
+ */
+function getAnswerPaths(promptFile) {
+    const base = path.join(path.dirname(promptFile), path.basename(promptFile, path.extname(promptFile)));
+    return { markdown: `${base}.answer.md`, json: `${base}.answer.json` };
+}
+
+/**
+ * Saves a question and its answer next to the prompt file: a Markdown file for reading, and a JSON record with the
+ * question, answer, model, strategy and token usage.
+ * @param {string} promptFile - Path of the prompt file.
+ * @param {object} record - What to save.
+ * @param {string} record.question - The question sent.
+ * @param {string | null} record.template - The template used, if any.
+ * @param {object} record.llmConfig - Provider configuration.
+ * @param {object} record.response - Result of askQuestion.
+ * @returns {Promise<{markdown: string, json: string}>} Paths of the saved files.
+ */
+async function saveAnswer(promptFile, { question, template, llmConfig, response }) {
+    const paths = getAnswerPaths(promptFile);
+    const askedAt = new Date().toISOString();
+    const { answer, strategy, parts, usage, requests } = response;
+    const markdown = `# Question\n\n${question}\n\n# Answer\n\n${answer.trim()}\n\n---\n\n`
+        + `*${llmConfig.label}, ${llmConfig.model} · ${strategy === 'single' ? 'single request' : `map-reduce over ${parts} parts`} · `
+        + `${usage.inputTokens} input / ${usage.outputTokens} output tokens · ${askedAt}*\n`;
+    const record = {
+        question,
+        template,
+        provider: llmConfig.provider,
+        model: llmConfig.model,
+        askedAt,
+        promptFile: path.basename(promptFile),
+        strategy,
+        parts,
+        answer,
+        usage,
+        requests
+    };
+    await fs.writeFile(paths.markdown, markdown);
+    await fs.writeFile(paths.json, JSON.stringify(record, null, 2));
+    return paths;
+}
+
+module.exports = {
+    ASK_TEMPLATES,
+    ASK_TEMPLATE_NAMES,
+    askQuestion,
+    buildQuestion,
+    getAnswerPaths,
+    saveAnswer
+};
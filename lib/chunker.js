@@ -0,0 +1,115 @@
+// Local modules
+const { countTokens, truncateToTokens } = require('./tokenCounter');
+
+/**
+ * Splits text into pieces of at most the given number of tokens, cutting at line boundaries.
+ * Lines that alone exceed the limit are cut mid-line.
+ * @param {string} content - The text to split.
+ * @param {number} maxTokens - Maximum number of tokens per piece.
+ * @param {number} [lineOverhead=0] - Tokens added to every line when the piece is rendered (e.g. a line number).
+ * @returns {string[]} The pieces, in order.
+ */
+function splitContentByTokens(content, maxTokens, lineOverhead = 0) {
+    const pieces = [];
+    let currentLines = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+        if (currentLines.length > 0) {
+            pieces.push(currentLines.join('\n'));
+            currentLines = [];
+            currentTokens = 0;
+        }
+    };
+
+    for (let line of content.split('\n')) {
+        let lineTokens = countTokens(line) + 1 + lineOverhead; // +1 for the newline
+        while (lineTokens > maxTokens) {
+            flush();
+            const head = truncateToTokens(line, Math.max(1, maxTokens - 1 - lineOverhead)) || line.slice(0, 1);
+            pieces.push(head);
+            line = line.slice(head.length);
+            lineTokens = countTokens(line) + 1 + lineOverhead;
+        }
+        if (currentTokens + lineTokens > maxTokens) {
+            flush();
+        }
+        currentLines.push(line);
+        currentTokens += lineTokens;
+    }
+    flush();
+    return pieces;
+}
+
+/**
+ * Counts the newlines in a range of a text.
+ * @param {string} text - The text.
+ * @param {number} start - Index of the first character of the range.
+ * @param {number} end - Index after the last character of the range.
+ * @returns {number} The number of newlines.
+ */
+function countNewlines(text, start, end) {
+    let count = 0;
+    for (let index = text.indexOf('\n', start); index !== -1 && index < end; index = text.indexOf('\n', index + 1)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Distributes file entries over parts that each fit a token capacity, keeping the original order.
+ * A file is never split across parts unless its block alone exceeds the capacity; in that case its
+ * content is split into segments (entries with `segment: {index, count, firstLine}`) that get parts of their own;
+ * `firstLine` is the line of the file the segment starts on.
+ * @param {Array<object>} files - File entries ({path, content, ...}).
+ * @param {number} capacity - Maximum tokens of file blocks per part.
+ * @param {function(object): number} measureBlock - Returns the token count of a file entry as rendered in the output.
+ * @param {{lineOverhead?: number}} [options={}] - Tokens the output adds to every line of a file (see splitContentByTokens).
+ * @returns {Array<Array<object>>} The file entries of each part.
+ */
+function planChunks(files, capacity, measureBlock, { lineOverhead = 0 } = {}) {
+    const parts = [];
+    let currentPart = [];
+    let currentTokens = 0;
+
+    const closePart = () => {
+        if (currentPart.length > 0) {
+            parts.push(currentPart);
+            currentPart = [];
+            currentTokens = 0;
+        }
+    };
+
+    for (const file of files) {
+        const blockTokens = measureBlock(file);
+
+        if (blockTokens > capacity) {
+            closePart();
+            const blockOverhead = measureBlock({ ...file, content: '', segment: { index: 99, count: 99 } });
+            const pieces = splitContentByTokens(file.content, Math.max(1, capacity - blockOverhead), lineOverhead);
+            // Pieces are consecutive substrings of the content (separated by a newline, or none after a cut mid-line)
+            let offset = 0;
+            let firstLine = 1;
+            pieces.forEach((piece, index) => {
+                const start = file.content.indexOf(piece, offset);
+                firstLine += countNewlines(file.content, offset, start);
+                offset = start;
+                parts.push([{ ...file, content: piece, segment: { index: index + 1, count: pieces.length, firstLine } }]);
+            });
+            continue;
+        }
+
+        if (currentTokens + blockTokens > capacity) {
+            closePart();
+        }
+        currentPart.push(file);
+        currentTokens += blockTokens;
+    }
+    closePart();
+    return parts;
+}
+
+module.exports = {
+    planChunks,
+    splitContentByTokens
+};
@@ -0,0 +1,93 @@
+// External dependencies
+const yargs = require('yargs/yargs');
+
+// Local modules
+const { describeResolvedSettings, getOptionTypes, loadProjectConfig } = require('./configFile');
+
+// Options that select or inspect the configuration itself and cannot be set from a configuration file
+const CLI_ONLY_OPTIONS = ['profile', 'config', 'noConfig', 'printConfig', 'help', 'version'];
+
+/**
+ * Adds the options that select and inspect the configuration file.
+ * @param {object} parser - A yargs instance.
+ * @returns {object} The same instance, for chaining.
+ */
+function defineConfigOptions(parser) {
+    return parser
+        .option('profile', {
+            type: 'string',
+            description: 'Apply a named profile (e.g. review, architecture, security) from the "profiles" section of the configuration file.'
+        })
+        .option('config', {
+            type: 'string',
+            description: 'Configuration file to use instead of the .contentextractor.json/.yaml found in the project path or its parents.'
+        })
+        .option('noConfig', {
+            type: 'boolean',
+            description: 'Ignore configuration files.',
+            default: false
+        })
+        .option('printConfig', {
+            type: 'boolean',
+            description: 'Print the resolved settings and where each one comes from (default, config file, profile or command line), then exit.',
+            default: false
+        });
+}
+
+/**
+ * Parses command line arguments, using the settings of the project's configuration file (see lib/configFile) as defaults:
+ * command line arguments take precedence over the selected profile, which takes precedence over the base settings.
+ * The arguments are parsed twice: once to find the project path and configuration options, and once more with the
+ * configuration applied. Configuration errors are printed and end the process.
+ * @param {string[]} args - Command line arguments (without the node executable and script).
+ * @param {object} command - The command's options.
+ * @param {function(object): object} command.defineOptions - Adds the usage text and options to a yargs instance.
+ * @param {function(object): boolean} [command.check] - Validation of the final arguments (yargs .check); throws on invalid input.
+ * @param {string} command.defaultProjectPath - Project path used to find the configuration file when none is given.
+ * @param {boolean} [command.warnUnknownSettings=true] - Whether to warn about settings the command does not know.
+ * @returns {Promise<{argv: object, config: object} | null>} The parsed arguments and the loaded configuration
+ *   (see loadProjectConfig), or null if --printConfig printed the settings.
+ */
+async function parseCommandLine(args, { defineOptions, check = () => true, defaultProjectPath, warnUnknownSettings = true }) {
+    const buildParser = () => defineConfigOptions(defineOptions(yargs(args)));
+
+    // First pass: the project paths and configuration options decide which configuration file applies
+    const preliminaryParser = buildParser().help(false).version(false);
+    const preliminaryArgv = preliminaryParser.parse();
+    const optionTypes = getOptionTypes(preliminaryParser, CLI_ONLY_OPTIONS);
+    let config;
+    try {
+        config = await loadProjectConfig({
+            startPath: preliminaryArgv._.length > 0 ? String(preliminaryArgv._[0]) : defaultProjectPath,
+            configFile: preliminaryArgv.config,
+            profile: preliminaryArgv.profile,
+            optionTypes,
+            warnUnknown: warnUnknownSettings,
+            disabled: preliminaryArgv.noConfig
+        });
+    } catch (error) {
+        console.error(`\n--- Configuration error ---\n${error.message}`);
+        process.exit(1);
+    }
+
+    // --stdout and --out on the command line replace the other destination set in the configuration
+    if (preliminaryArgv.stdout) delete config.settings.out;
+    if (preliminaryArgv.out) delete config.settings.stdout;
+
+    const argv = buildParser()
+        .config(config.settings)
+        .check(check)
+        .help()
+        .alias('help', 'h')
+        .argv;
+
+    if (argv.printConfig) {
+        console.log(describeResolvedSettings(argv, optionTypes, preliminaryParser.getOptions().default, config));
+        return null;
+    }
+    return { argv, config };
+}
+
+module.exports = {
+    parseCommandLine
+};
@@ -0,0 +1,349 @@
+// External dependencies
+const path = require('path');
+const ts = require('typescript');
+
+// Replacement text of elided function bodies and long initializers
+const ELIDED_BODY = '{ … }';
+const ELIDED_VALUE = '…';
+
+// File extensions with outline support -> TypeScript script kind (null for Python)
+const SKELETON_LANGUAGES = {
+    '.js': ts.ScriptKind.JS,
+    '.cjs': ts.ScriptKind.JS,
+    '.mjs': ts.ScriptKind.JS,
+    '.jsx': ts.ScriptKind.JSX,
+    '.ts': ts.ScriptKind.TS,
+    '.cts': ts.ScriptKind.TS,
+    '.mts': ts.ScriptKind.TS,
+    '.tsx': ts.ScriptKind.TSX,
+    '.py': null,
+    '.pyi': null
+};
+
+// --- JavaScript / TypeScript ---
+
+/**
+ * Tells whether a node is a function whose body can be elided.
+ * @param {ts.Node} node - The AST node.
+ * @returns {boolean} True for functions, methods, constructors and accessors.
+ */
+function isFunctionLike(node) {
+    return ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node) ||
+        ts.isMethodDeclaration(node) || ts.isConstructorDeclaration(node) ||
+        ts.isGetAccessorDeclaration(node) || ts.isSetAccessorDeclaration(node);
+}
+
+/**
+ * Tells whether an expression is a `require(...)` call, possibly followed by property accesses (`require('x').y`).
+ * @param {ts.Expression} expression - The expression.
+ * @returns {boolean} True for require expressions.
+ */
+function isRequireExpression(expression) {
+    let current = expression;
+    while (ts.isPropertyAccessExpression(current)) current = current.expression;
+    return ts.isCallExpression(current) && ts.isIdentifier(current.expression) && current.expression.text === 'require';
+}
+
+/**
+ * Tells whether a statement assigns to `module.exports` or `exports.name`.
+ * @param {ts.Statement} statement - The statement.
+ * @returns {boolean} True for CommonJS export assignments.
+ */
+function isCommonJsExport(statement) {
+    if (!ts.isExpressionStatement(statement) || !ts.isBinaryExpression(statement.expression)) return false;
+    if (statement.expression.operatorToken.kind !== ts.SyntaxKind.EqualsToken) return false;
+    const target = statement.expression.left.getText();
+    return /^(module\.exports|exports)(\.|$)/.test(target);
+}
+
+/**
+ * Collects the function bodies inside a node as replacements, without descending into the elided bodies.
+ * @param {ts.Node} node - The node to search.
+ * @param {ts.SourceFile} sourceFile - The parsed file.
+ * @param {Array<{start: number, end: number, text: string}>} replacements - Accumulator.
+ */
+function collectBodyReplacements(node, sourceFile, replacements) {
+    if (isFunctionLike(node) && node.body) {
+        const body = node.body;
+        if (ts.isBlock(body)) {
+            if (body.statements.length > 0) {
+                replacements.push({ start: body.getStart(sourceFile), end: body.getEnd(), text: ELIDED_BODY });
+            }
+            return;
+        }
+        // Multi-line expression bodies of arrow functions
+        const bodyText = body.getText(sourceFile);
+        if (bodyText.includes('\n')) {
+            replacements.push({ start: body.getStart(sourceFile), end: body.getEnd(), text: ELIDED_VALUE });
+        }
+        return;
+    }
+    ts.forEachChild(node, child => collectBodyReplacements(child, sourceFile, replacements));
+}
+
+/**
+ * Collects the replacements of a top-level variable statement: function bodies inside initializers,
+ * and multi-line data initializers (large arrays, objects, template strings). Requires are kept.
+ * @param {ts.VariableStatement} statement - The statement.
+ * @param {ts.SourceFile} sourceFile - The parsed file.
+ * @param {Array<{start: number, end: number, text: string}>} replacements - Accumulator.
+ */
+function collectVariableReplacements(statement, sourceFile, replacements) {
+    for (const declaration of statement.declarationList.declarations) {
+        const initializer = declaration.initializer;
+        if (!initializer || isRequireExpression(initializer)) continue;
+        if (isFunctionLike(initializer) || ts.isClassExpression(initializer)) {
+            collectBodyReplacements(initializer, sourceFile, replacements);
+        } else if (initializer.getText(sourceFile).includes('\n')) {
+            const nested = [];
+            collectBodyReplacements(initializer, sourceFile, nested);
+            // Objects of functions (e.g. `const api = { get() {...} }`) keep their shape; plain data is elided
+            if (nested.length > 0) replacements.push(...nested);
+            else replacements.push({ start: initializer.getStart(sourceFile), end: initializer.getEnd(), text: ELIDED_VALUE });
+        }
+    }
+}
+
+/**
+ * Returns the JSDoc comment directly preceding a statement, if any.
+ * @param {ts.Statement} statement - The statement.
+ * @param {string} text - The file content.
+ * @returns {string | null} The comment text.
+ */
+function getLeadingJsDoc(statement, text) {
+    const comments = ts.getLeadingCommentRanges(text, statement.getFullStart()) || [];
+    const last = comments[comments.length - 1];
+    if (!last || last.kind !== ts.SyntaxKind.MultiLineCommentTrivia) return null;
+    const comment = text.slice(last.pos, last.end);
+    return comment.startsWith('/**') ? comment : null;
+}
+
+/**
+ * Renders a statement with its replacements applied.
+ * @param {ts.Statement} statement - The statement.
+ * @param {ts.SourceFile} sourceFile - The parsed file.
+ * @param {Array<{start: number, end: number, text: string}>} replacements - Non-overlapping replacements inside the statement.
+ * @returns {string} The rendered statement.
+ */
+function renderStatement(statement, sourceFile, replacements) {
+    const text = sourceFile.text;
+    let output = '';
+    let position = statement.getStart(sourceFile);
+    replacements.sort((a, b) => a.start - b.start).forEach(replacement => {
+        output += text.slice(position, replacement.start) + replacement.text;
+        position = replacement.end;
+    });
+    return output + text.slice(position, statement.getEnd());
+}
+
+/**
+ * Builds the outline of a JavaScript/TypeScript file: imports and requires, declarations (functions,
+ * classes, interfaces, types, enums, variables) with their JSDoc, and exports. Function bodies and
+ * multi-line data initializers are elided; other top-level statements (calls, conditionals) are dropped.
+ * @param {string} content - The file content.
+ * @param {string} filePath - Path of the file (selects JS, JSX, TS or TSX parsing).
+ * @returns {string} The outline.
+ */
+function buildScriptSkeleton(content, filePath) {
+    const scriptKind = SKELETON_LANGUAGES[path.extname(filePath).toLowerCase()];
+    const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind);
+    const blocks = [];
+
+    for (const statement of sourceFile.statements) {
+        const replacements = [];
+        let isImport = false;
+
+        if (ts.isImportDeclaration(statement) || ts.isImportEqualsDeclaration(statement)) {
+            isImport = true;
+        } else if (ts.isVariableStatement(statement)) {
+            isImport = statement.declarationList.declarations.every(declaration => declaration.initializer && isRequireExpression(declaration.initializer));
+            collectVariableReplacements(statement, sourceFile, replacements);
+        } else if (
+            ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement) || ts.isModuleDeclaration(statement) ||
+            ts.isExportAssignment(statement) || ts.isExportDeclaration(statement) || isCommonJsExport(statement)
+        ) {
+            collectBodyReplacements(statement, sourceFile, replacements);
+        } else if (!ts.isInterfaceDeclaration(statement) && !ts.isTypeAliasDeclaration(statement) && !ts.isEnumDeclaration(statement)) {
+            continue; // Side effects and control flow are not part of the outline
+        }
+
+        const jsDoc = getLeadingJsDoc(statement, content);
+        const rendered = renderStatement(statement, sourceFile, replacements);
+        blocks.push({ text: jsDoc ? `${jsDoc}\n${rendered}` : rendered, isImport });
+    }
+
+    // Consecutive imports stay together; other declarations are separated by a blank line
+    return blocks.reduce((output, block, index) => {
+        if (index === 0) return block.text;
+        const separator = block.isImport && blocks[index - 1].isImport ? '\n' : '\n\n';
+        return output + separator + block.text;
+    }, '');
+}
+
+// --- Python ---
+
+/**
+ * Splits Python source into logical lines: a statement continued over several physical lines (open
+ * brackets, triple-quoted strings, backslashes) forms one logical line.
+ * @param {string[]} lines - The physical lines.
+ * @returns {Array<{start: number, end: number, indent: number, text: string}>} Logical lines (end is exclusive);
+ *   blank and comment-only lines are skipped.
+ */
+function splitPythonLogicalLines(lines) {
+    const logicalLines = [];
+    let depth = 0;
+    let stringDelimiter = null;
+    let start = null;
+
+    lines.forEach((line, index) => {
+        if (start === null) {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) return;
+            start = index;
+        }
+        let continued = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (stringDelimiter) {
+                if (char === '\\') i++;
+                else if (line.startsWith(stringDelimiter, i)) {
+                    i += stringDelimiter.length - 1;
+                    stringDelimiter = null;
+                }
+            } else if (char === '#') {
+                break;
+            } else if (char === '"' || char === "'") {
+                stringDelimiter = line.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+                i += stringDelimiter.length - 1;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth = Math.max(0, depth - 1);
+            } else if (char === '\\' && i === line.length - 1) {
+                continued = true;
+            }
+        }
+        // Single-quoted strings cannot span lines
+        if (stringDelimiter && stringDelimiter.length === 1) stringDelimiter = null;
+        if (depth === 0 && !stringDelimiter && !continued) {
+            logicalLines.push({
+                start,
+                end: index + 1,
+                indent: lines[start].match(/^\s*/)[0].length,
+                text: lines.slice(start, index + 1).join('\n')
+            });
+            start = null;
+        }
+    });
+    if (start !== null) {
+        logicalLines.push({ start, end: lines.length, indent: lines[start].match(/^\s*/)[0].length, text: lines.slice(start).join('\n') });
+    }
+    return logicalLines;
+}
+
+/**
+ * Builds the outline of a Python file: module docstring, imports, constants, classes and functions with
+ * their decorators, signatures and docstrings. Function bodies are replaced by `...`; class bodies keep
+ * their docstring, attributes and method outlines.
+ * @param {string} content - The file content.
+ * @returns {string} The outline.
+ */
+function buildPythonSkeleton(content) {
+    const logicalLines = splitPythonLogicalLines(content.split('\n'));
+    const output = [];
+    const isDocstring = line => /^[rRuU]{0,2}("""|'''|"|')/.test(line.text.trim());
+    const isAttribute = trimmed => /^\w+\s*(:[^=]+)?=/.test(trimmed) || /^\w+\s*:\s*[^=]+$/.test(trimmed);
+    const elideValue = line => line.text.includes('\n') ? `${line.text.split('=')[0].trimEnd()} = ...` : line.text;
+
+    // Returns the index after the last logical line of the block nested under a line with the given indent
+    const findBlockEnd = (from, parentIndent) => {
+        let index = from;
+        while (index < logicalLines.length && logicalLines[index].indent > parentIndent) index++;
+        return index;
+    };
+
+    const emitBlock = (from, to, scope) => {
+        let pendingDecorators = [];
+        for (let index = from; index < to; index++) {
+            const line = logicalLines[index];
+            const trimmed = line.text.trim();
+            const bodyEnd = findBlockEnd(index + 1, line.indent);
+
+            if (trimmed.startsWith('@')) {
+                pendingDecorators.push(line.text);
+                continue;
+            }
+            if (/^(async\s+def|def|class)\s/.test(trimmed)) {
+                if (output.length > 0) output.push('');
+                output.push(...pendingDecorators, line.text);
+                pendingDecorators = [];
+
+                let bodyStart = index + 1;
+                const bodyIndent = bodyStart < bodyEnd ? logicalLines[bodyStart].indent : line.indent + 4;
+                if (bodyStart < bodyEnd && isDocstring(logicalLines[bodyStart])) {
+                    output.push(logicalLines[bodyStart].text);
+                    bodyStart++;
+                }
+                if (trimmed.startsWith('class') && bodyStart < bodyEnd) {
+                    const outputLength = output.length;
+                    emitBlock(bodyStart, bodyEnd, 'class');
+                    if (output.length === outputLength) output.push(`${' '.repeat(bodyIndent)}...`);
+                } else if (bodyStart < bodyEnd) {
+                    output.push(`${' '.repeat(bodyIndent)}...`);
+                }
+                index = bodyEnd - 1;
+                continue;
+            }
+            pendingDecorators = [];
+
+            if (scope === 'module') {
+                if (index === 0 && isDocstring(line)) {
+                    output.push(line.text);
+                } else if (/^(import|from)\s/.test(trimmed)) {
+                    output.push(line.text);
+                } else if (/^(__all__|[A-Z][A-Z0-9_]*)\s*(:[^=]+)?=/.test(trimmed) || /^\w+\s*:\s*TypeAlias\b/.test(trimmed)) {
+                    output.push(elideValue(line)); // Constants and type aliases
+                }
+            } else if (isAttribute(trimmed)) {
+                output.push(elideValue(line)); // Class attributes
+            }
+            // Bodies of other compound statements (if, for, try, with, ...) are not part of the outline
+            index = bodyEnd - 1;
+        }
+    };
+
+    emitBlock(0, logicalLines.length, 'module');
+    return output.join('\n');
+}
+
+// --- Public API ---
+
+/**
+ * Tells whether an outline can be built for a file.
+ * @param {string} filePath - Path of the file.
+ * @returns {boolean} True for JavaScript, TypeScript and Python files.
+ */
+function supportsSkeleton(filePath) {
+    return Object.prototype.hasOwnProperty.call(SKELETON_LANGUAGES, path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Builds the outline ("skeleton") of a source file: imports, exported and declared signatures with their
+ * JSDoc/docstrings and type declarations, with function bodies elided.
+ * @param {string} content - The file content.
+ * @param {string} filePath - Path of the file (selects the language).
+ * @returns {string | null} The outline, or null if the language is not supported or the outline would be empty.
+ */
+function buildSkeleton(content, filePath) {
+    if (!supportsSkeleton(filePath)) return null;
+    const extension = path.extname(filePath).toLowerCase();
+    const skeleton = SKELETON_LANGUAGES[extension] === null
+        ? buildPythonSkeleton(content)
+        : buildScriptSkeleton(content, filePath);
+    return skeleton.trim() === '' ? null : skeleton;
+}
+
+module.exports = {
+    buildSkeleton,
+    supportsSkeleton
+};
@@ -0,0 +1,547 @@
+// External dependencies
+const path = require('path');
+
+// Marks the place of a removed comment until lines are cleaned up at the end (private-use character)
+const REMOVED_MARK = '\uE000';
+
+// Leading comments matching this are kept when license headers are preserved
+const LICENSE_PATTERN = /\b(license|licensed|copyright|spdx-license-identifier)\b|\(c\)|©/i;
+
+// Keywords after which a '/' starts a regular expression literal instead of a division (JS/TS)
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Punctuation after which a '/' starts a regular expression literal (JS/TS)
+const REGEX_PRECEDING_PUNCTUATION = new Set('(,=:[!&|?{};+-*%<>~^'.split(''));
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+// Start of a JSX tag or fragment: '<>' or '<Name' followed by an attribute, '{', '/' or '>'. Generic parameter lists
+// such as `<T,>` do not match; `<T extends U>` does, but then only comments after it are kept.
+const JSX_TAG_START = /^<(>|[A-Za-z_$][\w$.:-]*[\s/>{])/;
+
+// --- String literal definitions shared by several languages ---
+const DOUBLE_QUOTED = { open: '"', close: '"', escape: '\\', multiline: false };
+const SINGLE_QUOTED = { open: "'", close: "'", escape: '\\', multiline: false };
+
+/**
+ * Matches a Rust raw string literal (r"...", r#"..."#, br"...") at the given position.
+ * @param {string} content - The source text.
+ * @param {number} index - Position to test.
+ * @returns {number} The end index (exclusive) of the literal, or -1 if there is none.
+ */
+function matchRustRawString(content, index) {
+    const match = /b?r(#*)"/y;
+    match.lastIndex = index;
+    const result = match.exec(content);
+    if (!result || (index > 0 && IDENTIFIER_CHAR.test(content[index - 1]))) return -1;
+    const terminator = '"' + result[1];
+    const end = content.indexOf(terminator, match.lastIndex);
+    return end === -1 ? content.length : end + terminator.length;
+}
+
+/**
+ * Matches a Rust character literal ('a', '\n', '\u{1F600}') at the given position.
+ * Lifetimes ('a, 'static) are not literals and return -1.
+ * @param {string} content - The source text.
+ * @param {number} index - Position to test.
+ * @returns {number} The end index (exclusive) of the literal, or -1 if there is none.
+ */
+function matchRustCharLiteral(content, index) {
+    const match = /b?'(?:\\u\{[0-9a-fA-F]+\}|\\.|[^\\'\n])'/y;
+    match.lastIndex = index;
+    return match.exec(content) ? match.lastIndex : -1;
+}
+
+// --- Comment syntax per language family ---
+// lineComments / blockComments: comment delimiters. strings: literals copied verbatim (longest opener first).
+// commentBoundary: a line comment only starts after one of these characters (or at line start).
+// quoteBoundary: a quote only starts a string after one of these characters (YAML plain scalars may contain quotes).
+// literalMatchers: extra literal forms, each returning the literal's end index or -1.
+const SYNTAX = {
+    javascript: {
+        lineComments: ['//'],
+        blockComments: [['/*', '*/']],
+        strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+        templateLiterals: true,
+        regexLiterals: true
+    },
+    jsx: {
+        lineComments: ['//'],
+        blockComments: [['/*', '*/']],
+        strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+        templateLiterals: true,
+        regexLiterals: true,
+        jsxElements: true // '<' where an operand is expected starts an element whose text and attributes are copied
+    },
+    cFamily: {
+        lineComments: ['//'],
+        blockComments: [['/*', '*/']],
+        strings: [
+            { open: '"""', close: '"""', escape: null, multiline: true }, // Kotlin, Swift, Scala, Java text blocks
+            DOUBLE_QUOTED,
+            SINGLE_QUOTED
+        ]
+    },
+    go: {
+        lineComments: ['//'],
+        blockComments: [['/*', '*/']],
+        strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { open: '`', close: '`', escape: null, multiline: true }]
+    },
+    rust: {
+        lineComments: ['//'],
+        blockComments: [['/*', '*/']],
+        nestedBlockComments: true,
+        strings: [{ open: '"', close: '"', escape: '\\', multiline: true }],
+        literalMatchers: [matchRustRawString, matchRustCharLiteral]
+    },
+    python: {
+        lineComments: ['#'],
+        blockComments: [],
+        strings: [
+            { open: '"""', close: '"""', escape: '\\', multiline: true },
+            { open: "'''", close: "'''", escape: '\\', multiline: true },
+            DOUBLE_QUOTED,
+            SINGLE_QUOTED
+        ]
+    },
+    shell: {
+        lineComments: ['#'],
+        blockComments: [],
+        strings: [
+            { open: '"', close: '"', escape: '\\', multiline: true },
+            { open: "'", close: "'", escape: null, multiline: true }
+        ],
+        commentBoundary: /[\s;|&()]/
+    },
+    sql: {
+        lineComments: ['--'],
+        blockComments: [['/*', '*/']],
+        strings: [
+            { open: "'", close: "'", escape: null, multiline: true }, // '' escapes are two adjacent literals
+            { open: '"', close: '"', escape: null, multiline: true },
+            { open: '`', close: '`', escape: null, multiline: false }
+        ]
+    },
+    yaml: {
+        lineComments: ['#'],
+        blockComments: [],
+        strings: [
+            { open: '"', close: '"', escape: '\\', multiline: true },
+            { open: "'", close: "'", escape: null, multiline: true }
+        ],
+        commentBoundary: /\s/,
+        quoteBoundary: /[\s:\-[\]{},]/
+    },
+    markup: {
+        lineComments: [],
+        blockComments: [['<!--', '-->']],
+        strings: []
+    },
+    css: {
+        lineComments: [],
+        blockComments: [['/*', '*/']],
+        strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+    },
+    cssPreprocessor: {
+        lineComments: ['//'],
+        blockComments: [['/*', '*/']],
+        strings: [
+            { open: 'url(', close: ')', escape: null, multiline: false }, // unquoted URLs contain '//'
+            DOUBLE_QUOTED,
+            SINGLE_QUOTED
+        ]
+    }
+};
+
+// File extension -> language family
+const EXTENSION_SYNTAX = {
+    js: 'jsx', mjs: 'jsx', cjs: 'jsx', jsx: 'jsx', tsx: 'jsx',
+    ts: 'javascript', mts: 'javascript', cts: 'javascript', // `<T>value` is a type assertion, not JSX
+    c: 'cFamily', h: 'cFamily', cc: 'cFamily', cpp: 'cFamily', cxx: 'cFamily', hpp: 'cFamily', hh: 'cFamily', hxx: 'cFamily',
+    java: 'cFamily', cs: 'cFamily', kt: 'cFamily', kts: 'cFamily', scala: 'cFamily', swift: 'cFamily',
+    dart: 'cFamily', groovy: 'cFamily', gradle: 'cFamily', m: 'cFamily', mm: 'cFamily', proto: 'cFamily',
+    jsonc: 'cFamily', json5: 'cFamily',
+    go: 'go',
+    rs: 'rust',
+    py: 'python', pyw: 'python', pyi: 'python',
+    sh: 'shell', bash: 'shell', zsh: 'shell', ksh: 'shell',
+    sql: 'sql',
+    yaml: 'yaml', yml: 'yaml',
+    html: 'markup', htm: 'markup', xhtml: 'markup', xml: 'markup', svg: 'markup', xsd: 'markup', xsl: 'markup',
+    css: 'css',
+    scss: 'cssPreprocessor', less: 'cssPreprocessor'
+};
+
+// Extension-less file names -> language family
+const FILENAME_SYNTAX = {
+    dockerfile: 'shell',
+    makefile: 'shell',
+    '.bashrc': 'shell',
+    '.zshrc': 'shell',
+    '.profile': 'shell'
+};
+
+/**
+ * Finds the comment syntax for a file based on its extension or name.
+ * @param {string} filePath - Path of the file.
+ * @returns {object | null} The syntax definition, or null for unknown languages.
+ */
+function getCommentSyntax(filePath) {
+    const fileName = path.basename(filePath).toLowerCase();
+    if (FILENAME_SYNTAX[fileName]) return SYNTAX[FILENAME_SYNTAX[fileName]];
+    const extension = path.extname(fileName).substring(1);
+    return EXTENSION_SYNTAX[extension] ? SYNTAX[EXTENSION_SYNTAX[extension]] : null;
+}
+
+/**
+ * Creates a scanner that removes comments for one language while copying literals verbatim.
+ * @param {string} content - The source text.
+ * @param {object} syntax - The language's syntax definition.
+ * @param {boolean} keepLicense - Whether `/*! ... *\/` comments are kept.
+ * @returns {{matchComment: function(number): number, strip: function(number): string}}
+ */
+function createScanner(content, syntax, keepLicense) {
+    const length = content.length;
+
+    const isAtBoundary = (index, boundary) => !boundary || index === 0 || boundary.test(content[index - 1]);
+
+    // Returns the end index (exclusive) of a comment starting at index, or -1
+    const matchComment = (index) => {
+        for (const marker of syntax.lineComments) {
+            if (content.startsWith(marker, index) && isAtBoundary(index, syntax.commentBoundary)) {
+                const end = content.indexOf('\n', index);
+                return end === -1 ? length : end;
+            }
+        }
+        for (const [open, close] of syntax.blockComments) {
+            if (!content.startsWith(open, index)) continue;
+            if (!syntax.nestedBlockComments) {
+                const end = content.indexOf(close, index + open.length);
+                return end === -1 ? length : end + close.length;
+            }
+            let depth = 0;
+            let position = index;
+            while (position < length) {
+                if (content.startsWith(open, position)) {
+                    depth++;
+                    position += open.length;
+                } else if (content.startsWith(close, position)) {
+                    depth--;
+                    position += close.length;
+                    if (depth === 0) return position;
+                } else {
+                    position++;
+                }
+            }
+            return length;
+        }
+        return -1;
+    };
+
+    // Returns the end index (exclusive) of a string literal starting at index, or -1
+    const matchString = (index) => {
+        for (const literal of syntax.strings) {
+            if (!content.startsWith(literal.open, index) || !isAtBoundary(index, syntax.quoteBoundary)) continue;
+            let position = index + literal.open.length;
+            while (position < length) {
+                if (literal.escape && content[position] === literal.escape) {
+                    position += 2;
+                } else if (content.startsWith(literal.close, position)) {
+                    return position + literal.close.length;
+                } else if (!literal.multiline && content[position] === '\n') {
+                    return position; // Unterminated single-line string
+                } else {
+                    position++;
+                }
+            }
+            return length;
+        }
+        for (const matcher of syntax.literalMatchers || []) {
+            const end = matcher(content, index);
+            if (end !== -1) return end;
+        }
+        return -1;
+    };
+
+    // Returns the end index (exclusive) of a regular expression literal starting at index
+    const matchRegex = (index) => {
+        let position = index + 1;
+        let inClass = false;
+        while (position < length && content[position] !== '\n') {
+            const char = content[position];
+            if (char === '\\') {
+                position += 2;
+                continue;
+            }
+            if (char === '[') inClass = true;
+            else if (char === ']') inClass = false;
+            else if (char === '/' && !inClass) {
+                position++;
+                while (position < length && IDENTIFIER_CHAR.test(content[position])) position++; // Flags
+                return position;
+            }
+            position++;
+        }
+        return position;
+    };
+
+    const strip = (startIndex) => {
+        const output = [];
+        let lastToken = ''; // Last significant code token, used to tell regex literals and JSX from operators
+
+        // Whether a '/' or '<' at this point starts an operand (regex literal, JSX element) rather than an operator
+        const expectsOperand = () => lastToken === '' || REGEX_PRECEDING_PUNCTUATION.has(lastToken) || REGEX_PRECEDING_KEYWORDS.has(lastToken);
+
+        // Copies a JSX element verbatim (tags, attribute strings and text, where '//' is not a comment) and strips
+        // comments only inside its {expressions}. An expression that held nothing but comments is removed.
+        // Returns the end index (exclusive).
+        const scanJsxElement = (start) => {
+            let openElements = 0;
+            let copiedUntil = start;
+
+            const scanExpression = (braceIndex) => {
+                output.push(content.slice(copiedUntil, braceIndex));
+                const outputStart = output.length;
+                output.push('{');
+                lastToken = '{';
+                const end = scanCode(braceIndex + 1, true);
+                const expression = output.slice(outputStart + 1).join('');
+                if (end < length && expression.includes(REMOVED_MARK) && expression.split(REMOVED_MARK).join('').trim() === '') {
+                    output.length = outputStart;
+                    output.push(REMOVED_MARK);
+                    copiedUntil = end + 1;
+                } else {
+                    copiedUntil = end;
+                }
+                return Math.min(end + 1, length);
+            };
+
+            // Scans a tag from its '<' to its '>' and updates the number of open elements
+            const scanTag = (tagStart) => {
+                const closing = content[tagStart + 1] === '/';
+                let position = tagStart + 1;
+                while (position < length) {
+                    const char = content[position];
+                    if (char === '"' || char === "'") {
+                        const end = content.indexOf(char, position + 1);
+                        position = end === -1 ? length : end + 1;
+                    } else if (char === '{') {
+                        position = scanExpression(position);
+                    } else if (char === '>') {
+                        openElements += closing ? -1 : content[position - 1] === '/' ? 0 : 1;
+                        return position + 1;
+                    } else {
+                        position++;
+                    }
+                }
+                return length;
+            };
+
+            let position = scanTag(start);
+            while (openElements > 0 && position < length) {
+                if (content[position] === '<') position = scanTag(position);
+                else if (content[position] === '{') position = scanExpression(position);
+                else position++;
+            }
+            output.push(content.slice(copiedUntil, position));
+            lastToken = 'literal';
+            return position;
+        };
+
+        // Strips code from start to the end of the content or, inside a JSX expression, to its closing brace.
+        // Returns the index where it stopped (that of the closing brace).
+        const scanCode = (start, inJsxExpression) => {
+            const templateBraceDepths = []; // One entry per open `${ ... }` expression
+            let braceDepth = 0; // Braces opened inside a JSX expression
+            let index = start;
+
+            // Copies template literal text up to and including the closing backtick or the next '${'
+            const continueTemplate = (position) => {
+                while (position < length) {
+                    if (content[position] === '\\') {
+                        position += 2;
+                    } else if (content[position] === '`') {
+                        output.push(content.slice(index, position + 1));
+                        lastToken = 'literal';
+                        return position + 1;
+                    } else if (content.startsWith('${', position)) {
+                        output.push(content.slice(index, position + 2));
+                        templateBraceDepths.push(0);
+                        lastToken = '{';
+                        return position + 2;
+                    } else {
+                        position++;
+                    }
+                }
+                output.push(content.slice(index));
+                return length;
+            };
+
+            while (index < length) {
+                const char = content[index];
+
+                const commentEnd = matchComment(index);
+                if (commentEnd !== -1) {
+                    if (keepLicense && content.startsWith('/*!', index)) {
+                        output.push(content.slice(index, commentEnd));
+                    } else {
+                        output.push(REMOVED_MARK);
+                    }
+                    index = commentEnd;
+                    continue;
+                }
+
+                const stringEnd = matchString(index);
+                if (stringEnd !== -1) {
+                    output.push(content.slice(index, stringEnd));
+                    lastToken = 'literal';
+                    index = stringEnd;
+                    continue;
+                }
+
+                if (syntax.templateLiterals) {
+                    if (char === '`') {
+                        index = continueTemplate(index + 1);
+                        continue;
+                    }
+                    if (templateBraceDepths.length > 0) {
+                        const top = templateBraceDepths.length - 1;
+                        if (char === '{') {
+                            templateBraceDepths[top]++;
+                        } else if (char === '}' && templateBraceDepths[top] === 0) {
+                            templateBraceDepths.pop();
+                            index = continueTemplate(index + 1);
+                            continue;
+                        } else if (char === '}') {
+                            templateBraceDepths[top]--;
+                        }
+                    } else if (inJsxExpression && char === '{') {
+                        braceDepth++;
+                    } else if (inJsxExpression && char === '}') {
+                        if (braceDepth === 0) return index;
+                        braceDepth--;
+                    }
+                }
+
+                if (syntax.regexLiterals && char === '/' && expectsOperand()) {
+                    const regexEnd = matchRegex(index);
+                    output.push(content.slice(index, regexEnd));
+                    lastToken = 'literal';
+                    index = regexEnd;
+                    continue;
+                }
+
+                if (syntax.jsxElements && char === '<' && expectsOperand() && JSX_TAG_START.test(content.slice(index, index + 256))) {
+                    index = scanJsxElement(index);
+                    continue;
+                }
+
+                if (IDENTIFIER_CHAR.test(char)) {
+                    let end = index + 1;
+                    while (end < length && IDENTIFIER_CHAR.test(content[end])) end++;
+                    const word = content.slice(index, end);
+                    // A keyword used as a property name (obj.in, x.return) is an operand like any other identifier
+                    lastToken = lastToken === '.' ? 'identifier' : word;
+                    output.push(word);
+                    index = end;
+                    continue;
+                }
+
+                if ((char === '+' || char === '-') && content[index + 1] === char) {
+                    // A postfix increment (i++ / 2) ends an operand, a prefix one (++i) does not
+                    lastToken = expectsOperand() ? char : 'literal';
+                    output.push(char + char);
+                    index += 2;
+                    continue;
+                }
+
+                if (!/\s/.test(char)) lastToken = char;
+                output.push(char);
+                index++;
+            }
+            return index;
+        };
+
+        scanCode(startIndex, false);
+        return output.join('');
+    };
+
+    return { matchComment, strip };
+}
+
+/**
+ * Finds the end of a leading license header: the run of comments (separated only by whitespace)
+ * at the start of the file, if their text looks like a license or copyright notice.
+ * @param {string} content - The source text.
+ * @param {number} startIndex - Position after the shebang line, if any.
+ * @param {function(number): number} matchComment - The scanner's comment matcher.
+ * @returns {number} The end index of the header, or startIndex if there is none.
+ */
+function findLicenseHeaderEnd(content, startIndex, matchComment) {
+    let index = startIndex;
+    let headerEnd = startIndex;
+    while (index < content.length) {
+        while (index < content.length && /\s/.test(content[index])) index++;
+        const commentEnd = matchComment(index);
+        if (commentEnd === -1) break;
+        headerEnd = commentEnd;
+        index = commentEnd;
+    }
+    return LICENSE_PATTERN.test(content.slice(startIndex, headerEnd)) ? headerEnd : startIndex;
+}
+
+/**
+ * Removes comments from source code using a tokenizer for the file's language.
+ * String, template and regex literals are left intact, shebang lines are always kept, and files of
+ * unknown languages are returned unchanged. Lines that only contained comments are removed.
+ * @param {string} content - The code content.
+ * @param {string} filePath - Path of the file (its extension selects the language).
+ * @param {object} [options={}] - Stripping options.
+ * @param {boolean} [options.keepLicense=false] - Keep a leading license/copyright header and `/*! ... *\/` comments.
+ * @returns {string} Content with comments removed.
+ */
+function stripComments(content, filePath, options = {}) {
+    const { keepLicense = false } = options;
+    const syntax = getCommentSyntax(filePath);
+    if (!syntax) return content;
+
+    let preserved = '';
+    let startIndex = 0;
+    if (content.startsWith('#!')) {
+        const shebangEnd = content.indexOf('\n');
+        startIndex = shebangEnd === -1 ? content.length : shebangEnd;
+    }
+
+    const scanner = createScanner(content, syntax, keepLicense);
+    if (keepLicense) {
+        startIndex = findLicenseHeaderEnd(content, startIndex, scanner.matchComment);
+    }
+    preserved = content.slice(0, startIndex);
+
+    const stripped = scanner.strip(startIndex);
+
+    // Drop lines emptied by comment removal and trailing whitespace left before removed comments;
+    // lines that were blank in the original are kept as they are. A comment between two pieces of
+    // code becomes a single space so that tokens are not glued together.
+    const lines = stripped.split('\n').reduce((kept, line) => {
+        if (!line.includes(REMOVED_MARK)) {
+            kept.push(line);
+            return kept;
+        }
+        const cleaned = line
+            .replace(new RegExp(`(\\S)[ \\t]*${REMOVED_MARK}+[ \\t]*(?=\\S)`, 'g'), '$1 ')
+            .split(REMOVED_MARK).join('')
+            .trimEnd();
+        if (cleaned.trim() !== '') kept.push(cleaned);
+        return kept;
+    }, []);
+    return preserved + lines.join('\n');
+}
+
+module.exports = {
+    getCommentSyntax,
+    stripComments
+};
@@ -0,0 +1,257 @@
+// External dependencies
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+// Configuration file names looked up in the target directory and its ancestors, in order of preference
+const CONFIG_FILE_NAMES = ['.contentextractor.json', '.contentextractor.yaml', '.contentextractor.yml'];
+
+// Settings holding paths, resolved relative to the directory of the configuration file
+const PATH_SETTINGS = ['out', 'cacheDir', 'contentCacheDir'];
+
+// Settings a configuration file found next to the extracted project cannot set: they decide where the API key and
+// the prompt are sent, whether secrets are redacted, and where files are written. The analyzed project may come from
+// anyone, so these are only taken from the command line or a file given with --config.
+const RESTRICTED_SETTINGS = ['provider', 'baseUrl', 'noRedact', 'redactPattern', 'out', 'cacheDir', 'contentCacheDir'];
+
+/**
+ * Finds the configuration file that applies to a directory: the first CONFIG_FILE_NAMES entry found
+ * in the directory itself or, failing that, in the closest ancestor that has one.
+ * @param {string} startPath - The directory to start from (usually the project path).
+ * @returns {Promise<string | null>} Absolute path of the configuration file, or null if there is none.
+ */
+async function findConfigFile(startPath) {
+    let directory = path.resolve(startPath);
+    while (true) {
+        for (const fileName of CONFIG_FILE_NAMES) {
+            const candidate = path.join(directory, fileName);
+            try {
+                if ((await fs.stat(candidate)).isFile()) return candidate;
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+            }
+        }
+        const parent = path.dirname(directory);
+        if (parent === directory) return null;
+        directory = parent;
+    }
+}
+
+/**
+ * Reads and parses a configuration file (JSON, or YAML for .yaml/.yml files).
+ * @param {string} filePath - Path to the configuration file.
+ * @returns {Promise<object>} The parsed configuration (an empty object for an empty YAML file).
+ * @throws {Error} If the file cannot be read or parsed, or does not contain an object.
+ */
+async function loadConfigFile(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read configuration file ${filePath}: ${error.message}`);
+    }
+
+    let config;
+    try {
+        config = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse configuration file ${filePath}: ${error.message}`);
+    }
+    if (config === null || config === undefined) return {};
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Configuration file ${filePath} must contain an object of settings.`);
+    }
+    if (config.profiles !== undefined && (typeof config.profiles !== 'object' || config.profiles === null || Array.isArray(config.profiles))) {
+        throw new Error(`"profiles" in ${filePath} must be an object mapping profile names to settings.`);
+    }
+    return config;
+}
+
+/**
+ * Checks settings against the known command line options: unknown names are reported and dropped,
+ * values of the wrong type are rejected. A single string is accepted for an array option.
+ * @param {object} settings - Settings from a configuration file or profile.
+ * @param {Map<string, string>} optionTypes - Option name -> 'boolean' | 'number' | 'string' | 'array'.
+ * @param {string} source - Description of where the settings come from, for messages.
+ * @param {boolean} [warnUnknown=true] - Whether to warn about unknown settings (false for tools reading a shared file
+ *   that only use some of its settings).
+ * @returns {object} The known settings, with array options normalized to arrays.
+ * @throws {Error} If a setting has a value of the wrong type.
+ */
+function validateSettings(settings, optionTypes, source, warnUnknown = true) {
+    const valid = {};
+    for (const [name, value] of Object.entries(settings)) {
+        const type = optionTypes.get(name);
+        if (!type) {
+            if (warnUnknown) console.warn(`Warning: Unknown setting "${name}" in ${source} is ignored.`);
+            continue;
+        }
+        if (type === 'array') {
+            const values = Array.isArray(value) ? value : [value];
+            if (!values.every(item => typeof item === 'string')) {
+                throw new Error(`Setting "${name}" in ${source} must be a string or a list of strings.`);
+            }
+            valid[name] = values;
+        } else {
+            if (typeof value !== type) {
+                throw new Error(`Setting "${name}" in ${source} must be a ${type} (got ${JSON.stringify(value)}).`);
+            }
+            valid[name] = value;
+        }
+    }
+    return valid;
+}
+
+/**
+ * Drops the settings a discovered configuration file cannot set (see RESTRICTED_SETTINGS), with a warning.
+ * @param {object} settings - Validated settings.
+ * @param {string} source - Description of where the settings come from, for messages.
+ * @returns {object} The settings without the restricted ones.
+ */
+function dropRestrictedSettings(settings, source) {
+    const allowed = { ...settings };
+    RESTRICTED_SETTINGS.filter(name => Object.prototype.hasOwnProperty.call(allowed, name)).forEach(name => {
+        console.warn(`Warning: Setting "${name}" in ${source} is ignored: it can only be set on the command line or in a file given with --config.`);
+        delete allowed[name];
+    });
+    return allowed;
+}
+
+/**
+ * Resolves path settings relative to the directory of the configuration file.
+ * A trailing separator (meaning "a directory") is kept.
+ * @param {object} settings - Validated settings.
+ * @param {string} configDirectory - Directory of the configuration file.
+ * @returns {object} The settings with absolute paths.
+ */
+function resolvePathSettings(settings, configDirectory) {
+    const resolved = { ...settings };
+    PATH_SETTINGS.forEach(name => {
+        if (typeof resolved[name] === 'string' && resolved[name]) {
+            const trailingSeparator = /[\\/]$/.test(resolved[name]) ? path.sep : '';
+            resolved[name] = path.resolve(configDirectory, resolved[name]) + trailingSeparator;
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Loads the configuration that applies to a project and merges the selected profile over its base settings.
+ * A file found by searching from the project path belongs to the project, so it cannot set RESTRICTED_SETTINGS
+ * (the LLM endpoint, secret redaction, output and cache locations); a file given explicitly can.
+ * @param {object} options - Lookup options.
+ * @param {string} options.startPath - Directory to search from (upward) when no file is given.
+ * @param {string} [options.configFile] - Explicit configuration file; disables the search.
+ * @param {string} [options.profile] - Name of the profile to apply.
+ * @param {Map<string, string>} options.optionTypes - Known settings and their types (see validateSettings).
+ * @param {boolean} [options.warnUnknown=true] - Whether to warn about settings not in optionTypes.
+ * @param {boolean} [options.disabled=false] - Ignore configuration files (--noConfig).
+ * @returns {Promise<{filePath: string | null, profile: string | null, baseSettings: object, profileSettings: object, settings: object}>}
+ *   The file used, the applied profile, the settings of the base and of the profile, and the merged settings.
+ * @throws {Error} If the file is invalid, or the profile is requested but not defined.
+ */
+async function loadProjectConfig({ startPath, configFile, profile, optionTypes, warnUnknown = true, disabled = false }) {
+    if (disabled && (profile || configFile)) {
+        throw new Error('--profile and --config cannot be used when configuration files are disabled (--noConfig).');
+    }
+    const filePath = disabled ? null : configFile ? path.resolve(configFile) : await findConfigFile(startPath);
+    if (!filePath) {
+        if (profile) {
+            throw new Error(`Profile "${profile}" was requested, but no configuration file (${CONFIG_FILE_NAMES.join(', ')}) was found in ${path.resolve(startPath)} or its parent directories.`);
+        }
+        return { filePath: null, profile: null, baseSettings: {}, profileSettings: {}, settings: {} };
+    }
+
+    const { profiles = {}, ...base } = await loadConfigFile(filePath);
+    const configDirectory = path.dirname(filePath);
+    // Settings of a file chosen on the command line are trusted; those of a discovered file are restricted
+    const checkSettings = (settings, source) => {
+        const valid = validateSettings(settings, optionTypes, source, warnUnknown);
+        return resolvePathSettings(configFile ? valid : dropRestrictedSettings(valid, source), configDirectory);
+    };
+    const baseSettings = checkSettings(base, filePath);
+
+    let profileSettings = {};
+    if (profile) {
+        if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+            const available = Object.keys(profiles);
+            throw new Error(`Profile "${profile}" is not defined in ${filePath}. ${available.length > 0 ? `Available profiles: ${available.join(', ')}.` : 'The file defines no profiles.'}`);
+        }
+        const selected = profiles[profile] || {};
+        if (typeof selected !== 'object' || Array.isArray(selected)) {
+            throw new Error(`Profile "${profile}" in ${filePath} must be an object of settings.`);
+        }
+        profileSettings = checkSettings(selected, `profile "${profile}" of ${filePath}`);
+    }
+
+    return {
+        filePath,
+        profile: profile || null,
+        baseSettings,
+        profileSettings,
+        settings: { ...baseSettings, ...profileSettings }
+    };
+}
+
+/**
+ * Reads the known option names and types of a yargs parser, for validateSettings.
+ * Aliases are left out, so configuration files must use the long option names.
+ * @param {object} parser - A yargs instance with its options defined.
+ * @param {string[]} [excluded=[]] - Options that cannot be set from a configuration file.
+ * @returns {Map<string, string>} Option name -> type.
+ */
+function getOptionTypes(parser, excluded = []) {
+    const options = parser.getOptions();
+    const aliases = new Set(Object.values(options.alias).flat());
+    const types = new Map();
+    Object.keys(options.key).forEach(name => {
+        if (aliases.has(name) || excluded.includes(name)) return;
+        if (options.array.includes(name)) types.set(name, 'array');
+        else if (options.boolean.includes(name)) types.set(name, 'boolean');
+        else if (options.number.includes(name)) types.set(name, 'number');
+        else types.set(name, 'string');
+    });
+    return types;
+}
+
+/**
+ * Describes the resolved value of every setting and where it comes from, for --printConfig.
+ * A value is attributed to the command line when it differs from what the configuration (or the default) provides.
+ * @param {object} argv - The parsed arguments.
+ * @param {Map<string, string>} optionTypes - Known settings (see getOptionTypes).
+ * @param {object} defaults - Default values of the options.
+ * @param {object} config - The result of loadProjectConfig.
+ * @returns {string} One line per setting: name, JSON value and source.
+ */
+function describeResolvedSettings(argv, optionTypes, defaults, config) {
+    const rows = [...optionTypes.keys()].map(name => {
+        const value = argv[name];
+        let expected = defaults[name];
+        let source = 'default';
+        if (Object.prototype.hasOwnProperty.call(config.profileSettings, name)) {
+            expected = config.profileSettings[name];
+            source = `profile ${config.profile}`;
+        } else if (Object.prototype.hasOwnProperty.call(config.baseSettings, name)) {
+            expected = config.baseSettings[name];
+            source = 'config file';
+        }
+        if (JSON.stringify(value) !== JSON.stringify(expected)) source = 'command line';
+        return { name, value: value === undefined ? '(unset)' : JSON.stringify(value), source };
+    });
+
+    const nameWidth = Math.max(...rows.map(row => row.name.length));
+    const valueWidth = Math.min(40, Math.max(...rows.map(row => row.value.length)));
+    const header = `Config file: ${config.filePath || '(none)'}${config.profile ? ` (profile: ${config.profile})` : ''}`;
+    return [header, ...rows.map(row => `  ${row.name.padEnd(nameWidth)}  ${row.value.padEnd(valueWidth)}  [${row.source}]`)].join('\n');
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    RESTRICTED_SETTINGS,
+    describeResolvedSettings,
+    findConfigFile,
+    getOptionTypes,
+    loadConfigFile,
+    loadProjectConfig,
+    validateSettings
+};
@@ -0,0 +1,110 @@
+// External dependencies
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Per-user cache root ($XDG_CACHE_HOME or ~/.cache), outside the extracted projects so caches never end up in a prompt
+const USER_CACHE_DIRECTORY = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'content-extractor');
+const DEFAULT_CONTENT_CACHE_DIRECTORY = path.join(USER_CACHE_DIRECTORY, 'content');
+
+// Bump when the cached entry shape or the file processing changes, so old entries are no longer matched
+const CONTENT_CACHE_VERSION = 2;
+
+// Name of the file that maps absolute paths to the size, modification time and hash seen last
+const INDEX_FILE_NAME = 'index.json';
+
+/**
+ * Opens the processed content cache: file contents after comment removal and secret redaction, stored by the
+ * hash of the original file, its path and the processing settings, plus an index of the size, modification time and hash
+ * of every file seen, so unchanged files are neither hashed nor processed again.
+ * @param {object} options - Cache options.
+ * @param {string} options.directory - The cache directory.
+ * @param {Array<*>} options.settings - Everything that changes the processed content (comment removal, size limit,
+ *   redaction patterns...); entries processed with other settings are not used.
+ * @returns {Promise<{getHash: function(string, object): string | null, setHash: function(string, object, string): void,
+ *   read: function(string, string): Promise<object | null>, write: function(string, string, object): Promise<void>,
+ *   save: function(string[]): Promise<void>}>}
+ *   `getHash(filePath, stats)` returns the indexed hash if size and modification time are unchanged; `setHash` records one;
+ *   `read(hash, relativePath)`/`write(hash, relativePath, data)` get and store processed content. The path is part of
+ *   the key because processing depends on it (.env values are redacted, comment syntax and generated-file detection
+ *   follow the file name), so the same content under another name is processed again. `save(scannedRoots)` writes
+ *   the index, dropping files under the scanned roots that were not seen in this run.
+ */
+async function openContentCache({ directory, settings }) {
+    const indexPath = path.join(directory, INDEX_FILE_NAME);
+    const settingsKey = JSON.stringify([CONTENT_CACHE_VERSION, ...settings]);
+    let index = {};
+    try {
+        index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+        if (index.version !== CONTENT_CACHE_VERSION || typeof index.files !== 'object') index = {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Ignoring unreadable content cache index ${indexPath}: ${error.message}`);
+        }
+    }
+    const files = new Map(Object.entries(index.files || {})); // absolute path -> {size, mtimeMs, hash}
+    const seenPaths = new Set();
+
+    const entryPath = (hash, relativePath) => {
+        const key = JSON.stringify([settingsKey, relativePath.split(path.sep).join('/'), hash]);
+        return path.join(directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+    };
+
+    const getHash = (filePath, stats) => {
+        seenPaths.add(filePath);
+        const known = files.get(filePath);
+        return known && known.size === stats.size && known.mtimeMs === stats.mtimeMs ? known.hash : null;
+    };
+
+    const setHash = (filePath, stats, hash) => {
+        seenPaths.add(filePath);
+        files.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+    };
+
+    const read = async (hash, relativePath) => {
+        const filePath = entryPath(hash, relativePath);
+        try {
+            const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            const now = new Date();
+            await fs.utimes(filePath, now, now); // Recently used (for cache-prune)
+            return entry.data;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Ignoring unreadable content cache entry ${filePath}: ${error.message}`);
+            }
+            return null;
+        }
+    };
+
+    // Failures are reported but never fail the run
+    const write = async (hash, relativePath, data) => {
+        try {
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(entryPath(hash, relativePath), JSON.stringify({ version: CONTENT_CACHE_VERSION, hash, data }));
+        } catch (error) {
+            console.warn(`Could not write content cache entry to ${directory}: ${error.message}`);
+        }
+    };
+
+    const save = async (scannedRoots) => {
+        for (const filePath of files.keys()) {
+            const underScannedRoot = scannedRoots.some(root => filePath.startsWith(root + path.sep));
+            if (underScannedRoot && !seenPaths.has(filePath)) files.delete(filePath);
+        }
+        try {
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(indexPath, JSON.stringify({ version: CONTENT_CACHE_VERSION, files: Object.fromEntries(files) }));
+        } catch (error) {
+            console.warn(`Could not write content cache index ${indexPath}: ${error.message}`);
+        }
+    };
+
+    return { getHash, setHash, read, write, save };
+}
+
+module.exports = {
+    DEFAULT_CONTENT_CACHE_DIRECTORY,
+    USER_CACHE_DIRECTORY,
+    openContentCache
+};
@@ -0,0 +1,341 @@
+// External dependencies
+const path = require('path');
+const ts = require('typescript');
+
+// Local modules
+const virtualFs = require('./virtualFs');
+
+// Files whose imports are followed
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const PYTHON_EXTENSIONS = ['.py', '.pyi'];
+
+// Module resolution used when no tsconfig.json/jsconfig.json applies
+const DEFAULT_COMPILER_OPTIONS = {
+    allowJs: true,
+    resolveJsonModule: true,
+    moduleResolution: ts.ModuleResolutionKind.Node10
+};
+
+// TypeScript's file system access, extended to the files of archives and repositories (see lib/virtualFs)
+const SYSTEM_HOST = {
+    ...ts.sys,
+    fileExists: filePath => (virtualFs.isVirtualPath(filePath) ? isFileSync(filePath) : ts.sys.fileExists(filePath)),
+    directoryExists: directory => (virtualFs.isVirtualPath(directory) ? isDirectorySync(directory) : ts.sys.directoryExists(directory)),
+    readFile: (filePath, encoding) => (virtualFs.isVirtualPath(filePath) ? readFileSyncIfExists(filePath) : ts.sys.readFile(filePath, encoding)),
+    realpath: filePath => (virtualFs.isVirtualPath(filePath) || !ts.sys.realpath ? filePath : ts.sys.realpath(filePath))
+};
+
+// Reading a tsconfig must not enumerate the project's files
+const CONFIG_PARSE_HOST = { ...SYSTEM_HOST, readDirectory: () => [] };
+
+/**
+ * Checks synchronously whether a path inside an archive or repository is a file.
+ * @param {string} filePath - Absolute path.
+ * @returns {boolean} True for files.
+ */
+function isFileSync(filePath) {
+    try {
+        return virtualFs.statSync(filePath).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks synchronously whether a path inside an archive or repository is a directory.
+ * @param {string} directory - Absolute path.
+ * @returns {boolean} True for directories.
+ */
+function isDirectorySync(directory) {
+    try {
+        return virtualFs.statSync(directory).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Reads a file inside an archive or repository synchronously, like ts.sys.readFile.
+ * @param {string} filePath - Absolute path.
+ * @returns {string | undefined} The content, or undefined if it cannot be read.
+ */
+function readFileSyncIfExists(filePath) {
+    try {
+        return virtualFs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Checks whether a path is an existing file.
+ * @param {string} filePath - Absolute path.
+ * @returns {Promise<boolean>} True for files.
+ */
+async function isFile(filePath) {
+    try {
+        return (await virtualFs.stat(filePath)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Finds the project root containing a file (the innermost one if roots are nested).
+ * @param {string} filePath - Absolute path of the file.
+ * @param {Array<{path: string}>} projectRoots - The project roots.
+ * @returns {object | null} The root, or null if the file is outside all roots.
+ */
+function findRoot(filePath, projectRoots) {
+    let match = null;
+    for (const root of projectRoots) {
+        const relativePath = path.relative(root.path, filePath);
+        if (relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+            if (!match || root.path.length > match.path.length) match = root;
+        }
+    }
+    return match;
+}
+
+/**
+ * Resolves an `--entry` argument to an absolute file path. The path may be given relative to the CWD,
+ * to one of the project roots, or with a root label prefix as shown in multi-root documents.
+ * @param {string} entry - The entry file as given on the command line.
+ * @param {Array<{path: string, label: string}>} projectRoots - The project roots.
+ * @returns {Promise<string>} The absolute path.
+ * @throws {Error} If the file does not exist or lies outside all project roots.
+ */
+async function resolveEntryFile(entry, projectRoots) {
+    const candidates = [path.resolve(entry), ...projectRoots.map(root => path.resolve(root.path, entry))];
+    const [label, ...rest] = path.normalize(entry).split(path.sep);
+    projectRoots.filter(root => root.label === label && rest.length > 0).forEach(root => {
+        candidates.push(path.resolve(root.path, ...rest));
+    });
+    for (const candidate of candidates) {
+        if (await isFile(candidate)) {
+            if (!findRoot(candidate, projectRoots)) {
+                throw new Error(`Entry file '${entry}' (resolved to '${candidate}') is outside the project path(s).`);
+            }
+            return candidate;
+        }
+    }
+    throw new Error(`Entry file '${entry}' was not found (looked in the current directory and the project path(s)).`);
+}
+
+/**
+ * Creates the JS/TS module resolver: TypeScript's own resolution, configured by the nearest tsconfig.json
+ * (or jsconfig.json) of each file, so `paths` aliases, `baseUrl`, extensions and index files resolve
+ * as in the project's build.
+ * @returns {function(string, string): string | null} Resolves (specifier, importing file) to an absolute path.
+ */
+function createScriptResolver() {
+    const optionsByDirectory = new Map();
+
+    const loadCompilerOptions = (directory) => {
+        if (optionsByDirectory.has(directory)) return optionsByDirectory.get(directory);
+        const configPath = ts.findConfigFile(directory, SYSTEM_HOST.fileExists, 'tsconfig.json') ||
+            ts.findConfigFile(directory, SYSTEM_HOST.fileExists, 'jsconfig.json');
+        let options = DEFAULT_COMPILER_OPTIONS;
+        if (configPath) {
+            const { config, error } = ts.readConfigFile(configPath, SYSTEM_HOST.readFile);
+            if (error) {
+                console.warn(`Could not read ${configPath} for import resolution: ${ts.flattenDiagnosticMessageText(error.messageText, ' ')}`);
+            } else {
+                const parsed = ts.parseJsonConfigFileContent(config, CONFIG_PARSE_HOST, path.dirname(configPath), undefined, configPath);
+                options = {
+                    ...parsed.options,
+                    allowJs: true,
+                    resolveJsonModule: true,
+                    moduleResolution: parsed.options.moduleResolution || DEFAULT_COMPILER_OPTIONS.moduleResolution
+                };
+            }
+        }
+        optionsByDirectory.set(directory, options);
+        return options;
+    };
+
+    return (specifier, importingFile) => {
+        const options = loadCompilerOptions(path.dirname(importingFile));
+        const { resolvedModule } = ts.resolveModuleName(specifier, importingFile, options, SYSTEM_HOST);
+        if (resolvedModule && !resolvedModule.isExternalLibraryImport) {
+            return path.resolve(resolvedModule.resolvedFileName);
+        }
+        // Relative imports of non-code assets (styles, JSON without resolveJsonModule, ...)
+        if (specifier.startsWith('.')) {
+            const target = path.resolve(path.dirname(importingFile), specifier);
+            return SYSTEM_HOST.fileExists(target) ? target : null;
+        }
+        return null;
+    };
+}
+
+/**
+ * Extracts the import statements of a Python file.
+ * @param {string} content - The file content.
+ * @returns {Array<{level: number, module: string, names: string[]}>} Imports: `level` is the number of leading dots
+ *   of a relative import, `names` the imported names of `from ... import` statements.
+ */
+function extractPythonImports(content) {
+    const imports = [];
+    const fromPattern = /^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n#]+)/gm;
+    const importPattern = /^[ \t]*import[ \t]+([^\n#]+)/gm;
+    const splitNames = list => list.replace(/[()\\]/g, ' ').split(',')
+        .map(name => name.trim().split(/\s+as\s+/)[0].trim())
+        .filter(name => /^[\w.]+$/.test(name));
+
+    for (const match of content.matchAll(fromPattern)) {
+        imports.push({ level: match[1].length, module: match[2], names: splitNames(match[3]).filter(name => name !== '*') });
+    }
+    for (const match of content.matchAll(importPattern)) {
+        splitNames(match[1]).forEach(module => imports.push({ level: 0, module, names: [] }));
+    }
+    return imports;
+}
+
+/**
+ * Resolves a Python import to project files: the module itself (`a/b.py` or `a/b/__init__.py`) and, for
+ * `from a.b import c`, submodules named by the imported names. Absolute imports are looked up in the
+ * given directories and in the folder containing the importing file's top-level package; modules that
+ * are not found there (standard library, installed packages) are ignored.
+ * @param {{level: number, module: string, names: string[]}} pythonImport - An import from extractPythonImports.
+ * @param {string} importingFile - Absolute path of the importing file.
+ * @param {string[]} searchDirectories - Directories absolute imports are resolved against.
+ * @returns {Promise<string[]>} Absolute paths of the imported files.
+ */
+async function resolvePythonImport(pythonImport, importingFile, searchDirectories) {
+    // The folder above the outermost package (directories with __init__.py) is on sys.path when the package is used
+    let packageParent = path.dirname(importingFile);
+    while (await isFile(path.join(packageParent, '__init__.py'))) packageParent = path.dirname(packageParent);
+    let bases = [...new Set([...searchDirectories, packageParent])];
+    if (pythonImport.level > 0) {
+        let base = path.dirname(importingFile);
+        for (let level = 1; level < pythonImport.level; level++) base = path.dirname(base);
+        bases = [base];
+    }
+
+    const findModule = async (modulePath) => {
+        for (const candidate of [`${modulePath}.py`, `${modulePath}.pyi`, path.join(modulePath, '__init__.py')]) {
+            if (await isFile(candidate)) return candidate;
+        }
+        return null;
+    };
+
+    for (const base of bases) {
+        const modulePath = pythonImport.module ? path.join(base, ...pythonImport.module.split('.')) : base;
+        const found = [];
+        // `from . import x` names the package itself: only its __init__.py is the module
+        const initFile = path.join(base, '__init__.py');
+        const moduleFile = pythonImport.module ? await findModule(modulePath) : (await isFile(initFile) ? initFile : null);
+        if (moduleFile) found.push(moduleFile);
+        for (const name of pythonImport.names) {
+            const submodule = await findModule(path.join(modulePath, name));
+            if (submodule) found.push(submodule);
+        }
+        if (found.length > 0) return found;
+    }
+    return [];
+}
+
+/**
+ * Builds the import graph reachable from entry files. JS/TS imports (`import`, `export ... from`, `require`,
+ * dynamic `import()`) are read with the TypeScript parser and resolved like the TypeScript compiler does;
+ * Python `import`/`from ... import` statements are resolved against the package layout. Only files inside
+ * the project roots that pass the roots' exclusion filters become part of the graph.
+ * @param {string[]} entryFiles - Absolute paths of the entry files (see resolveEntryFile).
+ * @param {Array<{path: string, label: string, ignoreFilter: object}>} projectRoots - The project roots with their filters.
+ * @param {object} [options={}] - Graph options.
+ * @param {number | null} [options.maxDepth=null] - Follow imports at most this many levels from the entries (null = no limit).
+ * @param {boolean} [options.prefixLabels=false] - Prefix module paths with their root label (multi-root documents).
+ * @returns {Promise<{entries: string[], maxDepth: number | null, modules: Array<{path: string, root: object, relativePath: string,
+ *   depth: number, imports: string[]}>}>} The graph: modules ordered by depth and path, with the paths of the modules they import.
+ */
+async function buildDependencyGraph(entryFiles, projectRoots, options = {}) {
+    const { maxDepth = null, prefixLabels = false } = options;
+    const resolveScriptImport = createScriptResolver();
+    const pythonSearchDirectories = projectRoots.flatMap(root => [root.path, path.join(root.path, 'src')]);
+
+    const isSelectable = async (filePath) => {
+        const root = findRoot(filePath, projectRoots);
+        if (!root) return null;
+        const relativePath = path.relative(root.path, filePath);
+        const segments = relativePath.split(path.sep);
+        for (let depth = 1; depth < segments.length; depth++) {
+            if (await root.ignoreFilter.isExcluded(segments.slice(0, depth).join(path.sep), true)) return null;
+        }
+        if (await root.ignoreFilter.isExcluded(relativePath, false)) return null;
+        return { root, relativePath, path: prefixLabels ? path.join(root.label, relativePath) : relativePath };
+    };
+
+    const readImports = async (filePath) => {
+        const extension = path.extname(filePath).toLowerCase();
+        const isScript = SCRIPT_EXTENSIONS.includes(extension);
+        if (!isScript && !PYTHON_EXTENSIONS.includes(extension)) return [];
+        let content;
+        try {
+            content = await virtualFs.readFile(filePath, 'utf8');
+        } catch (error) {
+            console.warn(`Could not read ${filePath} for import analysis: ${error.message}`);
+            return [];
+        }
+        if (isScript) {
+            return ts.preProcessFile(content, true, true).importedFiles
+                .map(importedFile => resolveScriptImport(importedFile.fileName, filePath))
+                .filter(Boolean);
+        }
+        const resolved = [];
+        for (const pythonImport of extractPythonImports(content)) {
+            resolved.push(...await resolvePythonImport(pythonImport, filePath, pythonSearchDirectories));
+        }
+        return resolved;
+    };
+
+    // Breadth-first, so every module gets its shortest distance from an entry
+    const modulesByFile = new Map();
+    const entries = [];
+    let queue = [];
+    for (const entryFile of entryFiles) {
+        const selection = await isSelectable(entryFile);
+        if (!selection) {
+            console.warn(`Entry file ${entryFile} is excluded by the ignore rules; it is not part of the dependency graph.`);
+            continue;
+        }
+        if (!modulesByFile.has(entryFile)) {
+            modulesByFile.set(entryFile, { ...selection, depth: 0, importedFiles: [] });
+            entries.push(selection.path);
+            queue.push(entryFile);
+        }
+    }
+
+    for (let depth = 0; queue.length > 0; depth++) {
+        const nextQueue = [];
+        for (const filePath of queue) {
+            const node = modulesByFile.get(filePath);
+            for (const importedFile of new Set(await readImports(filePath))) {
+                if (importedFile === filePath) continue;
+                if (!modulesByFile.has(importedFile)) {
+                    if (maxDepth !== null && depth + 1 > maxDepth) continue;
+                    const selection = await isSelectable(importedFile);
+                    if (!selection) continue;
+                    modulesByFile.set(importedFile, { ...selection, depth: depth + 1, importedFiles: [] });
+                    nextQueue.push(importedFile);
+                }
+                node.importedFiles.push(importedFile);
+            }
+        }
+        queue = nextQueue;
+    }
+
+    const modules = [...modulesByFile.values()]
+        .map(({ importedFiles, ...node }) => ({
+            ...node,
+            imports: importedFiles.map(file => modulesByFile.get(file).path).sort()
+        }))
+        .sort((a, b) => a.depth - b.depth || a.path.localeCompare(b.path));
+    return { entries, maxDepth, modules };
+}
+
+module.exports = {
+    buildDependencyGraph,
+    extractPythonImports,
+    resolveEntryFile
+};
@@ -0,0 +1,840 @@
+// External dependencies
+const path = require('path');
+
+// Local modules
+const { STATIC_EXCLUDE_PATTERNS, createIgnoreFilter, createSelectionFilter } = require('./ignoreRules');
+const { applyTokenBudget, countTokens } = require('./tokenCounter');
+const { planChunks } = require('./chunker');
+const { DEFAULT_MAX_FILE_SIZE, describeOmittedFile, readFileForPrompt } = require('./fileClassifier');
+const { stripComments } = require('./commentStripper');
+const { resolveProjectRoots } = require('./projectPaths');
+const { describeGitSelection, getChangedFiles, getFileDiff, getLastCommits } = require('./gitChanges');
+const { getFormatter } = require('./formatters');
+const { buildSkeleton } = require('./codeSkeleton');
+const { buildDependencyGraph, resolveEntryFile } = require('./dependencyGraph');
+const { createRedactor } = require('./secretRedactor');
+const { DEFAULT_CACHE_DIRECTORY } = require('./llmCache');
+const { DEFAULT_CONTENT_CACHE_DIRECTORY, openContentCache } = require('./contentCache');
+const { buildManifest, diffAgainstManifest, scanProjectFiles } = require('./manifest');
+const { walkProjectFiles } = require('./projectWalker');
+const virtualFs = require('./virtualFs');
+const { closeProjectSources, openProjectSources } = require('./projectSources');
+const { TREE_SCOPES, TREE_STYLES, buildProjectTree, filterTree, renderProjectTree, renderTree } = require('./projectTree');
+const { DEFAULT_CONCURRENCY, createSequencer, createTaskPool } = require('./taskPool');
+const { createProgressReporter, logStatus } = require('./progress');
+const { getConfigurationError, resolveProviderConfig } = require('./llmProviders');
+const { DEFAULT_CONTENT_FILTER_BATCH_TOKENS, getContentAwareExclusions, getLLMFilteredExclusions } = require('./llmFilter');
+
+// A line number prefix as wide as those of long files, to estimate what line numbers add to each line
+const LINE_NUMBER_SAMPLE = '10000 | ';
+
+// Placeholder rendered instead of the content of files excluded by the LLM filter
+const LLM_EXCLUSION_PLACEHOLDER = `**File excluded by LLM filter. The system considers it unnecessary for the current analysis focus.**`;
+
+/**
+ * Creates the exclusion filter for a project: static patterns, nested .gitignore/.extractorignore
+ * files and user-supplied include/exclude globs.
+ * @param {string} basePath - The root path of the project.
+ * @param {string[]} [includePatterns=[]] - Globs of files to keep (all files if empty).
+ * @param {string[]} [excludePatterns=[]] - Additional globs of files and folders to skip.
+ * @param {string[]} [excludedDirectories=[]] - Directories written by the tool (caches), skipped when inside the project.
+ * @returns {{isExcluded: function(string, boolean): Promise<boolean>}}
+ */
+function createProjectIgnoreFilter(basePath, includePatterns = [], excludePatterns = [], excludedDirectories = []) {
+    return createIgnoreFilter(basePath, {
+        staticPatterns: STATIC_EXCLUDE_PATTERNS,
+        includePatterns,
+        excludePatterns,
+        excludedDirectories
+    });
+}
+
+/**
+ * Generates a string representation of the folder structure, in tree order (directories first, natural sort).
+ * @param {string} dir - The current directory to scan.
+ * @param {string} basePath - The root path of the project, for relative path calculations.
+ * @param {string} prefix - The prefix for visual indentation of the structure.
+ * @param {object} [ignoreFilter] - Exclusion filter; defaults to the static patterns plus the project's ignore files.
+ * @param {Map<string, {status: string}> | null} [changes=null] - Changed files (relative paths) to mark with their git status.
+ * @returns {Promise<string>} A string representing the folder structure.
+ */
+async function generateFolderStructureString(dir, basePath, prefix = '', ignoreFilter = createProjectIgnoreFilter(basePath), changes = null) {
+    const nodes = await buildProjectTree(dir, basePath, ignoreFilter);
+    return renderTree(nodes, { prefix, describeEntry: node => describeChange(node, changes) });
+}
+
+/**
+ * Describes the change of a file in the structure, e.g. " [modified]".
+ * @param {object} node - Tree node (see buildProjectTree).
+ * @param {Map<string, {status: string}> | null} changes - Changed files by root-relative path.
+ * @returns {string} The change mark, or an empty string.
+ */
+function describeChange(node, changes) {
+    const change = changes && !node.isDirectory ? changes.get(node.relativePath) : null;
+    return change ? ` [${change.status}]` : '';
+}
+
+/**
+ * Reads a file into a file entry: its (redacted, optionally comment-free) content, or a placeholder for binary,
+ * oversized and generated files and for files that cannot be read.
+ * @param {string} entryPath - Absolute path of the file.
+ * @param {string} relativePath - Path of the file in the prompt.
+ * @param {boolean} removeCommentsFlag - Whether to remove comments.
+ * @param {object} readOptions - See readProjectFiles.
+ * @returns {Promise<object>} The file entry.
+ */
+async function readFileEntry(entryPath, relativePath, removeCommentsFlag, readOptions) {
+    try {
+        // Binary, oversized and generated files stay in the structure but only get a one-line placeholder
+        const fileData = await readFileForPrompt(entryPath, readOptions);
+        if (fileData.kind !== 'text') {
+            return { path: relativePath, content: describeOmittedFile(fileData), excludedByLLM: false, omitted: fileData.kind };
+        }
+        let content = fileData.content;
+        let containsSecrets = false;
+        if (readOptions.redactor) {
+            // Files are read in parallel, but placeholders are numbered in file order (see readProjectFiles)
+            const redactFile = () => readOptions.redactor.redact(content, relativePath);
+            const redaction = readOptions.inOrder ? await readOptions.inOrder(redactFile) : redactFile();
+            content = redaction.content;
+            containsSecrets = redaction.redactions.length > 0 || redaction.residual.length > 0;
+        }
+        if (removeCommentsFlag) {
+            content = stripComments(content, entryPath, { keepLicense: readOptions.keepLicense });
+        }
+        return { path: relativePath, content, excludedByLLM: false, sourcePath: entryPath, ...(containsSecrets ? { containsSecrets } : {}) };
+    } catch (readError) {
+        console.warn(`Could not read file ${entryPath}: ${readError.message}`);
+        return {
+            path: relativePath,
+            content: `**Could not read file content: ${readError.message}**`,
+            excludedByLLM: false,
+            error: true
+        };
+    }
+}
+
+/**
+ * Reads a file entry through the processed content cache: a file whose content hash was processed before with the
+ * path and settings is not read again. Files containing secrets are never cached, so their placeholders and the redaction
+ * report always come from the current run.
+ * @param {string} entryPath - Absolute path of the file.
+ * @param {string} relativePath - Path of the file in the prompt.
+ * @param {boolean} removeCommentsFlag - Whether to remove comments.
+ * @param {object} readOptions - See readProjectFiles.
+ * @param {string} hash - Content hash of the file (see scanProjectFiles).
+ * @returns {Promise<object>} The file entry.
+ */
+async function readCachedFileEntry(entryPath, relativePath, removeCommentsFlag, readOptions, hash) {
+    const cached = await readOptions.contentCache.read(hash, relativePath);
+    if (cached) {
+        return cached.omitted
+            ? { path: relativePath, content: cached.content, excludedByLLM: false, omitted: cached.omitted }
+            : { path: relativePath, content: cached.content, excludedByLLM: false, sourcePath: entryPath };
+    }
+    const entry = await readFileEntry(entryPath, relativePath, removeCommentsFlag, readOptions);
+    if (!entry.error && !entry.containsSecrets) {
+        await readOptions.contentCache.write(hash, relativePath, { content: entry.content, omitted: entry.omitted });
+    }
+    return entry;
+}
+
+/**
+ * Reads the files of a project tree, applying static and LLM exclusions. Files are read in parallel (bounded by the
+ * task pool); the entries are returned in sorted path order, and secrets are redacted in that order, so the output
+ * does not depend on which read finishes first.
+ * @param {string} dir - Directory to read (the project root or one of its subdirectories).
+ * @param {string} basePath - The root project path.
+ * @param {boolean} deleteComments - Whether to remove comments from file content.
+ * @param {Set<string>} llmExcludedPathsSet - A Set of relative paths excluded by the LLM.
+ * @param {object} [ignoreFilter] - Exclusion filter; defaults to the static patterns plus the project's ignore files.
+ * @param {object} [readOptions={}] - Options for reading file content.
+ * @param {number} [readOptions.maxFileSize] - Files larger than this (in bytes) are rendered as a placeholder.
+ * @param {boolean} [readOptions.detectGenerated=true] - Whether generated/minified files and source maps are rendered as a placeholder.
+ * @param {boolean} [readOptions.keepLicense=false] - Keep license headers when removing comments.
+ * @param {string} [readOptions.pathPrefix] - Label prepended to every file path (used when extracting several roots).
+ * @param {Map<string, object>} [readOptions.changes] - Git mode: changed files by root-relative path (from getChangedFiles).
+ *   Changed files get a `changeStatus`; unchanged files are skipped unless `includeUnchanged` is set.
+ * @param {boolean} [readOptions.includeUnchanged=false] - Git mode: also read unchanged files as context.
+ * @param {object | null} [readOptions.redactor=null] - Replaces secrets in file contents (see lib/secretRedactor), before comments are removed.
+ * @param {object | null} [readOptions.fileCache=null] - Reuses the entries of unchanged files from earlier runs (see lib/fileCache).
+ * @param {object | null} [readOptions.contentCache=null] - Processed content cache (see lib/contentCache); used with `scannedFiles`.
+ * @param {Map<string, {hash: string, size: number}>} [readOptions.scannedFiles] - Content hashes by root-relative path (see scanProjectFiles).
+ * @param {object} [readOptions.pool] - Task pool limiting the files read at the same time (see createTaskPool).
+ * @param {{tick: function(number): void} | null} [readOptions.progress=null] - Receives the size of every file read (see createProgressReporter).
+ * @param {Array<object>} [fileEntries=[]] - Accumulator for file entries.
+ * @returns {Promise<Array<object>>} A list of file objects with their paths and content.
+ */
+async function readProjectFiles(
+    dir,
+    basePath,
+    removeCommentsFlag,
+    llmExcludedPathsSet,
+    ignoreFilter = createProjectIgnoreFilter(basePath),
+    readOptions = {},
+    fileEntries = []
+) {
+    const pool = readOptions.pool || createTaskPool();
+    const projectFiles = (await walkProjectFiles(dir, basePath, ignoreFilter, pool)).filter(({ relativePath }) => {
+        // Git mode: only changed files, unless unchanged files are included as context
+        return !readOptions.changes || readOptions.includeUnchanged || readOptions.changes.has(relativePath);
+    });
+    const sequencer = createSequencer();
+
+    const entries = await pool.map(projectFiles, async ({ absolutePath: entryPath, relativePath: rootRelativePath }, index) => {
+        const relativePath = readOptions.pathPrefix ? path.join(readOptions.pathPrefix, rootRelativePath) : rootRelativePath;
+        const change = readOptions.changes ? readOptions.changes.get(rootRelativePath) : undefined;
+        const changeFields = change ? { changeStatus: change.status } : {};
+        const scanned = readOptions.scannedFiles ? readOptions.scannedFiles.get(rootRelativePath) : undefined;
+        try {
+            if (llmExcludedPathsSet.has(relativePath) && !change) {
+                if (readOptions.progress) readOptions.progress.tick(0);
+                return { path: relativePath, content: LLM_EXCLUSION_PLACEHOLDER, excludedByLLM: true };
+            }
+            const fileReadOptions = { ...readOptions, inOrder: step => sequencer.run(index, step) };
+            const readEntry = scanned && readOptions.contentCache
+                ? () => readCachedFileEntry(entryPath, relativePath, removeCommentsFlag, fileReadOptions, scanned.hash)
+                : () => readFileEntry(entryPath, relativePath, removeCommentsFlag, fileReadOptions);
+            const fileEntry = readOptions.fileCache ? await readOptions.fileCache.load(entryPath, readEntry) : await readEntry();
+            if (readOptions.progress) readOptions.progress.tick(scanned ? scanned.size : Buffer.byteLength(fileEntry.content));
+            return { ...fileEntry, ...changeFields };
+        } finally {
+            sequencer.pass(index); // Files without a redaction step must not hold up the following ones
+        }
+    });
+    fileEntries.push(...entries);
+    return fileEntries;
+}
+
+/**
+ * Replaces the content of the given files by their outline (imports, signatures, docs; bodies elided).
+ * The outline is built from the file on disk, so it keeps the JSDoc/docstrings even when comments are removed.
+ * Changed files, placeholders and files without outline support keep their content.
+ * @param {Array<object>} projectFiles - File entries (see readProjectFiles); modified in place.
+ * @param {Set<string>} skeletonPathsSet - Paths of the files to outline.
+ * @param {object | null} [redactor=null] - Replaces secrets in the outlines (see lib/secretRedactor).
+ * @returns {Promise<string[]>} Paths of the files that were outlined.
+ */
+async function applySkeletons(projectFiles, skeletonPathsSet, redactor = null) {
+    const outlined = [];
+    for (const file of projectFiles) {
+        if (!skeletonPathsSet.has(file.path) || !file.sourcePath || file.changeStatus || file.excludedByLLM) continue;
+        try {
+            const skeleton = buildSkeleton(await virtualFs.readFile(file.sourcePath, 'utf8'), file.sourcePath);
+            if (skeleton === null) continue;
+            file.content = redactor ? redactor.redact(skeleton, file.path).content : skeleton;
+            file.skeleton = true;
+            outlined.push(file.path);
+        } catch (error) {
+            console.warn(`Could not build the outline of ${file.path}, including it in full: ${error.message}`);
+        }
+    }
+    return outlined;
+}
+
+/**
+ * Splits the prompt into self-contained parts of at most `chunkTokens` tokens each.
+ * Every part repeats the header and directory structure; files are only split when they alone exceed a part.
+ * @param {object} renderData - The data passed to the formatter (see renderDocument in lib/formatters).
+ * @param {number} chunkTokens - Maximum tokens per part.
+ * @param {string} [format='markdown'] - Output format of the parts.
+ * @returns {Array<{content: string, tokens: number, files: Array<object>}>} The rendered parts with the source files they contain.
+ */
+function buildPromptChunks(renderData, chunkTokens, format = 'markdown') {
+    const formatter = getFormatter(format);
+    const overheadTokens = countTokens(formatter.renderDocument({ ...renderData, projectFiles: [], part: { index: 999, count: 999 } }));
+    const capacity = chunkTokens - overheadTokens;
+    if (capacity <= 0) {
+        throw new Error(`Chunk size (--chunkTokens ${chunkTokens}) is too small: the header and directory structure alone take ~${overheadTokens} tokens.`);
+    }
+
+    // A file also costs its table of contents entry, and every line its number
+    const partFiles = planChunks(
+        renderData.projectFiles,
+        capacity,
+        file => countTokens(formatter.renderFile(file, renderData)) + countTokens(formatter.renderTocEntry(file, renderData)),
+        { lineOverhead: renderData.fileBlocks && renderData.fileBlocks.lineNumbers ? countTokens(LINE_NUMBER_SAMPLE) : 0 }
+    );
+    return partFiles.map((files, index) => {
+        const content = formatter.renderDocument({ ...renderData, projectFiles: files, part: { index: index + 1, count: partFiles.length } });
+        return {
+            content,
+            tokens: countTokens(content),
+            files: files.map(file => ({
+                path: file.path,
+                tokens: countTokens(file.content),
+                ...(file.segment ? { segment: file.segment } : {})
+            }))
+        };
+    });
+}
+
+/**
+ * Completes the file entries of a root in git mode: adds the unified diff of changed files (if requested)
+ * and entries for deleted files, which no longer exist on disk.
+ * @param {{path: string, changes: Map<string, object>, ignoreFilter: object}} root - The project root with its changes.
+ * @param {object} gitSelection - The change selection.
+ * @param {Array<object>} projectFiles - File entries; modified in place.
+ * @param {{includeDiff: boolean, pathPrefix?: string, redactor?: object}} options - Diff and path options, and the
+ *   redactor applied to diffs (see lib/secretRedactor).
+ */
+async function addGitChangeDetails(root, gitSelection, projectFiles, { includeDiff, pathPrefix, redactor = null }) {
+    const entriesByPath = new Map(projectFiles.map(file => [file.path, file]));
+    for (const [relativePath, change] of root.changes) {
+        if (await root.ignoreFilter.isExcluded(relativePath, false)) continue;
+        const filePath = pathPrefix ? path.join(pathPrefix, relativePath) : relativePath;
+        let entry = entriesByPath.get(filePath);
+        if (!entry && change.status === 'deleted') {
+            entry = { path: filePath, content: `**File deleted by the reviewed changes.**`, excludedByLLM: false, omitted: 'deleted', changeStatus: 'deleted' };
+            projectFiles.push(entry);
+        }
+        if (!entry) continue;
+        if (change.previousPath) {
+            entry.previousPath = pathPrefix ? path.join(pathPrefix, change.previousPath) : change.previousPath;
+        }
+        if (includeDiff) {
+            const diff = await getFileDiff(root.path, gitSelection, relativePath, change);
+            entry.diff = redactor && diff ? redactor.redact(diff, `${filePath} (diff)`).content : diff; // Untracked files have no diff
+        }
+    }
+}
+
+/**
+ * Adds the last commit of each file of a root (`lastCommit`: author and date) to its file entries, for the file
+ * metadata of the prompt. Files never committed get null; roots without history (archives, directories outside a
+ * repository) get none.
+ * @param {object} root - The project root (see resolveProjectRoots).
+ * @param {Array<object>} rootFiles - The file entries read from the root.
+ * @param {{gitDir: string, commit: string} | null} repository - The repository of a bundle or bare repository root
+ *   (see openProjectSource).
+ * @param {string} [pathPrefix] - Label prepended to the prompt paths (several roots).
+ */
+async function addLastCommits(root, rootFiles, repository, pathPrefix) {
+    if (virtualFs.isVirtualPath(root.path) && !repository) return;
+    const toRootPath = file => (pathPrefix ? path.relative(pathPrefix, file.path) : file.path);
+    const rootPaths = rootFiles.map(toRootPath);
+    let lastCommits;
+    try {
+        lastCommits = repository
+            ? await getLastCommits(repository.gitDir, repository.commit, rootPaths)
+            : await getLastCommits(root.path, 'HEAD', rootPaths);
+    } catch (error) {
+        console.warn(`Could not read the commit history of ${root.displayPath}: ${error.message}`);
+        return;
+    }
+    if (!lastCommits) return;
+    rootFiles.forEach(file => {
+        file.lastCommit = lastCommits.get(toRootPath(file)) || null;
+    });
+}
+
+/**
+ * Extracts one or more projects: selects and reads the files, then applies LLM filtering, outlines, secret
+ * redaction and the token budget. The result is structured data; see render for turning it into a prompt.
+ * @param {object} options - Extraction options.
+ * @param {string | string[]} options.paths - The root project path, or several roots to extract into one document (each labeled with its folder name).
+ *   A root can also be a zip/tar archive, a git bundle or a bare repository; it is read without being extracted (see lib/projectSources).
+ * @param {string | null} [options.ref=null] - Commit, branch or tag read from git bundles and bare repositories (default: HEAD).
+ * @param {boolean} [options.deleteComments=false] - Whether to remove comments.
+ * @param {number} [options.filterLevel=0] - LLM filtering aggressiveness level (0 = off, 1-5).
+ * @param {string} [options.focus=""] - Custom focus for analysis.
+ * @param {string[]} [options.includePatterns=[]] - Globs of files to keep (all files if empty).
+ * @param {string[]} [options.excludePatterns=[]] - Additional globs of files and folders to skip.
+ * @param {number} [options.maxTokens=0] - Token budget for the whole prompt (0 = no budget).
+ * @param {number} [options.maxFileSize] - Files larger than this (in bytes) are rendered as a placeholder.
+ * @param {boolean} [options.detectGenerated=true] - Whether generated/minified files and source maps are rendered as a placeholder.
+ * @param {boolean} [options.keepLicense=false] - Keep license headers when removing comments.
+ * @param {object} [options.llmConfig] - LLM provider configuration from resolveProviderConfig; defaults to the environment settings.
+ * @param {object | null} [options.gitSelection=null] - Git mode: only changed files are extracted. One of `{since: ref}`,
+ *   `{range: 'A..B'}`, `{staged: true}` or `{workingTree: true}`.
+ * @param {boolean} [options.includeDiff=false] - Git mode: add the unified diff of each changed file.
+ * @param {boolean} [options.includeUnchanged=false] - Git mode: also include unchanged files as context (subject to LLM filtering).
+ * @param {string} [options.format='markdown'] - Output format the token budget is measured in: 'markdown', 'xml', 'json' or 'text' (see lib/formatters).
+ * @param {{directory: string, read: boolean} | null} [options.cache] - LLM filter decision cache (see getLLMFilteredExclusions);
+ *   its directory is never read as part of a project.
+ * @param {boolean} [options.contentFilter=false] - Score file summaries instead of filtering by the structure alone
+ *   (see getContentAwareExclusions).
+ * @param {number} [options.contentFilterBatchTokens=DEFAULT_CONTENT_FILTER_BATCH_TOKENS] - Token limit of a single content-aware scoring request.
+ * @param {boolean} [options.skeleton=false] - Let the LLM filter include secondary files as outlines (see applySkeletons).
+ * @param {string[]} [options.entries=[]] - Entry files: only files they import (directly or indirectly) are included, and the
+ *   import graph is added to the prompt (see lib/dependencyGraph). Static exclusions and the LLM filter still apply.
+ * @param {number | null} [options.depth=null] - Follow imports of the entry files at most this many levels (null = no limit).
+ * @param {boolean} [options.redact=true] - Replace secrets (keys, tokens, passwords, .env values) with typed placeholders in
+ *   the prompt and in everything sent to the LLM (see lib/secretRedactor).
+ * @param {string[]} [options.redactPatterns=[]] - Additional detectors, as "TYPE=regex" or "regex".
+ * @param {object | null} [options.redactor=null] - A redactor to use instead of creating one from `redact` and `redactPatterns`,
+ *   to keep the placeholders stable across runs (watch mode).
+ * @param {object | null} [options.fileCache=null] - Reuses the entries of unchanged files from earlier runs (see lib/fileCache).
+ * @param {{directory: string} | null} [options.contentCache] - Processed content cache (see lib/contentCache); null disables it.
+ *   Archives, bundles and bare repositories are never cached, and the cache directory is never read as part of a project.
+ *   Defaults to DEFAULT_CONTENT_CACHE_DIRECTORY (in the user's cache directory).
+ * @param {object | null} [options.diffSince=null] - Manifest of an earlier extraction (see loadManifest): only files added,
+ *   modified or deleted since then are extracted, like a git mode (cannot be combined with `gitSelection` or `includeDiff`).
+ * @param {object | null} [options.previousResult=null] - A previous result of extract with the same options: its LLM filter
+ *   decision is reused when the directory structure is unchanged (no files added or removed).
+ * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Maximum number of files and directories read at the same time.
+ * @param {boolean} [options.progress=false] - Report the files scanned and read, bytes and elapsed time on stderr
+ *   (see createProgressReporter).
+ * @param {string} [options.treeStyle='ascii'] - How the directory structure of the prompt is drawn: 'ascii' ("-- " entries)
+ *   or 'box' (box-drawing connectors).
+ * @param {string[]} [options.treeAnnotations=[]] - Details shown next to files in the structure: 'size', 'lines',
+ *   'tokens' and 'markers' (excluded by LLM, outline, omitted, dropped or truncated by the token budget).
+ * @param {number | null} [options.treeDepth=null] - Levels of the structure shown below each root; deeper entries are
+ *   collapsed into "… N more files" lines (null = no limit).
+ * @param {string} [options.treeScope='selected'] - Entries of the structure: 'all' (before filtering; excluded entries are
+ *   marked [ignored] and their folders not expanded), 'selected' (after static rules, ignore files and globs) or
+ *   'included' (only files whose content is in the prompt). The LLM filter always sees the 'selected' structure.
+ * @param {boolean} [options.lineNumbers=false] - Prefix each line of file contents with its line number (split files
+ *   continue the numbering of their first part).
+ * @param {boolean} [options.fileMetadata=false] - Add a metadata line to each file: size, lines, language, token
+ *   estimate and, in git repositories, the author and date of the last commit that changed it.
+ * @param {boolean} [options.tableOfContents=false] - List the files at the top of the prompt, linked to their blocks.
+ * @returns {Promise<{roots: Array<{label: string, path: string, displayPath: string}>, structure: string, tree: Array<object>, files: Array<object>,
+ *   llmFilter: object, budgetCuts: Array<object>, changedFiles: Array<object>, dependencyGraph: object | null,
+ *   redactionReport: object | null, suggestedFileName: string | null, totalTokens: number, manifest: object, settings: object}>}
+ *   `files` are the file entries (path, content, tokens and flags such as excludedByLLM, omitted, skeleton, changeStatus);
+ *   `llmFilter` holds the exclusions, outlines, priority and reasons of the LLM filter (and `failure` when filtering was
+ *   requested but did not happen, or only partly); `totalTokens` is the size of the
+ *   prompt rendered in `options.format`; `manifest` lists every selected file with its size, modification time and
+ *   content hash (see buildManifest); `structure` is the plain directory structure sent to the LLM filter, while
+ *   `tree` holds the nodes the prompt's structure is rendered from (see renderProjectTree); `settings` keeps the
+ *   options that affect rendering. The redaction report is
+ *   null when redaction is off.
+ */
+async function extract(options) {
+    const sources = await openProjectSources([].concat(options.paths), { ref: options.ref || null });
+    sources.forEach(source => {
+        logStatus(`Reading ${source.root} as a ${source.description} (${source.fileCount} files), without extracting it.`);
+    });
+    try {
+        return await extractProjects(options, sources);
+    } finally {
+        await closeProjectSources(sources);
+    }
+}
+
+/**
+ * Extracts projects whose archives and repositories are already open (see extract).
+ * @param {object} options - Extraction options (see extract).
+ * @param {Array<object>} [sources=[]] - The open archives and repositories (see openProjectSources).
+ * @returns {Promise<object>} The extraction result.
+ */
+async function extractProjects(options, sources = []) {
+    const {
+        paths,
+        deleteComments = false,
+        filterLevel = 0,
+        focus: customFocusPrompt = '',
+        includePatterns = [],
+        excludePatterns = [],
+        maxTokens = 0,
+        maxFileSize = DEFAULT_MAX_FILE_SIZE,
+        detectGenerated = true,
+        keepLicense = false,
+        llmConfig = resolveProviderConfig(),
+        gitSelection = null,
+        includeDiff = false,
+        includeUnchanged = false,
+        format = 'markdown',
+        cache = { directory: DEFAULT_CACHE_DIRECTORY, read: true },
+        contentFilter = false,
+        contentFilterBatchTokens = DEFAULT_CONTENT_FILTER_BATCH_TOKENS,
+        skeleton = false,
+        entries = [],
+        depth = null,
+        redact = true,
+        redactPatterns = [],
+        fileCache = null,
+        contentCache: contentCacheOptions = { directory: DEFAULT_CONTENT_CACHE_DIRECTORY },
+        diffSince = null,
+        previousResult = null,
+        concurrency = DEFAULT_CONCURRENCY,
+        progress = false,
+        treeStyle = 'ascii',
+        treeAnnotations = [],
+        treeDepth = null,
+        treeScope = 'selected',
+        lineNumbers = false,
+        fileMetadata = false,
+        tableOfContents = false
+    } = options;
+    if (!TREE_STYLES.includes(treeStyle)) {
+        throw new Error(`Unknown tree style "${treeStyle}". Use one of: ${TREE_STYLES.join(', ')}.`);
+    }
+    if (!TREE_SCOPES.includes(treeScope)) {
+        throw new Error(`Unknown tree scope "${treeScope}". Use one of: ${TREE_SCOPES.join(', ')}.`);
+    }
+    if (diffSince && gitSelection) {
+        throw new Error('diffSince cannot be combined with a git mode.');
+    }
+    // An earlier extraction selects changed files the way a git mode does
+    const changeSelection = diffSince ? { previousExtraction: diffSince.source, generatedAt: diffSince.generatedAt } : gitSelection;
+    const basePaths = [].concat(paths);
+    const redactor = options.redactor || (redact ? createRedactor({ customPatterns: redactPatterns }) : null);
+    logStatus(`Generating ${format} prompt. Path: ${basePaths.join(', ')}, Remove Comments: ${deleteComments}, LLM Filter Level: ${filterLevel}, Focus: "${customFocusPrompt || 'none'}"`);
+
+    // With several roots, each root becomes a labeled top-level folder of the structure and a prefix of its file paths
+    const projectRoots = resolveProjectRoots(basePaths);
+    const isMultiRoot = projectRoots.length > 1;
+    let projectStructureForLLM = '';
+    const changedPaths = [];
+    // The caches may live inside a project (e.g. a relative --cacheDir run from its root): never read them back
+    const cacheDirectories = [cache, contentCacheOptions].filter(Boolean).map(options => options.directory);
+    projectRoots.forEach(root => {
+        root.ignoreFilter = createProjectIgnoreFilter(root.path, includePatterns, excludePatterns, cacheDirectories);
+    });
+
+    // Entry points: keep only the files reachable through imports
+    let dependencyGraph = null;
+    if (entries.length > 0) {
+        const entryFiles = [];
+        for (const entry of entries) {
+            entryFiles.push(await resolveEntryFile(entry, projectRoots));
+        }
+        dependencyGraph = await buildDependencyGraph(entryFiles, projectRoots, { maxDepth: depth, prefixLabels: isMultiRoot });
+        logStatus(`Dependency graph: ${dependencyGraph.modules.length} file(s) reachable from ${dependencyGraph.entries.length} entry point(s)${depth !== null ? ` within ${depth} import level(s)` : ''}.`);
+        for (const root of projectRoots) {
+            const selectedPaths = dependencyGraph.modules.filter(node => node.root === root).map(node => node.relativePath);
+            root.ignoreFilter = createSelectionFilter(root.ignoreFilter, selectedPaths);
+        }
+    }
+
+    // Size, modification time and content hash of every selected file, for the manifest and the content cache.
+    // Archives and repositories are not cached: their contents would otherwise end up on the disk
+    projectRoots.forEach(root => {
+        root.cached = !virtualFs.isVirtualPath(root.path);
+    });
+    const contentCache = contentCacheOptions && projectRoots.some(root => root.cached)
+        ? await openContentCache({
+            directory: contentCacheOptions.directory,
+            settings: [deleteComments, keepLicense, maxFileSize, detectGenerated, Boolean(redactor), redactPatterns]
+        })
+        : null;
+    const pool = createTaskPool(concurrency);
+    const scanProgress = createProgressReporter('Scanning files', { enabled: progress });
+    for (const root of projectRoots) {
+        root.files = await scanProjectFiles(root.path, root.path, root.ignoreFilter, {
+            contentCache: root.cached ? contentCache : null,
+            pool,
+            progress: scanProgress
+        });
+    }
+    scanProgress.finish();
+    if (diffSince && diffSince.roots && diffSince.roots.map(root => root.path).join('\n') !== projectRoots.map(root => root.path).join('\n')) {
+        console.warn(`WARNING: ${diffSince.source} was extracted from ${diffSince.roots.map(root => root.path).join(', ')}; files are compared by their path in the prompt.`);
+    }
+
+    for (const root of projectRoots) {
+        if (changeSelection) {
+            root.changes = diffSince
+                ? diffAgainstManifest(diffSince, root.files, isMultiRoot ? root.label : undefined)
+                : await getChangedFiles(root.path, gitSelection);
+            for (const [relativePath, change] of root.changes) {
+                if (change.status !== 'deleted' && !(await root.ignoreFilter.isExcluded(relativePath, false))) {
+                    changedPaths.push(isMultiRoot ? path.join(root.label, relativePath) : relativePath);
+                }
+            }
+        }
+        root.tree = await buildProjectTree(root.path, root.path, root.ignoreFilter, {
+            includeIgnored: treeScope === 'all',
+            pathPrefix: isMultiRoot ? root.label : undefined,
+            pool
+        });
+        if (isMultiRoot) {
+            projectStructureForLLM += `-- ${root.label}/\n`;
+        }
+        // The LLM filter always sees the selected entries, whatever the prompt's structure shows
+        projectStructureForLLM += renderTree(filterTree(root.tree, node => !node.ignored), {
+            prefix: isMultiRoot ? '  ' : '',
+            describeEntry: node => describeChange(node, root.changes || null)
+        });
+    }
+    if (changeSelection) {
+        logStatus(`${diffSince ? 'Diff mode' : 'Git mode'}: ${changedPaths.length} changed file(s) selected (${describeGitSelection(changeSelection)}).`);
+    }
+    
+    let llmFilterResult = { excludedFiles: [], skeletonFiles: [], suggestedFileName: null, filePriority: [] };
+    const llmConfigurationError = filterLevel > 0 ? getConfigurationError(llmConfig) : null;
+    const runLLMFilter = filterLevel > 0 && !llmConfigurationError && !(changeSelection && !includeUnchanged);
+    // A failed decision is not reused: the next run asks again
+    const reuseLLMFilter = runLLMFilter && previousResult !== null && previousResult.structure === projectStructureForLLM
+        && !previousResult.llmFilter.failure;
+    // Content-aware filtering can fail for some batches only; the scores of the others still apply
+    const markFilteredBy = () => {
+        if (!llmFilterResult.failure || llmFilterResult.filePriority.length > 0) {
+            llmFilterResult.filteredBy = `${llmConfig.label}, ${llmConfig.model}`;
+        }
+    };
+    if (changeSelection && !includeUnchanged && filterLevel > 0) {
+        logStatus("LLM filtering skipped: only changed files are included, and they are never filtered (use --withContext to add unchanged files).");
+    } else if (llmConfigurationError) {
+        llmFilterResult.failure = llmConfigurationError;
+    } else if (reuseLLMFilter) {
+        llmFilterResult = { ...previousResult.llmFilter };
+        logStatus("LLM filtering: no files were added or removed, reusing the previous decision.");
+    } else if (runLLMFilter && !contentFilter) {
+        llmFilterResult = await getLLMFilteredExclusions(projectStructureForLLM, filterLevel, basePaths, customFocusPrompt, {
+            requestPriority: maxTokens > 0,
+            requestSkeletons: skeleton,
+            llmConfig,
+            changedFiles: changedPaths,
+            cache,
+            redactor,
+            knownPaths: projectRoots.flatMap(root => [...root.files.keys()]
+                .map(relativePath => (isMultiRoot ? path.join(root.label, relativePath) : relativePath)))
+        });
+        markFilteredBy();
+    }
+    
+    const llmExcludedPathsSet = new Set(llmFilterResult.excludedFiles.map(p => path.normalize(p)));
+
+    const projectFiles = [];
+    const readProgress = createProgressReporter('Reading files', {
+        total: projectRoots.reduce((count, root) => count + (root.changes && !includeUnchanged
+            ? [...root.files.keys()].filter(relativePath => root.changes.has(relativePath)).length
+            : root.files.size), 0),
+        enabled: progress
+    });
+    for (const root of projectRoots) {
+        const firstFileIndex = projectFiles.length;
+        await readProjectFiles(root.path, root.path, deleteComments, llmExcludedPathsSet, root.ignoreFilter, {
+            maxFileSize,
+            detectGenerated,
+            keepLicense,
+            pathPrefix: isMultiRoot ? root.label : undefined,
+            changes: root.changes,
+            includeUnchanged,
+            redactor,
+            fileCache,
+            contentCache: root.cached ? contentCache : null,
+            scannedFiles: root.files,
+            pool,
+            progress: readProgress
+        }, projectFiles);
+        if (changeSelection) {
+            await addGitChangeDetails(root, changeSelection, projectFiles, {
+                includeDiff: includeDiff && !diffSince,
+                pathPrefix: isMultiRoot ? root.label : undefined,
+                redactor
+            });
+        }
+        if (fileMetadata) {
+            const source = sources.find(openSource => openSource.root === root.path);
+            await addLastCommits(root, projectFiles.slice(firstFileIndex), source ? source.repository : null, isMultiRoot ? root.label : undefined);
+        }
+    }
+    readProgress.finish();
+    if (contentCache) {
+        await contentCache.save(projectRoots.filter(root => root.cached).map(root => root.path));
+    }
+
+    if (fileCache) {
+        const { removed, reused, read } = fileCache.prune();
+        if (redactor) {
+            removed.forEach(entry => redactor.forget(entry.path)); // Deleted or newly excluded files leave the report
+        }
+        logStatus(`Read ${read} file(s), reused ${reused} unchanged file(s).`);
+    }
+
+    // Content-aware filtering needs the file contents, so it runs after reading and replaces excluded files afterwards
+    if (runLLMFilter && contentFilter) {
+        if (!reuseLLMFilter) {
+            llmFilterResult = await getContentAwareExclusions(projectFiles, filterLevel, basePaths, customFocusPrompt, {
+                llmConfig,
+                batchTokens: contentFilterBatchTokens,
+                skeleton,
+                cache,
+                redactor
+            });
+            markFilteredBy();
+        }
+        const excludedSet = new Set(llmFilterResult.excludedFiles);
+        projectFiles.forEach(file => {
+            if (excludedSet.has(file.path)) {
+                file.content = LLM_EXCLUSION_PLACEHOLDER;
+                file.excludedByLLM = true;
+            }
+        });
+    }
+    if (llmFilterResult.skeletonFiles.length > 0) {
+        llmFilterResult.skeletonFiles = await applySkeletons(projectFiles, new Set(llmFilterResult.skeletonFiles), redactor);
+        logStatus(`Included ${llmFilterResult.skeletonFiles.length} file(s) as outlines (signatures and docs, bodies elided).`);
+    }
+    projectFiles.forEach(file => {
+        file.tokens = countTokens(file.content) + countTokens(file.diff);
+    });
+
+    const result = {
+        roots: projectRoots.map(root => ({ label: root.label, path: root.path, displayPath: root.displayPath })),
+        structure: projectStructureForLLM,
+        tree: isMultiRoot
+            ? projectRoots.map(root => ({ name: root.label, relativePath: '', promptPath: root.label, isDirectory: true, ignored: false, children: root.tree }))
+            : projectRoots[0].tree,
+        files: projectFiles,
+        llmFilter: llmFilterResult,
+        budgetCuts: [],
+        changedFiles: projectFiles
+            .filter(file => file.changeStatus)
+            .map(file => ({ path: file.path, changeStatus: file.changeStatus, previousPath: file.previousPath })),
+        dependencyGraph,
+        redactionReport: redactor ? redactor.getReport() : null,
+        suggestedFileName: llmFilterResult.suggestedFileName,
+        totalTokens: 0,
+        manifest: buildManifest(projectRoots),
+        settings: {
+            format,
+            filterLevel,
+            focus: customFocusPrompt,
+            maxTokens,
+            gitSelection: changeSelection,
+            includeUnchanged,
+            tree: { style: treeStyle, annotations: treeAnnotations, maxDepth: treeDepth, scope: treeScope },
+            fileBlocks: { lineNumbers, metadata: fileMetadata, tableOfContents }
+        }
+    };
+    result.totalTokens = countRenderedTokens(result);
+
+    // Cut the lowest-priority files until the rendered prompt (including the list of cuts) fits the budget
+    if (maxTokens > 0 && result.totalTokens > maxTokens) {
+        logStatus(`Prompt is ~${result.totalTokens} tokens, over the budget of ${maxTokens}. Dropping/truncating lowest-priority files...`);
+        const budgetCutsByPath = new Map();
+        while (result.totalTokens > maxTokens) {
+            // Changed files rank above everything else, so context files are cut first
+            const cuts = applyTokenBudget(projectFiles, result.totalTokens - maxTokens, [...changedPaths, ...llmFilterResult.filePriority]);
+            if (cuts.length === 0) {
+                console.warn(`WARNING: Could not fit the prompt into ${maxTokens} tokens even after cutting all files (~${result.totalTokens} tokens remain).`);
+                break;
+            }
+            cuts.forEach(cut => budgetCutsByPath.set(cut.path, cut));
+            result.budgetCuts = [...budgetCutsByPath.values()];
+            result.totalTokens = countRenderedTokens(result);
+        }
+    }
+    return result;
+}
+
+/**
+ * Converts an extraction result into the data expected by the formatters (see renderDocument in lib/formatters).
+ * @param {object} result - The result of extract.
+ * @returns {object} The render data.
+ */
+function toRenderData(result) {
+    const fileSizes = new Map(result.manifest.files.map(file => [file.path, file.size]));
+    return {
+        customFocusPrompt: result.settings.focus,
+        filterLevel: result.settings.filterLevel,
+        llmFilterResult: result.llmFilter,
+        projectRoots: result.roots.length > 1 ? result.roots : [],
+        dependencyGraph: result.dependencyGraph,
+        gitSelection: result.settings.gitSelection,
+        includeUnchanged: result.settings.includeUnchanged,
+        changedFiles: result.changedFiles,
+        projectStructure: renderProjectTree(result.tree, {
+            ...result.settings.tree,
+            files: result.files,
+            changedFiles: result.changedFiles,
+            fileSizes,
+            multiRoot: result.roots.length > 1
+        }),
+        structureScope: result.settings.tree.scope,
+        projectFiles: result.files,
+        fileSizes,
+        fileBlocks: result.settings.fileBlocks,
+        maxTokens: result.settings.maxTokens,
+        budgetCuts: result.budgetCuts
+    };
+}
+
+/**
+ * Renders an extraction result as a prompt.
+ * @param {object} result - The result of extract.
+ * @param {string} [format] - 'markdown', 'xml', 'json' or 'text'; defaults to the format the result was extracted for.
+ * @returns {string} The prompt.
+ */
+function render(result, format = result.settings.format) {
+    return getFormatter(format).renderDocument(toRenderData(result));
+}
+
+/**
+ * Renders an extraction result in parts (header, one part per file, closing part), so a large prompt can be written
+ * to a file or stdout without building the whole text in memory. Joined, the parts are the output of render.
+ * @param {object} result - The result of extract.
+ * @param {string} [format] - 'markdown', 'xml', 'json' or 'text'; defaults to the format the result was extracted for.
+ * @returns {Iterable<string>} The parts, rendered one at a time as they are consumed.
+ */
+function renderParts(result, format = result.settings.format) {
+    return getFormatter(format).renderParts(toRenderData(result));
+}
+
+/**
+ * Estimates the tokens of the rendered prompt by counting its parts, without building the whole text.
+ * @param {object} result - The result of extract.
+ * @returns {number} The number of tokens.
+ */
+function countRenderedTokens(result) {
+    let tokens = 0;
+    for (const part of renderParts(result)) {
+        tokens += countTokens(part);
+    }
+    return tokens;
+}
+
+/**
+ * Renders an extraction result as self-contained parts of at most `chunkTokens` tokens each (see buildPromptChunks).
+ * @param {object} result - The result of extract.
+ * @param {number} chunkTokens - Maximum tokens per part.
+ * @param {string} [format] - Output format; defaults to the format the result was extracted for.
+ * @returns {Array<{content: string, tokens: number, files: Array<object>}>} The rendered parts.
+ */
+function renderChunks(result, chunkTokens, format = result.settings.format) {
+    return buildPromptChunks(toRenderData(result), chunkTokens, format);
+}
+
+/**
+ * Generates the final prompt for LLM analysis (Markdown by default, see `options.format`): extract, then render,
+ * split into parts when it exceeds `options.chunkTokens`.
+ * @param {string | string[]} basePath - The root project path, or several roots.
+ * @param {boolean} deleteComments - Whether to remove comments.
+ * @param {number} filterLevel - LLM filtering aggressiveness level.
+ * @param {string} [customFocusPrompt=""] - Custom focus for analysis.
+ * @param {object} [options={}] - Options of extract, plus `chunkTokens`: if the prompt exceeds this many tokens, also
+ *   split it into parts of this size (0 = never split).
+ * @returns {Promise<{content: string, suggestedFileName: string | null, files: Array<object>, totalTokens: number, budgetCuts: Array<object>,
+ *   chunks: Array<object> | null, redactionReport: object | null, result: object}>} The rendered prompt and the extraction result.
+ *   `content` is only rendered when it is read; to write a large prompt, stream `renderParts(result)` instead.
+ */
+async function generateAnalysisMarkdown(basePath, deleteComments, filterLevel = 0, customFocusPrompt = "", options = {}) {
+    const { chunkTokens = 0, ...extractOptions } = options;
+    const result = await extract({ ...extractOptions, paths: basePath, deleteComments, filterLevel, focus: customFocusPrompt });
+
+    let chunks = null;
+    if (chunkTokens > 0 && result.totalTokens > chunkTokens) {
+        chunks = renderChunks(result, chunkTokens);
+        logStatus(`Prompt is ~${result.totalTokens} tokens, over the chunk size of ${chunkTokens}. Split into ${chunks.length} parts.`);
+    }
+
+    return {
+        get content() {
+            return render(result);
+        },
+        suggestedFileName: result.suggestedFileName,
+        files: result.files,
+        totalTokens: result.totalTokens,
+        budgetCuts: result.budgetCuts,
+        chunks,
+        redactionReport: result.redactionReport,
+        result
+    };
+}
+
+module.exports = {
+    LLM_EXCLUSION_PLACEHOLDER,
+    createProjectIgnoreFilter,
+    extract,
+    generateAnalysisMarkdown,
+    generateFolderStructureString,
+    readProjectFiles,
+    render,
+    renderChunks,
+    renderParts
+};
@@ -0,0 +1,63 @@
+// Local modules
+const virtualFs = require('./virtualFs');
+
+/**
+ * Creates an in-memory cache of file entries for repeated extractions of the same tree (watch mode):
+ * a file is read again only when its size or modification time changed.
+ * Entries are returned as copies, so callers may modify them (LLM placeholders, outlines, budget cuts).
+ * @returns {{load: function(string, function(): Promise<object>): Promise<object>, prune: function(): {removed: Array<object>, reused: number, read: number}}}
+ *   `load(filePath, readEntry)` returns the cached entry of a file or reads it with `readEntry`; `prune()` ends a run:
+ *   it drops the entries of files that were not loaded since the previous prune (deleted or now excluded) and returns
+ *   them with the number of reused and (re-)read files.
+ */
+function createFileCache() {
+    const entries = new Map(); // absolute path -> {size, mtimeMs, entry}
+    let loadedPaths = new Set();
+    let reused = 0;
+    let read = 0;
+
+    const load = async (filePath, readEntry) => {
+        loadedPaths.add(filePath);
+        let stats = null;
+        try {
+            stats = await virtualFs.stat(filePath);
+        } catch (error) {
+            // Let readEntry report the problem
+        }
+        const cached = entries.get(filePath);
+        if (stats && cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            reused++;
+            return { ...cached.entry };
+        }
+
+        read++;
+        const entry = await readEntry();
+        if (stats && !entry.error) {
+            entries.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, entry: { ...entry } });
+        } else {
+            entries.delete(filePath);
+        }
+        return entry;
+    };
+
+    const prune = () => {
+        const removed = [];
+        for (const [filePath, cached] of entries) {
+            if (!loadedPaths.has(filePath)) {
+                removed.push(cached.entry);
+                entries.delete(filePath);
+            }
+        }
+        const stats = { removed, reused, read };
+        loadedPaths = new Set();
+        reused = 0;
+        read = 0;
+        return stats;
+    };
+
+    return { load, prune };
+}
+
+module.exports = {
+    createFileCache
+};
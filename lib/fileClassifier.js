@@ -0,0 +1,192 @@
+// External dependencies
+const path = require('path');
+
+// Local modules
+const virtualFs = require('./virtualFs');
+
+// Default maximum size of a file whose content is included in the prompt
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024; // 1 MB
+
+// Number of leading bytes inspected when sniffing for binary content
+const SNIFF_BYTES = 8000;
+
+// Share of undecodable or control characters above which a file is treated as binary
+const MAX_NON_TEXT_RATIO = 0.1;
+
+// Minification heuristics: average line length, and share of very long lines
+const MINIFIED_AVERAGE_LINE_LENGTH = 300;
+const MINIFIED_LONG_LINE_LENGTH = 1000;
+const MINIFIED_LONG_LINE_RATIO = 0.2;
+const MINIFIED_MIN_SIZE = 2000;
+
+// Markers of generated code, searched in the first lines of a file
+const GENERATED_MARKERS = [
+    /@generated\b/,
+    /\bCode generated\b.*\bDO NOT EDIT\b/i,
+    /\bauto-?generated\b.*\bdo not (edit|modify)\b/i
+];
+
+// Extension -> MIME type. Used for placeholders and as a hint for well-known binary formats.
+const MIME_TYPES = {
+    // Images
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    bmp: 'image/bmp', ico: 'image/x-icon', tif: 'image/tiff', tiff: 'image/tiff', avif: 'image/avif',
+    svg: 'image/svg+xml', psd: 'image/vnd.adobe.photoshop',
+    // Fonts
+    woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf', eot: 'application/vnd.ms-fontobject',
+    // Audio / video
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac',
+    mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', avi: 'video/x-msvideo',
+    // Archives and documents
+    zip: 'application/zip', gz: 'application/gzip', tgz: 'application/gzip', tar: 'application/x-tar',
+    bz2: 'application/x-bzip2', xz: 'application/x-xz', '7z': 'application/x-7z-compressed', rar: 'application/vnd.rar',
+    pdf: 'application/pdf', doc: 'application/msword', docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    // Databases and compiled artifacts
+    sqlite: 'application/vnd.sqlite3', sqlite3: 'application/vnd.sqlite3', db: 'application/octet-stream',
+    wasm: 'application/wasm', exe: 'application/vnd.microsoft.portable-executable', dll: 'application/vnd.microsoft.portable-executable',
+    so: 'application/x-sharedlib', dylib: 'application/x-mach-binary', class: 'application/java-vm', jar: 'application/java-archive',
+    pyc: 'application/x-python-code', o: 'application/x-object', a: 'application/x-archive',
+    // Text formats
+    js: 'text/javascript', mjs: 'text/javascript', cjs: 'text/javascript', jsx: 'text/javascript',
+    ts: 'text/typescript', tsx: 'text/typescript', json: 'application/json', map: 'application/json',
+    css: 'text/css', html: 'text/html', htm: 'text/html', xml: 'application/xml', md: 'text/markdown',
+    csv: 'text/csv', yaml: 'application/yaml', yml: 'application/yaml', txt: 'text/plain'
+};
+
+/**
+ * Guesses the MIME type of a file from its extension.
+ * @param {string} filePath - Path of the file.
+ * @param {boolean} [isBinary=false] - Whether the content was detected as binary (affects the fallback).
+ * @returns {string} The MIME type.
+ */
+function guessMimeType(filePath, isBinary = false) {
+    const extension = path.extname(filePath).substring(1).toLowerCase();
+    return MIME_TYPES[extension] || (isBinary ? 'application/octet-stream' : 'text/plain');
+}
+
+/**
+ * Formats a byte count for humans (e.g. "12.3 KB").
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Checks whether a buffer looks like binary data: any null byte, or too many undecodable/control characters.
+ * @param {Buffer} buffer - The file content.
+ * @returns {boolean} True if the content is most likely binary.
+ */
+function looksBinary(buffer) {
+    const sample = buffer.subarray(0, SNIFF_BYTES);
+    if (sample.includes(0)) return true;
+    if (sample.length === 0) return false;
+
+    const text = sample.toString('utf8');
+    let suspicious = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        // U+FFFD marks invalid UTF-8; other C0 controls except tab, LF, FF, CR (and ESC for ANSI logs) are unusual in text
+        if (code === 0xfffd || (code < 32 && code !== 9 && code !== 10 && code !== 12 && code !== 13 && code !== 27)) {
+            suspicious++;
+        }
+    }
+    // The sample may end in the middle of a multi-byte character, producing one stray U+FFFD
+    return suspicious > 1 && suspicious / text.length > MAX_NON_TEXT_RATIO;
+}
+
+/**
+ * Detects generated, minified or source map content.
+ * @param {string} filePath - Path of the file.
+ * @param {string} content - The decoded file content.
+ * @returns {string | null} A short reason if the file looks generated, otherwise null.
+ */
+function detectGeneratedContent(filePath, content) {
+    const fileName = path.basename(filePath).toLowerCase();
+    if (fileName.endsWith('.map') || (content.trimStart().startsWith('{"version":3') && content.includes('"mappings"'))) {
+        return 'source map';
+    }
+
+    const head = content.split('\n', 20).join('\n');
+    if (GENERATED_MARKERS.some(marker => marker.test(head))) {
+        return 'marked as generated';
+    }
+
+    if (/\.min\.(js|mjs|cjs|css)$/.test(fileName)) {
+        return 'minified';
+    }
+    if (content.length >= MINIFIED_MIN_SIZE) {
+        const lines = content.split('\n');
+        const averageLineLength = content.length / lines.length;
+        const longLines = lines.filter(line => line.length > MINIFIED_LONG_LINE_LENGTH).length;
+        if (averageLineLength > MINIFIED_AVERAGE_LINE_LENGTH || longLines / lines.length > MINIFIED_LONG_LINE_RATIO) {
+            return `minified, average line length ${Math.round(averageLineLength)} characters`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a file if it is suitable for the prompt, or describes why its content should be omitted.
+ * @param {string} filePath - Absolute path of the file.
+ * @param {object} [options={}] - Classification options.
+ * @param {number} [options.maxFileSize=DEFAULT_MAX_FILE_SIZE] - Files larger than this (in bytes) are not read.
+ * @param {boolean} [options.detectGenerated=true] - Whether to omit generated/minified files and source maps.
+ * @returns {Promise<{kind: string, size: number, mimeType: string, content?: string, reason?: string}>}
+ *   `kind` is 'text' (with `content`), or 'binary' / 'oversized' / 'generated' (with `reason`).
+ */
+async function readFileForPrompt(filePath, options = {}) {
+    const { maxFileSize = DEFAULT_MAX_FILE_SIZE, detectGenerated = true } = options;
+
+    const { size } = await virtualFs.stat(filePath);
+    if (size > maxFileSize) {
+        return { kind: 'oversized', size, mimeType: guessMimeType(filePath), reason: `exceeds the ${formatBytes(maxFileSize)} limit` };
+    }
+
+    const buffer = await virtualFs.readFile(filePath);
+    if (looksBinary(buffer)) {
+        return { kind: 'binary', size, mimeType: guessMimeType(filePath, true), reason: 'binary content' };
+    }
+
+    const content = buffer.toString('utf8');
+    const generatedReason = detectGenerated ? detectGeneratedContent(filePath, content) : null;
+    if (generatedReason) {
+        return { kind: 'generated', size, mimeType: guessMimeType(filePath), reason: generatedReason };
+    }
+    return { kind: 'text', size, mimeType: guessMimeType(filePath), content };
+}
+
+/**
+ * Builds the one-line placeholder shown instead of an omitted file's content.
+ * @param {{kind: string, size: number, mimeType: string, reason: string}} classification - Result of readFileForPrompt.
+ * @returns {string} The placeholder text.
+ */
+function describeOmittedFile(classification) {
+    const labels = {
+        binary: 'Binary file',
+        oversized: 'Oversized file',
+        generated: 'Generated file'
+    };
+    const label = labels[classification.kind] || 'File';
+    return `**${label} omitted (${classification.reason}; ${classification.mimeType}, ${formatBytes(classification.size)}).**`;
+}
+
+module.exports = {
+    DEFAULT_MAX_FILE_SIZE,
+    describeOmittedFile,
+    detectGeneratedContent,
+    formatBytes,
+    guessMimeType,
+    looksBinary,
+    readFileForPrompt
+};
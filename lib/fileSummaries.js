@@ -0,0 +1,70 @@
+// Local modules
+const { countTokens, truncateToTokens } = require('./tokenCounter');
+
+// Number of leading lines of every file included in its summary (imports, module docs)
+const HEAD_LINES = 15;
+
+// Maximum number of signature lines and their maximum length
+const MAX_SIGNATURES = 40;
+const MAX_SIGNATURE_LENGTH = 160;
+
+// Default token cap of a single file summary
+const DEFAULT_SUMMARY_TOKENS = 300;
+
+// Lines that declare the public surface of a file: exports, functions, classes and types in common languages
+const SIGNATURE_PATTERNS = [
+    /^\s*export\s+(default\s+)?(declare\s+)?(abstract\s+)?(async\s+)?(function|class|const|let|var|interface|type|enum|namespace)\b/, // JS/TS exports
+    /^\s*export\s*(\{|\*)/, // JS/TS re-exports
+    /^\s*(module\.)?exports(\.\w+)?\s*=/, // CommonJS
+    /^\s*(async\s+)?function\s*\*?\s*[\w$]+\s*\(/, // JS functions
+    /^\s*(abstract\s+)?class\s+[\w$]+/, // JS/TS/Python/Java classes
+    /^\s*(interface|type|enum)\s+[\w$]+/, // TS types
+    /^\s*(async\s+)?def\s+\w+\s*\(/, // Python functions
+    /^\s*func\s+/, // Go
+    /^\s*(pub(\([^)]*\))?\s+)?(async\s+)?(fn|struct|enum|trait|impl|mod)\b/, // Rust
+    /^\s*(public|protected|internal)\s+[\w<>\[\],\s]+[\w$]+\s*\(/, // Java/C#/Kotlin methods
+    /^\s*(public\s+)?(final\s+)?(abstract\s+)?(class|interface|record|struct)\s+\w+/, // Java/C# types
+    /^\s*(CREATE|ALTER)\s+(TABLE|VIEW|FUNCTION|PROCEDURE|INDEX)\b/i // SQL
+];
+
+/**
+ * Extracts the lines that declare a file's public surface (exports, functions, classes, types).
+ * @param {string} content - The file content.
+ * @returns {string[]} Trimmed signature lines, at most MAX_SIGNATURES.
+ */
+function extractSignatures(content) {
+    const signatures = [];
+    for (const line of content.split('\n')) {
+        if (SIGNATURE_PATTERNS.some(pattern => pattern.test(line))) {
+            const trimmed = line.trim();
+            signatures.push(trimmed.length > MAX_SIGNATURE_LENGTH ? `${trimmed.slice(0, MAX_SIGNATURE_LENGTH)}…` : trimmed);
+            if (signatures.length >= MAX_SIGNATURES) break;
+        }
+    }
+    return signatures;
+}
+
+/**
+ * Builds a compact summary of a file for relevance scoring: its line count, first lines and signatures.
+ * @param {string} content - The file content.
+ * @param {number} [maxTokens=DEFAULT_SUMMARY_TOKENS] - Token cap of the summary.
+ * @returns {string} The summary.
+ */
+function summarizeFile(content, maxTokens = DEFAULT_SUMMARY_TOKENS) {
+    const lines = content.split('\n');
+    const head = lines.slice(0, HEAD_LINES).join('\n').trim();
+    // Signatures already shown in the head are not repeated
+    const signatures = extractSignatures(lines.slice(HEAD_LINES).join('\n'));
+
+    let summary = `Lines: ${lines.length}\nHead:\n${head}`;
+    if (signatures.length > 0) {
+        summary += `\nSignatures:\n${signatures.join('\n')}`;
+    }
+    return countTokens(summary) > maxTokens ? truncateToTokens(summary, maxTokens) : summary;
+}
+
+module.exports = {
+    DEFAULT_SUMMARY_TOKENS,
+    extractSignatures,
+    summarizeFile
+};
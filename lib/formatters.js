@@ -0,0 +1,990 @@
+// External dependencies
+const path = require('path');
+
+// Local modules
+const { TOKENIZER_NAME, countTokens } = require('./tokenCounter');
+const { describeGitSelection } = require('./gitChanges');
+const { formatBytes } = require('./fileClassifier');
+
+// Fallbacks shared by all formats
+const MISSING_STRUCTURE_TEXT = 'Could not generate directory structure.';
+const NO_FILES_TEXT = 'No files found for inclusion in the analysis (perhaps all files were filtered, or the directory is empty/inaccessible).';
+// Which entries the directory structure shows (see TREE_SCOPES in lib/projectTree)
+const STRUCTURE_SCOPE_TEXTS = {
+    all: 'all entries; excluded ones are marked [ignored]',
+    selected: 'after static and .gitignore exclusions',
+    included: 'only files included in this document'
+};
+const NO_LLM_EXCLUSIONS_TEXT = 'The LLM filter did not identify additional files for exclusion at this level (or all potential candidates were already in the static exclusion list).';
+
+// Label of files included as outlines (see lib/codeSkeleton)
+const OUTLINE_LABEL = 'outline: signatures and docs only, bodies elided';
+
+// Separator line of the plain text format
+const TEXT_RULE = '='.repeat(80);
+
+// Explains numbered file lines to the reader of the prompt
+const LINE_NUMBERS_TEXT = 'Each line of a file starts with its line number ("12 | "), which is not part of the file; cite code as path:line.';
+
+// Language names shown in file metadata, by lowercase extension (other extensions are shown as they are)
+const LANGUAGE_NAMES = {
+    js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript (JSX)',
+    ts: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript', tsx: 'TypeScript (JSX)',
+    py: 'Python', rb: 'Ruby', php: 'PHP', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', swift: 'Swift',
+    c: 'C', h: 'C/C++ header', cpp: 'C++', cc: 'C++', hpp: 'C++ header', cs: 'C#', scala: 'Scala', dart: 'Dart',
+    sh: 'Shell', bash: 'Shell', zsh: 'Shell', ps1: 'PowerShell', sql: 'SQL', r: 'R', lua: 'Lua',
+    html: 'HTML', htm: 'HTML', css: 'CSS', scss: 'SCSS', less: 'Less', vue: 'Vue', svelte: 'Svelte',
+    json: 'JSON', yaml: 'YAML', yml: 'YAML', toml: 'TOML', xml: 'XML', ini: 'INI', env: 'dotenv',
+    md: 'Markdown', txt: 'Plain text', text: 'Plain text'
+};
+
+// Language names of files recognized by name rather than extension
+const FILE_NAME_LANGUAGES = {
+    dockerfile: 'Dockerfile',
+    makefile: 'Makefile',
+    gemfile: 'Ruby',
+    rakefile: 'Ruby',
+    '.env': 'dotenv'
+};
+
+// --- Shared helpers ---
+
+/**
+ * Chooses a Markdown code fence longer than any backtick run in the content, so files that
+ * contain fences themselves (READMEs, Markdown generators) cannot close the block early.
+ * @param {string} content - The text to fence.
+ * @returns {string} The fence (at least three backticks).
+ */
+function chooseFence(content) {
+    const runs = (content || '').match(/`+/g) || [];
+    const longestRun = runs.reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Returns the code block language of a file: its lowercase extension, or 'text'.
+ * @param {string} filePath - Path of the file.
+ * @returns {string} The language tag.
+ */
+function getLanguageTag(filePath) {
+    return path.extname(filePath).substring(1).toLowerCase() || 'text';
+}
+
+/**
+ * Returns the language of a file for its metadata, e.g. "TypeScript", from its name or extension.
+ * @param {string} filePath - Path of the file.
+ * @returns {string} The language name.
+ */
+function getLanguageName(filePath) {
+    const fileName = path.basename(filePath).toLowerCase();
+    if (FILE_NAME_LANGUAGES[fileName]) return FILE_NAME_LANGUAGES[fileName];
+    const tag = getLanguageTag(filePath);
+    return LANGUAGE_NAMES[tag] || tag;
+}
+
+// File list of a document -> Map of its file entries to their anchors (see getFileAnchor)
+const fileAnchorCache = new WeakMap();
+
+/**
+ * Derives an anchor from a file's path and segment, e.g. "file-src-api.js" or "file-src-api.js-part2".
+ * @param {object} file - File entry.
+ * @returns {string} The anchor (letters, digits, ".", "_" and "-"); different paths may map to the same one.
+ */
+function deriveFileAnchor(file) {
+    const anchor = `file-${file.path.replace(/[\\/]/g, '-').replace(/[^A-Za-z0-9._-]/g, '_')}`;
+    return file.segment ? `${anchor}-part${file.segment.index}` : anchor;
+}
+
+/**
+ * Returns the anchor of a file's block, linked from the table of contents: "file-src-api.js" for src/api.js, with
+ * the segment number for parts of a split file. When an earlier file of the document already has the anchor (src/a-b.js
+ * and src/a/b.js), "-2", "-3"... is appended, so that every block of the document has its own.
+ * @param {object} file - File entry.
+ * @param {object} data - The render data (see renderDocument); its projectFiles decide which anchors are taken.
+ * @returns {string} The anchor.
+ */
+function getFileAnchor(file, data) {
+    const files = data.projectFiles || [];
+    let anchors = fileAnchorCache.get(files);
+    if (!anchors) {
+        const taken = new Set();
+        anchors = new Map(files.map(entry => {
+            const derived = deriveFileAnchor(entry);
+            let anchor = derived;
+            for (let suffix = 2; taken.has(anchor); suffix++) anchor = `${derived}-${suffix}`;
+            taken.add(anchor);
+            return [entry, anchor];
+        }));
+        fileAnchorCache.set(files, anchors);
+    }
+    return anchors.get(file) || deriveFileAnchor(file);
+}
+
+/**
+ * Counts the lines of a file's content as they are numbered (trailing blank lines are not counted).
+ * @param {string} content - The content.
+ * @returns {number} The number of lines.
+ */
+function countContentLines(content) {
+    const text = content.trimEnd();
+    return text === '' ? 0 : text.split('\n').length;
+}
+
+/**
+ * Returns the content of a file block: trimmed, or with every line prefixed by its line number. Numbered content
+ * keeps its leading blank lines so the numbers match the file; segments of split files continue the numbering.
+ * @param {object} file - File entry with code content (see hasCodeContent).
+ * @param {{lineNumbers?: boolean}} fileBlocks - File block options of the render data.
+ * @returns {string} The content to render.
+ */
+function renderContent(file, fileBlocks) {
+    if (!fileBlocks.lineNumbers) return file.content.trim();
+    const lines = file.content.trimEnd().split('\n');
+    const firstLine = file.segment ? file.segment.firstLine : 1;
+    const width = String(firstLine + lines.length - 1).length;
+    return lines.map((line, index) => `${String(firstLine + index).padStart(width)} |${line ? ` ${line}` : ''}`).join('\n');
+}
+
+/**
+ * Collects the metadata of a file block. Lines and tokens are only known for files whose content is included;
+ * `lastCommit` is set for files of git repositories (null if the file was never committed).
+ * @param {object} file - File entry (see readProjectFiles), optionally with `lastCommit`.
+ * @param {object} data - The render data (see renderDocument), for `fileSizes`.
+ * @returns {{size: number | null, language?: string, lines?: number, firstLine?: number, tokens?: number,
+ *   lastCommit?: {author: string, date: string} | null}} The metadata.
+ */
+function getFileMetadata(file, data) {
+    const fileSizes = data.fileSizes || new Map();
+    const metadata = { size: fileSizes.has(file.path) ? fileSizes.get(file.path) : null };
+    if (hasCodeContent(file)) {
+        metadata.language = getLanguageName(file.path);
+        metadata.lines = countContentLines(file.content);
+        if (file.segment) metadata.firstLine = file.segment.firstLine;
+        metadata.tokens = file.segment ? countTokens(file.content) : file.tokens;
+    }
+    if (file.lastCommit !== undefined) metadata.lastCommit = file.lastCommit;
+    return metadata;
+}
+
+/**
+ * Describes the lines of a file block, e.g. "42 lines", or "lines 120-240" for a segment of a split file.
+ * @param {{lines: number, firstLine?: number}} metadata - Metadata returned by getFileMetadata.
+ * @returns {string} The description.
+ */
+function describeLines(metadata) {
+    if (metadata.firstLine) return `lines ${metadata.firstLine}-${metadata.firstLine + Math.max(metadata.lines, 1) - 1}`;
+    return `${metadata.lines} line${metadata.lines === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describes the metadata of a file block, e.g. "1.2 KB, 42 lines, JavaScript, ~310 tokens, last changed 2024-01-02 by Jane".
+ * @param {object} file - File entry.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {string} The description.
+ */
+function describeFileMetadata(file, data) {
+    const metadata = getFileMetadata(file, data);
+    const details = [];
+    if (metadata.size !== null) details.push(formatBytes(metadata.size));
+    if (metadata.lines !== undefined) details.push(describeLines(metadata), metadata.language, `~${metadata.tokens} tokens`);
+    if (metadata.lastCommit) details.push(`last changed ${metadata.lastCommit.date} by ${metadata.lastCommit.author}`);
+    else if (metadata.lastCommit === null) details.push('not committed');
+    return details.join(', ');
+}
+
+/**
+ * Describes a file in the table of contents: its lines and tokens, or why its content is not included.
+ * @param {object} file - File entry.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {string} The description, e.g. "42 lines, ~310 tokens" or "excluded by LLM".
+ */
+function describeTocEntry(file, data) {
+    if (file.excludedByLLM) return 'excluded by LLM';
+    if (file.excludedByBudget) return 'dropped by token budget';
+    if (file.omitted) return file.omitted === 'deleted' ? 'deleted' : `omitted (${file.omitted})`;
+    if (file.error) return 'could not be read';
+    const metadata = getFileMetadata(file, data);
+    return `${describeLines(metadata)}, ~${metadata.tokens} tokens`;
+}
+
+/**
+ * Returns the file block options of the render data.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {{lineNumbers: boolean, metadata: boolean, tableOfContents: boolean}} The options.
+ */
+function getFileBlockOptions(data) {
+    return { lineNumbers: false, metadata: false, tableOfContents: false, ...(data.fileBlocks || {}) };
+}
+
+/**
+ * Removes the Markdown emphasis of placeholder notes (e.g. "**Binary file omitted (...).**") for non-Markdown formats.
+ * @param {string} note - The placeholder text.
+ * @returns {string} The note without surrounding `**`.
+ */
+function toPlainNote(note) {
+    return note.replace(/^\*\*([\s\S]*)\*\*$/, '$1');
+}
+
+/**
+ * Returns the heading label of a file, e.g. "src/api.js [renamed from src/old.js] (segment 1 of 2)".
+ * @param {object} file - File entry (see readProjectFiles), optionally with `changeStatus`, `previousPath`, `skeleton` and `segment`.
+ * @returns {string} The label.
+ */
+function describeFileLabel(file) {
+    let label = file.path;
+    if (file.changeStatus) {
+        label += file.previousPath ? ` [${file.changeStatus} from ${file.previousPath}]` : ` [${file.changeStatus}]`;
+    }
+    if (file.skeleton) {
+        label += ` (${OUTLINE_LABEL})`;
+    }
+    if (file.segment) {
+        label += ` (segment ${file.segment.index} of ${file.segment.count})`;
+    }
+    return label;
+}
+
+/**
+ * Tells whether a file entry carries its content, as opposed to a one-line note (filtered, omitted or unreadable).
+ * @param {object} file - File entry.
+ * @returns {boolean} True if the content should be rendered as code.
+ */
+function hasCodeContent(file) {
+    return !file.excludedByLLM && !file.excludedByBudget && !file.omitted && !file.error;
+}
+
+/**
+ * Tells whether the diff of a file entry is rendered (not for files dropped by the budget, and once per split file).
+ * @param {object} file - File entry.
+ * @returns {boolean} True if the diff should be rendered.
+ */
+function shouldRenderDiff(file) {
+    return Boolean(file.diff) && !file.excludedByBudget && (!file.segment || file.segment.index === 1);
+}
+
+/**
+ * Describes a token budget cut, e.g. "truncated to 200 of 900 tokens".
+ * @param {{action: string, originalTokens: number, keptTokens: number}} cut - Cut returned by applyTokenBudget.
+ * @returns {string} The description.
+ */
+function describeBudgetCut(cut) {
+    return cut.action === 'dropped'
+        ? `dropped, ${cut.originalTokens} tokens`
+        : `truncated to ${cut.keptTokens} of ${cut.originalTokens} tokens`;
+}
+
+/**
+ * Describes where an LLM filter decision came from, e.g. "cached decision from 2025-01-01T12:00:00.000Z".
+ * @param {{fromCache: boolean, cachedAt: string | null}} llmFilter - The llmFilter section of describeDocument.
+ * @returns {string} The description.
+ */
+function describeDecisionSource(llmFilter) {
+    return llmFilter.fromCache ? `cached decision from ${llmFilter.cachedAt}` : 'fresh decision';
+}
+
+/**
+ * Describes why the content-aware filter excluded a file, e.g. "score 2/10: Demo script unrelated to the API".
+ * @param {{exclusionReasons: object}} llmFilter - The llmFilter section of describeDocument.
+ * @param {string} filePath - Path of an excluded file.
+ * @returns {string | null} The description, or null if the file was excluded by the structure-based filter.
+ */
+function describeExclusionReason(llmFilter, filePath) {
+    const reason = llmFilter.exclusionReasons[filePath];
+    if (!reason) return null;
+    return `score ${reason.score}/10${reason.rationale ? `: ${reason.rationale}` : ''}`;
+}
+
+/**
+ * Describes how the files of a dependency graph were selected, e.g. "Files reachable from `src/index.ts` within 2 import levels".
+ * @param {{entries: string[], maxDepth: number | null}} dependencies - The dependencies section of describeDocument.
+ * @param {function(string): string} formatPath - Formats a path for the target format (e.g. wraps it in backticks).
+ * @returns {string} The description.
+ */
+function describeDependencySelection(dependencies, formatPath) {
+    const reach = dependencies.maxDepth === null ? 'at any depth' : `within ${dependencies.maxDepth} import level(s)`;
+    return `Only files imported (directly or indirectly) by the entry point(s) ${dependencies.entries.map(formatPath).join(', ')} are included, ${reach}.`;
+}
+
+/**
+ * Renders a dependency graph as an adjacency list: one line per file with the project files it imports.
+ * @param {{modules: Array<{path: string, depth: number, imports: string[]}>}} dependencies - The dependencies section of describeDocument.
+ * @returns {string} The adjacency list.
+ */
+function renderAdjacencyList(dependencies) {
+    return dependencies.modules
+        .map(node => `${node.path}${node.depth === 0 ? ' (entry)' : ''} -> ${node.imports.length > 0 ? node.imports.join(', ') : '(no project imports)'}`)
+        .join('\n');
+}
+
+/**
+ * Collects the document metadata shown before the directory structure, in a format-neutral shape.
+ * Sections that do not apply are null (or an empty array for `roots`).
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {{part: object | null, focus: string | null, changes: object | null, llmFilter: object | null, tokenBudget: object | null,
+ *   roots: Array<object>, dependencies: object | null, structureScope: string}}
+ */
+function describeDocument(data) {
+    const {
+        customFocusPrompt,
+        filterLevel,
+        llmFilterResult,
+        projectRoots = [],
+        dependencyGraph = null,
+        gitSelection = null,
+        includeUnchanged = false,
+        changedFiles = [],
+        maxTokens,
+        budgetCuts,
+        structureScope = 'selected',
+        part = null
+    } = data;
+
+    return {
+        part,
+        focus: customFocusPrompt && customFocusPrompt.trim() !== '' ? customFocusPrompt.trim() : null,
+        changes: gitSelection
+            ? { selection: describeGitSelection(gitSelection), includeUnchanged, files: changedFiles }
+            : null,
+        llmFilter: filterLevel > 0 && llmFilterResult.filteredBy
+            ? {
+                level: filterLevel,
+                model: llmFilterResult.filteredBy,
+                fromCache: Boolean(llmFilterResult.fromCache),
+                cachedAt: llmFilterResult.cachedAt || null,
+                scoreThreshold: llmFilterResult.scoreThreshold || null,
+                excludedFiles: llmFilterResult.excludedFiles,
+                skeletonFiles: llmFilterResult.skeletonFiles || [],
+                exclusionReasons: llmFilterResult.exclusionReasons || {}
+            }
+            : null,
+        tokenBudget: maxTokens > 0 ? { maxTokens, tokenizer: TOKENIZER_NAME, cuts: budgetCuts } : null,
+        roots: projectRoots.map(root => ({ label: root.label, path: root.displayPath })),
+        dependencies: dependencyGraph
+            ? {
+                entries: dependencyGraph.entries,
+                maxDepth: dependencyGraph.maxDepth,
+                modules: dependencyGraph.modules.map(node => ({ path: node.path, depth: node.depth, imports: node.imports }))
+            }
+            : null,
+        structureScope
+    };
+}
+
+// --- Markdown ---
+
+/**
+ * Renders a single file block of the Markdown prompt.
+ * @param {object} file - File entry returned by readProjectFiles (optionally with a `segment` of a split file).
+ * @param {object} [data={}] - The render data (see renderDocument), for the file block options.
+ * @returns {string} The Markdown block for the file.
+ */
+function renderMarkdownFile(file, data = {}) {
+    const fileBlocks = getFileBlockOptions(data);
+    let block = fileBlocks.tableOfContents ? `<a id="${getFileAnchor(file, data)}"></a>\n\n` : '';
+    block += `### File: ${describeFileLabel(file)}\n\n`;
+    if (fileBlocks.metadata) {
+        block += `*${describeFileMetadata(file, data)}*\n\n`;
+    }
+    if (file.excludedByLLM || file.excludedByBudget || file.omitted) {
+        block += `${file.content}\n\n`;
+    } else if (file.error) {
+        const fence = chooseFence(file.content);
+        block += `${fence}text\n${file.content}\n${fence}\n\n`;
+    } else {
+        const content = renderContent(file, fileBlocks);
+        const fence = chooseFence(content);
+        block += `${fence}${getLanguageTag(file.path)}\n`;
+        block += `${content}\n`;
+        block += `${fence}\n\n`;
+        if (file.truncatedByBudget) {
+            block += `*Truncated to fit the token budget: ${file.tokens} of ${file.originalTokens} tokens kept.*\n\n`;
+        }
+    }
+    if (shouldRenderDiff(file)) {
+        const fence = chooseFence(file.diff);
+        block += `Diff:\n\n${fence}diff\n${file.diff}\n${fence}\n\n`;
+    }
+    return block;
+}
+
+/**
+ * Renders the table of contents entry of a file, linked to the anchor of its block.
+ * @param {object} file - File entry.
+ * @param {object} [data={}] - The render data (see renderDocument).
+ * @returns {string} The list item, or an empty string if the table of contents is off.
+ */
+function renderMarkdownTocEntry(file, data = {}) {
+    if (!getFileBlockOptions(data).tableOfContents) return '';
+    const label = describeFileLabel(file).replace(/[[\]]/g, '\\$&');
+    return `  - [${label}](#${getFileAnchor(file, data)}) — ${describeTocEntry(file, data)}\n`;
+}
+
+/**
+ * Renders the Markdown prompt in parts: the header (focus, changes, filter notes, structure...), then one part per file.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {Generator<string>} The parts of the Markdown document.
+ */
+function* renderMarkdownParts(data) {
+    const { part, focus, changes, llmFilter, tokenBudget, roots, dependencies, structureScope } = describeDocument(data);
+    let markdownContent = `# Project Analysis Prompt\n\n`;
+
+    if (part) {
+        markdownContent += `**Part ${part.index} of ${part.count}.** The file contents of this project are split across ${part.count} parts. `;
+        markdownContent += `Each part repeats the analysis focus and the directory structure; wait until you have received all parts before starting the analysis.\n\n`;
+    }
+
+    if (focus) {
+        markdownContent += `## User-Defined Analysis Focus\n\n`;
+        markdownContent += `**The primary goal of this analysis is:**\n`;
+        markdownContent += `> ${focus}\n\n`;
+        markdownContent += `Please pay special attention to aspects related to this focus in your file analysis.\n\n`;
+    }
+
+    if (changes) {
+        markdownContent += `## Changes Under Review\n\n`;
+        markdownContent += `**Selection: ${changes.selection}.** `;
+        markdownContent += changes.includeUnchanged
+            ? `Changed files are included in full; unchanged files are included as context only.\n\n`
+            : `Only changed files are included, in full.\n\n`;
+        if (changes.files.length === 0) {
+            markdownContent += `No changed files (after exclusions).\n\n`;
+        } else {
+            changes.files.forEach(file => {
+                markdownContent += `  - \`${file.path}\` (${file.changeStatus}${file.previousPath ? ` from \`${file.previousPath}\`` : ''})\n`;
+            });
+            markdownContent += `\n`;
+        }
+    }
+
+    if (llmFilter) {
+        const scoring = llmFilter.scoreThreshold ? `, content-aware: files scoring below ${llmFilter.scoreThreshold}/10 excluded` : '';
+        markdownContent += `**LLM-based file filtering applied (Aggressiveness Level: ${llmFilter.level}, Model: ${llmFilter.model}${scoring}; ${describeDecisionSource(llmFilter)})**\n`;
+        if (llmFilter.excludedFiles.length > 0) {
+            markdownContent += `The following files were filtered out (not included in detailed code analysis) based on LLM recommendation:\n`;
+            llmFilter.excludedFiles.forEach(p => {
+                const reason = describeExclusionReason(llmFilter, p);
+                markdownContent += `  - \`${p}\`${reason ? ` (${reason})` : ''}\n`;
+            });
+        } else {
+            markdownContent += `${NO_LLM_EXCLUSIONS_TEXT}\n`;
+        }
+        if (llmFilter.skeletonFiles.length > 0) {
+            markdownContent += `The following files are included as outlines only (imports, signatures, docs and types; function bodies elided):\n`;
+            llmFilter.skeletonFiles.forEach(p => {
+                markdownContent += `  - \`${p}\`\n`;
+            });
+        }
+        markdownContent += `\n`;
+    }
+
+    if (tokenBudget) {
+        markdownContent += `**Token budget applied: ${tokenBudget.maxTokens} tokens (estimated with the ${tokenBudget.tokenizer} tokenizer)**\n`;
+        if (tokenBudget.cuts.length > 0) {
+            markdownContent += `The following files were cut to fit the budget:\n`;
+            tokenBudget.cuts.forEach(cut => {
+                markdownContent += `  - \`${cut.path}\` (${describeBudgetCut(cut)})\n`;
+            });
+        } else {
+            markdownContent += `All files fit within the budget.\n`;
+        }
+        markdownContent += `\n`;
+    }
+
+    if (roots.length > 0) {
+        markdownContent += `## Project Roots\n\n`;
+        markdownContent += `This document covers ${roots.length} projects. Paths in the structure and file headings start with the root label:\n`;
+        roots.forEach(root => {
+            markdownContent += `  - \`${root.label}/\` — ${root.path}\n`;
+        });
+        markdownContent += `\n`;
+    }
+
+    const fileBlocks = getFileBlockOptions(data);
+    if (fileBlocks.tableOfContents && data.projectFiles.length > 0) {
+        markdownContent += `## Table of Contents\n\n`;
+        markdownContent += `Files in the order of the file contents below, each linked to its block:\n`;
+        data.projectFiles.forEach(file => {
+            markdownContent += renderMarkdownTocEntry(file, data);
+        });
+        markdownContent += `\n`;
+    }
+
+    const structure = data.projectStructure || MISSING_STRUCTURE_TEXT;
+    const structureFence = chooseFence(structure);
+    markdownContent += `## Project Directory Structure (${STRUCTURE_SCOPE_TEXTS[structureScope]})\n\n`;
+    if (changes) {
+        markdownContent += `Changed files are marked with their status, e.g. \`[modified]\`.\n\n`;
+    }
+    markdownContent += `${structureFence}text\n${structure}\n${structureFence}\n\n`;
+
+    if (dependencies) {
+        markdownContent += `## Dependency Graph\n\n`;
+        markdownContent += `${describeDependencySelection(dependencies, p => `\`${p}\``)} Each line lists the project files a file imports:\n\n`;
+        const adjacencyList = renderAdjacencyList(dependencies);
+        const graphFence = chooseFence(adjacencyList);
+        markdownContent += `${graphFence}text\n${adjacencyList}\n${graphFence}\n\n`;
+    }
+
+    markdownContent += part
+        ? `## File Contents (after filtering, part ${part.index} of ${part.count})\n\n`
+        : `## File Contents (after filtering)\n\n`;
+
+    if (data.projectFiles.length === 0) {
+        yield `${markdownContent}${NO_FILES_TEXT}\n\n`;
+        return;
+    }
+    if (fileBlocks.lineNumbers) {
+        markdownContent += `${LINE_NUMBERS_TEXT}\n\n`;
+    }
+    yield markdownContent;
+    for (const file of data.projectFiles) {
+        yield renderMarkdownFile(file, data);
+    }
+}
+
+// --- XML ---
+
+/**
+ * Escapes text for use in XML attribute values and text nodes.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wraps raw text in a CDATA section, so code keeps its original characters; "]]>" inside the text is split across sections.
+ * @param {string} text - The raw text.
+ * @returns {string} The CDATA section(s).
+ */
+function toCData(text) {
+    return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Renders XML attributes, skipping undefined and null values.
+ * @param {object} attributes - Attribute name -> value.
+ * @returns {string} The attributes with a leading space each.
+ */
+function renderXmlAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+        .join('');
+}
+
+/**
+ * Renders a single `<file path="...">` element.
+ * @param {object} file - File entry returned by readProjectFiles.
+ * @param {object} [data={}] - The render data (see renderDocument), for the file block options.
+ * @returns {string} The XML element.
+ */
+function renderXmlFile(file, data = {}) {
+    const fileBlocks = getFileBlockOptions(data);
+    const metadata = fileBlocks.metadata ? getFileMetadata(file, data) : {};
+    const attributes = renderXmlAttributes({
+        id: fileBlocks.tableOfContents ? getFileAnchor(file, data) : undefined,
+        path: file.path,
+        language: hasCodeContent(file) ? getLanguageTag(file.path) : undefined,
+        change: file.changeStatus,
+        previous_path: file.previousPath,
+        view: file.skeleton ? 'outline' : undefined,
+        segment: file.segment ? `${file.segment.index}/${file.segment.count}` : undefined,
+        truncated: file.truncatedByBudget ? `${file.tokens} of ${file.originalTokens} tokens kept` : undefined,
+        size: metadata.size,
+        lines: metadata.lines,
+        first_line: metadata.firstLine,
+        tokens: metadata.tokens,
+        last_author: metadata.lastCommit ? metadata.lastCommit.author : undefined,
+        last_changed: metadata.lastCommit ? metadata.lastCommit.date : (metadata.lastCommit === null ? 'not committed' : undefined)
+    });
+    const body = hasCodeContent(file)
+        ? `${toCData(`\n${renderContent(file, fileBlocks)}\n`)}`
+        : `<note>${escapeXml(toPlainNote(file.content))}</note>`;
+    const diff = shouldRenderDiff(file) ? `\n<diff>${toCData(`\n${file.diff}\n`)}</diff>` : '';
+    return `<file${attributes}>${body}${diff}</file>\n\n`;
+}
+
+/**
+ * Renders the table of contents entry of a file, referring to the `id` of its element.
+ * @param {object} file - File entry.
+ * @param {object} [data={}] - The render data (see renderDocument).
+ * @returns {string} The `<entry>` element, or an empty string if the table of contents is off.
+ */
+function renderXmlTocEntry(file, data = {}) {
+    if (!getFileBlockOptions(data).tableOfContents) return '';
+    return `  <entry${renderXmlAttributes({
+        ref: getFileAnchor(file, data),
+        path: file.path,
+        segment: file.segment ? `${file.segment.index}/${file.segment.count}` : undefined,
+        summary: describeTocEntry(file, data)
+    })}/>\n`;
+}
+
+/**
+ * Renders the prompt as XML-style tagged blocks (`<file path="...">`), a layout many models handle well, in parts:
+ * the header, one part per file, and the closing tags.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {Generator<string>} The parts of the XML document.
+ */
+function* renderXmlParts(data) {
+    const { part, focus, changes, llmFilter, tokenBudget, roots, dependencies, structureScope } = describeDocument(data);
+    let xml = `<project_analysis>\n`;
+
+    if (part) {
+        xml += `<part${renderXmlAttributes({ index: part.index, count: part.count })}>The file contents of this project are split across ${part.count} parts. Each part repeats the analysis focus and the directory structure; wait until you have received all parts before starting the analysis.</part>\n\n`;
+    }
+    if (focus) {
+        xml += `<analysis_focus>${escapeXml(focus)}</analysis_focus>\n\n`;
+    }
+    if (changes) {
+        xml += `<changes_under_review${renderXmlAttributes({ selection: changes.selection, unchanged_files: changes.includeUnchanged ? 'context' : 'excluded' })}>\n`;
+        changes.files.forEach(file => {
+            xml += `  <changed_file${renderXmlAttributes({ path: file.path, status: file.changeStatus, previous_path: file.previousPath })}/>\n`;
+        });
+        xml += `</changes_under_review>\n\n`;
+    }
+    if (llmFilter) {
+        xml += `<llm_filter${renderXmlAttributes({ level: llmFilter.level, model: llmFilter.model, source: llmFilter.fromCache ? 'cache' : 'llm', cached_at: llmFilter.cachedAt, score_threshold: llmFilter.scoreThreshold })}>\n`;
+        llmFilter.excludedFiles.forEach(p => {
+            const reason = llmFilter.exclusionReasons[p] || {};
+            xml += `  <excluded_file${renderXmlAttributes({ path: p, score: reason.score, rationale: reason.rationale })}/>\n`;
+        });
+        llmFilter.skeletonFiles.forEach(p => {
+            xml += `  <outlined_file${renderXmlAttributes({ path: p })}/>\n`;
+        });
+        xml += `</llm_filter>\n\n`;
+    }
+    if (tokenBudget) {
+        xml += `<token_budget${renderXmlAttributes({ max_tokens: tokenBudget.maxTokens, tokenizer: tokenBudget.tokenizer })}>\n`;
+        tokenBudget.cuts.forEach(cut => {
+            xml += `  <cut${renderXmlAttributes({ path: cut.path, action: cut.action, original_tokens: cut.originalTokens, kept_tokens: cut.keptTokens })}/>\n`;
+        });
+        xml += `</token_budget>\n\n`;
+    }
+    if (roots.length > 0) {
+        xml += `<project_roots>\n`;
+        roots.forEach(root => {
+            xml += `  <root${renderXmlAttributes({ label: root.label, path: root.path })}/>\n`;
+        });
+        xml += `</project_roots>\n\n`;
+    }
+
+    const fileBlocks = getFileBlockOptions(data);
+    if (fileBlocks.tableOfContents && data.projectFiles.length > 0) {
+        xml += `<table_of_contents>\n`;
+        data.projectFiles.forEach(file => {
+            xml += renderXmlTocEntry(file, data);
+        });
+        xml += `</table_of_contents>\n\n`;
+    }
+
+    xml += `<directory_structure${renderXmlAttributes({ scope: structureScope === 'selected' ? null : structureScope })}>${toCData(`\n${data.projectStructure || MISSING_STRUCTURE_TEXT}`)}</directory_structure>\n\n`;
+
+    if (dependencies) {
+        xml += `<dependency_graph${renderXmlAttributes({ entries: dependencies.entries.join(', '), max_depth: dependencies.maxDepth })}>\n`;
+        dependencies.modules.forEach(node => {
+            xml += `  <module${renderXmlAttributes({ path: node.path, depth: node.depth })}>`;
+            xml += node.imports.map(p => `<import${renderXmlAttributes({ path: p })}/>`).join('');
+            xml += `</module>\n`;
+        });
+        xml += `</dependency_graph>\n\n`;
+    }
+
+    if (fileBlocks.lineNumbers && data.projectFiles.length > 0) {
+        xml += `<line_numbers>${escapeXml(LINE_NUMBERS_TEXT)}</line_numbers>\n\n`;
+    }
+    xml += `<files>\n`;
+    if (data.projectFiles.length === 0) {
+        xml += `<note>${escapeXml(NO_FILES_TEXT)}</note>\n`;
+    }
+    yield xml;
+    for (const file of data.projectFiles) {
+        yield renderXmlFile(file, data);
+    }
+    yield `</files>\n</project_analysis>\n`;
+}
+
+// --- JSON ---
+
+/**
+ * Converts a file entry to its JSON document representation. Contents stay unnumbered; segments of split files
+ * carry their first line.
+ * @param {object} file - File entry returned by readProjectFiles.
+ * @param {object} [data={}] - The render data (see renderDocument), for the file block options.
+ * @returns {object} The JSON file object.
+ */
+function toJsonFile(file, data = {}) {
+    const jsonFile = { path: file.path };
+    if (file.excludedByLLM) jsonFile.status = 'excludedByLLM';
+    else if (file.excludedByBudget) jsonFile.status = 'excludedByBudget';
+    else if (file.omitted) jsonFile.status = 'omitted';
+    else if (file.error) jsonFile.status = 'error';
+    else jsonFile.status = 'included';
+
+    if (hasCodeContent(file)) {
+        jsonFile.language = getLanguageTag(file.path);
+        jsonFile.content = file.content;
+    } else {
+        jsonFile.note = toPlainNote(file.content);
+    }
+    if (file.skeleton) jsonFile.view = 'outline';
+    if (file.omitted) jsonFile.omittedKind = file.omitted;
+    if (file.truncatedByBudget) jsonFile.truncated = { keptTokens: file.tokens, originalTokens: file.originalTokens };
+    if (file.segment) jsonFile.segment = file.segment;
+    if (file.changeStatus) {
+        jsonFile.change = file.previousPath ? { status: file.changeStatus, previousPath: file.previousPath } : { status: file.changeStatus };
+    }
+    if (shouldRenderDiff(file)) jsonFile.diff = file.diff;
+    if (getFileBlockOptions(data).metadata) jsonFile.metadata = getFileMetadata(file, data);
+    return jsonFile;
+}
+
+/**
+ * Renders a single file as JSON (used to measure files when splitting into parts).
+ * @param {object} file - File entry returned by readProjectFiles.
+ * @param {object} [data={}] - The render data (see renderDocument).
+ * @returns {string} The JSON text of the file object.
+ */
+function renderJsonFile(file, data = {}) {
+    return JSON.stringify(toJsonFile(file, data), null, 2);
+}
+
+/**
+ * Renders the prompt as a JSON document ({format, metadata, structure, files}) for programmatic consumers, in parts:
+ * everything up to the files array, one part per file object, and the closing brackets. The parts join to the same
+ * text as JSON.stringify of the whole document with an indentation of 2.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {Generator<string>} The parts of the JSON text.
+ */
+function* renderJsonParts(data) {
+    const metadata = describeDocument(data);
+    const header = JSON.stringify({
+        format: 'project-analysis',
+        version: 1,
+        metadata,
+        structure: data.projectStructure || '',
+        files: []
+    }, null, 2);
+    if (data.projectFiles.length === 0) {
+        yield `${header}\n`;
+        return;
+    }
+    yield `${header.slice(0, -'[]\n}'.length)}[\n`;
+    for (let i = 0; i < data.projectFiles.length; i++) {
+        const fileJson = renderJsonFile(data.projectFiles[i], data).replace(/^/gm, '    ');
+        yield `${fileJson}${i < data.projectFiles.length - 1 ? ',' : ''}\n`;
+    }
+    yield `  ]\n}\n`;
+}
+
+// --- Plain text ---
+
+/**
+ * Renders a single file block of the plain text prompt.
+ * @param {object} file - File entry returned by readProjectFiles.
+ * @param {object} [data={}] - The render data (see renderDocument), for the file block options.
+ * @returns {string} The text block.
+ */
+function renderTextFile(file, data = {}) {
+    const fileBlocks = getFileBlockOptions(data);
+    let block = `${TEXT_RULE}\nFile: ${describeFileLabel(file)}\n`;
+    if (fileBlocks.metadata) {
+        block += `Info: ${describeFileMetadata(file, data)}\n`;
+    }
+    block += `${TEXT_RULE}\n`;
+    if (hasCodeContent(file)) {
+        block += `${renderContent(file, fileBlocks)}\n\n`;
+        if (file.truncatedByBudget) {
+            block += `[Truncated to fit the token budget: ${file.tokens} of ${file.originalTokens} tokens kept.]\n\n`;
+        }
+    } else {
+        block += `[${toPlainNote(file.content)}]\n\n`;
+    }
+    if (shouldRenderDiff(file)) {
+        block += `--- Diff ---\n${file.diff}\n\n`;
+    }
+    return block;
+}
+
+/**
+ * Renders the table of contents entry of a file.
+ * @param {object} file - File entry.
+ * @param {object} [data={}] - The render data (see renderDocument).
+ * @returns {string} The line, or an empty string if the table of contents is off.
+ */
+function renderTextTocEntry(file, data = {}) {
+    if (!getFileBlockOptions(data).tableOfContents) return '';
+    return `  - ${describeFileLabel(file)} (${describeTocEntry(file, data)})\n`;
+}
+
+/**
+ * Renders the prompt as plain text with ruled file separators and no markup, in parts: the header, then one part per file.
+ * @param {object} data - The render data (see renderDocument).
+ * @returns {Generator<string>} The parts of the text document.
+ */
+function* renderTextParts(data) {
+    const { part, focus, changes, llmFilter, tokenBudget, roots, dependencies, structureScope } = describeDocument(data);
+    let text = `PROJECT ANALYSIS PROMPT\n\n`;
+
+    if (part) {
+        text += `Part ${part.index} of ${part.count}. The file contents of this project are split across ${part.count} parts. `;
+        text += `Each part repeats the analysis focus and the directory structure; wait until you have received all parts before starting the analysis.\n\n`;
+    }
+    if (focus) {
+        text += `ANALYSIS FOCUS\nThe primary goal of this analysis is: ${focus}\n\n`;
+    }
+    if (changes) {
+        text += `CHANGES UNDER REVIEW\nSelection: ${changes.selection}. `;
+        text += changes.includeUnchanged
+            ? `Changed files are included in full; unchanged files are included as context only.\n`
+            : `Only changed files are included, in full.\n`;
+        changes.files.forEach(file => {
+            text += `  - ${file.path} (${file.changeStatus}${file.previousPath ? ` from ${file.previousPath}` : ''})\n`;
+        });
+        text += `\n`;
+    }
+    if (llmFilter) {
+        const scoring = llmFilter.scoreThreshold ? `, content-aware: files scoring below ${llmFilter.scoreThreshold}/10 excluded` : '';
+        text += `LLM FILE FILTERING (aggressiveness level ${llmFilter.level}, model: ${llmFilter.model}${scoring}; ${describeDecisionSource(llmFilter)})\n`;
+        text += llmFilter.excludedFiles.length > 0
+            ? `Filtered out based on LLM recommendation:\n${llmFilter.excludedFiles.map(p => {
+                const reason = describeExclusionReason(llmFilter, p);
+                return `  - ${p}${reason ? ` (${reason})` : ''}\n`;
+            }).join('')}`
+            : `${NO_LLM_EXCLUSIONS_TEXT}\n`;
+        if (llmFilter.skeletonFiles.length > 0) {
+            text += `Included as outlines only (imports, signatures, docs and types; function bodies elided):\n${llmFilter.skeletonFiles.map(p => `  - ${p}\n`).join('')}`;
+        }
+        text += `\n`;
+    }
+    if (tokenBudget) {
+        text += `TOKEN BUDGET: ${tokenBudget.maxTokens} tokens (estimated with the ${tokenBudget.tokenizer} tokenizer)\n`;
+        text += tokenBudget.cuts.length > 0
+            ? `Cut to fit the budget:\n${tokenBudget.cuts.map(cut => `  - ${cut.path} (${describeBudgetCut(cut)})\n`).join('')}`
+            : `All files fit within the budget.\n`;
+        text += `\n`;
+    }
+    if (roots.length > 0) {
+        text += `PROJECT ROOTS (paths start with the root label)\n`;
+        text += roots.map(root => `  - ${root.label}/ — ${root.path}\n`).join('');
+        text += `\n`;
+    }
+
+    const fileBlocks = getFileBlockOptions(data);
+    if (fileBlocks.tableOfContents && data.projectFiles.length > 0) {
+        text += `TABLE OF CONTENTS (files in the order of the file contents)\n`;
+        text += data.projectFiles.map(file => renderTextTocEntry(file, data)).join('');
+        text += `\n`;
+    }
+
+    text += `DIRECTORY STRUCTURE (${STRUCTURE_SCOPE_TEXTS[structureScope]})\n`;
+    text += `${(data.projectStructure || MISSING_STRUCTURE_TEXT).trimEnd()}\n\n`;
+    if (dependencies) {
+        text += `DEPENDENCY GRAPH\n${describeDependencySelection(dependencies, p => p)} Each line lists the project files a file imports:\n`;
+        text += `${renderAdjacencyList(dependencies)}\n\n`;
+    }
+    text += part ? `FILE CONTENTS (part ${part.index} of ${part.count})\n\n` : `FILE CONTENTS\n\n`;
+
+    if (data.projectFiles.length === 0) {
+        yield `${text}${NO_FILES_TEXT}\n`;
+        return;
+    }
+    if (fileBlocks.lineNumbers) {
+        text += `${LINE_NUMBERS_TEXT}\n\n`;
+    }
+    yield text;
+    for (const file of data.projectFiles) {
+        yield renderTextFile(file, data);
+    }
+}
+
+// --- Registry ---
+
+/**
+ * Builds a formatter from the part renderer of a format: the whole document is the concatenation of its parts.
+ * @param {string} extension - File extension of the format.
+ * @param {function(object): Iterable<string>} renderParts - Renders the document in parts (header, files, footer).
+ * @param {function(object, object): string} renderFile - Renders a single file (used to size parts).
+ * @param {function(object, object): string} [renderTocEntry] - Renders the table of contents entry of a file (used to
+ *   size parts); formats without a table of contents have none.
+ * @returns {{extension: string, renderDocument: function(object): string, renderParts: function(object): Iterable<string>,
+ *   renderFile: function(object, object): string, renderTocEntry: function(object, object): string}} The formatter.
+ */
+function defineFormatter(extension, renderParts, renderFile, renderTocEntry = () => '') {
+    return {
+        extension,
+        renderDocument: data => [...renderParts(data)].join(''),
+        renderParts,
+        renderFile,
+        renderTocEntry
+    };
+}
+
+/**
+ * Output formats: file extension, document and part renderers, and single-file and table of contents entry renderers
+ * (used to size parts). JSON has no table of contents: its files array is the index.
+ */
+const FORMATTERS = {
+    markdown: defineFormatter('.md', renderMarkdownParts, renderMarkdownFile, renderMarkdownTocEntry),
+    xml: defineFormatter('.xml', renderXmlParts, renderXmlFile, renderXmlTocEntry),
+    json: defineFormatter('.json', renderJsonParts, renderJsonFile),
+    text: defineFormatter('.txt', renderTextParts, renderTextFile, renderTextTocEntry)
+};
+
+const FORMAT_NAMES = Object.keys(FORMATTERS);
+
+/**
+ * Returns the formatter for an output format.
+ * @param {string} [format='markdown'] - One of FORMAT_NAMES.
+ * @returns {{extension: string, renderDocument: function(object): string, renderParts: function(object): Iterable<string>,
+ *   renderFile: function(object, object): string, renderTocEntry: function(object, object): string}}
+ * @throws {Error} If the format is unknown.
+ */
+function getFormatter(format = 'markdown') {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown output format '${format}'. Supported formats: ${FORMAT_NAMES.join(', ')}.`);
+    }
+    return formatter;
+}
+
+/**
+ * Renders the analysis prompt in the given format.
+ * @param {object} data - Data to render.
+ * @param {string} data.customFocusPrompt - Custom focus for analysis.
+ * @param {number} data.filterLevel - LLM filtering aggressiveness level.
+ * @param {object} data.llmFilterResult - Result of getLLMFilteredExclusions or getContentAwareExclusions (with `filteredBy` if filtering ran).
+ * @param {Array<{label: string, displayPath: string}>} [data.projectRoots=[]] - The labeled roots of a multi-root document (empty for a single root).
+ * @param {object | null} [data.dependencyGraph=null] - Import graph of the entry points (see buildDependencyGraph in lib/dependencyGraph).
+ * @param {object | null} [data.gitSelection=null] - Git mode change selection, if any.
+ * @param {boolean} [data.includeUnchanged=false] - Git mode: whether unchanged files are included as context.
+ * @param {Array<{path: string, changeStatus: string, previousPath?: string}>} [data.changedFiles=[]] - Git mode: all changed
+ *   files (also those in other parts of a chunked prompt).
+ * @param {string} data.projectStructure - The directory structure string.
+ * @param {string} [data.structureScope='selected'] - Which entries the structure shows (see TREE_SCOPES in lib/projectTree).
+ * @param {Array<object>} data.projectFiles - File entries returned by readProjectFiles.
+ * @param {Map<string, number>} [data.fileSizes] - Prompt path -> size in bytes, for file metadata.
+ * @param {{lineNumbers?: boolean, metadata?: boolean, tableOfContents?: boolean}} [data.fileBlocks={}] - Number the lines
+ *   of file contents, add a metadata line to each file, and list the files at the top (all off by default).
+ * @param {number} data.maxTokens - Token budget (0 = no budget).
+ * @param {Array<object>} data.budgetCuts - Files dropped or truncated to fit the budget.
+ * @param {{index: number, count: number} | null} [data.part=null] - Set when rendering one part of a chunked prompt.
+ * @param {string} [format='markdown'] - One of FORMAT_NAMES.
+ * @returns {string} The rendered document.
+ */
+function renderDocument(data, format = 'markdown') {
+    return getFormatter(format).renderDocument(data);
+}
+
+module.exports = {
+    FORMAT_NAMES,
+    chooseFence,
+    getFormatter,
+    renderDocument
+};
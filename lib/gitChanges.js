@@ -0,0 +1,224 @@
+// External dependencies
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Large diffs (e.g. of generated files) must not fail the whole run
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+// `git diff --name-status` letters -> change status shown in the prompt
+const STATUS_NAMES = {
+    A: 'added',
+    C: 'copied',
+    D: 'deleted',
+    M: 'modified',
+    R: 'renamed',
+    T: 'type changed',
+    U: 'unmerged'
+};
+
+/**
+ * Runs a git command in the given directory.
+ * @param {string} cwd - Directory to run git in (paths in the output are relative to it where git supports it).
+ * @param {string[]} args - Git arguments.
+ * @returns {Promise<string>} The standard output.
+ * @throws {Error} If git is not installed, the directory is not in a repository or the command fails.
+ */
+async function runGit(cwd, args) {
+    try {
+        const { stdout } = await execFileAsync('git', ['-C', cwd, ...args], { maxBuffer: GIT_MAX_BUFFER });
+        return stdout;
+    } catch (error) {
+        const detail = (error.stderr || error.message).toString().trim();
+        throw new Error(`git ${args.join(' ')} failed in ${cwd}: ${detail}`);
+    }
+}
+
+/**
+ * Builds the `git diff` arguments that select the changes to review.
+ * @param {object} selection - Exactly one of `since` (ref), `range` ("A..B" or "A...B"), `staged` or `workingTree`.
+ * @returns {string[]} The arguments.
+ */
+function getDiffArgs(selection) {
+    if (selection.since) return ['--merge-base', selection.since];
+    if (selection.range) return [selection.range];
+    if (selection.staged) return ['--cached'];
+    return ['HEAD'];
+}
+
+/**
+ * Describes a change selection for humans, e.g. "changes since main (including uncommitted changes)".
+ * @param {object} selection - The change selection (see getDiffArgs), or `{previousExtraction, generatedAt}` for changes
+ *   since an earlier extraction (see diffAgainstManifest in lib/manifest).
+ * @returns {string} The description.
+ */
+function describeGitSelection(selection) {
+    if (selection.previousExtraction) return `changes since the extraction of ${selection.generatedAt || 'unknown date'} (${selection.previousExtraction})`;
+    if (selection.since) return `changes since the branch point from ${selection.since} (including uncommitted and untracked files)`;
+    if (selection.range) return `commit range ${selection.range}`;
+    if (selection.staged) return 'staged changes';
+    return 'working tree changes against HEAD (staged, unstaged and untracked files)';
+}
+
+/**
+ * Lists the files changed by a selection, relative to the project root. Changes outside the root are ignored,
+ * so the root may be a subdirectory of the repository.
+ * @param {string} projectRoot - The project root (inside a git working tree).
+ * @param {object} selection - The change selection (see getDiffArgs).
+ * @returns {Promise<Map<string, {status: string, previousPath?: string}>>} Relative path -> change.
+ * @throws {Error} If the root is not inside a git working tree or git rejects the selection (e.g. unknown ref).
+ */
+async function getChangedFiles(projectRoot, selection) {
+    // Outside a repository `git diff` silently switches to --no-index mode, so check first
+    try {
+        await runGit(projectRoot, ['rev-parse', '--is-inside-work-tree']);
+    } catch (error) {
+        throw new Error(`Git mode requires a git working tree, but ${projectRoot} is not inside one.`);
+    }
+    const output = await runGit(projectRoot, ['diff', '--name-status', '-z', '--relative', '--find-renames', ...getDiffArgs(selection)]);
+    const fields = output.split('\0');
+    const changes = new Map();
+
+    for (let i = 0; i < fields.length - 1;) {
+        const letter = fields[i++].charAt(0);
+        if (letter === 'R' || letter === 'C') {
+            const previousPath = path.normalize(fields[i++]);
+            changes.set(path.normalize(fields[i++]), { status: STATUS_NAMES[letter], previousPath });
+        } else {
+            changes.set(path.normalize(fields[i++]), { status: STATUS_NAMES[letter] || 'modified' });
+        }
+    }
+
+    // Range and staged selections describe commits or the index; untracked files only belong to working tree selections
+    if (!selection.range && !selection.staged) {
+        const untracked = await runGit(projectRoot, ['ls-files', '--others', '--exclude-standard', '-z']);
+        untracked.split('\0').filter(Boolean).forEach(filePath => {
+            changes.set(path.normalize(filePath), { status: 'added', untracked: true });
+        });
+    }
+    return changes;
+}
+
+/**
+ * Returns the unified diff of a single changed file.
+ * @param {string} projectRoot - The project root used for getChangedFiles.
+ * @param {object} selection - The change selection (see getDiffArgs).
+ * @param {string} relativePath - Path of the file relative to the project root.
+ * @param {{status: string, previousPath?: string, untracked?: boolean}} change - The change returned by getChangedFiles.
+ * @returns {Promise<string | null>} The diff, or null for untracked files (their whole content is new).
+ */
+async function getFileDiff(projectRoot, selection, relativePath, change) {
+    if (change.untracked) return null;
+    const paths = change.previousPath ? [change.previousPath, relativePath] : [relativePath];
+    const toGitPath = p => p.split(path.sep).join('/');
+    const diff = await runGit(projectRoot, ['diff', '--relative', '--find-renames', ...getDiffArgs(selection), '--', ...paths.map(toGitPath)]);
+    return diff.trim() || null;
+}
+
+/**
+ * Runs a git command and hands its output to a callback record by record, so long outputs are never held in memory
+ * and git can be stopped as soon as the caller has what it needs.
+ * @param {string} cwd - Directory to run git in.
+ * @param {string[]} args - Git arguments.
+ * @param {string} separator - Separator of the records in the output.
+ * @param {function(string): boolean} onRecord - Called with each record (the first one may be empty); returns true
+ *   to stop git and skip the rest of the output.
+ * @returns {Promise<void>}
+ * @throws {Error} If git is not installed, the directory is not in a repository or the command fails.
+ */
+function streamGit(cwd, args, separator, onRecord) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', ['-C', cwd, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let pending = '';
+        let errorOutput = '';
+        let stopped = false;
+        const handleRecords = records => {
+            for (const record of records) {
+                if (onRecord(record)) {
+                    stopped = true;
+                    child.kill();
+                    return;
+                }
+            }
+        };
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            if (stopped) return;
+            const records = (pending + chunk).split(separator);
+            pending = records.pop();
+            handleRecords(records);
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => { errorOutput += chunk; });
+        child.on('error', error => reject(new Error(`git ${args.join(' ')} failed in ${cwd}: ${error.message}`)));
+        child.on('close', code => {
+            if (!stopped && code !== 0) {
+                reject(new Error(`git ${args.join(' ')} failed in ${cwd}: ${errorOutput.trim() || `exit code ${code}`}`));
+                return;
+            }
+            if (!stopped) handleRecords([pending]);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Finds the last commit that changed each file, walking the history newest first. Given the files of interest, the
+ * walk stops as soon as all of them have been seen, so old or large histories are not read to the end.
+ * @param {string} directory - A directory inside a working tree (paths are relative to it and limited to it), or a
+ *   bare repository (paths are relative to the top of the tree).
+ * @param {string} [revision='HEAD'] - The commit whose history is walked.
+ * @param {string[] | null} [paths=null] - The files of interest, relative like the result; null walks the whole history.
+ * @returns {Promise<Map<string, {author: string, date: string}> | null>} Relative path -> author name and date
+ *   (YYYY-MM-DD); files never committed are missing, and with `paths` other files may be missing too. Null if the
+ *   directory is not in a repository.
+ * @throws {Error} If the history cannot be read (e.g. a repository without commits).
+ */
+async function getLastCommits(directory, revision = 'HEAD', paths = null) {
+    let isWorkTree;
+    try {
+        isWorkTree = (await runGit(directory, ['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+    } catch (error) {
+        return null;
+    }
+    const lastCommits = new Map();
+    let remainingPaths = null;
+    if (paths) {
+        // Files that are not in the revision (untracked, new) never show up in its history, so they are not waited for
+        const committedPaths = new Set((await runGit(directory, ['ls-tree', '-r', '--name-only', '-z', revision]))
+            .split('\0').filter(Boolean).map(filePath => path.normalize(filePath)));
+        remainingPaths = new Set(paths.map(filePath => path.normalize(filePath)).filter(filePath => committedPaths.has(filePath)));
+        if (remainingPaths.size === 0) return lastCommits;
+    }
+
+    await streamGit(directory, [
+        '-c', 'core.quotePath=false',
+        'log', '--no-renames', '--name-only', '--format=%x1e%an%x1f%aI',
+        ...(isWorkTree ? ['--relative'] : []),
+        revision, '--', ...(isWorkTree ? ['.'] : [])
+    ], '\x1e', record => {
+        if (!record) return false;
+        const [header, ...filePaths] = record.split('\n');
+        const [author, date] = header.split('\x1f');
+        filePaths.filter(Boolean).forEach(filePath => {
+            const relativePath = path.normalize(filePath);
+            if (!lastCommits.has(relativePath)) {
+                lastCommits.set(relativePath, { author, date: date.slice(0, 10) });
+                if (remainingPaths) remainingPaths.delete(relativePath);
+            }
+        });
+        return remainingPaths !== null && remainingPaths.size === 0;
+    });
+    return lastCommits;
+}
+
+module.exports = {
+    describeGitSelection,
+    getChangedFiles,
+    getFileDiff,
+    getLastCommits,
+    runGit
+};
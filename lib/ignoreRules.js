@@ -0,0 +1,173 @@
+// External dependencies
+const path = require('path');
+const ignore = require('ignore');
+
+// Local modules
+const virtualFs = require('./virtualFs');
+
+// Ignore files honored in every directory of the project.
+// Later files take precedence over earlier ones within the same directory.
+const IGNORE_FILE_NAMES = ['.gitignore', '.extractorignore'];
+
+// Static list of exclusions (files/folders to always ignore), in .gitignore syntax.
+// The project's own .gitignore and .extractorignore files are applied on top of these.
+const STATIC_EXCLUDE_PATTERNS = [
+    '.DS_Store',
+    'node_modules',
+    '.git',
+    '.gitignore',
+    '.extractorignore',
+    '.contentextractor.json',
+    '.contentextractor.yaml',
+    '.contentextractor.yml',
+    '.prettierrc',
+    'package-lock.json',
+    'yarn.lock',
+    'prompts', // Assuming this is the output folder for generated prompts
+    'promts' // Or if you rename the output folder
+];
+
+/**
+ * Converts a platform-specific relative path to the forward-slash form used by gitignore patterns.
+ * @param {string} relativePath - A path relative to the project root.
+ * @returns {string} The same path with '/' separators.
+ */
+function toPosixPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Reads an ignore file if it exists.
+ * @param {string} filePath - Absolute path to the ignore file.
+ * @returns {Promise<string | null>} The file content, or null if the file does not exist or cannot be read.
+ */
+async function readIgnoreFile(filePath) {
+    try {
+        return await virtualFs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            console.warn(`Could not read ignore file ${filePath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Applies a rule set to a path, keeping the previous decision when no rule matches.
+ * @param {object} rules - An `ignore` instance.
+ * @param {string} testPath - Path relative to the directory the rules belong to.
+ * @param {boolean} currentlyExcluded - The decision made by rules with lower precedence.
+ * @returns {boolean} Whether the path is excluded after applying these rules.
+ */
+function applyRules(rules, testPath, currentlyExcluded) {
+    const result = rules.test(testPath);
+    if (result.ignored) return true;
+    if (result.unignored) return false;
+    return currentlyExcluded;
+}
+
+/**
+ * Creates a filter implementing gitignore semantics (globs, `**`, `!` negation, directory-only
+ * patterns and anchoring) for a project tree.
+ * Rules are applied in increasing order of precedence: static patterns, then `.gitignore` and
+ * `.extractorignore` files from the project root down to the entry's own directory, then extra
+ * exclude patterns (e.g. from the command line).
+ * @param {string} basePath - The root path of the project.
+ * @param {object} [options={}] - Filter options.
+ * @param {string[]} [options.staticPatterns=[]] - Built-in exclusion patterns (lowest precedence).
+ * @param {string[]} [options.excludePatterns=[]] - Additional exclusion globs (highest precedence).
+ * @param {string[]} [options.includePatterns=[]] - If not empty, only files matching at least one of these globs are kept.
+ * @param {string[]} [options.excludedDirectories=[]] - Directories the tool writes to (e.g. its caches); they and their
+ *   contents are always excluded when they are inside the project, whatever the ignore files say.
+ * @returns {{isExcluded: function(string, boolean): Promise<boolean>}} The filter.
+ */
+function createIgnoreFilter(basePath, options = {}) {
+    const { staticPatterns = [], excludePatterns = [], includePatterns = [], excludedDirectories = [] } = options;
+    const ownDirectories = excludedDirectories
+        .map(directory => path.relative(basePath, path.resolve(directory)))
+        .filter(relativePath => relativePath && relativePath !== '..' && !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath))
+        .map(toPosixPath);
+
+    const staticRules = ignore().add(staticPatterns);
+    const extraRules = ignore().add(excludePatterns);
+    const includeRules = includePatterns.length > 0 ? ignore().add(includePatterns) : null;
+
+    // Relative directory ('' for the root) -> Promise resolving to its rules, or null if it has no ignore files
+    const directoryRulesCache = new Map();
+
+    const loadDirectoryRules = (relativeDir) => {
+        if (!directoryRulesCache.has(relativeDir)) {
+            directoryRulesCache.set(relativeDir, (async () => {
+                const contents = [];
+                for (const fileName of IGNORE_FILE_NAMES) {
+                    const content = await readIgnoreFile(path.join(basePath, relativeDir, fileName));
+                    if (content) contents.push(content);
+                }
+                return contents.length > 0 ? ignore().add(contents.join('\n')) : null;
+            })());
+        }
+        return directoryRulesCache.get(relativeDir);
+    };
+
+    /**
+     * Checks whether an entry of the project tree should be excluded.
+     * @param {string} relativePath - Path of the entry relative to the project root.
+     * @param {boolean} isDirectory - Whether the entry is a directory (needed for `dir/` patterns).
+     * @returns {Promise<boolean>} True if the entry should be skipped.
+     */
+    const isExcluded = async (relativePath, isDirectory) => {
+        const segments = toPosixPath(relativePath).split('/');
+        const suffix = isDirectory ? '/' : '';
+        const fullTestPath = segments.join('/') + suffix;
+        if (ownDirectories.some(directory => fullTestPath.startsWith(`${directory}/`))) return true;
+
+        let excluded = applyRules(staticRules, fullTestPath, false);
+        for (let depth = 0; depth < segments.length; depth++) {
+            const rules = await loadDirectoryRules(segments.slice(0, depth).join('/'));
+            if (rules) {
+                excluded = applyRules(rules, segments.slice(depth).join('/') + suffix, excluded);
+            }
+        }
+        excluded = applyRules(extraRules, fullTestPath, excluded);
+
+        if (!excluded && !isDirectory && includeRules && !includeRules.ignores(fullTestPath)) {
+            excluded = true;
+        }
+        return excluded;
+    };
+
+    return { isExcluded };
+}
+
+/**
+ * Restricts a filter to a set of selected files (e.g. the files reachable from entry points): other files,
+ * and directories containing no selected file, are excluded as well.
+ * @param {{isExcluded: function(string, boolean): Promise<boolean>}} baseFilter - The filter to restrict.
+ * @param {string[]} selectedPaths - Paths of the selected files relative to the project root.
+ * @returns {{isExcluded: function(string, boolean): Promise<boolean>}} The restricted filter.
+ */
+function createSelectionFilter(baseFilter, selectedPaths) {
+    const files = new Set(selectedPaths.map(p => path.normalize(p)));
+    const directories = new Set();
+    files.forEach(filePath => {
+        for (let dir = path.dirname(filePath); dir !== '.' && !directories.has(dir); dir = path.dirname(dir)) {
+            directories.add(dir);
+        }
+    });
+
+    const isExcluded = async (relativePath, isDirectory) => {
+        const normalized = path.normalize(relativePath);
+        if (isDirectory ? !directories.has(normalized) : !files.has(normalized)) return true;
+        return baseFilter.isExcluded(relativePath, isDirectory);
+    };
+
+    return { isExcluded };
+}
+
+module.exports = {
+    IGNORE_FILE_NAMES,
+    STATIC_EXCLUDE_PATTERNS,
+    createIgnoreFilter,
+    createSelectionFilter,
+    toPosixPath
+};
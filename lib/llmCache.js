@@ -0,0 +1,112 @@
+// External dependencies
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Local modules
+const { USER_CACHE_DIRECTORY } = require('./contentCache');
+
+// In the user's cache directory, next to the content cache, so decisions never end up in a prompt
+const DEFAULT_CACHE_DIRECTORY = path.join(USER_CACHE_DIRECTORY, 'llm-filter');
+
+// Bump when the cached result shape changes, so old entries are no longer matched
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * Computes the cache key of an LLM filter request. The prompt embeds the directory structure, the
+ * context files (README, memory-bank, .md files), the filter level and the focus, so together with the
+ * provider and model it identifies the decision completely.
+ * @param {{provider: string, model: string}} llmConfig - Provider configuration from resolveProviderConfig.
+ * @param {string} promptContent - The full filtering prompt.
+ * @returns {string} A hex SHA-256 hash.
+ */
+function computeCacheKey(llmConfig, promptContent) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([CACHE_FORMAT_VERSION, llmConfig.provider, llmConfig.model, promptContent]))
+        .digest('hex');
+}
+
+/**
+ * Reads a cached decision and marks it as recently used (for pruning).
+ * @param {string} cacheDirectory - The cache directory.
+ * @param {string} key - Result of computeCacheKey.
+ * @returns {Promise<{createdAt: string, result: object} | null>} The cache entry, or null if there is none (or it is unreadable).
+ */
+async function readCachedDecision(cacheDirectory, key) {
+    const entryPath = path.join(cacheDirectory, `${key}.json`);
+    try {
+        const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+        const now = new Date();
+        await fs.utimes(entryPath, now, now);
+        return entry;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Stores a decision in the cache. Failures are reported but never fail the run.
+ * @param {string} cacheDirectory - The cache directory.
+ * @param {string} key - Result of computeCacheKey.
+ * @param {object} entry - Data to store: the decision (`result`) plus descriptive fields (model, filter level, focus).
+ * @returns {Promise<void>}
+ */
+async function writeCachedDecision(cacheDirectory, key, entry) {
+    try {
+        await fs.mkdir(cacheDirectory, { recursive: true });
+        const data = { version: CACHE_FORMAT_VERSION, createdAt: new Date().toISOString(), ...entry };
+        await fs.writeFile(path.join(cacheDirectory, `${key}.json`), JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.warn(`Could not write LLM filter cache entry to ${cacheDirectory}: ${error.message}`);
+    }
+}
+
+// Cache entries are named after their SHA-256 key; other files (e.g. the index of the content cache) are kept
+const ENTRY_FILE_PATTERN = /^[0-9a-f]{64}\.json$/;
+
+/**
+ * Removes cached entries that have not been used for a while (or all of them). Also used for the content cache,
+ * whose entries are named the same way.
+ * @param {string} cacheDirectory - The cache directory.
+ * @param {object} [options={}] - Prune options.
+ * @param {number} [options.olderThanDays=30] - Remove entries last used more than this many days ago.
+ * @param {boolean} [options.all=false] - Remove every entry.
+ * @returns {Promise<{removed: number, kept: number}>} How many entries were removed and kept.
+ */
+async function pruneCache(cacheDirectory, options = {}) {
+    const { olderThanDays = 30, all = false } = options;
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    let entries;
+    try {
+        entries = await fs.readdir(cacheDirectory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return { removed: 0, kept: 0 };
+        throw error;
+    }
+
+    let removed = 0;
+    let kept = 0;
+    for (const name of entries.filter(entry => ENTRY_FILE_PATTERN.test(entry))) {
+        const entryPath = path.join(cacheDirectory, name);
+        const { mtimeMs } = await fs.stat(entryPath);
+        if (all || mtimeMs < cutoff) {
+            await fs.unlink(entryPath);
+            removed++;
+        } else {
+            kept++;
+        }
+    }
+    return { removed, kept };
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIRECTORY,
+    computeCacheKey,
+    pruneCache,
+    readCachedDecision,
+    writeCachedDecision
+};
@@ -0,0 +1,685 @@
+// External dependencies
+const path = require('path');
+
+// Local modules
+const { STATIC_EXCLUDE_PATTERNS } = require('./ignoreRules');
+const { countTokens, truncateToTokens } = require('./tokenCounter');
+const { planChunks } = require('./chunker');
+const { describeProjectName, resolveProjectRoots } = require('./projectPaths');
+const { chooseFence } = require('./formatters');
+const { DEFAULT_SUMMARY_TOKENS, summarizeFile } = require('./fileSummaries');
+const { supportsSkeleton } = require('./codeSkeleton');
+const { DEFAULT_CACHE_DIRECTORY, computeCacheKey, readCachedDecision, writeCachedDecision } = require('./llmCache');
+const { describeRequestError, getConfigurationError, parseJsonReply, resolveProviderConfig, sendChatRequest } = require('./llmProviders');
+const virtualFs = require('./virtualFs');
+const { logStatus } = require('./progress');
+
+const LLM_FILTER_LEVEL_DESCRIPTIONS = {
+    1: "Minimal: Exclude only obviously unnecessary files for analysis: lock files (package-lock.json, yarn.lock), system files (.DS_Store), version control system files (contents of .git folder), IDE configurations (.vscode, .idea). Do not exclude code files or important project configurations.",
+    2: "Light: Previous level + build/formatting configuration files that are not core logic (e.g., typical .prettierrc, .eslintrc.js, babel.config.js, webpack.config.js, tsconfig.json), unless they are exceptionally complex or unique for understanding the project.",
+    3: "Medium: Previous level + documentation files (except for the main README.md if it exists and is small), files with large static data (e.g., large JSONs with mock data if not critical for demonstrating logic), secondary test files (e.g., individual unit tests for simple utilities, but keep integration or key E2E tests).",
+    4: "Aggressive: Previous level + less important modules, utilities that are not central to the main functionality, possibly style files (CSS, SCSS) or less significant UI components (if the focus is on backend logic or core business logic). Also consider excluding files with usage examples or demo scripts that are not part of the main product.",
+    5: "Very Aggressive: Previous level + any files that are not absolutely critical for understanding the core business logic and architecture of the project. Leave only the core. Be very selective, but consider that losing some files might complicate understanding relationships."
+};
+
+// Content-aware filtering: files scoring below the threshold of the filter level (0-10 scale) are excluded
+const CONTENT_FILTER_SCORE_THRESHOLDS = { 1: 2, 2: 3, 3: 4, 4: 5, 5: 6 };
+
+// Skeleton mode: files scoring at least the exclusion threshold but below this one are included as outlines
+const CONTENT_FILTER_FULL_THRESHOLDS = { 1: 4, 2: 5, 3: 6, 4: 7, 5: 8 };
+
+// File types the LLM may choose as outlines (see lib/codeSkeleton)
+const SKELETON_FILE_TYPES = '.js, .jsx, .mjs, .cjs, .ts, .tsx, .py';
+
+// Default token limit of a single content-aware scoring request
+const DEFAULT_CONTENT_FILTER_BATCH_TOKENS = 8000;
+
+// Tokens of the README sent with every scoring request as project context
+const CONTENT_FILTER_README_TOKENS = 600;
+
+/**
+ * Reads additional context files for the LLM (README.md, memory-bank/*, other .md files).
+ * @param {string} basePath - The root path of the project.
+ * @returns {Promise<object>} An object containing content from README, memory-bank, and other MD files.
+ */
+async function readAdditionalContext(basePath) {
+    const context = {
+        readmeContent: null,
+        memoryBankFiles: [],
+        mdFiles: []
+    };
+
+    const readFileIfExists = async (filePath, relativePathName = null) => {
+        try {
+            const content = await virtualFs.readFile(filePath, 'utf8');
+            return {
+                name: path.basename(filePath),
+                path: relativePathName || path.relative(basePath, filePath),
+                content: content.trim()
+            };
+        } catch (error) {
+            // File not found is normal, other errors might be logged if needed
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read context file ${filePath}: ${error.message}`);
+            }
+            return null;
+        }
+    };
+
+    // Read README.md
+    const readmeData = await readFileIfExists(path.join(basePath, 'README.md'), 'README.md');
+    if (readmeData) context.readmeContent = readmeData.content;
+
+    // Read files from memory-bank/
+    const memoryBankPath = path.join(basePath, 'memory-bank');
+    try {
+        const memoryBankEntries = await virtualFs.readdir(memoryBankPath, { withFileTypes: true });
+        for (const entry of memoryBankEntries) {
+            if (entry.isFile() && !STATIC_EXCLUDE_PATTERNS.some(ex => entry.name.includes(ex))) {
+                const fileData = await readFileIfExists(path.join(memoryBankPath, entry.name));
+                if (fileData) context.memoryBankFiles.push(fileData);
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not read memory-bank directory ${memoryBankPath}: ${error.message}`);
+        }
+    }
+
+    // Read all .md files from the project root (non-recursively, avoid duplicates)
+    try {
+        const rootEntries = await virtualFs.readdir(basePath, { withFileTypes: true });
+        for (const entry of rootEntries) {
+            if (
+                entry.isFile() &&
+                entry.name.toLowerCase().endsWith('.md') &&
+                entry.name.toLowerCase() !== 'readme.md' && // README.md already handled
+                !STATIC_EXCLUDE_PATTERNS.some(ex => entry.name.includes(ex))
+            ) {
+                const fileData = await readFileIfExists(path.join(basePath, entry.name), entry.name);
+                if (fileData) context.mdFiles.push(fileData);
+            }
+        }
+    } catch (error) {
+        console.warn(`Error reading root directory for .md files ${basePath}: ${error.message}`);
+    }
+
+    return context;
+}
+
+/**
+ * Reads the additional context of several project roots. Each root's README.md is listed with the
+ * other .md files, and all paths are prefixed with the root label.
+ * @param {Array<{label: string, path: string}>} projectRoots - Roots returned by resolveProjectRoots.
+ * @returns {Promise<object>} The merged context, in the format of readAdditionalContext.
+ */
+async function readMultiRootContext(projectRoots) {
+    const merged = { readmeContent: null, memoryBankFiles: [], mdFiles: [] };
+    for (const root of projectRoots) {
+        const context = await readAdditionalContext(root.path);
+        const withLabel = file => ({ ...file, path: path.join(root.label, file.path) });
+        if (context.readmeContent) {
+            merged.mdFiles.push({ name: 'README.md', path: path.join(root.label, 'README.md'), content: context.readmeContent });
+        }
+        merged.memoryBankFiles.push(...context.memoryBankFiles.map(withLabel));
+        merged.mdFiles.push(...context.mdFiles.map(withLabel));
+    }
+    return merged;
+}
+
+/**
+ * Redacts secrets in the additional context before it is sent to the LLM. Files in which possible secrets
+ * remain after redaction are left out of the context.
+ * @param {object} context - Context from readAdditionalContext or readMultiRootContext.
+ * @param {object | null} redactor - Redactor from createRedactor (lib/secretRedactor); null sends the context as is.
+ * @returns {object} The redacted context, in the same format.
+ */
+function redactAdditionalContext(context, redactor) {
+    if (!redactor) return context;
+    const redactFile = file => {
+        const { content, residual } = redactor.redact(file.content, file.path);
+        if (residual.length > 0) {
+            console.warn(`Not sending ${file.path} to the LLM: it may contain secrets that could not be redacted.`);
+            return null;
+        }
+        return { ...file, content };
+    };
+    const readme = context.readmeContent ? redactFile({ path: 'README.md', content: context.readmeContent }) : null;
+    return {
+        readmeContent: readme ? readme.content : null,
+        memoryBankFiles: context.memoryBankFiles.map(redactFile).filter(Boolean),
+        mdFiles: context.mdFiles.map(redactFile).filter(Boolean)
+    };
+}
+
+/**
+ * Lists paths in a message, e.g. "a.js, b.js, c.js and 4 more".
+ * @param {string[]} paths - The paths.
+ * @returns {string} The list.
+ */
+function formatPathList(paths) {
+    const shown = paths.slice(0, 5).join(', ');
+    return paths.length > 5 ? `${shown} and ${paths.length - 5} more` : shown;
+}
+
+/**
+ * Sends a request that must be answered with a JSON object and checks the reply. A reply with problems (invalid JSON,
+ * wrong fields, unknown paths) is sent back once with the problems found, asking the model to correct it.
+ * @param {object} llmConfig - Provider configuration (see resolveProviderConfig).
+ * @param {string} promptContent - The request.
+ * @param {function(object): {value: object | null, problems: string[]}} validate - Checks a parsed reply: `value` is its
+ *   usable part (null if nothing is usable), `problems` describes what is wrong with it.
+ * @returns {Promise<object>} The usable part of the reply, preferring the corrected one; the parts that are still
+ *   invalid after the correction are left out (and reported).
+ * @throws {Error} If a request fails (see sendChatRequest) or neither reply is usable.
+ */
+async function requestValidReply(llmConfig, promptContent, validate) {
+    const check = (content) => {
+        let parsedJson;
+        try {
+            parsedJson = parseJsonReply(content);
+        } catch (error) {
+            return { value: null, problems: [`the reply is not valid JSON (${error.message})`] };
+        }
+        return validate(parsedJson);
+    };
+    const messages = [{ role: "user", content: promptContent }];
+    const response = await sendChatRequest(llmConfig, messages, { json: true, temperature: 0.2 });
+    const reply = check(response.content);
+    if (reply.problems.length === 0) return reply.value;
+
+    console.warn(`The ${llmConfig.label} reply cannot be used as is: ${reply.problems.join('; ')}. Asking the model to correct it...`);
+    const repairResponse = await sendChatRequest(llmConfig, [
+        ...messages,
+        { role: "assistant", content: response.content || "(empty reply)" },
+        { role: "user", content: `Your reply cannot be used: ${reply.problems.join('; ')}.
+Reply again with the corrected JSON object only, in the structure requested above, using file paths exactly as they were given.` }
+    ], { json: true, temperature: 0.2 });
+    const repaired = check(repairResponse.content);
+    const usable = repaired.value ? repaired : reply;
+    if (!usable.value) {
+        throw new Error(`the model did not return a usable reply, even after a correction request (${repaired.problems.join('; ')})`);
+    }
+    if (usable.problems.length > 0) {
+        console.warn(`Ignoring the invalid parts of the ${llmConfig.label} reply: ${usable.problems.join('; ')}.`);
+    }
+    return usable.value;
+}
+
+/**
+ * Validates the reply to a structure-based filtering request: the fields must have the requested types, and the
+ * excluded and outlined paths must be files of the structure (models sometimes invent paths or list directories).
+ * @param {object} parsedJson - The parsed reply.
+ * @param {object} options - What was requested.
+ * @param {Set<string> | null} options.knownPaths - Files of the structure; null accepts any path.
+ * @param {string[]} options.changedFiles - Files under review, which are never excluded or outlined.
+ * @param {boolean} options.requestSkeletons - Whether outlines were requested.
+ * @param {boolean} options.requestPriority - Whether a ranking was requested.
+ * @returns {{value: {excludedFiles: string[], skeletonFiles: string[], suggestedFileName: string | null, filePriority: string[]} | null,
+ *   problems: string[]}} The reply without invalid entries (null if it is unusable), and the problems found.
+ */
+function validateFilterReply(parsedJson, { knownPaths, changedFiles, requestSkeletons, requestPriority }) {
+    if (!parsedJson || typeof parsedJson !== 'object' || Array.isArray(parsedJson)) {
+        return { value: null, problems: ['the reply is not a JSON object'] };
+    }
+    if (!Array.isArray(parsedJson.excludedFiles)) {
+        return { value: null, problems: ['"excludedFiles" is missing or not an array'] };
+    }
+    const problems = [];
+    const readPaths = (field, reportUnknown) => {
+        const items = parsedJson[field];
+        if (items === undefined) return [];
+        if (!Array.isArray(items)) {
+            problems.push(`"${field}" is not an array`);
+            return [];
+        }
+        if (items.some(item => typeof item !== 'string')) {
+            problems.push(`"${field}" must only contain path strings`);
+        }
+        const paths = items
+            .filter(item => typeof item === 'string' && item.trim() !== '')
+            .map(p => path.normalize(p.trim())); // Normalize paths for consistent comparison
+        if (!knownPaths) return paths;
+        const unknown = paths.filter(p => !knownPaths.has(p));
+        if (unknown.length > 0 && reportUnknown) {
+            problems.push(`"${field}" lists ${unknown.length} path(s) that are not files of the structure: ${formatPathList(unknown)}`);
+        }
+        return paths.filter(p => knownPaths.has(p));
+    };
+
+    const changedPathsSet = new Set(changedFiles.map(p => path.normalize(p)));
+    const excludedFiles = [...new Set(readPaths('excludedFiles', true))]
+        .filter(p => !changedPathsSet.has(p)); // Files under review are never filtered out
+    const excludedPathsSet = new Set(excludedFiles);
+    const skeletonFiles = requestSkeletons
+        ? [...new Set(readPaths('skeletonFiles', true))].filter(p => !excludedPathsSet.has(p) && !changedPathsSet.has(p) && supportsSkeleton(p))
+        : [];
+    // The ranking only orders the retained files, so unknown entries in it are dropped without asking again
+    const filePriority = requestPriority ? readPaths('filePriority', false) : [];
+    const suggestedFileName = typeof parsedJson.suggestedFileName === 'string' && parsedJson.suggestedFileName.trim()
+        ? parsedJson.suggestedFileName.trim().replace(/\s+/g, '-') // Basic sanitization
+        : null;
+    return { value: { excludedFiles, skeletonFiles, suggestedFileName, filePriority }, problems };
+}
+
+/**
+ * Gets a list of files suggested for exclusion by an LLM and a suggested project name.
+ * @param {string} projectStructureString - String representation of the project structure.
+ * @param {number} filterLevel - The aggressiveness level for LLM filtering (0-5).
+ * @param {string | string[]} basePath - The root path of the project, or several roots (paths in the structure then start with each root's label).
+ * @param {string} [customFocusPrompt=""] - A custom prompt to guide LLM's focus.
+ * @param {object} [options={}] - Additional options.
+ * @param {boolean} [options.requestPriority=false] - Also ask for a ranking of the retained files (used by the token budget).
+ * @param {boolean} [options.requestSkeletons=false] - Also ask which retained files only need an outline (see lib/codeSkeleton).
+ * @param {object} [options.llmConfig] - Provider configuration from resolveProviderConfig; defaults to the environment settings.
+ * @param {string[]} [options.changedFiles=[]] - Git mode: files under review (marked in the structure). They are always
+ *   kept; the LLM only decides which unchanged files are useful context.
+ * @param {{directory: string, read: boolean} | null} [options.cache] - Decision cache: identical requests (same structure,
+ *   context files, level, focus and model) reuse the stored decision when `read` is set; successful decisions are always
+ *   stored. Null disables the cache. Defaults to DEFAULT_CACHE_DIRECTORY with reading enabled.
+ * @param {object | null} [options.redactor=null] - Redacts secrets in the context files sent to the LLM (see redactAdditionalContext).
+ * @param {string[] | null} [options.knownPaths=null] - Files of the structure. Excluded or outlined paths that are not
+ *   among them are sent back for correction (see requestValidReply) and then dropped; null accepts any path.
+ * @returns {Promise<{excludedFiles: string[], skeletonFiles: string[], suggestedFileName: string | null, filePriority: string[],
+ *   fromCache: boolean, cachedAt?: string, failure?: string}>} The decision. When no usable decision was received
+ *   (provider not configured, request failed, invalid reply), nothing is excluded and `failure` says why.
+ */
+async function getLLMFilteredExclusions(projectStructureString, filterLevel, basePath, customFocusPrompt = "", options = {}) {
+    const {
+        requestPriority = false,
+        requestSkeletons = false,
+        llmConfig = resolveProviderConfig(),
+        changedFiles = [],
+        cache = { directory: DEFAULT_CACHE_DIRECTORY, read: true },
+        redactor = null,
+        knownPaths = null
+    } = options;
+    const configurationError = getConfigurationError(llmConfig);
+    if (configurationError) {
+        console.warn(`WARNING: ${configurationError} LLM filtering will be skipped.`);
+        return { excludedFiles: [], skeletonFiles: [], suggestedFileName: null, filePriority: [], failure: configurationError };
+    }
+    if (filterLevel === 0) {
+        logStatus("LLM filtering is disabled (level 0).");
+        return { excludedFiles: [], skeletonFiles: [], suggestedFileName: null, filePriority: [] };
+    }
+
+    logStatus("Reading additional context for LLM (README.md, memory-bank/*, .md files)...");
+    const projectRoots = resolveProjectRoots([].concat(basePath));
+    const additionalContext = redactAdditionalContext(projectRoots.length === 1
+        ? await readAdditionalContext(projectRoots[0].path)
+        : await readMultiRootContext(projectRoots), redactor);
+    const rootDescription = projectRoots.length === 1
+        ? `the project root "${projectRoots[0].label}"`
+        : `the project roots; every path starts with its root label: ${projectRoots.map(root => `"${root.label}"`).join(', ')}`;
+
+    let focusInstruction = "";
+    if (customFocusPrompt && customFocusPrompt.trim() !== "") {
+        focusInstruction = `\n\nIMPORTANT: The subsequent code analysis will focus on: "${customFocusPrompt}". Please consider this focus when selecting files for exclusion. Files directly related to this focus, or necessary for understanding it (e.g., dependencies, related configurations), should be RETAINED, even if you would normally exclude them at this aggressiveness level.`;
+    }
+
+    let contextSection = "\n\n## ADDITIONAL PROJECT CONTEXT\n\n";
+    if (additionalContext.readmeContent) {
+        contextSection += `### README.md\n\`\`\`markdown\n${additionalContext.readmeContent}\n\`\`\`\n\n`;
+    }
+    if (additionalContext.memoryBankFiles.length > 0) {
+        contextSection += `### Files from Memory Bank\n`;
+        additionalContext.memoryBankFiles.forEach(file => {
+            contextSection += `\n#### ${file.path}\n\`\`\`markdown\n${file.content}\n\`\`\`\n`;
+        });
+        contextSection += `\n`;
+    }
+    if (additionalContext.mdFiles.length > 0) {
+        contextSection += `### Other .md Files\n`;
+        additionalContext.mdFiles.forEach(file => {
+            contextSection += `\n#### ${file.path}\n\`\`\`markdown\n${file.content}\n\`\`\`\n`;
+        });
+        contextSection += `\n`;
+    }
+    if (contextSection === "\n\n## ADDITIONAL PROJECT CONTEXT\n\n") { // No additional context found
+        contextSection = "\n\n(Additional context: README.md, memory-bank files, and other .md files were not found or are empty)\n\n";
+    }
+
+    let changesInstruction = "";
+    if (changedFiles.length > 0) {
+        changesInstruction = `\n\nIMPORTANT: This is a review of changes. Files marked with a change status in the structure (e.g. "[modified]", "[added]") are under review and will ALWAYS be included; do not list them. Decide only which of the unmarked, unchanged files are useful context for reviewing these changes, and exclude the rest according to the filtering level.`;
+    }
+
+    let skeletonInstruction = "";
+    let skeletonJsonField = "";
+    let skeletonFieldDescription = "";
+    if (requestSkeletons) {
+        skeletonInstruction = `\n6. Besides full inclusion and exclusion there is a middle tier: an outline of the file (imports, signatures of functions and classes, JSDoc/docstrings and type declarations, with function bodies removed). Put files that are secondary at this level but whose interfaces help to understand the rest (helpers, models, API clients, secondary modules) into skeletonFiles instead of excluding them. Higher filtering levels should move more files from full content to outline, and from outline to exclusion. Only ${SKELETON_FILE_TYPES} files can be outlined.`;
+        skeletonJsonField = `,\n  "skeletonFiles": ["path/to/secondaryModule.js"]`;
+        skeletonFieldDescription = `\n- skeletonFiles: An array of RELATIVE PATHS of files to include as outlines only. A file must not be in both excludedFiles and skeletonFiles.`;
+    }
+
+    let priorityInstruction = "";
+    let priorityJsonField = "";
+    let priorityFieldDescription = "";
+    if (requestPriority) {
+        priorityInstruction = `\n${requestSkeletons ? 7 : 6}. The final prompt must fit a fixed token budget, so some of the retained files may later be dropped or truncated. Rank ALL files you do not exclude from most to least important for the analysis.`;
+        priorityJsonField = `,\n  "filePriority": ["most/important/file.js", "less/important/file.js"]`;
+        priorityFieldDescription = `\n- filePriority: An array of RELATIVE PATHS of all retained files, ordered from most to least important. Paths must be exactly as in the structure.`;
+    }
+
+    const promptContent = `
+You are a code analysis assistant. I need to prepare project files for analysis by another LLM.
+To reduce the number of tokens, I want to filter out some files.
+
+Here is the project structure (paths relative to ${rootDescription}):
+\`\`\`text
+${projectStructureString}
+\`\`\`${contextSection}
+
+Filtering level: ${filterLevel} (${LLM_FILTER_LEVEL_DESCRIPTIONS[filterLevel] || 'Apply general principles for this aggressiveness level'}).${focusInstruction}${changesInstruction}
+
+Your task:
+1. Analyze the provided file structure and determine the main purpose of the project, using additional context from README.md, memory-bank, and .md files.
+2. Consider the specified filtering level.
+3. If an "IMPORTANT" analysis focus is provided, pay special attention to it. Concentrate on what is requested in the focus.
+4. The static exclusion list (${STATIC_EXCLUDE_PATTERNS.join(', ')}) and the project's .gitignore rules have already been applied to the structure above; do not duplicate them unless they are part of the provided structure that somehow bypassed static filtering.
+5. Based on the project structure, additional context, and its purpose, devise a short, descriptive project name (2-4 words, English, no spaces, camelCase or kebab-case).${skeletonInstruction}${priorityInstruction}
+
+Return a JSON object with the following structure:
+{
+  "excludedFiles": ["path1/to/file.js", "path2/to/anotherFile.ts"],
+  "suggestedFileName": "project-name-idea"${skeletonJsonField}${priorityJsonField}
+}
+
+- excludedFiles: An array of strings with RELATIVE PATHS to files (relative to ${rootDescription}) that you recommend excluding. Paths must be exactly as in the structure.
+- suggestedFileName: A short, descriptive project name based on the analysis of the structure and context (e.g., "apiGateway", "userAuthService", "ecommerceBackend", "blogApplication").${skeletonFieldDescription}${priorityFieldDescription}
+
+If, considering the level and focus, you do not think any files from the provided structure should be excluded, return an empty array for excludedFiles.
+Ensure your response is a valid JSON object.
+`;
+
+    const cacheKey = cache ? computeCacheKey(llmConfig, promptContent) : null;
+    if (cache && cache.read) {
+        const cached = await readCachedDecision(cache.directory, cacheKey);
+        if (cached) {
+            logStatus(`Using cached LLM filter decision from ${cached.createdAt} (use --noCache to ask the LLM again).`);
+            logStatus("Files excluded by cached decision:", cached.result.excludedFiles);
+            return { skeletonFiles: [], ...cached.result, fromCache: true, cachedAt: cached.createdAt };
+        }
+    }
+
+    let reply;
+    try {
+        logStatus(`Sending request to ${llmConfig.label} (${llmConfig.model}) for file filtering and name generation (Level: ${filterLevel}, Focus: "${customFocusPrompt || 'none'}")...`);
+        // console.log("LLM Prompt Content:", promptContent); // Uncomment for debugging the prompt
+        reply = await requestValidReply(llmConfig, promptContent, parsedJson => validateFilterReply(parsedJson, {
+            knownPaths: knownPaths ? new Set(knownPaths.map(p => path.normalize(p))) : null,
+            changedFiles,
+            requestSkeletons,
+            requestPriority
+        }));
+    } catch (error) {
+        const failure = `${llmConfig.label} filtering failed: ${describeRequestError(error)}`;
+        console.error(`Error: ${failure}`);
+        return { excludedFiles: [], skeletonFiles: [], suggestedFileName: null, filePriority: [], failure };
+    }
+
+    const result = { ...reply, fromCache: false };
+    if (cache) {
+        await writeCachedDecision(cache.directory, cacheKey, {
+            provider: llmConfig.provider,
+            model: llmConfig.model,
+            filterLevel,
+            focus: customFocusPrompt,
+            result: {
+                excludedFiles: result.excludedFiles,
+                skeletonFiles: result.skeletonFiles,
+                suggestedFileName: result.suggestedFileName,
+                filePriority: result.filePriority
+            }
+        });
+    }
+
+    logStatus("Files suggested by LLM for exclusion:", result.excludedFiles);
+    if (requestSkeletons) {
+        logStatus("Files suggested by LLM for outlines:", result.skeletonFiles);
+    }
+    logStatus("Project name suggested by LLM:", result.suggestedFileName);
+    if (requestPriority) {
+        logStatus(`File priority ranking received from LLM for ${result.filePriority.length} files.`);
+    }
+    return result;
+}
+
+/**
+ * Validates the reply to a content-aware scoring request.
+ * @param {object} parsedJson - The parsed reply.
+ * @param {Set<string>} batchPaths - Paths of the files sent in the request; scores for other paths are ignored.
+ * @returns {{files: Array<{path: string, score: number, rationale: string}>, suggestedFileName: string | null}}
+ */
+function parseScoreReply(parsedJson, batchPaths) {
+    const files = (Array.isArray(parsedJson.files) ? parsedJson.files : [])
+        .filter(item => item && typeof item.path === 'string' && Number.isFinite(Number(item.score)))
+        .map(item => ({
+            path: path.normalize(item.path.trim()),
+            score: Math.min(10, Math.max(0, Number(item.score))),
+            rationale: typeof item.rationale === 'string' ? item.rationale.replace(/\s+/g, ' ').trim().slice(0, 200) : ''
+        }))
+        .filter(item => batchPaths.has(item.path));
+    const suggestedFileName = typeof parsedJson.suggestedFileName === 'string' && parsedJson.suggestedFileName.trim()
+        ? parsedJson.suggestedFileName.trim().replace(/\s+/g, '-')
+        : null;
+    return { files, suggestedFileName };
+}
+
+/**
+ * Checks the reply to a content-aware scoring request (see requestValidReply): every file of the batch should be
+ * scored, and no other file.
+ * @param {object} parsedJson - The parsed reply.
+ * @param {Set<string>} batchPaths - Paths of the files sent in the request.
+ * @returns {{value: {files: Array<object>, suggestedFileName: string | null} | null, problems: string[]}} The valid
+ *   scores (see parseScoreReply), or null if the reply is unusable, and the problems found.
+ */
+function validateScoreReply(parsedJson, batchPaths) {
+    if (!parsedJson || typeof parsedJson !== 'object' || Array.isArray(parsedJson)) {
+        return { value: null, problems: ['the reply is not a JSON object'] };
+    }
+    if (!Array.isArray(parsedJson.files)) {
+        return { value: null, problems: ['"files" is missing or not an array'] };
+    }
+    const value = parseScoreReply(parsedJson, batchPaths);
+    const problems = [];
+    const unknown = parsedJson.files
+        .filter(item => item && typeof item.path === 'string')
+        .map(item => path.normalize(item.path.trim()))
+        .filter(p => !batchPaths.has(p));
+    if (unknown.length > 0) {
+        problems.push(`${unknown.length} scored path(s) were not in the list: ${formatPathList(unknown)}`);
+    }
+    const scoredPaths = new Set(value.files.map(item => item.path));
+    const missing = [...batchPaths].filter(p => !scoredPaths.has(p));
+    if (missing.length > 0) {
+        problems.push(`${missing.length} file(s) have no valid score: ${formatPathList(missing)}`);
+    }
+    return { value, problems };
+}
+
+/**
+ * Content-aware filtering: sends summaries of the files (first lines, exports and signatures) to the LLM in
+ * batches, gets a relevance score (0-10) and a one-line rationale per file, and excludes the files scoring
+ * below the threshold of the filter level (CONTENT_FILTER_SCORE_THRESHOLDS). In skeleton mode, files scoring below
+ * CONTENT_FILTER_FULL_THRESHOLDS (but not excluded) are chosen for outlines.
+ * Changed files (git mode), placeholders and unreadable files are not scored and never excluded. Files of a
+ * batch whose request fails are kept, and `failure` reports the failed requests.
+ * @param {Array<object>} projectFiles - File entries read without LLM exclusions (see readProjectFiles).
+ * @param {number} filterLevel - The aggressiveness level (1-5).
+ * @param {string | string[]} basePath - The root path of the project, or several roots.
+ * @param {string} [customFocusPrompt=""] - The analysis focus the files are scored against.
+ * @param {object} [options={}] - Additional options.
+ * @param {object} [options.llmConfig] - Provider configuration from resolveProviderConfig; defaults to the environment settings.
+ * @param {number} [options.batchTokens=DEFAULT_CONTENT_FILTER_BATCH_TOKENS] - Token limit of a single request.
+ * @param {boolean} [options.skeleton=false] - Choose files for outlines (see lib/codeSkeleton) in addition to exclusions.
+ * @param {{directory: string, read: boolean} | null} [options.cache] - Decision cache (see getLLMFilteredExclusions),
+ *   used per batch.
+ * @param {object | null} [options.redactor=null] - Redacts secrets in the README excerpt sent to the LLM. The file
+ *   summaries come from `projectFiles`, which are redacted when read.
+ * @returns {Promise<{excludedFiles: string[], skeletonFiles: string[], suggestedFileName: string | null, filePriority: string[],
+ *   exclusionReasons: Object<string, {score: number, rationale: string}>, scoreThreshold: number, fromCache: boolean, cachedAt?: string,
+ *   failure?: string}>}
+ * @throws {Error} If the batch token limit cannot hold a single file summary.
+ */
+async function getContentAwareExclusions(projectFiles, filterLevel, basePath, customFocusPrompt = "", options = {}) {
+    const {
+        llmConfig = resolveProviderConfig(),
+        batchTokens = DEFAULT_CONTENT_FILTER_BATCH_TOKENS,
+        skeleton = false,
+        cache = { directory: DEFAULT_CACHE_DIRECTORY, read: true },
+        redactor = null
+    } = options;
+    const threshold = CONTENT_FILTER_SCORE_THRESHOLDS[filterLevel];
+    const fullThreshold = skeleton ? CONTENT_FILTER_FULL_THRESHOLDS[filterLevel] : threshold;
+    const result = {
+        excludedFiles: [],
+        skeletonFiles: [],
+        suggestedFileName: null,
+        filePriority: [],
+        exclusionReasons: {},
+        scoreThreshold: threshold,
+        fromCache: false
+    };
+    const configurationError = getConfigurationError(llmConfig);
+    if (configurationError) {
+        console.warn(`WARNING: ${configurationError} LLM filtering will be skipped.`);
+        return { ...result, failure: configurationError };
+    }
+    const candidates = projectFiles.filter(file => !file.changeStatus && !file.omitted && !file.error && !file.excludedByLLM);
+    if (!threshold || candidates.length === 0) {
+        logStatus("Content-aware filtering: no files to score.");
+        return result;
+    }
+
+    const projectRoots = resolveProjectRoots([].concat(basePath));
+    const additionalContext = redactAdditionalContext(projectRoots.length === 1
+        ? await readAdditionalContext(projectRoots[0].path)
+        : await readMultiRootContext(projectRoots), redactor);
+    const readme = additionalContext.readmeContent || (additionalContext.mdFiles.find(file => file.name === 'README.md') || {}).content;
+    const readmeSection = readme
+        ? `\n\nREADME excerpt:\n\`\`\`markdown\n${truncateToTokens(readme, CONTENT_FILTER_README_TOKENS)}\n\`\`\``
+        : '';
+    const rootDescription = projectRoots.length === 1
+        ? `the project root "${projectRoots[0].label}"`
+        : `the project roots; every path starts with its root label: ${projectRoots.map(root => `"${root.label}"`).join(', ')}`;
+    const focusText = customFocusPrompt && customFocusPrompt.trim() !== ""
+        ? `"${customFocusPrompt}"`
+        : "general understanding of the project's purpose, architecture and core logic";
+
+    const renderSummary = entry => {
+        const fence = chooseFence(entry.content);
+        return `### ${entry.path}\n${fence}text\n${entry.content}\n${fence}\n\n`;
+    };
+    const buildBatchPrompt = (summaries, fileCount, requestName) => `
+You are a code analysis assistant. I am preparing project files for analysis by another LLM and need to decide which files are worth including.
+
+Project: ${describeProjectName(basePath)}${readmeSection}
+
+Analysis focus: ${focusText}
+Filtering level: ${filterLevel} (${LLM_FILTER_LEVEL_DESCRIPTIONS[filterLevel]})
+
+Below are summaries of ${fileCount} files (paths relative to ${rootDescription}): line count, first lines and declared signatures.
+
+${summaries}Your task:
+1. Rate how relevant each file is for the analysis focus at this filtering level, from 0 (irrelevant) to 10 (essential). Files needed to understand the focus (dependencies, related configuration) deserve a high score.
+2. Give a one-line rationale (at most 15 words) for each score.${requestName ? `\n3. Devise a short, descriptive project name (2-4 words, English, no spaces, camelCase or kebab-case).` : ''}
+
+Return a JSON object with the following structure:
+{
+  "files": [{"path": "path/to/file.js", "score": 7, "rationale": "Defines the request router used by every endpoint."}]${requestName ? `,\n  "suggestedFileName": "project-name-idea"` : ''}
+}
+
+Include every listed file exactly once, with its path exactly as given.
+Ensure your response is a valid JSON object.
+`;
+
+    const overheadTokens = countTokens(buildBatchPrompt('', 999, true));
+    const capacity = batchTokens - overheadTokens;
+    if (capacity < 100) {
+        throw new Error(`Content filter batch size (--contentFilterBatchTokens ${batchTokens}) is too small: the instructions and README excerpt alone take ~${overheadTokens} tokens.`);
+    }
+    const summaryTokens = Math.min(DEFAULT_SUMMARY_TOKENS, Math.floor(capacity / 2));
+    const summaries = candidates.map(file => ({ path: file.path, content: summarizeFile(file.content, summaryTokens) }));
+    const batches = planChunks(summaries, capacity, entry => countTokens(renderSummary(entry)));
+    logStatus(`Content-aware filtering: scoring ${candidates.length} files in ${batches.length} request(s) of at most ${batchTokens} tokens (Level: ${filterLevel}, exclusion below score ${threshold}, Focus: "${customFocusPrompt || 'none'}")...`);
+
+    const scores = new Map();
+    let cachedBatches = 0;
+    let failedBatches = 0;
+    for (const [index, batch] of batches.entries()) {
+        const batchLabel = `${index + 1}/${batches.length}`;
+        const promptContent = buildBatchPrompt(batch.map(renderSummary).join(''), batch.length, index === 0);
+        const cacheKey = cache ? computeCacheKey(llmConfig, promptContent) : null;
+        let reply = null;
+        if (cache && cache.read) {
+            const cached = await readCachedDecision(cache.directory, cacheKey);
+            if (cached) {
+                reply = cached.result;
+                cachedBatches++;
+                if (!result.cachedAt || cached.createdAt > result.cachedAt) result.cachedAt = cached.createdAt;
+            }
+        }
+        if (!reply) {
+            try {
+                logStatus(`Sending batch ${batchLabel} (${batch.length} files) to ${llmConfig.label} (${llmConfig.model})...`);
+                const batchPaths = new Set(batch.map(entry => entry.path));
+                reply = await requestValidReply(llmConfig, promptContent, parsedJson => validateScoreReply(parsedJson, batchPaths));
+            } catch (error) {
+                console.error(`Error scoring batch ${batchLabel} with ${llmConfig.label} (content-aware filtering): ${describeRequestError(error)}. Its files are kept.`);
+                failedBatches++;
+                continue;
+            }
+            if (cache) {
+                await writeCachedDecision(cache.directory, cacheKey, {
+                    provider: llmConfig.provider,
+                    model: llmConfig.model,
+                    filterLevel,
+                    focus: customFocusPrompt,
+                    batch: batchLabel,
+                    result: reply
+                });
+            }
+        }
+        reply.files.forEach(item => scores.set(item.path, item));
+        if (!result.suggestedFileName && reply.suggestedFileName) {
+            result.suggestedFileName = reply.suggestedFileName;
+        }
+    }
+    result.fromCache = cachedBatches === batches.length;
+    if (failedBatches > 0) {
+        result.failure = `${failedBatches} of ${batches.length} scoring request(s) failed; their files were kept unfiltered`;
+    }
+    if (cachedBatches > 0) {
+        logStatus(`Used cached scores for ${cachedBatches} of ${batches.length} batch(es) (use --noCache to ask the LLM again).`);
+    }
+
+    const ranked = [...scores.values()].sort((a, b) => b.score - a.score);
+    ranked.filter(item => item.score < threshold).forEach(item => {
+        result.excludedFiles.push(item.path);
+        result.exclusionReasons[item.path] = { score: item.score, rationale: item.rationale };
+    });
+    result.skeletonFiles = ranked
+        .filter(item => item.score >= threshold && item.score < fullThreshold && supportsSkeleton(item.path))
+        .map(item => item.path);
+    result.filePriority = ranked.filter(item => item.score >= threshold).map(item => item.path);
+
+    const unscored = candidates.length - scores.size;
+    logStatus(`Content-aware filtering: ${scores.size} files scored, ${result.excludedFiles.length} excluded${skeleton ? `, ${result.skeletonFiles.length} outlined (score below ${fullThreshold})` : ''}${unscored > 0 ? `, ${unscored} not scored (kept)` : ''}.`);
+    result.excludedFiles.forEach(p => {
+        logStatus(`  - ${p} (score ${result.exclusionReasons[p].score}): ${result.exclusionReasons[p].rationale}`);
+    });
+    return result;
+}
+
+module.exports = {
+    CONTENT_FILTER_FULL_THRESHOLDS,
+    CONTENT_FILTER_SCORE_THRESHOLDS,
+    DEFAULT_CONTENT_FILTER_BATCH_TOKENS,
+    LLM_FILTER_LEVEL_DESCRIPTIONS,
+    getContentAwareExclusions,
+    getLLMFilteredExclusions,
+    readAdditionalContext
+};
@@ -0,0 +1,573 @@
+// External dependencies
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+// Maximum number of tokens the model may generate per request (required by the Anthropic API)
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+// Instruction added for providers without a native JSON mode
+const JSON_ONLY_INSTRUCTION = 'Respond with a single valid JSON object and nothing else (no Markdown fences, no commentary).';
+
+// Values from .env.template and docs that are not real keys
+const PLACEHOLDER_API_KEYS = new Set(['YOUR_OPENAI_API_KEY_PLACEHOLDER', 'your_openai_api_key_here']);
+
+// Error messages of providers and local servers when a request does not fit the model's context window
+const CONTEXT_LENGTH_ERROR_PATTERN = /context[ _-]?(length|window)|maximum context|prompt is too long|too many tokens|token limit|input (is )?too long|exceeds the (maximum|limit)|request too large/i;
+
+// A request is abandoned when the provider sends nothing for this long (local models can be slow on large prompts)
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+// Retries after rate limiting, server errors, timeouts and dropped connections
+const DEFAULT_MAX_RETRIES = 3;
+
+// Delay before the n-th retry: RETRY_BASE_DELAY_MS * 2^(n-1) plus up to 25% jitter, unless the provider sends Retry-After
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Longer Retry-After waits are not honored: the request fails instead (e.g. a daily quota is exhausted)
+const MAX_RETRY_DELAY_MS = 60000;
+
+// 408 request timeout, 409 conflict (OpenAI), 429 rate limited, 5xx server errors, 529 overloaded (Anthropic)
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+// Network failures worth retrying (ECONNABORTED is an axios timeout); a refused connection means the server is not running
+const RETRYABLE_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN']);
+
+/**
+ * Provider definitions: defaults, the environment variable holding the API key, and how a chat
+ * request is built and its reply read. `buildRequest` returns {url, headers, body}; `parseResponse`
+ * returns {content, usage}. Streamed replies arrive as server-sent events or newline-delimited JSON
+ * (`streamFormat`); `parseStreamEvent` returns the {content, usage} of one event (both may be missing).
+ */
+const PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        defaultModel: 'gpt-4o',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        requiresApiKey: true,
+        buildRequest: (config, messages, options) => buildOpenAIRequest(config, messages, { ...options, streamUsage: true }),
+        parseResponse: parseOpenAIResponse,
+        streamFormat: 'sse',
+        parseStreamEvent: parseOpenAIStreamEvent
+    },
+    'openai-compatible': {
+        // llama.cpp server, LM Studio, vLLM, LocalAI, OpenRouter, ... JSON mode support varies, so it is requested in the prompt only
+        label: 'OpenAI-compatible',
+        defaultModel: 'local-model',
+        defaultBaseUrl: 'http://localhost:8080/v1',
+        apiKeyEnv: 'LLM_API_KEY',
+        requiresApiKey: false,
+        buildRequest: (config, messages, options) => buildOpenAIRequest(config, messages, { ...options, nativeJsonMode: false }),
+        parseResponse: parseOpenAIResponse,
+        streamFormat: 'sse',
+        parseStreamEvent: parseOpenAIStreamEvent
+    },
+    anthropic: {
+        label: 'Anthropic',
+        defaultModel: 'claude-sonnet-4-5',
+        defaultBaseUrl: 'https://api.anthropic.com',
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        requiresApiKey: true,
+        buildRequest: buildAnthropicRequest,
+        parseResponse: parseAnthropicResponse,
+        streamFormat: 'sse',
+        parseStreamEvent: parseAnthropicStreamEvent
+    },
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        apiKeyEnv: 'GEMINI_API_KEY',
+        requiresApiKey: true,
+        buildRequest: buildGeminiRequest,
+        parseResponse: parseGeminiResponse,
+        streamFormat: 'sse',
+        parseStreamEvent: parseGeminiResponse // Every event is a partial generateContent response
+    },
+    ollama: {
+        label: 'Ollama',
+        defaultModel: 'llama3.1',
+        defaultBaseUrl: 'http://localhost:11434',
+        apiKeyEnv: null,
+        requiresApiKey: false,
+        buildRequest: buildOllamaRequest,
+        parseResponse: parseOllamaResponse,
+        streamFormat: 'ndjson',
+        parseStreamEvent: parseOllamaResponse // Every line is a partial /api/chat response; the last one has the counts
+    }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// --- Request builders and response parsers ---
+
+/**
+ * Builds an OpenAI Chat Completions request.
+ * @param {object} config - Resolved provider configuration.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages.
+ * @param {{json: boolean, temperature: number, stream?: boolean, nativeJsonMode?: boolean, streamUsage?: boolean}} options -
+ *   Request options; `streamUsage` asks for token usage at the end of a stream (not supported by every compatible server).
+ * @returns {{url: string, headers: object, body: object}}
+ */
+function buildOpenAIRequest(config, messages, options) {
+    const { json, temperature, stream = false, nativeJsonMode = true, streamUsage = false } = options;
+    const body = { model: config.model, messages, temperature };
+    if (stream) {
+        body.stream = true;
+        if (streamUsage) body.stream_options = { include_usage: true };
+    }
+    if (json && nativeJsonMode) {
+        body.response_format = { type: 'json_object' };
+    } else if (json) {
+        body.messages = [{ role: 'system', content: JSON_ONLY_INSTRUCTION }, ...messages];
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+    return { url: `${config.baseUrl}/chat/completions`, headers, body };
+}
+
+/**
+ * Reads the reply text and token usage from an OpenAI Chat Completions response.
+ * @param {object} data - The response body.
+ * @returns {{content: string, usage: object | null}}
+ * @throws {Error} If the response holds no reply (e.g. a compatible server or proxy reporting an error with status 200).
+ */
+function parseOpenAIResponse(data) {
+    const choice = data && Array.isArray(data.choices) ? data.choices[0] : undefined;
+    if (!choice || !choice.message) {
+        const error = data && data.error;
+        const detail = error ? (typeof error === 'string' ? error : error.message || JSON.stringify(error)) : 'the response has no choices';
+        throw new Error(`OpenAI API error: ${detail}`);
+    }
+    const usage = data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : null;
+    return { content: choice.message.content, usage };
+}
+
+/**
+ * Reads one event of a streamed OpenAI Chat Completions response.
+ * @param {object} data - The event's JSON data.
+ * @returns {{content?: string, usage?: object}}
+ */
+function parseOpenAIStreamEvent(data) {
+    const choice = data.choices && data.choices[0];
+    return {
+        content: choice && choice.delta ? choice.delta.content || '' : '',
+        usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : undefined
+    };
+}
+
+/**
+ * Builds an Anthropic Messages API request. System messages go into the top-level `system` field;
+ * there is no JSON mode, so JSON output is requested through the system prompt.
+ * @param {object} config - Resolved provider configuration.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages.
+ * @param {{json: boolean, temperature: number, stream?: boolean}} options - Request options.
+ * @returns {{url: string, headers: object, body: object}}
+ */
+function buildAnthropicRequest(config, messages, options) {
+    const { json, temperature, stream = false } = options;
+    const systemParts = messages.filter(m => m.role === 'system').map(m => m.content);
+    if (json) systemParts.push(JSON_ONLY_INSTRUCTION);
+    const body = {
+        model: config.model,
+        max_tokens: DEFAULT_MAX_OUTPUT_TOKENS,
+        temperature,
+        messages: messages.filter(m => m.role !== 'system')
+    };
+    if (stream) {
+        body.stream = true;
+    }
+    if (systemParts.length > 0) {
+        body.system = systemParts.join('\n\n');
+    }
+    return {
+        url: `${config.baseUrl}/v1/messages`,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': '2023-06-01'
+        },
+        body
+    };
+}
+
+/**
+ * Reads the reply text and token usage from an Anthropic Messages API response.
+ * @param {object} data - The response body.
+ * @returns {{content: string, usage: object | null}}
+ */
+function parseAnthropicResponse(data) {
+    const content = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+    const usage = data.usage ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens } : null;
+    return { content, usage };
+}
+
+/**
+ * Reads one event of a streamed Anthropic Messages API response: text deltas, and the token usage reported when the
+ * message starts (input) and ends (output).
+ * @param {object} data - The event's JSON data.
+ * @returns {{content?: string, usage?: object}}
+ * @throws {Error} If the event reports an error (e.g. the API is overloaded mid-stream).
+ */
+function parseAnthropicStreamEvent(data) {
+    if (data.type === 'error') {
+        throw new Error(`Anthropic API error: ${data.error ? data.error.message : 'unknown error'}`);
+    }
+    if (data.type === 'content_block_delta' && data.delta && data.delta.type === 'text_delta') {
+        return { content: data.delta.text };
+    }
+    if (data.type === 'message_start' && data.message.usage) {
+        return { usage: { inputTokens: data.message.usage.input_tokens } };
+    }
+    if (data.type === 'message_delta' && data.usage) {
+        return { usage: { outputTokens: data.usage.output_tokens } };
+    }
+    return {};
+}
+
+/**
+ * Builds a Gemini generateContent request. JSON mode is `generationConfig.responseMimeType`.
+ * @param {object} config - Resolved provider configuration.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages.
+ * @param {{json: boolean, temperature: number, stream?: boolean}} options - Request options; a stream uses
+ *   streamGenerateContent instead.
+ * @returns {{url: string, headers: object, body: object}}
+ */
+function buildGeminiRequest(config, messages, options) {
+    const { json, temperature, stream = false } = options;
+    const systemParts = messages.filter(m => m.role === 'system').map(m => ({ text: m.content }));
+    const body = {
+        contents: messages
+            .filter(m => m.role !== 'system')
+            .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+        generationConfig: { temperature }
+    };
+    if (json) {
+        body.generationConfig.responseMimeType = 'application/json';
+    }
+    if (systemParts.length > 0) {
+        body.systemInstruction = { parts: systemParts };
+    }
+    return {
+        url: `${config.baseUrl}/models/${encodeURIComponent(config.model)}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`,
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+        body
+    };
+}
+
+/**
+ * Reads the reply text and token usage from a Gemini generateContent response.
+ * @param {object} data - The response body.
+ * @returns {{content: string, usage: object | null}}
+ */
+function parseGeminiResponse(data) {
+    const parts = (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts) || [];
+    const usage = data.usageMetadata
+        ? { inputTokens: data.usageMetadata.promptTokenCount, outputTokens: data.usageMetadata.candidatesTokenCount }
+        : null;
+    return { content: parts.map(part => part.text || '').join(''), usage };
+}
+
+/**
+ * Builds an Ollama /api/chat request. JSON mode is `format: "json"`; no authentication.
+ * @param {object} config - Resolved provider configuration.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages.
+ * @param {{json: boolean, temperature: number, stream?: boolean}} options - Request options.
+ * @returns {{url: string, headers: object, body: object}}
+ */
+function buildOllamaRequest(config, messages, options) {
+    const { json, temperature, stream = false } = options;
+    const body = { model: config.model, messages, stream, options: { temperature } };
+    if (json) {
+        body.format = 'json';
+    }
+    return { url: `${config.baseUrl}/api/chat`, headers: { 'Content-Type': 'application/json' }, body };
+}
+
+/**
+ * Reads the reply text and token usage from an Ollama /api/chat response.
+ * @param {object} data - The response body.
+ * @returns {{content: string, usage: object | null}}
+ */
+function parseOllamaResponse(data) {
+    const usage = data.prompt_eval_count !== undefined
+        ? { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count }
+        : null;
+    return { content: data.message ? data.message.content : '', usage };
+}
+
+// --- Public API ---
+
+/**
+ * Resolves the provider configuration from explicit settings (e.g. CLI flags) and environment variables.
+ * Precedence: explicit setting, then LLM_PROVIDER / LLM_MODEL / LLM_BASE_URL, then provider defaults.
+ * The API key comes from the provider's own variable (e.g. ANTHROPIC_API_KEY), falling back to LLM_API_KEY.
+ * @param {object} [settings={}] - Explicit settings.
+ * @param {string} [settings.provider] - Provider name (see PROVIDER_NAMES).
+ * @param {string} [settings.model] - Model name.
+ * @param {string} [settings.baseUrl] - API base URL.
+ * @param {number} [settings.timeoutMs=DEFAULT_REQUEST_TIMEOUT_MS] - How long a request may wait for the provider.
+ * @param {number} [settings.maxRetries=DEFAULT_MAX_RETRIES] - Retries of a failed request (see sendChatRequest).
+ * @param {object} [env=process.env] - Environment variables.
+ * @returns {{provider: string, label: string, model: string, baseUrl: string, apiKey: string | null, timeoutMs: number,
+ *   maxRetries: number}}
+ */
+function resolveProviderConfig(settings = {}, env = process.env) {
+    const provider = (settings.provider || env.LLM_PROVIDER || 'openai').toLowerCase();
+    const definition = PROVIDERS[provider];
+    if (!definition) {
+        throw new Error(`Unknown LLM provider '${provider}'. Supported providers: ${PROVIDER_NAMES.join(', ')}.`);
+    }
+
+    let apiKey = (definition.apiKeyEnv && env[definition.apiKeyEnv]) || null;
+    if (!apiKey && provider === 'gemini') {
+        apiKey = env.GOOGLE_API_KEY || null;
+    }
+    apiKey = apiKey || env.LLM_API_KEY || null;
+
+    return {
+        provider,
+        label: definition.label,
+        model: settings.model || env.LLM_MODEL || definition.defaultModel,
+        baseUrl: (settings.baseUrl || env.LLM_BASE_URL || definition.defaultBaseUrl).replace(/\/+$/, ''),
+        apiKey,
+        timeoutMs: settings.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS,
+        maxRetries: settings.maxRetries === undefined ? DEFAULT_MAX_RETRIES : settings.maxRetries
+    };
+}
+
+/**
+ * Explains why a provider configuration cannot be used, if it cannot.
+ * @param {object} config - Result of resolveProviderConfig.
+ * @returns {string | null} A human-readable problem, or null if the provider is usable.
+ */
+function getConfigurationError(config) {
+    const definition = PROVIDERS[config.provider];
+    if (definition.requiresApiKey && (!config.apiKey || PLACEHOLDER_API_KEYS.has(config.apiKey) || config.apiKey.length < 10)) {
+        const variable = definition.apiKeyEnv + (config.provider === 'gemini' ? ' (or GOOGLE_API_KEY)' : '');
+        return `${definition.label} API key is not configured or is a placeholder. Set ${variable} or LLM_API_KEY.`;
+    }
+    return null;
+}
+
+/**
+ * Waits before retrying a failed request.
+ * @param {Error} error - The error of the failed attempt.
+ * @param {number} retry - The number of the retry (1 for the first).
+ * @returns {number | null} Milliseconds to wait (as requested by Retry-After, which may exceed MAX_RETRY_DELAY_MS), or null
+ *   if the request must not be retried.
+ */
+function getRetryDelay(error, retry) {
+    if (error.response) {
+        if (!RETRYABLE_STATUS_CODES.has(error.response.status)) return null;
+        const headers = error.response.headers || {};
+        // Retry-After holds seconds or an HTTP date; OpenAI also sends retry-after-ms
+        let requested = null;
+        if (headers['retry-after-ms'] !== undefined && Number.isFinite(Number(headers['retry-after-ms']))) {
+            requested = Number(headers['retry-after-ms']);
+        } else if (headers['retry-after'] !== undefined) {
+            const value = String(headers['retry-after']).trim();
+            requested = /^\d+(\.\d+)?$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+            if (Number.isNaN(requested)) requested = null;
+        }
+        if (requested !== null) return Math.max(0, requested);
+    } else if (!RETRYABLE_ERROR_CODES.has(error.code)) {
+        return null;
+    }
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (retry - 1);
+    return Math.min(MAX_RETRY_DELAY_MS, Math.round(delay * (1 + Math.random() * 0.25)));
+}
+
+/**
+ * Runs a request, retrying it after rate limiting (429), server errors (5xx), timeouts and dropped connections with
+ * exponential backoff. A Retry-After header from the provider sets the delay instead.
+ * @param {object} config - Result of resolveProviderConfig (`maxRetries`, `label`).
+ * @param {function(): Promise<*>} attempt - Sends the request once.
+ * @returns {Promise<*>} The result of the first successful attempt.
+ * @throws {Error} The error of the last attempt, if none succeeded or the error is not worth retrying.
+ */
+async function withRetries(config, attempt) {
+    const maxRetries = config.maxRetries === undefined ? DEFAULT_MAX_RETRIES : config.maxRetries;
+    for (let retry = 1; ; retry++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            const delay = retry <= maxRetries ? getRetryDelay(error, retry) : null;
+            if (delay === null) throw error;
+            if (delay > MAX_RETRY_DELAY_MS) {
+                console.warn(`${config.label} asks to retry in ${Math.ceil(delay / 1000)}s (${describeRequestError(error)}); not waiting that long.`);
+                throw error;
+            }
+            console.warn(`${config.label} request failed (${describeRequestError(error)}); retrying in ${(delay / 1000).toFixed(1)}s (retry ${retry} of ${maxRetries})...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Sends a chat request to the configured provider. Requests that time out (`config.timeoutMs`) or fail temporarily are
+ * retried up to `config.maxRetries` times (see withRetries).
+ * @param {object} config - Result of resolveProviderConfig.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages ('system', 'user', 'assistant').
+ * @param {object} [options={}] - Request options.
+ * @param {boolean} [options.json=false] - Ask for a JSON object response (native JSON mode where available).
+ * @param {number} [options.temperature=0.2] - Sampling temperature.
+ * @returns {Promise<{content: string, usage: {inputTokens: number, outputTokens: number} | null, raw: object}>}
+ */
+async function sendChatRequest(config, messages, options = {}) {
+    const { json = false, temperature = 0.2 } = options;
+    const definition = PROVIDERS[config.provider];
+    const request = definition.buildRequest(config, messages, { json, temperature });
+    const response = await withRetries(config, () => axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: config.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS
+    }));
+    return { ...definition.parseResponse(response.data), raw: response.data };
+}
+
+/**
+ * Reads the body of a failed streamed request, which axios leaves as a stream, so errors look the same as those of
+ * sendChatRequest (`error.response.data` holds the parsed body).
+ * @param {Error} error - The axios error.
+ * @returns {Promise<Error>} The same error.
+ */
+async function readStreamedErrorBody(error) {
+    const data = error.response && error.response.data;
+    if (!data || typeof data.on !== 'function') return error;
+    const chunks = [];
+    let body = '';
+    try {
+        for await (const chunk of data) {
+            chunks.push(Buffer.from(chunk));
+        }
+        body = Buffer.concat(chunks).toString('utf8');
+        error.response.data = JSON.parse(body);
+    } catch (parseError) {
+        error.response.data = body;
+    }
+    return error;
+}
+
+/**
+ * Sends a chat request to the configured provider and streams the reply: `onText` receives the text as it is generated.
+ * The request is retried like in sendChatRequest until the reply starts; `config.timeoutMs` also limits pauses in the stream.
+ * @param {object} config - Result of resolveProviderConfig.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages ('system', 'user', 'assistant').
+ * @param {object} [options={}] - Request options.
+ * @param {number} [options.temperature=0.2] - Sampling temperature.
+ * @param {function(string): void} [options.onText] - Receives each piece of the reply.
+ * @returns {Promise<{content: string, usage: {inputTokens: number, outputTokens: number} | null}>} The whole reply
+ *   and its token usage (null if the provider reported none).
+ */
+async function streamChatRequest(config, messages, options = {}) {
+    const { temperature = 0.2, onText = () => {} } = options;
+    const definition = PROVIDERS[config.provider];
+    const request = definition.buildRequest(config, messages, { json: false, temperature, stream: true });
+    const response = await withRetries(config, async () => {
+        try {
+            return await axios.post(request.url, request.body, {
+                headers: request.headers,
+                responseType: 'stream',
+                timeout: config.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS
+            });
+        } catch (error) {
+            throw await readStreamedErrorBody(error);
+        }
+    });
+
+    let content = '';
+    let usage = null;
+    let buffered = '';
+    const decoder = new StringDecoder('utf8'); // Characters can be split across chunks
+    const handleLine = (line) => {
+        let payload = line.trim();
+        if (definition.streamFormat === 'sse') {
+            if (!payload.startsWith('data:')) return; // Event names, comments and keep-alives
+            payload = payload.slice('data:'.length).trim();
+            if (payload === '[DONE]') return;
+        }
+        if (payload === '') return;
+        const event = definition.parseStreamEvent(JSON.parse(payload));
+        if (event.content) {
+            content += event.content;
+            onText(event.content);
+        }
+        if (event.usage) {
+            usage = { ...usage, ...Object.fromEntries(Object.entries(event.usage).filter(([, value]) => value !== undefined)) };
+        }
+    };
+    for await (const chunk of response.data) {
+        buffered += decoder.write(chunk);
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffered + decoder.end());
+    return { content, usage };
+}
+
+/**
+ * Tells whether a failed request was rejected because it does not fit the model's context window.
+ * @param {Error} error - Error thrown by sendChatRequest or streamChatRequest.
+ * @returns {boolean}
+ */
+function isContextLengthError(error) {
+    if (!error.response || ![400, 413, 422].includes(error.response.status)) return false;
+    const body = typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data || '');
+    return CONTEXT_LENGTH_ERROR_PATTERN.test(body);
+}
+
+/**
+ * Describes a failed request in one line: the HTTP status and the provider's error message, or the network error.
+ * @param {Error} error - Error thrown by sendChatRequest or streamChatRequest.
+ * @returns {string} E.g. "HTTP 429: Rate limit reached for gpt-4o" or "timeout of 120000ms exceeded".
+ */
+function describeRequestError(error) {
+    if (!error.response) return error.code && !error.message.includes(error.code) ? `${error.code}: ${error.message}` : error.message;
+    const data = error.response.data;
+    let message = '';
+    if (typeof data === 'string') {
+        message = data;
+    } else if (data && data.error) {
+        message = typeof data.error === 'string' ? data.error : data.error.message || JSON.stringify(data.error);
+    } else if (data) {
+        message = JSON.stringify(data);
+    }
+    message = message.replace(/\s+/g, ' ').trim();
+    if (message.length > 300) message = `${message.slice(0, 300)}…`;
+    return `HTTP ${error.response.status}${message ? `: ${message}` : ''}`;
+}
+
+/**
+ * Extracts a JSON object from a model reply, tolerating Markdown fences and surrounding text
+ * (needed for providers without a native JSON mode).
+ * @param {string} text - The model reply.
+ * @returns {object} The parsed object.
+ * @throws {SyntaxError} If no JSON object can be parsed.
+ */
+function parseJsonReply(text) {
+    const trimmed = (text || '').trim();
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+        const candidate = fenced ? fenced[1] : trimmed.slice(trimmed.indexOf('{'), trimmed.lastIndexOf('}') + 1);
+        if (!candidate) throw error;
+        return JSON.parse(candidate);
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_REQUEST_TIMEOUT_MS,
+    PROVIDER_NAMES,
+    describeRequestError,
+    getConfigurationError,
+    isContextLengthError,
+    parseJsonReply,
+    resolveProviderConfig,
+    sendChatRequest,
+    streamChatRequest
+};
@@ -0,0 +1,199 @@
+// External dependencies
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Local modules
+const { compareRelativePaths, walkProjectFiles } = require('./projectWalker');
+const { createTaskPool } = require('./taskPool');
+const virtualFs = require('./virtualFs');
+
+// Bump when the manifest shape changes
+const MANIFEST_VERSION = 1;
+
+// Manifest of a chunked output folder (see savePromptChunks)
+const FOLDER_MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Computes the SHA-256 hash of a file's content without loading it into memory at once.
+ * @param {string} filePath - Absolute path of the file.
+ * @returns {Promise<string>} The hex hash.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        virtualFs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Lists the files of a project tree that pass the exclusion filter, with their size, modification time and content hash.
+ * Files are hashed in parallel; files whose size and modification time match the content cache index are not read again.
+ * @param {string} dir - Directory to scan (the project root).
+ * @param {string} basePath - The root project path.
+ * @param {object} ignoreFilter - Exclusion filter (see createProjectIgnoreFilter).
+ * @param {object} [options={}] - Scan options.
+ * @param {object | null} [options.contentCache=null] - Index of known hashes (see openContentCache).
+ * @param {object} [options.pool] - Task pool limiting the files read at the same time (see createTaskPool).
+ * @param {{tick: function(number): void} | null} [options.progress=null] - Receives the number of bytes hashed for
+ *   every file (see createProgressReporter).
+ * @returns {Promise<Map<string, {size: number, mtimeMs: number, hash: string}>>} Root-relative path -> file information,
+ *   in sorted order.
+ */
+async function scanProjectFiles(dir, basePath, ignoreFilter, { contentCache = null, pool = createTaskPool(), progress = null } = {}) {
+    const projectFiles = await walkProjectFiles(dir, basePath, ignoreFilter, pool);
+    const scanned = await pool.map(projectFiles, async ({ absolutePath }) => {
+        try {
+            const stats = await virtualFs.stat(absolutePath);
+            let hash = contentCache ? contentCache.getHash(absolutePath, stats) : null;
+            if (!hash) {
+                hash = await hashFile(absolutePath);
+                if (contentCache) contentCache.setHash(absolutePath, stats, hash);
+                if (progress) progress.tick(stats.size);
+            } else if (progress) {
+                progress.tick(0); // Known from the index, not read
+            }
+            return { size: stats.size, mtimeMs: stats.mtimeMs, hash };
+        } catch (error) {
+            console.warn(`Could not hash file ${absolutePath}: ${error.message}`);
+            return null;
+        }
+    });
+
+    const files = new Map();
+    projectFiles.forEach(({ relativePath }, index) => {
+        if (scanned[index]) files.set(relativePath, scanned[index]);
+    });
+    return files;
+}
+
+/**
+ * Builds the manifest of an extraction: every selected file (including files the LLM filter left out) with its
+ * size, modification time and content hash. File paths are the paths used in the prompt.
+ * @param {Array<{label: string, path: string, files: Map<string, object>}>} roots - The project roots with their
+ *   scanned files (see scanProjectFiles).
+ * @returns {{version: number, generatedAt: string, roots: Array<{label: string, path: string}>,
+ *   files: Array<{path: string, size: number, mtimeMs: number, hash: string}>}} The manifest.
+ */
+function buildManifest(roots) {
+    const isMultiRoot = roots.length > 1;
+    const files = [];
+    roots.forEach(root => {
+        for (const [relativePath, info] of root.files) {
+            files.push({ path: isMultiRoot ? path.join(root.label, relativePath) : relativePath, ...info });
+        }
+    });
+    files.sort((a, b) => compareRelativePaths(a.path, b.path));
+    return {
+        version: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        roots: roots.map(root => ({ label: root.label, path: root.path })),
+        files
+    };
+}
+
+/**
+ * Determines the manifest file written next to a single-file output: "review.md" -> "review.manifest.json".
+ * @param {string} outputFile - Path of the prompt file.
+ * @returns {string} Path of its manifest.
+ */
+function getManifestPath(outputFile) {
+    return path.join(path.dirname(outputFile), `${path.basename(outputFile, path.extname(outputFile))}.manifest.json`);
+}
+
+/**
+ * Writes a manifest. Failures are reported but never fail the run.
+ * @param {string} manifestPath - Where to write it.
+ * @param {object} manifest - Result of buildManifest.
+ * @returns {Promise<void>}
+ */
+async function writeManifest(manifestPath, manifest) {
+    try {
+        await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    } catch (error) {
+        console.warn(`Could not write manifest ${manifestPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the manifest of an earlier extraction.
+ * @param {string} location - The earlier prompt file, its chunked output folder, or the manifest itself.
+ * @returns {Promise<object>} The manifest, with `source` set to its path.
+ * @throws {Error} If there is no readable manifest for the location.
+ */
+async function loadManifest(location) {
+    let stats;
+    try {
+        stats = await fs.stat(location);
+    } catch (error) {
+        throw new Error(`Previous output ${location} does not exist.`);
+    }
+    let manifestPath;
+    if (stats.isDirectory()) {
+        manifestPath = path.join(location, FOLDER_MANIFEST_NAME);
+    } else if (path.extname(location) === '.json' && /(^|\.)manifest\.json$/.test(path.basename(location))) {
+        manifestPath = location;
+    } else {
+        manifestPath = getManifestPath(location);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`No manifest found for the previous output ${location} (expected ${manifestPath}). Outputs written to stdout have no manifest.`);
+        }
+        throw new Error(`Could not read manifest ${manifestPath}: ${error.message}`);
+    }
+    if (!Array.isArray(manifest.files)) {
+        throw new Error(`${manifestPath} does not list the extracted files (it was written by an older version).`);
+    }
+    return { ...manifest, source: path.resolve(manifestPath) };
+}
+
+/**
+ * Compares the files of a project root with an earlier manifest.
+ * @param {object} manifest - The earlier manifest (see loadManifest).
+ * @param {Map<string, {hash: string}>} rootFiles - Current files of the root (see scanProjectFiles).
+ * @param {string} [pathPrefix] - Label prepended to the root's paths in the prompt (several roots).
+ * @returns {Map<string, {status: string}>} Root-relative path -> change ('added', 'modified' or 'deleted'),
+ *   in the shape of getChangedFiles (lib/gitChanges).
+ */
+function diffAgainstManifest(manifest, rootFiles, pathPrefix) {
+    const toPromptPath = relativePath => (pathPrefix ? path.join(pathPrefix, relativePath) : relativePath);
+    const previousFiles = new Map(manifest.files.map(file => [path.normalize(file.path), file]));
+    const changes = new Map();
+
+    for (const [relativePath, info] of rootFiles) {
+        const previous = previousFiles.get(toPromptPath(relativePath));
+        if (!previous) {
+            changes.set(relativePath, { status: 'added' });
+        } else if (previous.hash !== info.hash) {
+            changes.set(relativePath, { status: 'modified' });
+        }
+    }
+    for (const promptPath of previousFiles.keys()) {
+        if (pathPrefix && !promptPath.startsWith(pathPrefix + path.sep)) continue;
+        const relativePath = pathPrefix ? path.relative(pathPrefix, promptPath) : promptPath;
+        if (!rootFiles.has(relativePath)) {
+            changes.set(relativePath, { status: 'deleted' });
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    FOLDER_MANIFEST_NAME,
+    MANIFEST_VERSION,
+    buildManifest,
+    diffAgainstManifest,
+    getManifestPath,
+    hashFile,
+    loadManifest,
+    scanProjectFiles,
+    writeManifest
+};
@@ -0,0 +1,67 @@
+// Local modules
+const { formatBytes } = require('./fileClassifier');
+
+// Minimum time between two updates of the progress line on a terminal
+const TERMINAL_UPDATE_INTERVAL_MS = 100;
+
+// Minimum time between two progress lines when stderr is not a terminal (CI logs, redirected output)
+const LOG_UPDATE_INTERVAL_MS = 5000;
+
+/**
+ * Creates a progress reporter that writes the number of processed files (or other items), bytes and the elapsed
+ * time to stderr, so progress never mixes with a prompt written to stdout. On a terminal a single line is updated in
+ * place; otherwise a line is written every few seconds. A summary line is written when the work is done.
+ * @param {string} label - What is being done, e.g. "Reading files".
+ * @param {object} [options={}] - Reporter options.
+ * @param {number | null} [options.total=null] - Number of items expected, if known.
+ * @param {string} [options.unit='files'] - What is counted.
+ * @param {boolean} [options.enabled=true] - Report nothing when false (the returned functions are no-ops).
+ * @param {object} [options.stream=process.stderr] - Where to write.
+ * @returns {{tick: function(number=, number=): void, finish: function(): void}} `tick(bytes, count = 1)` records
+ *   processed work; `finish()` writes the summary line.
+ */
+function createProgressReporter(label, { total = null, unit = 'files', enabled = true, stream = process.stderr } = {}) {
+    if (!enabled) {
+        return { tick: () => {}, finish: () => {} };
+    }
+    const startedAt = Date.now();
+    const interactive = Boolean(stream.isTTY);
+    const updateInterval = interactive ? TERMINAL_UPDATE_INTERVAL_MS : LOG_UPDATE_INTERVAL_MS;
+    let processed = 0;
+    let bytes = 0;
+    let lastUpdate = startedAt;
+
+    const describe = () => {
+        const count = total !== null ? `${processed}/${total} ${unit}` : `${processed} ${unit}`;
+        return `${label}: ${count}, ${formatBytes(bytes)}, ${((Date.now() - startedAt) / 1000).toFixed(1)}s`;
+    };
+
+    const tick = (processedBytes = 0, count = 1) => {
+        processed += count;
+        bytes += processedBytes;
+        const now = Date.now();
+        if (now - lastUpdate < updateInterval) return;
+        lastUpdate = now;
+        stream.write(interactive ? `\r\x1b[K${describe()}` : `${describe()}\n`);
+    };
+
+    const finish = () => {
+        stream.write(interactive ? `\r\x1b[K${describe()}\n` : `${describe()}\n`);
+    };
+
+    return { tick, finish };
+}
+
+/**
+ * Writes a status message (what is being done, decisions taken) to stderr like the progress lines, so that library
+ * callers and prompts or answers written to stdout never get it mixed in.
+ * @param {...*} args - What to write, as for console.log.
+ */
+function logStatus(...args) {
+    console.error(...args);
+}
+
+module.exports = {
+    createProgressReporter,
+    logStatus
+};
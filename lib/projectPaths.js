@@ -0,0 +1,92 @@
+// External dependencies
+const fs = require('fs').promises;
+const path = require('path');
+
+// Extensions of archives, bundles and bare repositories, left out of root labels ("app.tar.gz" -> "app")
+const SOURCE_EXTENSION_PATTERN = /\.(zip|tar|tar\.gz|tgz|bundle|git)$/i;
+
+/**
+ * Resolves the project roots given on the command line and assigns each a unique label.
+ * The label is the root's folder name (or archive name without the extension); duplicates get a numeric suffix ("app", "app-2").
+ * @param {string[]} projectPaths - Project paths as given by the user.
+ * @returns {Array<{label: string, path: string, displayPath: string}>} The roots, in the given order.
+ */
+function resolveProjectRoots(projectPaths) {
+    const usedLabels = new Set();
+    return projectPaths.map(projectPath => {
+        const resolvedPath = path.resolve(projectPath);
+        const baseLabel = path.basename(resolvedPath).replace(SOURCE_EXTENSION_PATTERN, '') || path.basename(resolvedPath) || 'root';
+        let label = baseLabel;
+        for (let suffix = 2; usedLabels.has(label); suffix++) {
+            label = `${baseLabel}-${suffix}`;
+        }
+        usedLabels.add(label);
+        return { label, path: resolvedPath, displayPath: projectPath };
+    });
+}
+
+/**
+ * Describes the analyzed project(s) by folder name, e.g. "api" or "api_web" for several roots.
+ * @param {string | string[]} basePath - The root project path(s).
+ * @returns {string} The project name.
+ */
+function describeProjectName(basePath) {
+    return resolveProjectRoots([].concat(basePath)).map(root => root.label).join('_');
+}
+
+/**
+ * Checks whether an output location names a directory: it ends with a path separator or is an existing directory.
+ * @param {string} outputPath - The location given with --out.
+ * @returns {Promise<boolean>} True if generated files should be placed inside it.
+ */
+async function isDirectoryTarget(outputPath) {
+    if (/[\\/]$/.test(outputPath)) return true;
+    try {
+        return (await fs.stat(outputPath)).isDirectory();
+    } catch (error) {
+        return false; // Does not exist yet: treated as a file name
+    }
+}
+
+/**
+ * Determines where a single output file is written.
+ * @param {string | null} outputPath - The location given with --out (a file or a directory), if any.
+ * @param {string} defaultFileName - Generated file name, used when the location is a directory or not given.
+ * @param {string} defaultDirectory - Directory used when no location is given.
+ * @returns {Promise<string>} The absolute path of the output file.
+ */
+async function resolveOutputFile(outputPath, defaultFileName, defaultDirectory) {
+    if (!outputPath) {
+        return path.resolve(defaultDirectory, defaultFileName);
+    }
+    if (await isDirectoryTarget(outputPath)) {
+        return path.resolve(outputPath, defaultFileName);
+    }
+    return path.resolve(outputPath);
+}
+
+/**
+ * Determines the folder that receives a multi-file output (e.g. the parts of a chunked prompt).
+ * If the location names a file ("review.md"), the folder is named after it without the extension ("review/").
+ * @param {string | null} outputPath - The location given with --out (a file or a directory), if any.
+ * @param {string} defaultFolderName - Generated folder name, used when the location is a directory or not given.
+ * @param {string} defaultDirectory - Directory used when no location is given.
+ * @returns {Promise<string>} The absolute path of the output folder.
+ */
+async function resolveOutputDirectory(outputPath, defaultFolderName, defaultDirectory) {
+    if (!outputPath) {
+        return path.resolve(defaultDirectory, defaultFolderName);
+    }
+    if (await isDirectoryTarget(outputPath)) {
+        return path.resolve(outputPath, defaultFolderName);
+    }
+    const resolvedPath = path.resolve(outputPath);
+    return path.join(path.dirname(resolvedPath), path.basename(resolvedPath, path.extname(resolvedPath)));
+}
+
+module.exports = {
+    describeProjectName,
+    resolveOutputDirectory,
+    resolveOutputFile,
+    resolveProjectRoots
+};
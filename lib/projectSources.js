@@ -0,0 +1,302 @@
+// External dependencies
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+const { promisify } = require('util');
+
+// Local modules
+const { detectArchiveType, readArchive } = require('./archives');
+const { runGit } = require('./gitChanges');
+const { createVolume, mountVolume, unmountVolume } = require('./virtualFs');
+
+const execFileAsync = promisify(execFile);
+
+// First line of a git bundle file (v2 and v3 formats)
+const BUNDLE_SIGNATURE = /^# v[23] git bundle\n/;
+
+// Sources read through a virtual file system, as shown in messages
+const SOURCE_TYPE_NAMES = {
+    zip: 'zip archive',
+    tar: 'tar archive',
+    'tar.gz': 'gzip-compressed tar archive',
+    repository: 'bare repository',
+    bundle: 'git bundle'
+};
+
+// Sources read at a git ref
+const GIT_SOURCE_TYPES = ['repository', 'bundle'];
+
+// Git file mode of symbolic links, which are left out like in archives
+const GIT_SYMBOLIC_LINK_MODE = '120000';
+
+/**
+ * Checks whether a directory is a bare git repository (HEAD, objects/ and refs/ at its top, no working tree).
+ * Synchronous, for argument validation.
+ * @param {string} directory - The directory.
+ * @returns {boolean} True for bare repositories.
+ */
+function isBareRepository(directory) {
+    try {
+        return fsSync.statSync(path.join(directory, 'HEAD')).isFile()
+            && fsSync.statSync(path.join(directory, 'objects')).isDirectory()
+            && fsSync.statSync(path.join(directory, 'refs')).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Determines how a project path is read: as a directory, or as an archive, bundle or bare repository (recognized by
+ * content, not by file name).
+ * @param {string} targetPath - The project path.
+ * @returns {Promise<'directory' | 'repository' | 'bundle' | 'zip' | 'tar' | 'tar.gz' | null>} The source type, or null
+ *   for files that are neither archives nor bundles.
+ */
+async function detectSourceType(targetPath) {
+    const stats = await fs.stat(targetPath);
+    if (stats.isDirectory()) {
+        return isBareRepository(targetPath) ? 'repository' : 'directory';
+    }
+    const handle = await fs.open(targetPath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+        const header = buffer.subarray(0, bytesRead);
+        if (BUNDLE_SIGNATURE.test(header.toString('latin1'))) return 'bundle';
+        return detectArchiveType(header);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Lists the files of a git repository at a commit, reading their content only when they are read.
+ * @param {string} gitDir - The repository (a bare repository).
+ * @param {string} ref - Commit, branch or tag.
+ * @param {string} displayPath - The project path, for error messages.
+ * @returns {Promise<{files: Array<object>, mtimeMs: number, commit: string}>} The files (see createVolume in lib/virtualFs),
+ *   with the commit time as their modification time, and the commit.
+ * @throws {Error} If the ref does not name a commit.
+ */
+async function readGitTree(gitDir, ref, displayPath) {
+    if (ref.startsWith('-')) {
+        throw new Error(`Invalid ref "${ref}".`);
+    }
+    let commit;
+    try {
+        commit = (await runGit(gitDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+    } catch (error) {
+        throw new Error(`Unknown ref "${ref}" in ${displayPath}.`);
+    }
+    const [listing, commitTime] = await Promise.all([
+        runGit(gitDir, ['ls-tree', '-r', '-z', '--long', '--full-tree', commit]),
+        runGit(gitDir, ['show', '-s', '--format=%ct', commit])
+    ]);
+    const mtimeMs = Number(commitTime.trim()) * 1000;
+
+    const files = [];
+    for (const line of listing.split('\0')) {
+        // "<mode> <type> <object> <size>\t<path>"; submodules are commits, not blobs
+        const match = /^(\d+) blob ([0-9a-f]+) +(\d+)\t([\s\S]+)$/.exec(line);
+        if (!match || match[1] === GIT_SYMBOLIC_LINK_MODE) continue;
+        const [, , object, size, filePath] = match;
+        const catFileArgs = ['-C', gitDir, 'cat-file', 'blob', object];
+        const execOptions = { encoding: 'buffer', maxBuffer: Number(size) + 1024 * 1024 };
+        files.push({
+            path: filePath,
+            size: Number(size),
+            mtimeMs,
+            read: async () => (await execFileAsync('git', catFileArgs, execOptions)).stdout,
+            readSync: () => execFileSync('git', catFileArgs, { ...execOptions, stdio: ['ignore', 'pipe', 'pipe'] })
+        });
+    }
+    return { files, mtimeMs, commit };
+}
+
+/**
+ * Unpacks the objects of a git bundle into a temporary bare repository (no working tree is checked out) and points its
+ * refs at the bundle's refs.
+ * @param {string} bundlePath - Absolute path of the bundle.
+ * @returns {Promise<{gitDir: string, refs: Array<{name: string, commit: string}>}>} The repository and the bundle's refs.
+ *   The caller removes the repository.
+ * @throws {Error} If the bundle cannot be unpacked (e.g. it needs commits it does not contain).
+ */
+async function unpackBundle(bundlePath) {
+    const gitDir = await fs.mkdtemp(path.join(os.tmpdir(), 'content-extractor-bundle-'));
+    try {
+        await runGit(gitDir, ['init', '--bare', '--quiet']);
+        const refs = (await runGit(gitDir, ['bundle', 'unbundle', bundlePath]))
+            .split('\n')
+            .map(line => /^([0-9a-f]+) (\S+)$/.exec(line.trim()))
+            .filter(Boolean)
+            .map(([, commit, name]) => ({ name, commit }));
+        for (const { name, commit } of refs) {
+            await runGit(gitDir, name === 'HEAD' ? ['update-ref', '--no-deref', 'HEAD', commit] : ['update-ref', name, commit]);
+        }
+        return { gitDir, refs };
+    } catch (error) {
+        await fs.rm(gitDir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+/**
+ * Chooses the ref of a bundle read without an explicit ref: its HEAD, or its only ref.
+ * @param {Array<{name: string}>} refs - The bundle's refs.
+ * @param {string} displayPath - The project path, for error messages.
+ * @returns {string} The ref.
+ * @throws {Error} If the bundle has no HEAD and several refs.
+ */
+function getDefaultBundleRef(refs, displayPath) {
+    if (refs.some(ref => ref.name === 'HEAD')) return 'HEAD';
+    if (refs.length === 1) return refs[0].name;
+    throw new Error(`${displayPath} has no HEAD; choose one of its refs: ${refs.map(ref => ref.name).join(', ')}.`);
+}
+
+/**
+ * Finds the folder wrapping all entries of an archive, like "app-main/" in archives downloaded from GitHub.
+ * @param {{files: Array<{path: string}>, directories: string[]}} entries - The archive entries (see readArchive).
+ * @returns {string | null} The folder name, or null if the archive has several top-level entries or files at its top.
+ */
+function findWrapperFolder({ files, directories }) {
+    const toSegments = entryPath => entryPath.split('/').filter(segment => segment !== '' && segment !== '.');
+    const topLevelNames = new Set([...files.map(file => file.path), ...directories].map(entryPath => toSegments(entryPath)[0]));
+    if (topLevelNames.size !== 1 || !files.every(file => toSegments(file.path).length > 1)) return null;
+    return [...topLevelNames][0];
+}
+
+/**
+ * Removes the wrapper folder from the paths of archive entries (see findWrapperFolder).
+ * @param {{files: Array<object>, directories: string[]}} entries - The archive entries.
+ * @param {string} folder - The wrapper folder.
+ * @returns {{files: Array<object>, directories: string[]}} The entries, relative to the folder.
+ */
+function unwrapFolder({ files, directories }, folder) {
+    const strip = entryPath => entryPath.split('/').filter(segment => segment !== '' && segment !== '.').slice(1).join('/');
+    return {
+        files: files.map(file => ({ ...file, path: strip(file.path) })),
+        directories: directories.map(strip).filter(Boolean)
+    };
+}
+
+/**
+ * Opens a project path for reading. Directories are read from the disk as they are. Archives (zip, tar, tar.gz),
+ * git bundles and bare repositories are mounted at their own path (see lib/virtualFs), so the path can be walked and
+ * read like a directory without extracting it; the files of bundles and repositories are those of the given ref.
+ * An archive whose entries are all inside one folder is read from that folder.
+ * @param {string} targetPath - The project path.
+ * @param {object} [options={}] - Source options.
+ * @param {string | null} [options.ref=null] - Commit, branch or tag of bundles and bare repositories (default: HEAD,
+ *   or the only ref of a bundle without HEAD). Ignored for other sources.
+ * @returns {Promise<{root: string, type: string, description: string, fileCount: number,
+ *   repository: {gitDir: string, commit: string} | null, close: function(): Promise<void>} | null>}
+ *   The mounted source, or null for a directory. `repository` is the git directory and commit the files of a bundle or
+ *   bare repository were read from (null for archives); `close()` unmounts it and removes temporary files.
+ * @throws {Error} If the path is a file that is neither an archive nor a bundle, or cannot be read.
+ */
+async function openProjectSource(targetPath, { ref = null } = {}) {
+    const root = path.resolve(targetPath);
+    const type = await detectSourceType(root);
+    if (type === 'directory') return null;
+    if (type === null) {
+        throw new Error(`${targetPath} is not a directory, a zip or tar archive, a git bundle or a bare repository.`);
+    }
+
+    let volumeFiles;
+    let repository = null;
+    let description = SOURCE_TYPE_NAMES[type];
+    let cleanup = async () => {};
+    if (GIT_SOURCE_TYPES.includes(type)) {
+        let gitDir = root;
+        let bundleRefs = null;
+        if (type === 'bundle') {
+            ({ gitDir, refs: bundleRefs } = await unpackBundle(root));
+            cleanup = () => fs.rm(gitDir, { recursive: true, force: true });
+        }
+        try {
+            const selectedRef = ref || (bundleRefs ? getDefaultBundleRef(bundleRefs, targetPath) : 'HEAD');
+            const tree = await readGitTree(gitDir, selectedRef, targetPath);
+            volumeFiles = { files: tree.files, directories: [], mtimeMs: tree.mtimeMs };
+            description += ` at ${selectedRef} (${tree.commit.slice(0, 7)})`;
+            repository = { gitDir, commit: tree.commit };
+        } catch (error) {
+            await cleanup();
+            throw error;
+        }
+    } else {
+        try {
+            const [buffer, stats] = await Promise.all([fs.readFile(root), fs.stat(root)]);
+            volumeFiles = { ...(await readArchive(buffer, type)), mtimeMs: stats.mtimeMs };
+        } catch (error) {
+            throw new Error(`Could not read ${SOURCE_TYPE_NAMES[type]} ${targetPath}: ${error.message}`);
+        }
+        const wrapperFolder = findWrapperFolder(volumeFiles);
+        if (wrapperFolder) {
+            volumeFiles = { ...unwrapFolder(volumeFiles, wrapperFolder), mtimeMs: volumeFiles.mtimeMs };
+            description += `, inside its folder ${wrapperFolder}/`;
+        }
+    }
+
+    try {
+        mountVolume(root, createVolume(volumeFiles.files, { directories: volumeFiles.directories, mtimeMs: volumeFiles.mtimeMs }));
+    } catch (error) {
+        await cleanup();
+        throw error;
+    }
+    return {
+        root,
+        type,
+        description,
+        fileCount: volumeFiles.files.length,
+        repository,
+        close: async () => {
+            unmountVolume(root);
+            await cleanup();
+        }
+    };
+}
+
+/**
+ * Opens several project paths (see openProjectSource). If one cannot be opened, those already opened are closed.
+ * @param {string[]} targetPaths - The project paths.
+ * @param {{ref?: string | null}} [options={}] - Source options.
+ * @returns {Promise<Array<object>>} The mounted sources (directories have none).
+ * @throws {Error} If a path cannot be opened, or a ref is given but no path is a bundle or bare repository.
+ */
+async function openProjectSources(targetPaths, options = {}) {
+    const sources = [];
+    try {
+        for (const targetPath of targetPaths) {
+            const source = await openProjectSource(targetPath, options);
+            if (source) sources.push(source);
+        }
+        if (options.ref && !sources.some(source => GIT_SOURCE_TYPES.includes(source.type))) {
+            throw new Error(`A ref ("${options.ref}") can only be read from git bundles and bare repositories.`);
+        }
+    } catch (error) {
+        await closeProjectSources(sources);
+        throw error;
+    }
+    return sources;
+}
+
+/**
+ * Closes sources opened with openProjectSources.
+ * @param {Array<{close: function(): Promise<void>}>} sources - The sources.
+ * @returns {Promise<void>}
+ */
+async function closeProjectSources(sources) {
+    for (const source of sources) {
+        await source.close();
+    }
+}
+
+module.exports = {
+    SOURCE_TYPE_NAMES,
+    closeProjectSources,
+    detectSourceType,
+    isBareRepository,
+    openProjectSource,
+    openProjectSources
+};
@@ -0,0 +1,254 @@
+// External dependencies
+const path = require('path');
+
+// Local modules
+const { readSortedDirectory } = require('./projectWalker');
+const { createTaskPool } = require('./taskPool');
+const { formatBytes } = require('./fileClassifier');
+
+// Ways of drawing the tree: indented "-- " entries (the original style), or box-drawing connectors
+const TREE_STYLES = ['ascii', 'box'];
+
+// Details that can be shown next to the files of the tree
+const TREE_ANNOTATIONS = ['size', 'lines', 'tokens', 'markers'];
+
+// Which entries the tree shows: everything (ignored entries marked), the entries left after the static rules,
+// ignore files and include/exclude globs, or only the files whose content is in the prompt
+const TREE_SCOPES = ['all', 'selected', 'included'];
+
+const CONNECTORS = {
+    ascii: { entry: '-- ', lastEntry: '-- ', indent: '  ', lastIndent: '  ' },
+    box: { entry: '├── ', lastEntry: '└── ', indent: '│   ', lastIndent: '    ' }
+};
+
+/**
+ * Reads a project tree into nodes, in tree order (directories first, natural sort; see compareEntries).
+ * Unreadable directories are reported and shown empty.
+ * @param {string} dir - The directory to read (the project root).
+ * @param {string} basePath - The root project path, for relative path calculations.
+ * @param {{isExcluded: function(string, boolean): Promise<boolean>}} ignoreFilter - Exclusion filter (see createProjectIgnoreFilter).
+ * @param {object} [options={}] - Tree options.
+ * @param {boolean} [options.includeIgnored=false] - Keep excluded entries, flagged as `ignored`. Their directories are not read.
+ * @param {string} [options.pathPrefix] - Label prepended to prompt paths (several roots).
+ * @param {object} [options.pool] - Task pool limiting the directories read at the same time (see createTaskPool).
+ * @returns {Promise<Array<{name: string, relativePath: string, promptPath: string, isDirectory: boolean, ignored: boolean,
+ *   children: Array<object> | null}>>} The top-level nodes; directories have `children`, files have null.
+ */
+async function buildProjectTree(dir, basePath, ignoreFilter, { includeIgnored = false, pathPrefix, pool = createTaskPool() } = {}) {
+    const readDirectory = async (directory) => {
+        let entries;
+        try {
+            entries = await pool.run(() => readSortedDirectory(directory));
+        } catch (error) {
+            console.warn(`Could not read directory ${directory}: ${error.message}`);
+            return [];
+        }
+        const nodes = [];
+        for (const entry of entries) {
+            const relativePath = path.normalize(path.relative(basePath, path.join(directory, entry.name)));
+            const isDirectory = entry.isDirectory();
+            // Entries matched by static patterns, ignore files or user globs (e.g. .git, dist/, *.log)
+            const ignored = await ignoreFilter.isExcluded(relativePath, isDirectory);
+            if (ignored && !includeIgnored) continue;
+            nodes.push({
+                name: entry.name,
+                relativePath,
+                promptPath: pathPrefix ? path.join(pathPrefix, relativePath) : relativePath,
+                isDirectory,
+                ignored,
+                children: isDirectory ? [] : null
+            });
+        }
+        // The pool slot is only held while a directory is read, so nested reads cannot starve each other
+        await Promise.all(nodes
+            .filter(node => node.isDirectory && !node.ignored)
+            .map(async node => {
+                node.children = await readDirectory(path.join(directory, node.name));
+            }));
+        return nodes;
+    };
+    return readDirectory(dir);
+}
+
+/**
+ * Copies a tree without the entries rejected by a predicate.
+ * @param {Array<object>} nodes - Nodes returned by buildProjectTree.
+ * @param {function(object): boolean} keep - Whether to keep a node (directories are tested before their children).
+ * @param {boolean} [pruneEmptyDirectories=false] - Also drop directories left without entries.
+ * @returns {Array<object>} The kept nodes.
+ */
+function filterTree(nodes, keep, pruneEmptyDirectories = false) {
+    const kept = [];
+    for (const node of nodes) {
+        if (!keep(node)) continue;
+        if (!node.isDirectory || node.ignored) {
+            kept.push(node);
+            continue;
+        }
+        const children = filterTree(node.children, keep, pruneEmptyDirectories);
+        if (pruneEmptyDirectories && children.length === 0) continue;
+        kept.push({ ...node, children });
+    }
+    return kept;
+}
+
+/**
+ * Describes the entries below a collapsed directory, e.g. "… 14 more files".
+ * @param {Array<object>} nodes - The hidden nodes.
+ * @returns {string} The summary.
+ */
+function describeHiddenEntries(nodes) {
+    let files = 0;
+    let folders = 0;
+    const count = (levelNodes) => {
+        levelNodes.forEach(node => {
+            if (node.isDirectory) {
+                folders++;
+                count(node.children);
+            } else {
+                files++;
+            }
+        });
+    };
+    count(nodes);
+    if (files > 0) return `… ${files} more file${files === 1 ? '' : 's'}`;
+    return `… ${folders} more folder${folders === 1 ? '' : 's'}`;
+}
+
+/**
+ * Renders tree nodes as text, one line per entry.
+ * @param {Array<object>} nodes - Nodes returned by buildProjectTree (or filterTree).
+ * @param {object} [options={}] - Rendering options.
+ * @param {string} [options.style='ascii'] - One of TREE_STYLES.
+ * @param {number | null} [options.maxDepth=null] - Show at most this many levels; deeper entries are collapsed into
+ *   a "… N more files" line (null = no limit).
+ * @param {string} [options.prefix=''] - Prepended to every line.
+ * @param {function(object): string} [options.describeEntry] - Returns the text shown after an entry's name (e.g. " [modified]").
+ * @returns {string} The tree, every line ending with a newline.
+ */
+function renderTree(nodes, { style = 'ascii', maxDepth = null, prefix = '', describeEntry = () => '' } = {}) {
+    const connectors = CONNECTORS[style] || CONNECTORS.ascii;
+    let tree = '';
+    const renderLevel = (levelNodes, levelPrefix, depth) => {
+        levelNodes.forEach((node, index) => {
+            const isLast = index === levelNodes.length - 1;
+            tree += `${levelPrefix}${isLast ? connectors.lastEntry : connectors.entry}${node.name}${node.isDirectory ? '/' : ''}${describeEntry(node)}\n`;
+            if (!node.isDirectory || node.children.length === 0) return;
+            const childPrefix = levelPrefix + (isLast ? connectors.lastIndent : connectors.indent);
+            if (maxDepth !== null && depth >= maxDepth) {
+                tree += `${childPrefix}${connectors.lastEntry}${describeHiddenEntries(node.children)}\n`;
+                return;
+            }
+            renderLevel(node.children, childPrefix, depth + 1);
+        });
+    };
+    renderLevel(nodes, prefix, 1);
+    return tree;
+}
+
+/**
+ * Counts the lines of a file's content as it appears in the prompt.
+ * @param {string} content - The content.
+ * @returns {number} The number of lines.
+ */
+function countLines(content) {
+    const text = content.trim();
+    if (text === '') return 0;
+    let lines = 1;
+    for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+        lines++;
+    }
+    return lines;
+}
+
+/**
+ * Lists the markers of a file: how it was left out of the prompt or shortened.
+ * @param {object} node - The tree node.
+ * @param {object | undefined} file - Its file entry, if it was read.
+ * @returns {string[]} The markers, e.g. ['excluded by LLM'].
+ */
+function getEntryMarkers(node, file) {
+    if (node.ignored) return ['ignored'];
+    if (!file) return [];
+    const markers = [];
+    if (file.excludedByLLM) markers.push('excluded by LLM');
+    if (file.skeleton) markers.push('outline');
+    if (file.omitted) markers.push('omitted');
+    if (file.excludedByBudget) markers.push('dropped by token budget');
+    if (file.truncatedByBudget) markers.push('truncated by token budget');
+    return markers;
+}
+
+/**
+ * Renders the directory structure shown in a prompt.
+ * @param {Array<object>} nodes - The tree of the extraction (see buildProjectTree); with several roots, one directory node per root label.
+ * @param {object} [options={}] - Rendering options.
+ * @param {Array<object>} [options.files=[]] - File entries of the extraction (see readProjectFiles), for annotations,
+ *   markers and the 'included' scope.
+ * @param {Array<{path: string, changeStatus: string}>} [options.changedFiles=[]] - Changed files, marked with their status.
+ * @param {Map<string, number>} [options.fileSizes=new Map()] - Prompt path -> size in bytes, for the 'size' annotation.
+ * @param {string} [options.scope='selected'] - One of TREE_SCOPES.
+ * @param {string} [options.style='ascii'] - One of TREE_STYLES.
+ * @param {string[]} [options.annotations=[]] - Any of TREE_ANNOTATIONS. Ignored entries are always marked.
+ * @param {number | null} [options.maxDepth=null] - Levels shown below each project root (null = no limit).
+ * @param {boolean} [options.multiRoot=false] - Whether the top-level nodes are root labels (they do not count as a level).
+ * @returns {string} The structure.
+ */
+function renderProjectTree(nodes, {
+    files = [],
+    changedFiles = [],
+    fileSizes = new Map(),
+    scope = 'selected',
+    style = 'ascii',
+    annotations = [],
+    maxDepth = null,
+    multiRoot = false
+} = {}) {
+    const filesByPath = new Map(files.map(file => [file.path, file]));
+    const changesByPath = new Map(changedFiles.map(file => [file.path, file.changeStatus]));
+    const isIncluded = file => file && !file.excludedByLLM && !file.excludedByBudget;
+    let visibleNodes = nodes;
+    if (scope === 'selected') {
+        visibleNodes = filterTree(nodes, node => !node.ignored);
+    } else if (scope === 'included') {
+        visibleNodes = filterTree(nodes, node => !node.ignored && (node.isDirectory || isIncluded(filesByPath.get(node.promptPath))), true);
+    }
+
+    const describeEntry = (node) => {
+        if (node.isDirectory) return node.ignored ? ' [ignored]' : '';
+        const file = filesByPath.get(node.promptPath);
+        const changeStatus = changesByPath.get(node.promptPath);
+        let description = changeStatus ? ` [${changeStatus}]` : '';
+        const details = [];
+        if (annotations.includes('size') && fileSizes.has(node.promptPath)) {
+            details.push(formatBytes(fileSizes.get(node.promptPath)));
+        }
+        const hasContent = isIncluded(file) && !file.omitted && !file.error;
+        if (annotations.includes('lines') && hasContent) {
+            const lines = countLines(file.content);
+            details.push(`${lines} line${lines === 1 ? '' : 's'}`);
+        }
+        if (annotations.includes('tokens') && hasContent) {
+            details.push(`~${file.tokens} tokens`);
+        }
+        if (details.length > 0) description += ` (${details.join(', ')})`;
+        const markers = annotations.includes('markers') ? getEntryMarkers(node, file) : (node.ignored ? ['ignored'] : []);
+        return description + markers.map(marker => ` [${marker}]`).join('');
+    };
+
+    return renderTree(visibleNodes, {
+        style,
+        maxDepth: maxDepth !== null && multiRoot ? maxDepth + 1 : maxDepth,
+        describeEntry
+    });
+}
+
+module.exports = {
+    TREE_ANNOTATIONS,
+    TREE_SCOPES,
+    TREE_STYLES,
+    buildProjectTree,
+    filterTree,
+    renderProjectTree,
+    renderTree
+};
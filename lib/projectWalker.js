@@ -0,0 +1,129 @@
+// External dependencies
+const path = require('path');
+
+// Local modules
+const { createTaskPool } = require('./taskPool');
+const virtualFs = require('./virtualFs');
+
+/**
+ * Compares two names in natural order: case-insensitive, with runs of digits compared by their numeric value
+ * ("file2" before "file10"). Ties are broken by UTF-16 code units, so the order never depends on the locale.
+ * @param {string} a - First name.
+ * @param {string} b - Second name.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareNatural(a, b) {
+    const chunksA = a.match(/\d+|\D+/g) || [];
+    const chunksB = b.match(/\d+|\D+/g) || [];
+    for (let i = 0; i < Math.min(chunksA.length, chunksB.length); i++) {
+        const chunkA = chunksA[i];
+        const chunkB = chunksB[i];
+        if (/^\d/.test(chunkA) && /^\d/.test(chunkB)) {
+            // Compare numbers of any length: fewer significant digits first, then digit by digit
+            const digitsA = chunkA.replace(/^0+(?=\d)/, '');
+            const digitsB = chunkB.replace(/^0+(?=\d)/, '');
+            if (digitsA.length !== digitsB.length) return digitsA.length - digitsB.length;
+            if (digitsA !== digitsB) return digitsA < digitsB ? -1 : 1;
+        } else {
+            const lowerA = chunkA.toLowerCase();
+            const lowerB = chunkB.toLowerCase();
+            if (lowerA !== lowerB) return lowerA < lowerB ? -1 : 1;
+        }
+    }
+    if (chunksA.length !== chunksB.length) return chunksA.length - chunksB.length;
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Compares two directory entries: directories first, then files, each in natural order (see compareNatural).
+ * @param {{name: string, isDirectory: boolean}} a - First entry.
+ * @param {{name: string, isDirectory: boolean}} b - Second entry.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareEntries(a, b) {
+    if (a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+    return compareNatural(a.name, b.name);
+}
+
+/**
+ * Compares two relative file paths in tree order: the order in which a depth-first walk lists them when every
+ * directory shows its subdirectories first, then its files (see compareEntries).
+ * @param {string} a - First relative file path.
+ * @param {string} b - Second relative file path.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareRelativePaths(a, b) {
+    const segmentsA = a.split(path.sep);
+    const segmentsB = b.split(path.sep);
+    for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+        if (segmentsA[i] === segmentsB[i]) continue;
+        // All segments but the last are directories
+        return compareEntries(
+            { name: segmentsA[i], isDirectory: i < segmentsA.length - 1 },
+            { name: segmentsB[i], isDirectory: i < segmentsB.length - 1 }
+        );
+    }
+    return segmentsA.length - segmentsB.length;
+}
+
+/**
+ * Reads the entries of a directory in tree order (see compareEntries); fs.readdir returns them in file system order.
+ * The directory may be inside an archive or repository (see lib/virtualFs).
+ * @param {string} dir - The directory.
+ * @returns {Promise<Array<fs.Dirent>>} The entries.
+ */
+async function readSortedDirectory(dir) {
+    const entries = await virtualFs.readdir(dir, { withFileTypes: true });
+    return entries.sort((a, b) => compareEntries(
+        { name: a.name, isDirectory: a.isDirectory() },
+        { name: b.name, isDirectory: b.isDirectory() }
+    ));
+}
+
+/**
+ * Lists the files of a project tree that pass the exclusion filter, reading directories in parallel.
+ * Unreadable directories are reported and skipped.
+ * @param {string} dir - The directory to walk (the project root or one of its subdirectories).
+ * @param {string} basePath - The root project path, for relative path calculations.
+ * @param {{isExcluded: function(string, boolean): Promise<boolean>}} ignoreFilter - Exclusion filter (see createProjectIgnoreFilter).
+ * @param {object} [pool] - Task pool limiting the directories read at the same time (see createTaskPool).
+ * @returns {Promise<Array<{absolutePath: string, relativePath: string}>>} The files in tree order (see compareRelativePaths).
+ */
+async function walkProjectFiles(dir, basePath, ignoreFilter, pool = createTaskPool()) {
+    const files = [];
+
+    const walkDirectory = async (directory) => {
+        let entries;
+        try {
+            entries = await pool.run(() => readSortedDirectory(directory));
+        } catch (error) {
+            console.warn(`Could not read directory ${directory}: ${error.message}`);
+            return;
+        }
+        const subdirectories = [];
+        for (const entry of entries) {
+            const absolutePath = path.join(directory, entry.name);
+            const relativePath = path.normalize(path.relative(basePath, absolutePath));
+            if (await ignoreFilter.isExcluded(relativePath, entry.isDirectory())) continue;
+            if (entry.isDirectory()) {
+                subdirectories.push(absolutePath);
+            } else {
+                files.push({ absolutePath, relativePath });
+            }
+        }
+        // The pool slot is only held while a directory is read, so nested walks cannot starve each other
+        await Promise.all(subdirectories.map(walkDirectory));
+    };
+
+    await walkDirectory(dir);
+    return files.sort((a, b) => compareRelativePaths(a.relativePath, b.relativePath));
+}
+
+module.exports = {
+    compareEntries,
+    compareNatural,
+    compareRelativePaths,
+    readSortedDirectory,
+    walkProjectFiles
+};
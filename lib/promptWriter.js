@@ -0,0 +1,183 @@
+// External dependencies
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+// Local modules
+const { TOKENIZER_NAME } = require('./tokenCounter');
+const { describeProjectName, resolveOutputDirectory, resolveOutputFile } = require('./projectPaths');
+const { logStatus } = require('./progress');
+
+// Directory (relative to the CWD) that receives prompts when --out is not given
+const DEFAULT_OUTPUT_DIRECTORY = 'promts';
+
+/**
+ * Builds the timestamped base name used for output files and folders.
+ * @param {string | string[]} basePath - The root project path(s) (used for naming context).
+ * @param {string | null} suggestedFileName - An LLM-suggested name part.
+ * @returns {{outputBaseName: string, baseNamePart: string}} The full base name (without extension) and its sanitized name part.
+ */
+function buildOutputBaseName(basePath, suggestedFileName) {
+    const now = new Date();
+    const dateStr = now.toISOString().split('T')[0].replace(/-/g, ''); // YYYYMMDD
+    const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, ''); // HHMMSS
+    
+    const projectDirName = describeProjectName(basePath) || 'project';
+    let baseNamePart = suggestedFileName || projectDirName;
+    
+    // Sanitize the name part: allow alphanumeric, hyphens, underscores. Replace others.
+    baseNamePart = baseNamePart.replace(/\s+/g, '_').replace(/[^\w\-_]/g, '').slice(0, 50); // Limit length
+    if (!baseNamePart) baseNamePart = 'analysis'; // Default if sanitization results in empty string
+
+    return { outputBaseName: `${dateStr}_${timeStr}_${baseNamePart}`, baseNamePart };
+}
+
+/**
+ * Writes a prompt to a stream part by part (see renderParts in lib/extractor), waiting whenever the stream's buffer
+ * is full, so a large prompt never has to be held in memory as a whole.
+ * @param {NodeJS.WritableStream} stream - Where to write (a file stream, process.stdout...).
+ * @param {string | Iterable<string>} promptContent - The rendered prompt, or its parts.
+ * @returns {Promise<void>} Resolves once every part was handed to the stream.
+ */
+async function writePromptParts(stream, promptContent) {
+    const parts = typeof promptContent === 'string' ? [promptContent] : promptContent;
+    for (const part of parts) {
+        if (!stream.write(part)) {
+            await once(stream, 'drain');
+        }
+    }
+}
+
+/**
+ * Writes a prompt to a file part by part.
+ * @param {string} filePath - The file to write.
+ * @param {string | Iterable<string>} promptContent - The rendered prompt, or its parts.
+ * @returns {Promise<void>}
+ */
+async function writeFileInParts(filePath, promptContent) {
+    const stream = fsSync.createWriteStream(filePath);
+    const written = finished(stream);
+    try {
+        await writePromptParts(stream, promptContent);
+        stream.end();
+    } catch (error) {
+        stream.destroy(error);
+    }
+    await written;
+}
+
+/**
+ * Saves the generated prompt to a file.
+ * @param {string | Iterable<string>} promptContent - The rendered prompt to save, or its parts (written as they are rendered).
+ * @param {string | string[]} basePath - The root project path(s) (used for naming context).
+ * @param {string | null} [suggestedFileName=null] - An LLM-suggested name part for the file.
+ * @param {string | null} [outputPath=null] - Output file, or directory for a generated file name (--out). Defaults to 'promts' in the CWD.
+ * @param {string} [fileExtension='.md'] - Extension of generated file names (from the output format).
+ * @returns {Promise<string | null>} The path of the saved file, or null if it could not be saved.
+ */
+async function savePromptToFile(promptContent, basePath, suggestedFileName = null, outputPath = null, fileExtension = '.md') {
+    const { outputBaseName, baseNamePart } = buildOutputBaseName(basePath, suggestedFileName);
+    const outputFileName = `${outputBaseName}${fileExtension}`; 
+
+    try {
+        const filePath = await resolveOutputFile(outputPath, outputFileName, DEFAULT_OUTPUT_DIRECTORY);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileInParts(filePath, promptContent);
+        logStatus(`\nPrompt successfully saved to: ${filePath}`);
+        if (suggestedFileName) {
+            logStatus(`Filename includes LLM suggestion: "${suggestedFileName}" (sanitized to: "${baseNamePart}")`);
+        }
+        return filePath;
+    } catch (error) {
+        console.error('Error saving prompt file:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves a chunked prompt as numbered part files plus a manifest in a per-run folder (under 'promts' by default).
+ * @param {Array<{content: string, tokens: number, files: Array<object>}>} chunks - Parts returned by generateAnalysisMarkdown.
+ * @param {string | string[]} basePath - The root project path(s) (used for naming context).
+ * @param {string | null} [suggestedFileName=null] - An LLM-suggested name part for the folder.
+ * @param {string | null} [outputPath=null] - Directory that receives the per-run folder, or a file name whose
+ *   extension-less name becomes the folder (--out). Defaults to 'promts' in the CWD.
+ * @param {string} [fileExtension='.md'] - Extension of the part files (from the output format).
+ * @param {object | null} [fileManifest=null] - Manifest of the extracted files (see buildManifest); its roots and files
+ *   are added to manifest.json, so the folder can be used with --diffSince.
+ * @returns {Promise<string | null>} The path of the folder, or null if the parts could not be saved.
+ */
+async function savePromptChunks(chunks, basePath, suggestedFileName = null, outputPath = null, fileExtension = '.md', fileManifest = null) {
+    const { outputBaseName } = buildOutputBaseName(basePath, suggestedFileName);
+    const outputDirectory = await resolveOutputDirectory(outputPath, outputBaseName, DEFAULT_OUTPUT_DIRECTORY);
+
+    const manifest = {
+        project: describeProjectName(basePath),
+        generatedAt: new Date().toISOString(),
+        tokenizer: TOKENIZER_NAME,
+        parts: chunks.map((chunk, index) => ({
+            file: `part-${index + 1}-of-${chunks.length}${fileExtension}`,
+            tokens: chunk.tokens,
+            sourceFiles: chunk.files
+        })),
+        ...(fileManifest ? { version: fileManifest.version, roots: fileManifest.roots, files: fileManifest.files } : {})
+    };
+
+    try {
+        await fs.mkdir(outputDirectory, { recursive: true });
+        for (let i = 0; i < chunks.length; i++) {
+            await fs.writeFile(path.join(outputDirectory, manifest.parts[i].file), chunks[i].content);
+        }
+        await fs.writeFile(path.join(outputDirectory, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        logStatus(`\nPrompt split into ${chunks.length} parts and saved to: ${outputDirectory}`);
+        manifest.parts.forEach(part => {
+            logStatus(`  ${part.file}: ~${part.tokens} tokens, ${part.sourceFiles.length} file(s)`);
+        });
+        return outputDirectory;
+    } catch (error) {
+        console.error('Error saving prompt parts:', error);
+        return null;
+    }
+}
+
+/**
+ * Determines the output file of watch mode. The file is rewritten on every change, so its name has no timestamp:
+ * `<project>_latest<extension>` in the output directory, unless the location names a file.
+ * @param {string | string[]} basePath - The root project path(s) (used for naming).
+ * @param {string | null} [outputPath=null] - Output file, or directory for the generated file name (--out). Defaults to 'promts' in the CWD.
+ * @param {string} [fileExtension='.md'] - Extension of the generated file name (from the output format).
+ * @returns {Promise<string>} The absolute path of the output file.
+ */
+async function resolveStableOutputFile(basePath, outputPath = null, fileExtension = '.md') {
+    const projectName = (describeProjectName(basePath) || 'project').replace(/[^\w\-_]/g, '');
+    return resolveOutputFile(outputPath, `${projectName || 'project'}_latest${fileExtension}`, DEFAULT_OUTPUT_DIRECTORY);
+}
+
+/**
+ * Replaces the content of a prompt file. The new content is written next to it and renamed over it,
+ * so tools reading the file never see a partial prompt.
+ * @param {string} filePath - The file to write.
+ * @param {string | Iterable<string>} promptContent - The rendered prompt, or its parts.
+ */
+async function writePromptFile(filePath, promptContent) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        await writeFileInParts(temporaryPath, promptContent);
+    } catch (error) {
+        await fs.rm(temporaryPath, { force: true, recursive: true });
+        throw error;
+    }
+    await fs.rename(temporaryPath, filePath);
+}
+
+module.exports = {
+    DEFAULT_OUTPUT_DIRECTORY,
+    buildOutputBaseName,
+    resolveStableOutputFile,
+    savePromptChunks,
+    savePromptToFile,
+    writePromptFile,
+    writePromptParts
+};
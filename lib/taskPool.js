@@ -0,0 +1,86 @@
+// Number of files read, hashed or listed at the same time by default
+const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Creates a pool that runs at most `concurrency` asynchronous tasks at a time. Tasks start in the order they were
+ * submitted.
+ * @param {number} [concurrency=DEFAULT_CONCURRENCY] - Maximum number of tasks running at the same time (at least 1).
+ * @returns {{run: function(function(): Promise<*>): Promise<*>, map: function(Array<*>, function(*, number): Promise<*>): Promise<Array<*>>}}
+ *   `run(task)` resolves with the task's result once it ran; `map(items, mapper)` runs the mapper for every item and
+ *   resolves with the results in the order of the items.
+ */
+function createTaskPool(concurrency = DEFAULT_CONCURRENCY) {
+    const limit = Math.max(1, Math.floor(concurrency) || 1);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        while (active < limit && queue.length > 0) {
+            const { task, resolve, reject } = queue.shift();
+            active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+    };
+
+    const run = task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+
+    const map = (items, mapper) => Promise.all(items.map((item, index) => run(() => mapper(item, index))));
+
+    return { run, map };
+}
+
+/**
+ * Creates a sequencer that lets tasks running in parallel perform one step in a fixed order, e.g. secret redaction,
+ * whose placeholder numbers depend on the order in which files are processed.
+ * Every index from 0 up must eventually be passed (by running its step or by calling `pass`), or later steps wait forever.
+ * @returns {{run: function(number, function(): *): Promise<*>, pass: function(number): void}}
+ *   `run(index, step)` waits until the steps of all lower indexes ran or were passed, then runs the step;
+ *   `pass(index)` marks an index that has no step to run (no-op if its step already ran).
+ */
+function createSequencer() {
+    let nextIndex = 0;
+    const passed = new Set();
+    const waiting = new Map(); // index -> resolve function of its turn
+
+    const pass = index => {
+        if (index < nextIndex || passed.has(index)) return;
+        passed.add(index);
+        while (passed.has(nextIndex)) {
+            passed.delete(nextIndex);
+            nextIndex++;
+        }
+        if (waiting.has(nextIndex)) {
+            const resolve = waiting.get(nextIndex);
+            waiting.delete(nextIndex);
+            resolve();
+        }
+    };
+
+    const run = async (index, step) => {
+        if (index !== nextIndex) {
+            await new Promise(resolve => waiting.set(index, resolve));
+        }
+        try {
+            return await step();
+        } finally {
+            pass(index);
+        }
+    };
+
+    return { run, pass };
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    createSequencer,
+    createTaskPool
+};
@@ -0,0 +1,163 @@
+// External dependencies
+const path = require('path');
+const { encode, decode } = require('gpt-tokenizer/encoding/o200k_base');
+
+// Offline tokenizer used for all estimates (GPT-4o family). Other models tokenize differently,
+// so treat the numbers as estimates with a margin of roughly 10-20%.
+const TOKENIZER_NAME = 'o200k_base';
+
+// Text such as "<|endoftext|>" inside source files must be counted as plain text, not rejected
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+// A file is truncated rather than dropped only if at least this many of its tokens can be kept
+const MIN_TRUNCATED_FILE_TOKENS = 200;
+
+// Placeholder used for files dropped to fit the token budget
+const BUDGET_EXCLUSION_PLACEHOLDER = `**File excluded to fit the token budget (--maxTokens).**`;
+
+/**
+ * Counts the tokens of a string with the offline tokenizer.
+ * @param {string} text - The text to measure.
+ * @returns {number} The number of tokens.
+ */
+function countTokens(text) {
+    if (!text) return 0;
+    return encode(text, ENCODE_OPTIONS).length;
+}
+
+/**
+ * Truncates text to at most the given number of tokens, cutting at a line boundary when possible.
+ * @param {string} text - The text to truncate.
+ * @param {number} maxTokens - Maximum number of tokens to keep.
+ * @returns {string} The truncated text (unchanged if it already fits).
+ */
+function truncateToTokens(text, maxTokens) {
+    const tokens = encode(text, ENCODE_OPTIONS);
+    if (tokens.length <= maxTokens) return text;
+    const truncated = decode(tokens.slice(0, Math.max(0, maxTokens)));
+    const lastNewline = truncated.lastIndexOf('\n');
+    return lastNewline > 0 ? truncated.slice(0, lastNewline) : truncated;
+}
+
+/**
+ * Orders budget candidates from lowest to highest priority.
+ * Without a ranking, the largest files go first. With a ranking (most important first), unranked
+ * files go first (largest first), followed by ranked files from least to most important.
+ * @param {Array<object>} candidates - File entries with a `tokens` property.
+ * @param {string[]} priorityOrder - Relative paths ordered from most to least important.
+ * @returns {Array<object>} The candidates, lowest priority first.
+ */
+function orderByLowestPriority(candidates, priorityOrder) {
+    const rank = new Map(priorityOrder.map((p, index) => [path.normalize(p), index]));
+    return [...candidates].sort((a, b) => {
+        const rankA = rank.has(a.path) ? rank.get(a.path) : Infinity;
+        const rankB = rank.has(b.path) ? rank.get(b.path) : Infinity;
+        if (rankA !== rankB) return rankB - rankA;
+        return b.tokens - a.tokens;
+    });
+}
+
+/**
+ * Drops or truncates the lowest-priority files until the requested number of tokens has been cut.
+ * File entries are modified in place: dropped files get `excludedByBudget`, truncated files get
+ * `truncatedByBudget`, and `tokens` is updated in both cases.
+ * @param {Array<object>} files - File entries ({path, content, tokens, excludedByLLM, omitted, error}).
+ * @param {number} tokensToCut - How many tokens must be removed.
+ * @param {string[]} [priorityOrder=[]] - Relative paths ordered from most to least important (e.g. LLM ranking).
+ * @returns {Array<{path: string, action: string, originalTokens: number, keptTokens: number}>} What was cut.
+ */
+function applyTokenBudget(files, tokensToCut, priorityOrder = []) {
+    const candidates = files.filter(file => !file.excludedByLLM && !file.excludedByBudget && !file.omitted && !file.error && file.tokens > 0);
+    const cuts = [];
+    let remaining = tokensToCut;
+
+    for (const file of orderByLowestPriority(candidates, priorityOrder)) {
+        if (remaining <= 0) break;
+        const originalTokens = file.originalTokens || file.tokens;
+        const tokensToKeep = file.tokens - remaining;
+
+        if (tokensToKeep >= MIN_TRUNCATED_FILE_TOKENS) {
+            const tokensBefore = file.tokens;
+            file.content = truncateToTokens(file.content, tokensToKeep);
+            file.originalTokens = originalTokens;
+            file.tokens = countTokens(file.content);
+            file.truncatedByBudget = true;
+            remaining -= tokensBefore - file.tokens;
+            cuts.push({ path: file.path, action: 'truncated', originalTokens, keptTokens: file.tokens });
+        } else {
+            const placeholderTokens = countTokens(BUDGET_EXCLUSION_PLACEHOLDER);
+            remaining -= file.tokens - placeholderTokens;
+            file.content = BUDGET_EXCLUSION_PLACEHOLDER;
+            file.originalTokens = originalTokens;
+            file.tokens = placeholderTokens;
+            file.truncatedByBudget = false;
+            file.excludedByBudget = true;
+            cuts.push({ path: file.path, action: 'dropped', originalTokens, keptTokens: 0 });
+        }
+    }
+    return cuts;
+}
+
+/**
+ * Sums file token counts for every directory of the project (each file counts towards all its ancestors).
+ * @param {Array<object>} files - File entries with `path` and `tokens`.
+ * @returns {Map<string, number>} Relative directory path -> total tokens.
+ */
+function summarizeTokensByDirectory(files) {
+    const totals = new Map();
+    files.forEach(file => {
+        let dir = path.dirname(file.path);
+        while (dir !== '.' && dir !== path.sep && dir !== '') {
+            totals.set(dir, (totals.get(dir) || 0) + file.tokens);
+            dir = path.dirname(dir);
+        }
+    });
+    return totals;
+}
+
+/**
+ * Formats per-file and per-directory token tables for console output.
+ * @param {Array<object>} files - File entries with `path` and `tokens`.
+ * @param {number} totalTokens - Token count of the whole generated document.
+ * @param {number} [limit=Infinity] - Maximum number of rows per table (largest first).
+ * @returns {string} The formatted report.
+ */
+function formatTokenReport(files, totalTokens, limit = Infinity) {
+    const formatRow = (tokens, label) => {
+        const share = totalTokens > 0 ? ((tokens / totalTokens) * 100).toFixed(1) : '0.0';
+        return `  ${tokens.toLocaleString('en-US').padStart(10)}  ${share.padStart(5)}%  ${label}`;
+    };
+    const formatTable = (title, rows) => {
+        const shownRows = rows.slice(0, limit);
+        let table = `${title}\n${'Tokens'.padStart(12)}  ${'Share'.padStart(6)}  Path\n`;
+        table += shownRows.map(([label, tokens]) => formatRow(tokens, label)).join('\n');
+        if (rows.length > shownRows.length) {
+            table += `\n  ... ${rows.length - shownRows.length} more (use --tokenReport for the full table)`;
+        }
+        return table;
+    };
+
+    const fileRows = files
+        .map(file => [file.path, file.tokens])
+        .sort((a, b) => b[1] - a[1]);
+    const directoryRows = [...summarizeTokensByDirectory(files).entries()]
+        .map(([dir, tokens]) => [dir + '/', tokens])
+        .sort((a, b) => b[1] - a[1]);
+
+    let report = `Estimated prompt size: ${totalTokens.toLocaleString('en-US')} tokens (tokenizer: ${TOKENIZER_NAME})\n\n`;
+    report += formatTable('Tokens per file:', fileRows);
+    if (directoryRows.length > 0) {
+        report += `\n\n${formatTable('Tokens per directory:', directoryRows)}`;
+    }
+    return report;
+}
+
+module.exports = {
+    BUDGET_EXCLUSION_PLACEHOLDER,
+    TOKENIZER_NAME,
+    applyTokenBudget,
+    countTokens,
+    formatTokenReport,
+    summarizeTokensByDirectory,
+    truncateToTokens
+};
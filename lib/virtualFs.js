@@ -0,0 +1,294 @@
+// External dependencies
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Mounted volumes: absolute root path -> root directory node (see createVolume)
+const volumes = new Map();
+
+// Messages of the file system errors raised for virtual paths, as Node.js words them
+const ERROR_DESCRIPTIONS = {
+    ENOENT: 'no such file or directory',
+    ENOTDIR: 'not a directory',
+    EISDIR: 'illegal operation on a directory'
+};
+
+/**
+ * Creates an error shaped like a Node.js file system error (with `code`, `syscall` and `path`), so callers handle
+ * virtual and real paths alike.
+ * @param {string} code - 'ENOENT', 'ENOTDIR' or 'EISDIR'.
+ * @param {string} syscall - The failed operation, e.g. 'open'.
+ * @param {string} filePath - The path.
+ * @returns {Error} The error.
+ */
+function createFsError(code, syscall, filePath) {
+    const error = new Error(`${code}: ${ERROR_DESCRIPTIONS[code]}, ${syscall} '${filePath}'`);
+    return Object.assign(error, { code, syscall, path: filePath });
+}
+
+/**
+ * Splits an entry path of an archive or repository into its segments, dropping empty and "." segments.
+ * @param {string} entryPath - A '/'-separated path relative to the volume root.
+ * @returns {string[] | null} The segments, or null for paths that escape the root ("..") or name the root itself.
+ */
+function splitEntryPath(entryPath) {
+    const segments = entryPath.split('/').filter(segment => segment !== '' && segment !== '.');
+    return segments.length > 0 && !segments.includes('..') ? segments : null;
+}
+
+/**
+ * Builds the directory tree of a volume: a read-only file system made of the entries of an archive or repository.
+ * Parent directories are created as needed; entries that escape the root or clash with an earlier entry of the other
+ * kind (a file and a directory with the same path) are reported and skipped. A later file replaces an earlier one.
+ * @param {Array<{path: string, size: number, mtimeMs: number, read: function(): Promise<Buffer>, readSync: function(): Buffer}>} files -
+ *   The files, with '/'-separated paths relative to the root and functions returning their content.
+ * @param {object} [options={}] - Volume options.
+ * @param {string[]} [options.directories=[]] - Directories to create even if they are empty.
+ * @param {number} [options.mtimeMs=0] - Modification time reported for directories.
+ * @returns {object} The root directory node.
+ */
+function createVolume(files, { directories = [], mtimeMs = 0 } = {}) {
+    const createDirectory = name => ({ name, isDirectory: true, children: new Map(), size: 0, mtimeMs });
+    const root = createDirectory('');
+
+    const getDirectory = (segments, entryPath) => {
+        let node = root;
+        for (const segment of segments) {
+            if (!node.children.has(segment)) node.children.set(segment, createDirectory(segment));
+            node = node.children.get(segment);
+            if (!node.isDirectory) {
+                console.warn(`Skipping ${entryPath}: ${segments.join('/')} is a file.`);
+                return null;
+            }
+        }
+        return node;
+    };
+
+    directories.forEach(directory => {
+        const segments = splitEntryPath(directory);
+        if (segments) getDirectory(segments, directory);
+    });
+    for (const file of files) {
+        const segments = splitEntryPath(file.path);
+        if (!segments) {
+            console.warn(`Skipping ${file.path}: it points outside the project root.`);
+            continue;
+        }
+        const parent = getDirectory(segments.slice(0, -1), file.path);
+        const name = segments[segments.length - 1];
+        if (!parent) continue;
+        if (parent.children.has(name) && parent.children.get(name).isDirectory) {
+            console.warn(`Skipping ${file.path}: a directory has the same path.`);
+            continue;
+        }
+        parent.children.set(name, { name, isDirectory: false, size: file.size, mtimeMs: file.mtimeMs, read: file.read, readSync: file.readSync });
+    }
+    return root;
+}
+
+/**
+ * Makes a volume readable under a path: the functions of this module then serve that path and everything below it
+ * from the volume instead of the disk.
+ * @param {string} rootPath - The path the volume is read under (usually the path of the archive or repository itself).
+ * @param {object} volume - Root directory node (see createVolume).
+ * @throws {Error} If a volume is already mounted at the path.
+ */
+function mountVolume(rootPath, volume) {
+    const root = path.resolve(rootPath);
+    if (volumes.has(root)) {
+        throw new Error(`${root} is already open.`);
+    }
+    volumes.set(root, volume);
+}
+
+/**
+ * Removes a volume mounted with mountVolume; the path is read from the disk again.
+ * @param {string} rootPath - The path the volume was mounted at.
+ */
+function unmountVolume(rootPath) {
+    volumes.delete(path.resolve(rootPath));
+}
+
+/**
+ * Finds the volume serving a path.
+ * @param {string} filePath - Any path.
+ * @returns {{volume: object, segments: string[]} | null} The volume and the path's segments below its root, or null for
+ *   paths on the disk.
+ */
+function findVolume(filePath) {
+    const absolutePath = path.resolve(filePath);
+    for (const [root, volume] of volumes) {
+        if (absolutePath === root) return { volume, segments: [] };
+        if (absolutePath.startsWith(root + path.sep)) {
+            return { volume, segments: absolutePath.slice(root.length + 1).split(path.sep) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a path is served by a mounted volume.
+ * @param {string} filePath - Any path.
+ * @returns {boolean} True for paths inside an archive or repository.
+ */
+function isVirtualPath(filePath) {
+    return findVolume(filePath) !== null;
+}
+
+/**
+ * Looks up the node of a virtual path.
+ * @param {{volume: object, segments: string[]}} found - Result of findVolume.
+ * @param {string} filePath - The path, for error messages.
+ * @param {string} syscall - The operation, for error messages.
+ * @returns {object} The file or directory node.
+ * @throws {Error} ENOENT or ENOTDIR, like the disk would.
+ */
+function lookup(found, filePath, syscall) {
+    let node = found.volume;
+    for (const segment of found.segments) {
+        if (!node.isDirectory) throw createFsError('ENOTDIR', syscall, filePath);
+        node = node.children.get(segment);
+        if (!node) throw createFsError('ENOENT', syscall, filePath);
+    }
+    return node;
+}
+
+/**
+ * Describes a node like fs.Stats (size, modification time and type).
+ * @param {object} node - A file or directory node.
+ * @returns {object} The stats.
+ */
+function toStats(node) {
+    return {
+        size: node.size,
+        mtimeMs: node.mtimeMs,
+        mtime: new Date(node.mtimeMs),
+        isDirectory: () => node.isDirectory,
+        isFile: () => !node.isDirectory,
+        isSymbolicLink: () => false
+    };
+}
+
+/**
+ * Describes a node like fs.Dirent.
+ * @param {object} node - A file or directory node.
+ * @returns {object} The directory entry.
+ */
+function toDirent(node) {
+    return {
+        name: node.name,
+        isDirectory: () => node.isDirectory,
+        isFile: () => !node.isDirectory,
+        isSymbolicLink: () => false
+    };
+}
+
+/**
+ * Gets the encoding argument of readFile, given as a string or as `{encoding}`.
+ * @param {string | {encoding?: string} | undefined} options - The argument.
+ * @returns {string | undefined} The encoding.
+ */
+function getEncoding(options) {
+    return typeof options === 'string' ? options : options && options.encoding;
+}
+
+/**
+ * Reads a file node.
+ * @param {string} filePath - The path, for error messages.
+ * @returns {Promise<Buffer>} The content.
+ */
+async function readVirtualFile(filePath) {
+    const node = lookup(findVolume(filePath), filePath, 'open');
+    if (node.isDirectory) throw createFsError('EISDIR', 'read', filePath);
+    return node.read();
+}
+
+/**
+ * Lists a directory, like fs.promises.readdir.
+ * @param {string} dir - The directory.
+ * @param {{withFileTypes?: boolean}} [options={}] - With `withFileTypes`, entries are returned as dirents.
+ * @returns {Promise<Array<string | object>>} The entry names or dirents.
+ */
+async function readdir(dir, options = {}) {
+    const found = findVolume(dir);
+    if (!found) return fs.readdir(dir, options);
+    const node = lookup(found, dir, 'scandir');
+    if (!node.isDirectory) throw createFsError('ENOTDIR', 'scandir', dir);
+    const children = [...node.children.values()];
+    return options.withFileTypes ? children.map(toDirent) : children.map(child => child.name);
+}
+
+/**
+ * Gets the size, modification time and type of a file or directory, like fs.promises.stat.
+ * @param {string} filePath - The path.
+ * @returns {Promise<object>} The stats.
+ */
+async function stat(filePath) {
+    const found = findVolume(filePath);
+    if (!found) return fs.stat(filePath);
+    return toStats(lookup(found, filePath, 'stat'));
+}
+
+/**
+ * Reads a file, like fs.promises.readFile.
+ * @param {string} filePath - The path.
+ * @param {string | {encoding?: string}} [options] - The encoding; a Buffer is returned without one.
+ * @returns {Promise<string | Buffer>} The content.
+ */
+async function readFile(filePath, options) {
+    if (!isVirtualPath(filePath)) return fs.readFile(filePath, options);
+    const buffer = await readVirtualFile(filePath);
+    const encoding = getEncoding(options);
+    return encoding ? buffer.toString(encoding) : buffer;
+}
+
+/**
+ * Opens a file for streaming, like fs.createReadStream. Virtual files are read whole and streamed as one chunk.
+ * @param {string} filePath - The path.
+ * @returns {import('stream').Readable} The stream.
+ */
+function createReadStream(filePath) {
+    if (!isVirtualPath(filePath)) return fsSync.createReadStream(filePath);
+    return Readable.from((async function* readChunks() {
+        yield await readVirtualFile(filePath);
+    })());
+}
+
+/**
+ * Synchronous version of stat, for APIs that cannot wait (TypeScript module resolution).
+ * @param {string} filePath - The path.
+ * @returns {object} The stats.
+ */
+function statSync(filePath) {
+    const found = findVolume(filePath);
+    if (!found) return fsSync.statSync(filePath);
+    return toStats(lookup(found, filePath, 'stat'));
+}
+
+/**
+ * Synchronous version of readFile, for APIs that cannot wait (TypeScript module resolution).
+ * @param {string} filePath - The path.
+ * @param {string | {encoding?: string}} [options] - The encoding; a Buffer is returned without one.
+ * @returns {string | Buffer} The content.
+ */
+function readFileSync(filePath, options) {
+    if (!isVirtualPath(filePath)) return fsSync.readFileSync(filePath, options);
+    const node = lookup(findVolume(filePath), filePath, 'open');
+    if (node.isDirectory) throw createFsError('EISDIR', 'read', filePath);
+    const encoding = getEncoding(options);
+    return encoding ? node.readSync().toString(encoding) : node.readSync();
+}
+
+module.exports = {
+    createReadStream,
+    createVolume,
+    isVirtualPath,
+    mountVolume,
+    readFile,
+    readFileSync,
+    readdir,
+    stat,
+    statSync,
+    unmountVolume
+};
@@ -0,0 +1,142 @@
+// External dependencies
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Local modules
+const { IGNORE_FILE_NAMES } = require('./ignoreRules');
+
+// Quiet period after the last change before the callback runs
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Watches project trees for changes, respecting their exclusion rules: excluded directories (node_modules, build
+ * output, ignored folders...) are not watched and changes to excluded files are ignored. Directories created later
+ * are watched as they appear. Changes are collected until nothing changed for `debounceMs`, then reported at once;
+ * changes made while the callback runs are reported after it returns.
+ * @param {Array<{path: string}>} roots - Absolute paths of the project roots.
+ * @param {object} options - Watch options.
+ * @param {function(string): {isExcluded: function(string, boolean): Promise<boolean>}} options.createFilter - Creates the
+ *   exclusion filter of a root (see createProjectIgnoreFilter); called again when an ignore file changes.
+ * @param {function(string[]): Promise<void>} options.onChange - Receives the absolute paths that changed.
+ * @param {number} [options.debounceMs=DEFAULT_DEBOUNCE_MS] - Quiet period before onChange is called.
+ * @param {string[]} [options.ignoredPaths=[]] - Paths whose changes are ignored: files the tool writes (e.g. the output
+ *   file), together with the temporary files written next to them (`<path>.<suffix>.tmp`), and directories it writes
+ *   to (e.g. its caches), together with everything below them, which are not watched either.
+ * @returns {Promise<{close: function(): void, directoryCount: function(): number}>} Stops watching / counts watched directories.
+ */
+async function watchProjectTrees(roots, { createFilter, onChange, debounceMs = DEFAULT_DEBOUNCE_MS, ignoredPaths = [] }) {
+    const ignored = ignoredPaths.map(p => path.resolve(p));
+    const isIgnored = changedPath => {
+        const target = changedPath.replace(/\.[^.\\/]+\.tmp$/, '');
+        return ignored.some(ignoredPath => target === ignoredPath || changedPath.startsWith(ignoredPath + path.sep));
+    };
+    const watchers = new Map(); // absolute directory -> fs.FSWatcher
+    const filters = new Map(roots.map(root => [root.path, createFilter(root.path)]));
+    let pendingPaths = new Set();
+    let timer = null;
+    let running = false;
+    let closed = false;
+
+    const flush = async () => {
+        timer = null;
+        if (running || pendingPaths.size === 0) return;
+        const changedPaths = [...pendingPaths];
+        pendingPaths = new Set();
+        running = true;
+        try {
+            await onChange(changedPaths);
+        } catch (error) {
+            console.error(`Error while processing changes: ${error.message}`);
+        } finally {
+            running = false;
+        }
+        if (pendingPaths.size > 0 && !closed) schedule();
+    };
+
+    const schedule = () => {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+    };
+
+    // Watches a directory (unless it already is) and the directories below it that are not excluded
+    const watchDirectory = async (directory, rootPath) => {
+        if (closed) return;
+        if (!watchers.has(directory)) {
+            let watcher;
+            try {
+                watcher = fsSync.watch(directory, (eventType, fileName) => {
+                    if (!fileName) return;
+                    handleEvent(path.join(directory, fileName.toString()), rootPath).catch(error => {
+                        console.warn(`Could not process a change in ${directory}: ${error.message}`);
+                    });
+                });
+            } catch (error) {
+                console.warn(`Could not watch directory ${directory}: ${error.message}`);
+                return;
+            }
+            watcher.on('error', () => { // The directory was removed
+                watcher.close();
+                watchers.delete(directory);
+            });
+            watchers.set(directory, watcher);
+        }
+
+        let entries = [];
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            return; // Removed in the meantime
+        }
+        for (const entry of entries) {
+            const subPath = path.join(directory, entry.name);
+            if (entry.isDirectory() && !isIgnored(subPath) && !(await filters.get(rootPath).isExcluded(path.relative(rootPath, subPath), true))) {
+                await watchDirectory(subPath, rootPath);
+            }
+        }
+    };
+
+    const handleEvent = async (changedPath, rootPath) => {
+        if (closed || isIgnored(changedPath)) return;
+        if (IGNORE_FILE_NAMES.includes(path.basename(changedPath))) {
+            // Exclusion rules changed: reload them and watch directories that are no longer excluded
+            filters.set(rootPath, createFilter(rootPath));
+            pendingPaths.add(changedPath);
+            schedule();
+            await watchDirectory(rootPath, rootPath);
+            return;
+        }
+
+        let isDirectory = false;
+        try {
+            isDirectory = (await fs.stat(changedPath)).isDirectory();
+        } catch (error) {
+            // Deleted: only its path is left to check
+        }
+        if (await filters.get(rootPath).isExcluded(path.relative(rootPath, changedPath), isDirectory)) return;
+        if (isDirectory) {
+            await watchDirectory(changedPath, rootPath);
+        }
+        pendingPaths.add(changedPath);
+        schedule();
+    };
+
+    for (const root of roots) {
+        await watchDirectory(root.path, root.path);
+    }
+
+    return {
+        close: () => {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        },
+        directoryCount: () => watchers.size
+    };
+}
+
+module.exports = {
+    DEFAULT_DEBOUNCE_MS,
+    watchProjectTrees
+};
@@ -1,546 +1,865 @@
+#!/usr/bin/env node
 // External dependencies
-const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 require('dotenv').config(); // Load environment variables from .env file
-
-// --- Configuration & Constants ---
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-    console.warn("WARNING: OPENAI_API_KEY is not set in the environment variables. LLM-based features will be disabled or may fail.");
-}
-
-const LLM_API_ENDPOINT = 'https://api.openai.com/v1/chat/completions'; // More generic name
-
-// Static list of exclusions (files/folders to always ignore)
-const STATIC_EXCLUDE_PATTERNS = [
-    '.DS_Store',
-    'node_modules',
-    '.git',
-    '.gitignore',
-    '.prettierrc',
-    'package-lock.json',
-    'yarn.lock',
-    'prompts', // Assuming this is the output folder for generated prompts
-    'promts' // Or if you rename the output folder
-];
-
-const LLM_FILTER_LEVEL_DESCRIPTIONS = {
-    1: "Minimal: Exclude only obviously unnecessary files for analysis: lock files (package-lock.json, yarn.lock), system files (.DS_Store), version control system files (contents of .git folder), IDE configurations (.vscode, .idea). Do not exclude code files or important project configurations.",
-    2: "Light: Previous level + build/formatting configuration files that are not core logic (e.g., typical .prettierrc, .eslintrc.js, babel.config.js, webpack.config.js, tsconfig.json), unless they are exceptionally complex or unique for understanding the project.",
-    3: "Medium: Previous level + documentation files (except for the main README.md if it exists and is small), files with large static data (e.g., large JSONs with mock data if not critical for demonstrating logic), secondary test files (e.g., individual unit tests for simple utilities, but keep integration or key E2E tests).",
-    4: "Aggressive: Previous level + less important modules, utilities that are not central to the main functionality, possibly style files (CSS, SCSS) or less significant UI components (if the focus is on backend logic or core business logic). Also consider excluding files with usage examples or demo scripts that are not part of the main product.",
-    5: "Very Aggressive: Previous level + any files that are not absolutely critical for understanding the core business logic and architecture of the project. Leave only the core. Be very selective, but consider that losing some files might complicate understanding relationships."
-};
-
-// Hardcoded path for the project to analyze
-const HARDCODED_PROJECT_PATH = './files_to_extract/'; // <--- SPECIFY YOUR TARGET PATH HERE
-
-// --- Helper Functions ---
+const { formatTokenReport } = require('./lib/tokenCounter');
+const { DEFAULT_MAX_FILE_SIZE } = require('./lib/fileClassifier');
+const { describeGitSelection } = require('./lib/gitChanges');
+const { FORMAT_NAMES, getFormatter } = require('./lib/formatters');
+const { createRedactor, formatRedactionReport } = require('./lib/secretRedactor');
+const { DEFAULT_CACHE_DIRECTORY, pruneCache } = require('./lib/llmCache');
+const {
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_REQUEST_TIMEOUT_MS,
+    PROVIDER_NAMES,
+    describeRequestError,
+    getConfigurationError,
+    resolveProviderConfig
+} = require('./lib/llmProviders');
+const {
+    CONTENT_FILTER_FULL_THRESHOLDS,
+    CONTENT_FILTER_SCORE_THRESHOLDS,
+    DEFAULT_CONTENT_FILTER_BATCH_TOKENS
+} = require('./lib/llmFilter');
+const { resolveProjectRoots } = require('./lib/projectPaths');
+const { isBareRepository } = require('./lib/projectSources');
+const { createProjectIgnoreFilter, extract, generateAnalysisMarkdown, renderParts } = require('./lib/extractor');
+const { createFileCache } = require('./lib/fileCache');
+const { logStatus } = require('./lib/progress');
+const { DEFAULT_CONCURRENCY } = require('./lib/taskPool');
+const { TREE_ANNOTATIONS, TREE_SCOPES, TREE_STYLES } = require('./lib/projectTree');
+const { DEFAULT_CONTENT_CACHE_DIRECTORY } = require('./lib/contentCache');
+const { getManifestPath, loadManifest, writeManifest } = require('./lib/manifest');
+const { DEFAULT_DEBOUNCE_MS, watchProjectTrees } = require('./lib/watcher');
+const {
+    DEFAULT_OUTPUT_DIRECTORY,
+    resolveStableOutputFile,
+    savePromptChunks,
+    savePromptToFile,
+    writePromptFile,
+    writePromptParts
+} = require('./lib/promptWriter');
+const { parseCommandLine } = require('./lib/cli');
+const { ASK_TEMPLATES, ASK_TEMPLATE_NAMES, askQuestion, buildQuestion, saveAnswer } = require('./lib/ask');
+
+// Project analyzed when no path is given on the command line
+const DEFAULT_PROJECT_PATH = './files_to_extract/';
+
+// Exit code when the prompt was written, but the requested LLM filtering did not happen (or only partly)
+const UNFILTERED_EXIT_CODE = 2;
+
+const EXTRACT_USAGE = 'Usage: $0 [projectPath..] [options]\n       $0 ask [projectPath..] --question "..." | --template name [options]\n       $0 cache-prune [--olderThan days] [--all]\n\nExtracts one or more projects (default: ' + DEFAULT_PROJECT_PATH + ') into a Markdown prompt. Several paths are combined into one document, each labeled with its folder name. A path can also be a .zip/.tar/.tar.gz archive, a git bundle or a bare repository, read without extracting it (see --ref).';
 
 /**
- * Generates a string representation of the folder structure.
- * @param {string} dir - The current directory to scan.
- * @param {string} basePath - The root path of the project, for relative path calculations.
- * @param {string} prefix - The prefix for visual indentation of the structure.
- * @returns {Promise<string>} A string representing the folder structure.
+ * Runs the `cache-prune` command: removes cached LLM filter decisions and processed file contents.
+ * @param {string[]} args - Command line arguments after the command name.
  */
-async function generateFolderStructureString(dir, basePath, prefix = '') {
-    let structure = '';
-    try {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            // Skip if entry name itself is in static exclude list (e.g. .git)
-            if (STATIC_EXCLUDE_PATTERNS.some(exclude => entry.name === exclude)) {
-                continue;
-            }
-            // Skip if relative path starts with an exclude pattern (e.g. node_modules/)
-            const entryPath = path.join(dir, entry.name);
-            const relativePath = path.relative(basePath, entryPath);
-            if (STATIC_EXCLUDE_PATTERNS.some(exclude => relativePath.startsWith(exclude + path.sep))) {
-                continue;
+async function runCachePrune(args) {
+    const argv = yargs(args)
+        .usage('Usage: $0 cache-prune [options]\n\nRemoves cached LLM filter decisions and processed file contents that have not been used recently.')
+        .option('olderThan', {
+            type: 'number',
+            description: 'Remove entries not used for more than this many days.',
+            default: 30
+        })
+        .option('all', {
+            type: 'boolean',
+            description: 'Remove all cached decisions and contents.',
+            default: false
+        })
+        .option('cacheDir', {
+            type: 'string',
+            description: 'LLM filter cache directory.',
+            default: DEFAULT_CACHE_DIRECTORY
+        })
+        .option('contentCacheDir', {
+            type: 'string',
+            description: 'Processed content cache directory.',
+            default: DEFAULT_CONTENT_CACHE_DIRECTORY
+        })
+        .check((argv) => {
+            if (!(argv.olderThan >= 0)) {
+                throw new Error('--olderThan must be a non-negative number of days.');
             }
+            return true;
+        })
+        .help()
+        .alias('help', 'h')
+        .argv;
 
-            structure += `${prefix}-- ${entry.name}${entry.isDirectory() ? '/' : ''}\n`;
-            if (entry.isDirectory()) {
-                structure += await generateFolderStructureString(entryPath, basePath, prefix + '  ');
-            }
-        }
-    } catch (error) {
-        console.warn(`Could not read directory ${dir}: ${error.message}`);
-        return `${prefix}Error reading directory: ${dir}\n`;
-    }
-    return structure;
+    const { removed, kept } = await pruneCache(argv.cacheDir, { olderThanDays: argv.olderThan, all: argv.all });
+    console.log(`Pruned LLM filter cache ${path.resolve(argv.cacheDir)}: ${removed} entr${removed === 1 ? 'y' : 'ies'} removed, ${kept} kept.`);
+    const contents = await pruneCache(argv.contentCacheDir, { olderThanDays: argv.olderThan, all: argv.all });
+    console.log(`Pruned content cache ${path.resolve(argv.contentCacheDir)}: ${contents.removed} entr${contents.removed === 1 ? 'y' : 'ies'} removed, ${contents.kept} kept.`);
 }
 
 /**
- * Reads additional context files for the LLM (README.md, memory-bank/*, other .md files).
- * @param {string} basePath - The root path of the project.
- * @returns {Promise<object>} An object containing content from README, memory-bank, and other MD files.
+ * Defines the usage text and options of the extraction command (the configuration options are added by lib/cli).
+ * @param {object} parser - A yargs instance.
+ * @param {string} [usage] - Usage text; defaults to the extraction command's (see defineAskOptions).
+ * @returns {object} The same instance, for chaining.
  */
-async function readAdditionalContext(basePath) {
-    const context = {
-        readmeContent: null,
-        memoryBankFiles: [],
-        mdFiles: []
-    };
-
-    const readFileIfExists = async (filePath, relativePathName = null) => {
-        try {
-            const content = await fs.readFile(filePath, 'utf8');
-            return {
-                name: path.basename(filePath),
-                path: relativePathName || path.relative(basePath, filePath),
-                content: content.trim()
-            };
-        } catch (error) {
-            // File not found is normal, other errors might be logged if needed
-            if (error.code !== 'ENOENT') {
-                console.warn(`Could not read context file ${filePath}: ${error.message}`);
-            }
-            return null;
-        }
-    };
+function defineCliOptions(parser, usage = EXTRACT_USAGE) {
+    return parser
+        .usage(usage)
+        .option('out', {
+            type: 'string',
+            description: 'Output file, or directory that receives a generated file name (a path ending with "/" or an existing directory). Default: promts/ in the current directory.'
+        })
+        .option('stdout', {
+            type: 'boolean',
+            description: 'Write the prompt to stdout instead of a file (progress messages go to stderr), e.g. for piping into other tools.',
+            default: false
+        })
+        .option('format', {
+            alias: 'F',
+            type: 'string',
+            choices: FORMAT_NAMES,
+            description: 'Output format: Markdown, XML-style <file path="..."> blocks, a JSON document, or plain text.',
+            default: 'markdown'
+        })
+        .option('deleteComments', {
+            alias: 'd',
+            type: 'boolean',
+            description: 'Remove comments from code before analysis (language-aware; strings, URLs and shebangs are kept).',
+            default: false
+        })
+        .option('keepLicense', {
+            type: 'boolean',
+            description: 'When removing comments, keep leading license/copyright headers and /*! ... */ comments.',
+            default: false
+        })
+        .option('filterLevel', {
+            alias: 'f',
+            type: 'number',
+            description: 'LLM file filtering aggressiveness level (0 = off, 1-5 = min to very aggressive).',
+            default: 2 // Default to Light filtering
+        })
+        .option('focus', {
+            alias: 'o', // 'o' for 'objective' or 'orientation'
+            type: 'string',
+            description: 'Custom prompt (analysis focus) for LLM filter and final analysis. E.g., "Analyze only wallet-service and related authentication logic".',
+            default: ''
+        })
+        .option('include', {
+            alias: 'i',
+            type: 'array',
+            string: true,
+            description: 'Glob(s) of files to include, in .gitignore syntax (e.g. "src/**" "*.ts"). All files are included if omitted.',
+            default: []
+        })
+        .option('exclude', {
+            alias: 'x',
+            type: 'array',
+            string: true,
+            description: 'Additional glob(s) to exclude, in .gitignore syntax (e.g. "*.test.js" "docs/"). Applied after .gitignore and .extractorignore rules.',
+            default: []
+        })
+        .option('maxTokens', {
+            alias: 't',
+            type: 'number',
+            description: 'Token budget for the generated prompt. Lowest-priority files (largest first, or LLM-ranked when filtering is on) are dropped or truncated until it fits. 0 = no budget.',
+            default: 0
+        })
+        .option('chunkTokens', {
+            alias: 'c',
+            type: 'number',
+            description: 'Split prompts larger than this many tokens into numbered, self-contained parts (with a manifest) under a per-run folder in promts/ (or --out). 0 = never split.',
+            default: 0
+        })
+        .option('maxFileSize', {
+            type: 'number',
+            description: 'Maximum size (in KB) of a file whose content is included; larger files are shown as a one-line placeholder.',
+            default: DEFAULT_MAX_FILE_SIZE / 1024
+        })
+        .option('includeGenerated', {
+            type: 'boolean',
+            description: 'Include generated/minified files and source maps instead of replacing them with a placeholder.',
+            default: false
+        })
+        .option('treeStyle', {
+            type: 'string',
+            choices: TREE_STYLES,
+            description: 'How the directory structure is drawn: indented "-- " entries, or box-drawing connectors (├── └──).',
+            default: 'ascii'
+        })
+        .option('treeAnnotate', {
+            type: 'array',
+            string: true,
+            choices: TREE_ANNOTATIONS,
+            description: 'Details shown next to files in the directory structure: file size, line count, token estimate, and markers such as [excluded by LLM].',
+            default: []
+        })
+        .option('treeDepth', {
+            type: 'number',
+            description: 'Show at most this many levels of the directory structure; deeper folders are collapsed into "… N more files". No limit by default.'
+        })
+        .option('treeScope', {
+            type: 'string',
+            choices: TREE_SCOPES,
+            description: 'Entries of the directory structure: all (before filtering; excluded entries are marked [ignored]), selected (after static rules, ignore files and globs) or included (only files whose content is in the prompt).',
+            default: 'selected'
+        })
+        .option('lineNumbers', {
+            type: 'boolean',
+            description: 'Prefix each line of file contents with its line number ("12 | "), so answers can cite path:line. Not applied to the JSON format.',
+            default: false
+        })
+        .option('fileMetadata', {
+            type: 'boolean',
+            description: 'Add a metadata line to each file: size, lines, language, token estimate and, in git repositories, the author and date of its last commit.',
+            default: false
+        })
+        .option('toc', {
+            type: 'boolean',
+            description: 'Add a table of contents listing every file (with lines and tokens) before the directory structure, linked to the file blocks. Not applied to the JSON format.',
+            default: false
+        })
+        .option('provider', {
+            alias: 'p',
+            type: 'string',
+            choices: PROVIDER_NAMES,
+            description: 'LLM provider for filtering and naming (env: LLM_PROVIDER). Default: openai.'
+        })
+        .option('model', {
+            alias: 'm',
+            type: 'string',
+            description: 'Model name for the selected provider (env: LLM_MODEL). Defaults to a provider-specific model, e.g. gpt-4o.'
+        })
+        .option('baseUrl', {
+            type: 'string',
+            description: 'API base URL, e.g. http://localhost:11434 for Ollama or http://localhost:8080/v1 for a local OpenAI-compatible server (env: LLM_BASE_URL).'
+        })
+        .option('llmTimeout', {
+            type: 'number',
+            description: 'Seconds an LLM request may wait for the provider before it is abandoned (and retried).',
+            default: DEFAULT_REQUEST_TIMEOUT_MS / 1000
+        })
+        .option('llmRetries', {
+            type: 'number',
+            description: 'Retries of an LLM request after rate limiting (429), server errors (5xx), timeouts or dropped connections, with exponential backoff that honors Retry-After.',
+            default: DEFAULT_MAX_RETRIES
+        })
+        .option('ref', {
+            type: 'string',
+            description: 'Commit, branch or tag to read when a project path is a git bundle or a bare repository (default: HEAD, or the only ref of a bundle without HEAD).'
+        })
+        .option('since', {
+            type: 'string',
+            description: 'Git mode: only files changed since the branch point from this ref (e.g. main), including uncommitted and untracked files.'
+        })
+        .option('range', {
+            type: 'string',
+            description: 'Git mode: only files changed in a commit range, e.g. "v1.2.0..HEAD" or "main...feature". File contents are read from the working tree.'
+        })
+        .option('staged', {
+            type: 'boolean',
+            description: 'Git mode: only staged files.',
+            default: false
+        })
+        .option('changed', {
+            type: 'boolean',
+            description: 'Git mode: only files changed in the working tree against HEAD (staged, unstaged and untracked).',
+            default: false
+        })
+        .option('diff', {
+            type: 'boolean',
+            description: 'Git mode: add the unified diff of each changed file next to its full content.',
+            default: false
+        })
+        .option('withContext', {
+            type: 'boolean',
+            description: 'Git mode or --diffSince: also include unchanged files as context. With --filterLevel > 0, the LLM picks which of them to keep.',
+            default: false
+        })
+        .option('diffSince', {
+            type: 'string',
+            description: 'Only extract files added, modified or deleted since an earlier extraction: its prompt file, chunk folder or manifest (written next to every saved prompt).'
+        })
+        .option('contentFilter', {
+            type: 'boolean',
+            description: 'Content-aware LLM filtering: score summaries of the files (first lines, exports, signatures) against --focus in batches, and exclude files scoring below the threshold of --filterLevel.',
+            default: false
+        })
+        .option('contentFilterBatchTokens', {
+            type: 'number',
+            description: 'Token limit of a single content-aware scoring request.',
+            default: DEFAULT_CONTENT_FILTER_BATCH_TOKENS
+        })
+        .option('entry', {
+            type: 'array',
+            string: true,
+            description: 'Entry file (repeatable): include only files it imports, directly or indirectly (JS/TS and Python), and add the import graph. Relative to the CWD or a project path.',
+            default: []
+        })
+        .option('depth', {
+            type: 'number',
+            description: 'With --entry: follow imports at most this many levels (0 = entry files only). No limit by default.'
+        })
+        .option('skeleton', {
+            type: 'boolean',
+            description: 'Let the LLM filter include secondary JS/TS/Python files as outlines (imports, signatures, docs; bodies elided) instead of only keeping or excluding them.',
+            default: false
+        })
+        .option('noCache', {
+            type: 'boolean',
+            description: 'Always ask the LLM instead of reusing a cached filter decision for identical input; the fresh decision replaces the cached one.',
+            default: false
+        })
+        .option('cacheDir', {
+            type: 'string',
+            description: 'Directory of the LLM filter decision cache. Clean it up with the cache-prune command.',
+            default: DEFAULT_CACHE_DIRECTORY
+        })
+        .option('noContentCache', {
+            type: 'boolean',
+            description: 'Do not reuse or store processed file contents (after comment removal and redaction) in the content cache.',
+            default: false
+        })
+        .option('contentCacheDir', {
+            type: 'string',
+            description: 'Directory of the processed content cache. Clean it up with the cache-prune command.',
+            default: DEFAULT_CONTENT_CACHE_DIRECTORY
+        })
+        .option('concurrency', {
+            type: 'number',
+            description: 'Maximum number of files and directories read at the same time.',
+            default: DEFAULT_CONCURRENCY
+        })
+        .option('noProgress', {
+            type: 'boolean',
+            description: 'Do not report the files scanned and read, bytes and elapsed time on stderr.',
+            default: false
+        })
+        .option('tokenReport', {
+            type: 'boolean',
+            description: 'Print the full per-file and per-directory token table instead of the largest entries only.',
+            default: false
+        })
+        .option('noRedact', {
+            type: 'boolean',
+            description: 'Do not replace secrets (API keys, tokens, private keys, passwords, .env values) with [REDACTED:TYPE#n] placeholders.',
+            default: false
+        })
+        .option('redactPattern', {
+            type: 'array',
+            string: true,
+            description: 'Additional secret pattern(s) to redact, as "TYPE=regex" or "regex" (e.g. "INTERNAL_TOKEN=itk_[a-z0-9]{32}").',
+            default: []
+        })
+        .option('strict', {
+            type: 'boolean',
+            description: 'Refuse to write the prompt if possible secrets remain that could not be redacted.',
+            default: false
+        })
+        .option('watch', {
+            alias: 'w',
+            type: 'boolean',
+            description: 'Keep running and regenerate the prompt in place (promts/<project>_latest.md, or --out) whenever project files change.',
+            default: false
+        })
+        .option('watchDebounce', {
+            type: 'number',
+            description: 'Watch mode: milliseconds without further changes before the prompt is regenerated.',
+            default: DEFAULT_DEBOUNCE_MS
+        });
+}
 
-    // Read README.md
-    const readmeData = await readFileIfExists(path.join(basePath, 'README.md'), 'README.md');
-    if (readmeData) context.readmeContent = readmeData.content;
+/**
+ * Defines the usage text and options of the `ask` command: the extraction options plus the question.
+ * @param {object} parser - A yargs instance.
+ * @returns {object} The same instance, for chaining.
+ */
+function defineAskOptions(parser) {
+    return defineCliOptions(parser, 'Usage: $0 ask [projectPath..] --question "..." | --template name [options]\n\nExtracts the project like the main command, saves the prompt, then sends it with the question to the LLM provider. '
+            + 'The answer is streamed to stdout and saved next to the prompt (<prompt>.answer.md, with usage in <prompt>.answer.json). '
+            + 'Prompts too large for the model are answered part by part and the partial answers combined.\n\nTemplates:\n'
+            + ASK_TEMPLATE_NAMES.map(name => `  ${name.padEnd(10)} ${ASK_TEMPLATES[name].description}`).join('\n'))
+        .option('question', {
+            alias: 'q',
+            type: 'string',
+            description: 'Question about the project. With --template, additional instructions.'
+        })
+        .option('template', {
+            type: 'string',
+            choices: ASK_TEMPLATE_NAMES,
+            description: 'Ready-made question: review, document or find-bugs.'
+        })
+        .option('noStream', {
+            type: 'boolean',
+            description: 'Wait for the whole answer instead of streaming it (for providers or proxies without streaming support).',
+            default: false
+        });
+}
 
-    // Read files from memory-bank/
-    const memoryBankPath = path.join(basePath, 'memory-bank');
-    try {
-        const memoryBankEntries = await fs.readdir(memoryBankPath, { withFileTypes: true });
-        for (const entry of memoryBankEntries) {
-            if (entry.isFile() && !STATIC_EXCLUDE_PATTERNS.some(ex => entry.name.includes(ex))) {
-                const fileData = await readFileIfExists(path.join(memoryBankPath, entry.name));
-                if (fileData) context.memoryBankFiles.push(fileData);
-            }
+/**
+ * Validates the parsed arguments of the extraction command (passed to yargs .check).
+ * @param {object} argv - The parsed arguments.
+ * @returns {boolean} True if the arguments are valid.
+ * @throws {Error} Describing the first invalid argument.
+ */
+function validateArguments(argv) {
+    // Using fsSync here as yargs.check is typically synchronous
+    const fsSync = require('fs'); // Synchronous fs for this check
+    const projectPaths = argv._.length > 0 ? argv._.map(String) : [DEFAULT_PROJECT_PATH];
+
+    projectPaths.forEach(projectPath => {
+        const resolvedPath = path.resolve(projectPath);
+        if (!fsSync.existsSync(resolvedPath)) {
+            throw new Error(`The project path '${projectPath}' (resolved to '${resolvedPath}') does not exist.`);
         }
-    } catch (error) {
-        if (error.code !== 'ENOENT') {
-            console.warn(`Could not read memory-bank directory ${memoryBankPath}: ${error.message}`);
+        // Files must be archives or git bundles; that is checked when they are opened
+        const isSnapshot = !fsSync.statSync(resolvedPath).isDirectory() || isBareRepository(resolvedPath);
+        if (isSnapshot && (argv.watch || argv.since || argv.range || argv.staged || argv.changed)) {
+            throw new Error(`--watch and the git modes need a project directory with a working tree; '${projectPath}' is an archive, git bundle or bare repository (use --diffSince to compare it with an earlier extraction).`);
         }
-    }
+    });
 
-    // Read all .md files from the project root (non-recursively, avoid duplicates)
-    try {
-        const rootEntries = await fs.readdir(basePath, { withFileTypes: true });
-        for (const entry of rootEntries) {
-            if (
-                entry.isFile() &&
-                entry.name.toLowerCase().endsWith('.md') &&
-                entry.name.toLowerCase() !== 'readme.md' && // README.md already handled
-                !STATIC_EXCLUDE_PATTERNS.some(ex => entry.name.includes(ex))
-            ) {
-                const fileData = await readFileIfExists(path.join(basePath, entry.name), entry.name);
-                if (fileData) context.mdFiles.push(fileData);
-            }
-        }
-    } catch (error) {
-        console.warn(`Error reading root directory for .md files ${basePath}: ${error.message}`);
+    if (argv.stdout && argv.out) {
+        throw new Error('--stdout and --out cannot be used together.');
+    }
+    if (argv.stdout && argv.chunkTokens > 0) {
+        throw new Error('--stdout cannot be combined with --chunkTokens: parts are written as separate files (use --out to choose their folder).');
     }
 
-    return context;
-}
-
-/**
- * Gets a list of files suggested for exclusion by an LLM and a suggested project name.
- * @param {string} projectStructureString - String representation of the project structure.
- * @param {number} filterLevel - The aggressiveness level for LLM filtering (0-5).
- * @param {string} basePath - The root path of the project.
- * @param {string} [customFocusPrompt=""] - A custom prompt to guide LLM's focus.
- * @returns {Promise<{excludedFiles: string[], suggestedFileName: string | null}>}
- */
-async function getLLMFilteredExclusions(projectStructureString, filterLevel, basePath, customFocusPrompt = "") {
-    if (!OPENAI_API_KEY || OPENAI_API_KEY === 'YOUR_OPENAI_API_KEY_PLACEHOLDER' || OPENAI_API_KEY.length < 10) { // Added a placeholder check
-        console.warn("WARNING: OpenAI API key is not configured or is a placeholder. LLM filtering will be skipped.");
-        return { excludedFiles: [], suggestedFileName: null };
+    if (argv.filterLevel < 0 || argv.filterLevel > 5) {
+        throw new Error('Filter level (--filterLevel) must be between 0 and 5.');
     }
-    if (filterLevel === 0) {
-        console.log("LLM filtering is disabled (level 0).");
-        return { excludedFiles: [], suggestedFileName: null };
+    if (!Number.isInteger(argv.maxTokens) || argv.maxTokens < 0) {
+        throw new Error('Token budget (--maxTokens) must be a non-negative integer.');
     }
-
-    console.log("Reading additional context for LLM (README.md, memory-bank/*, .md files)...");
-    const additionalContext = await readAdditionalContext(basePath);
-
-    let focusInstruction = "";
-    if (customFocusPrompt && customFocusPrompt.trim() !== "") {
-        focusInstruction = `\n\nIMPORTANT: The subsequent code analysis will focus on: "${customFocusPrompt}". Please consider this focus when selecting files for exclusion. Files directly related to this focus, or necessary for understanding it (e.g., dependencies, related configurations), should be RETAINED, even if you would normally exclude them at this aggressiveness level.`;
+    if (!Number.isInteger(argv.chunkTokens) || argv.chunkTokens < 0) {
+        throw new Error('Chunk size (--chunkTokens) must be a non-negative integer.');
     }
-
-    let contextSection = "\n\n## ADDITIONAL PROJECT CONTEXT\n\n";
-    if (additionalContext.readmeContent) {
-        contextSection += `### README.md\n\`\`\`markdown\n${additionalContext.readmeContent}\n\`\`\`\n\n`;
+    if (!(argv.maxFileSize > 0)) {
+        throw new Error('Maximum file size (--maxFileSize) must be a positive number of KB.');
     }
-    if (additionalContext.memoryBankFiles.length > 0) {
-        contextSection += `### Files from Memory Bank\n`;
-        additionalContext.memoryBankFiles.forEach(file => {
-            contextSection += `\n#### ${file.path}\n\`\`\`markdown\n${file.content}\n\`\`\`\n`;
-        });
-        contextSection += `\n`;
+    if (!(argv.llmTimeout > 0)) {
+        throw new Error('LLM request timeout (--llmTimeout) must be a positive number of seconds.');
     }
-    if (additionalContext.mdFiles.length > 0) {
-        contextSection += `### Other .md Files\n`;
-        additionalContext.mdFiles.forEach(file => {
-            contextSection += `\n#### ${file.path}\n\`\`\`markdown\n${file.content}\n\`\`\`\n`;
-        });
-        contextSection += `\n`;
+    if (!Number.isInteger(argv.llmRetries) || argv.llmRetries < 0) {
+        throw new Error('LLM retries (--llmRetries) must be a non-negative integer.');
     }
-    if (contextSection === "\n\n## ADDITIONAL PROJECT CONTEXT\n\n") { // No additional context found
-        contextSection = "\n\n(Additional context: README.md, memory-bank files, and other .md files were not found or are empty)\n\n";
+    if (!Number.isInteger(argv.contentFilterBatchTokens) || argv.contentFilterBatchTokens < 1000) {
+        throw new Error('Content filter batch size (--contentFilterBatchTokens) must be an integer of at least 1000.');
     }
-
-    const promptContent = `
-You are a code analysis assistant. I need to prepare project files for analysis by another LLM.
-To reduce the number of tokens, I want to filter out some files.
-
-Here is the project structure (paths relative to the project root "${path.basename(basePath)}"):
-\`\`\`text
-${projectStructureString}
-\`\`\`${contextSection}
-
-Filtering level: ${filterLevel} (${LLM_FILTER_LEVEL_DESCRIPTIONS[filterLevel] || 'Apply general principles for this aggressiveness level'}).${focusInstruction}
-
-Your task:
-1. Analyze the provided file structure and determine the main purpose of the project, using additional context from README.md, memory-bank, and .md files.
-2. Consider the specified filtering level.
-3. If an "IMPORTANT" analysis focus is provided, pay special attention to it. Concentrate on what is requested in the focus.
-4. The static exclusion list (${STATIC_EXCLUDE_PATTERNS.join(', ')}) will already be applied separately; do not duplicate them unless they are part of the provided structure that somehow bypassed static filtering.
-5. Based on the project structure, additional context, and its purpose, devise a short, descriptive project name (2-4 words, English, no spaces, camelCase or kebab-case).
-
-Return a JSON object with the following structure:
-{
-  "excludedFiles": ["path1/to/file.js", "path2/to/anotherFile.ts"],
-  "suggestedFileName": "project-name-idea"
-}
-
-- excludedFiles: An array of strings with RELATIVE PATHS to files (relative to "${path.basename(basePath)}") that you recommend excluding. Paths must be exactly as in the structure.
-- suggestedFileName: A short, descriptive project name based on the analysis of the structure and context (e.g., "apiGateway", "userAuthService", "ecommerceBackend", "blogApplication").
-
-If, considering the level and focus, you do not think any files from the provided structure should be excluded, return an empty array for excludedFiles.
-Ensure your response is a valid JSON object.
-`;
-
-    try {
-        console.log(`Sending request to LLM for file filtering and name generation (Level: ${filterLevel}, Focus: "${customFocusPrompt || 'none'}")...`);
-        // console.log("LLM Prompt Content:", promptContent); // Uncomment for debugging the prompt
-        const response = await axios.post(LLM_API_ENDPOINT, {
-            model: "gpt-4o", // Or "gpt-4-turbo", "gpt-4o-mini"
-            messages: [{ role: "user", content: promptContent }],
-            response_format: { type: "json_object" },
-            temperature: 0.2, // Low temperature for more deterministic results
-        }, {
-            headers: {
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        console.log("LLM raw response data:", JSON.stringify(response.data, null, 2)); // More readable raw log
-        const responseContent = response.data.choices[0].message.content;
-        
-        let result = { excludedFiles: [], suggestedFileName: null };
-        try {
-            const parsedJson = JSON.parse(responseContent);
-            if (parsedJson.excludedFiles && Array.isArray(parsedJson.excludedFiles)) {
-                result.excludedFiles = parsedJson.excludedFiles
-                    .filter(item => typeof item === 'string')
-                    .map(p => path.normalize(p.trim())); // Normalize paths for consistent comparison
-            }
-            if (parsedJson.suggestedFileName && typeof parsedJson.suggestedFileName === 'string') {
-                result.suggestedFileName = parsedJson.suggestedFileName.trim().replace(/\s+/g, '-'); // Basic sanitization
-            }
-        } catch (e) {
-            console.error("Error parsing JSON response from LLM (filtering):", e);
-            console.error("Problematic JSON string:", responseContent);
-            // Fallback to no exclusions if parsing fails
-        }
-        
-        console.log("Files suggested by LLM for exclusion:", result.excludedFiles);
-        console.log("Project name suggested by LLM:", result.suggestedFileName);
-        return result;
-
-    } catch (error) {
-        if (error.response) {
-            console.error('Error from OpenAI API (filtering):', error.response.status, JSON.stringify(error.response.data, null, 2));
-        } else {
-            console.error('Error sending request to OpenAI API (filtering):', error.message);
-        }
-        return { excludedFiles: [], suggestedFileName: null }; // Fallback
+    if (argv.contentFilter && argv.filterLevel === 0) {
+        throw new Error('--contentFilter requires --filterLevel 1-5 (the level sets the score threshold).');
+    }
+    if (argv.treeDepth !== undefined && (!Number.isInteger(argv.treeDepth) || argv.treeDepth < 1)) {
+        throw new Error('Tree depth (--treeDepth) must be a positive integer.');
+    }
+    if (argv.depth !== undefined && (!Number.isInteger(argv.depth) || argv.depth < 0)) {
+        throw new Error('Import depth (--depth) must be a non-negative integer.');
+    }
+    if (argv.depth !== undefined && argv.entry.length === 0) {
+        throw new Error('--depth requires at least one --entry file.');
+    }
+    if (argv.watch && (argv.stdout || argv.chunkTokens > 0)) {
+        throw new Error('--watch rewrites a single output file and cannot be combined with --stdout or --chunkTokens.');
+    }
+    if (!(argv.watchDebounce >= 0)) {
+        throw new Error('Watch debounce (--watchDebounce) must be a non-negative number of milliseconds.');
+    }
+    if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+        throw new Error('Concurrency (--concurrency) must be a positive integer.');
+    }
+    if (argv.strict && argv.noRedact) {
+        throw new Error('--strict cannot be combined with --noRedact.');
+    }
+    if (argv.skeleton && argv.filterLevel === 0) {
+        throw new Error('--skeleton requires --filterLevel 1-5 (the LLM filter chooses the outlined files).');
+    }
+    const changeModes = ['since', 'range', 'staged', 'changed', 'diffSince'].filter(mode => argv[mode]);
+    if (changeModes.length > 1) {
+        throw new Error(`Only one of --since, --range, --staged, --changed and --diffSince can be used at a time (got ${changeModes.map(mode => '--' + mode).join(', ')}).`);
     }
+    if (argv.range && !argv.range.includes('..')) {
+        throw new Error('Commit range (--range) must look like "A..B" or "A...B".');
+    }
+    if (argv.diff && (changeModes.length === 0 || argv.diffSince)) {
+        throw new Error('--diff requires a git mode (--since, --range, --staged or --changed).');
+    }
+    if (argv.withContext && changeModes.length === 0) {
+        throw new Error('--withContext requires a git mode (--since, --range, --staged or --changed) or --diffSince.');
+    }
+    return true;
 }
 
 /**
- * Reads files recursively, applying static and LLM exclusions.
- * @param {string} dir - Current directory to read.
- * @param {string} basePath - The root project path.
- * @param {boolean} deleteComments - Whether to remove comments from file content.
- * @param {Set<string>} llmExcludedPathsSet - A Set of relative paths excluded by the LLM.
- * @param {Array<object>} [fileEntries=[]] - Accumulator for file entries.
- * @returns {Promise<Array<object>>} A list of file objects with their paths and content.
+ * Validates the arguments of the `ask` command.
+ * @param {object} argv - The parsed arguments.
+ * @returns {boolean} True if valid (throws otherwise).
  */
-async function readProjectFiles(
-    dir,
-    basePath,
-    removeCommentsFlag,
-    llmExcludedPathsSet,
-    fileEntries = []
-) {
-    let entries;
-    try {
-        entries = await fs.readdir(dir, { withFileTypes: true });
-    } catch (error) {
-        console.warn(`Could not read directory ${dir} for file content: ${error.message}`);
-        return fileEntries; // Skip directory if unreadable
-    }
-
-    for (const entry of entries) {
-        const entryPath = path.join(dir, entry.name);
-        const relativePath = path.normalize(path.relative(basePath, entryPath));
-
-        // Check against static exclusion list (covers files and directories)
-        if (STATIC_EXCLUDE_PATTERNS.some(pattern => 
-            entry.name === pattern || // Exact name match (e.g., '.git')
-            relativePath === pattern || // Exact relative path match (e.g., 'package-lock.json')
-            (entry.isDirectory() && relativePath.startsWith(pattern + path.sep)) || // Directory starts with pattern (e.g., 'node_modules/')
-            (!entry.isDirectory() && relativePath.startsWith(pattern + path.sep)) // File within an excluded directory pattern
-        )) {
-            continue;
-        }
-        
-        if (entry.isDirectory()) {
-            await readProjectFiles(entryPath, basePath, removeCommentsFlag, llmExcludedPathsSet, fileEntries);
-        } else {
-            if (llmExcludedPathsSet.has(relativePath)) {
-                fileEntries.push({
-                    path: relativePath,
-                    content: `**File excluded by LLM filter. The system considers it unnecessary for the current analysis focus.**`,
-                    excludedByLLM: true
-                });
-            } else {
-                try {
-                    let content = await fs.readFile(entryPath, 'utf8');
-                    if (removeCommentsFlag) {
-                        content = stripComments(content);
-                    }
-                    fileEntries.push({ path: relativePath, content, excludedByLLM: false });
-                } catch (readError) {
-                    console.warn(`Could not read file ${entryPath}: ${readError.message}`);
-                    fileEntries.push({
-                        path: relativePath,
-                        content: `**Could not read file content: ${readError.message}**`,
-                        excludedByLLM: false,
-                        error: true
-                    });
-                }
-            }
-        }
+function validateAskArguments(argv) {
+    validateArguments(argv);
+    if (!argv.template && !(argv.question && argv.question.trim())) {
+        throw new Error('ask requires a --question or a --template.');
+    }
+    if (argv.stdout || argv.chunkTokens > 0 || argv.watch) {
+        throw new Error('ask saves the prompt to a file and writes the answer to stdout; it cannot be combined with --stdout, --chunkTokens or --watch.');
     }
-    return fileEntries;
+    return true;
 }
 
 /**
- * Removes comments from code content.
- * Handles //, /* ... * /, and # comments.
- * @param {string} content - The code content.
- * @returns {string} Content with comments removed.
+ * Runs watch mode: extracts and writes the prompt, then regenerates it in place whenever project files change.
+ * Unchanged files are not read again, and the LLM filter only runs again when files are added or removed.
+ * @param {string[]} projectPaths - The project roots.
+ * @param {object} extractOptions - Options of extract.
+ * @param {{outputPath: string | undefined, strict: boolean, debounceMs: number}} watchOptions - Output file (--out),
+ *   strict redaction and the debounce delay.
+ * @returns {Promise<void>} Resolves once watching has started; the process keeps running until interrupted.
  */
-function stripComments(content) {
-    // Remove block comments /* ... */
-    content = content.replace(/\/\*[\s\S]*?\*\/|^\/\*[\s\S]*?\*\//gm, '');
-    // Remove single-line comments // ... and # ... (common in Python, shell, Ruby, etc.)
-    // Ensures it doesn't remove URLs like http://
-    content = content.replace(/(?<!:)\/\/.*$/gm, ''); // JS, C++, Java, etc.
-    content = content.replace(/#.*$/gm, '');          // Python, Ruby, Shell, etc.
-    return content.replace(/^\s*[\r\n]/gm, ''); // Remove empty lines left by comment removal
-}
+async function runWatchMode(projectPaths, extractOptions, { outputPath, strict, debounceMs }) {
+    const fileCache = createFileCache();
+    // One redactor for the whole session keeps the placeholders of unchanged (cached) files valid
+    const redactor = extractOptions.redact ? createRedactor({ customPatterns: extractOptions.redactPatterns }) : null;
+    const outputFile = await resolveStableOutputFile(projectPaths, outputPath, getFormatter(extractOptions.format).extension);
+    const projectRoots = resolveProjectRoots(projectPaths);
+    const rootOf = filePath => projectRoots.find(root => filePath.startsWith(root.path + path.sep));
+
+    const manifestFile = getManifestPath(outputFile);
+    // Every regeneration writes to the caches; they may be inside the project (--cacheDir, --contentCacheDir)
+    const cacheDirectories = [extractOptions.cache, extractOptions.contentCache].filter(Boolean).map(cache => cache.directory);
+
+    // An output file (or its manifest) inside the project must not end up in its own prompt
+    const excludePatterns = [...extractOptions.excludePatterns];
+    [outputFile, manifestFile].filter(rootOf).forEach(filePath => {
+        excludePatterns.push('/' + path.relative(rootOf(filePath).path, filePath).split(path.sep).join('/'));
+    });
+
+    let previousResult = null;
+    let previousReport = null;
+    const regenerate = async () => {
+        // Progress is only reported for the initial extraction; later runs mostly reuse unchanged files
+        const result = await extract({
+            ...extractOptions,
+            excludePatterns,
+            redactor,
+            fileCache,
+            previousResult,
+            progress: extractOptions.progress && previousResult === null
+        });
+        previousResult = result;
+        const report = result.redactionReport;
+        const reportText = report ? formatRedactionReport(report) : null;
+        if (reportText && reportText !== previousReport) {
+            console.log(`\n${reportText}`);
+        }
+        previousReport = reportText;
+        if (strict && report && report.residualCount > 0) {
+            console.error(`\n--strict: not updating ${outputFile} because ${report.residualCount} possible secret(s) could not be redacted (see above).`);
+            return;
+        }
+        await writePromptFile(outputFile, renderParts(result));
+        await writeManifest(manifestFile, result.manifest);
+        console.log(`[${new Date().toLocaleTimeString()}] Prompt updated: ${outputFile} (${result.files.length} file(s), ~${result.totalTokens} tokens)`);
+        reportFilterFailure(result);
+    };
 
+    await regenerate();
+    const watcher = await watchProjectTrees(projectRoots, {
+        createFilter: rootPath => createProjectIgnoreFilter(rootPath, extractOptions.includePatterns, excludePatterns, cacheDirectories),
+        onChange: async changedPaths => {
+            const shown = changedPaths.slice(0, 5).map(p => (rootOf(p) ? path.relative(rootOf(p).path, p) : p)).join(', ');
+            console.log(`\nChanged: ${shown}${changedPaths.length > 5 ? ` and ${changedPaths.length - 5} more` : ''}`);
+            await regenerate();
+        },
+        debounceMs,
+        ignoredPaths: [outputFile, manifestFile, ...cacheDirectories]
+    });
+    console.log(`\nWatching ${watcher.directoryCount()} director${watcher.directoryCount() === 1 ? 'y' : 'ies'} for changes. Press Ctrl+C to stop.`);
+
+    process.on('SIGINT', () => {
+        watcher.close();
+        console.log('\nStopped watching.');
+        process.exit(0);
+    });
+}
 
 /**
- * Generates the final Markdown prompt for LLM analysis.
- * @param {string} basePath - The root project path.
- * @param {boolean} deleteComments - Whether to remove comments.
- * @param {number} filterLevel - LLM filtering aggressiveness level.
- * @param {string} [customFocusPrompt=""] - Custom focus for analysis.
- * @returns {Promise<{content: string, suggestedFileName: string | null}>}
+ * Warns when the requested LLM filtering (--filterLevel 1-5) did not happen or only partly, and makes the process
+ * exit with UNFILTERED_EXIT_CODE.
+ * @param {object} result - The result of extract.
  */
-async function generateAnalysisMarkdown(basePath, deleteComments, filterLevel = 0, customFocusPrompt = "") {
-    console.log(`Generating Markdown prompt. Path: ${basePath}, Remove Comments: ${deleteComments}, LLM Filter Level: ${filterLevel}, Focus: "${customFocusPrompt || 'none'}"`);
-
-    const projectStructureForLLM = await generateFolderStructureString(basePath, basePath);
-    
-    let llmFilterResult = { excludedFiles: [], suggestedFileName: null };
-    if (filterLevel > 0 && OPENAI_API_KEY && OPENAI_API_KEY !== 'YOUR_OPENAI_API_KEY_PLACEHOLDER' && OPENAI_API_KEY.length >= 10) {
-        llmFilterResult = await getLLMFilteredExclusions(projectStructureForLLM, filterLevel, basePath, customFocusPrompt);
-    }
-    
-    const llmExcludedPathsSet = new Set(llmFilterResult.excludedFiles.map(p => path.normalize(p)));
-
-    const projectFiles = await readProjectFiles(basePath, basePath, deleteComments, llmExcludedPathsSet);
-
-    let markdownContent = `# Project Analysis Prompt\n\n`;
-
-    if (customFocusPrompt && customFocusPrompt.trim() !== "") {
-        markdownContent += `## User-Defined Analysis Focus\n\n`;
-        markdownContent += `**The primary goal of this analysis is:**\n`;
-        markdownContent += `> ${customFocusPrompt.trim()}\n\n`;
-        markdownContent += `Please pay special attention to aspects related to this focus in your file analysis.\n\n`;
-    }
-    
-    if (filterLevel > 0) {
-        markdownContent += `**LLM-based file filtering applied (Aggressiveness Level: ${filterLevel})**\n`;
-        if (llmFilterResult.excludedFiles.length > 0) {
-            markdownContent += `The following files were filtered out (not included in detailed code analysis) based on LLM recommendation:\n`;
-            llmFilterResult.excludedFiles.forEach(p => {
-                markdownContent += `  - \`${p}\`\n`;
-            });
-        } else {
-            markdownContent += `The LLM filter did not identify additional files for exclusion at this level (or all potential candidates were already in the static exclusion list).\n`;
-        }
-        markdownContent += `\n`;
-    }
-
-    markdownContent += `## Project Directory Structure (after static exclusions)\n\n`;
-    markdownContent += `\`\`\`text\n${projectStructureForLLM || "Could not generate directory structure."}\n\`\`\`\n\n`;
-    
-    markdownContent += `## File Contents (after filtering)\n\n`;
-    
-    if (projectFiles.length === 0) {
-        markdownContent += "No files found for inclusion in the analysis (perhaps all files were filtered, or the directory is empty/inaccessible).\n\n";
-    } else {
-        projectFiles.forEach(file => {
-            markdownContent += `### File: ${file.path}\n\n`;
-            if (file.excludedByLLM) {
-                markdownContent += `${file.content}\n\n`; 
-            } else if (file.error) {
-                markdownContent += `\`\`\`text\n${file.content}\n\`\`\`\n\n`;
-            } else {
-                const extension = path.extname(file.path).substring(1).toLowerCase();
-                const lang = extension || 'text'; // Default to 'text' if no extension
-                markdownContent += `\`\`\`${lang}\n`;
-                markdownContent += `${file.content.trim()}\n`;
-                markdownContent += `\`\`\`\n\n`;
-            }
-        });
-    }
-    
-    return {
-        content: markdownContent,
-        suggestedFileName: llmFilterResult.suggestedFileName
-    };
+function reportFilterFailure(result) {
+    const { failure, filteredBy } = result.llmFilter;
+    if (!failure) return;
+    console.warn(`\nWARNING: LLM filtering was requested but ${filteredBy ? 'only partly applied' : 'NOT applied'}: ${failure}`);
+    console.warn(`${filteredBy ? 'Files of the failed requests are included unfiltered' : 'The prompt includes all selected files'}; use --filterLevel 0 to extract without LLM filtering.`);
+    process.exitCode = UNFILTERED_EXIT_CODE;
 }
 
 /**
- * Saves the generated prompt to a Markdown file.
- * @param {string} promptContent - The Markdown content to save.
- * @param {string} basePath - The root project path (used for naming context).
- * @param {string | null} [suggestedFileName=null] - An LLM-suggested name part for the file.
+ * Runs the `ask` step: sends the saved prompt with the question, streams the answer to stdout and saves it next to the prompt.
+ * @param {object} result - The result of extract.
+ * @param {string} promptFile - The saved prompt file.
+ * @param {{llmConfig: object, template: string | null, question: string | undefined, stream: boolean}} options -
+ *   Provider configuration, template and question, and whether to stream the answer.
+ * @returns {Promise<void>}
  */
-async function savePromptToFile(promptContent, basePath, suggestedFileName = null) {
-    const now = new Date();
-    const dateStr = now.toISOString().split('T')[0].replace(/-/g, ''); // YYYYMMDD
-    const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, ''); // HHMMSS
-    
-    const projectDirName = path.basename(path.resolve(basePath)) || 'project';
-    let baseNamePart = suggestedFileName || projectDirName;
-    
-    // Sanitize the name part: allow alphanumeric, hyphens, underscores. Replace others.
-    baseNamePart = baseNamePart.replace(/\s+/g, '_').replace(/[^\w\-_]/g, '').slice(0, 50); // Limit length
-    if (!baseNamePart) baseNamePart = 'analysis'; // Default if sanitization results in empty string
-
-    const outputFileName = `${dateStr}_${timeStr}_${baseNamePart}.md`; 
-    const outputDirectory = path.join(process.cwd(), 'promts'); // Save in 'promts' subdirectory of CWD
-
+async function runAsk(result, promptFile, { llmConfig, template, question, stream }) {
+    const fullQuestion = buildQuestion({ template, question });
+    logStatus(`\nAsking ${llmConfig.label} (${llmConfig.model})...\n`);
+    let response;
     try {
-        await fs.mkdir(outputDirectory, { recursive: true });
-        const filePath = path.join(outputDirectory, outputFileName);
-        await fs.writeFile(filePath, promptContent);
-        console.log(`\nPrompt successfully saved to: ${filePath}`);
-        if (suggestedFileName) {
-            console.log(`Filename includes LLM suggestion: "${suggestedFileName}" (sanitized to: "${baseNamePart}")`);
-        }
+        response = await askQuestion(result, fullQuestion, {
+            llmConfig,
+            onText: stream ? text => process.stdout.write(text) : null
+        });
     } catch (error) {
-        console.error('Error saving prompt file:', error);
+        console.error('\n--- Error while asking the LLM ---');
+        console.error(describeRequestError(error));
+        process.exit(1);
     }
+    process.stdout.write(stream ? '\n' : `${response.answer}\n`);
+
+    const answerPaths = await saveAnswer(promptFile, { question: fullQuestion, template, llmConfig, response });
+    logStatus(`\nAnswer saved to: ${answerPaths.markdown}`);
+    logStatus(`Usage: ${response.usage.inputTokens} input / ${response.usage.outputTokens} output tokens in ${response.requests.length} request(s)${response.strategy === 'map-reduce' ? ` (map-reduce over ${response.parts} parts)` : ''}; details in ${answerPaths.json}`);
 }
 
 // --- Main Execution ---
 async function main() {
-    const argv = yargs(hideBin(process.argv))
-        .option('deleteComments', {
-            alias: 'd',
-            type: 'boolean',
-            description: 'Remove comments from code before analysis.',
-            default: false
-        })
-        .option('filterLevel', {
-            alias: 'f',
-            type: 'number',
-            description: 'LLM file filtering aggressiveness level (0 = off, 1-5 = min to very aggressive).',
-            default: 2 // Default to Light filtering
-        })
-        .option('focus', {
-            alias: 'o', // 'o' for 'objective' or 'orientation'
-            type: 'string',
-            description: 'Custom prompt (analysis focus) for LLM filter and final analysis. E.g., "Analyze only wallet-service and related authentication logic".',
-            default: ''
-        })
-        .check((argv) => {
-            // Using fsSync here as yargs.check is typically synchronous
-            const fsSync = require('fs'); // Synchronous fs for this check
-            const resolvedFixedPath = path.resolve(HARDCODED_PROJECT_PATH);
-
-            if (!fsSync.existsSync(resolvedFixedPath)) {
-                throw new Error(`The hardcoded project path '${HARDCODED_PROJECT_PATH}' (resolved to '${resolvedFixedPath}') does not exist.`);
-            }
-            if (!fsSync.statSync(resolvedFixedPath).isDirectory()) {
-                throw new Error(`The hardcoded project path '${HARDCODED_PROJECT_PATH}' (resolved to '${resolvedFixedPath}') is not a directory.`);
-            }
-
-            if (argv.filterLevel < 0 || argv.filterLevel > 5) {
-                throw new Error('Filter level (--filterLevel) must be between 0 and 5.');
-            }
-            return true;
-        })
-        .help()
-        .alias('help', 'h')
-        .argv;
-
-    const projectBasePath = path.resolve(HARDCODED_PROJECT_PATH); // Use the hardcoded path
-    const { deleteComments, filterLevel: llmFilterLevel, focus: customFocusPrompt } = argv;
+    const args = hideBin(process.argv);
+    if (args[0] === 'cache-prune') {
+        await runCachePrune(args.slice(1));
+        return;
+    }
 
-    console.log(`\nStarting project analyzer:`);
-    console.log(`  Project Directory (Hardcoded): ${projectBasePath}`);
-    console.log(`  Remove Comments: ${deleteComments ? 'Yes' : 'No'}`);
-    console.log(`  LLM File Filtering: ${llmFilterLevel > 0 ? `Enabled (Level: ${llmFilterLevel})` : 'Disabled'}`);
+    // The ask command extracts like the main command, then sends the prompt with a question
+    const askMode = args[0] === 'ask';
+    const parsed = await parseCommandLine(askMode ? args.slice(1) : args, {
+        defineOptions: askMode ? defineAskOptions : defineCliOptions,
+        check: askMode ? validateAskArguments : validateArguments,
+        defaultProjectPath: DEFAULT_PROJECT_PATH
+    });
+    if (!parsed) return; // --printConfig
+    const { argv, config } = parsed;
+
+    const projectPaths = argv._.length > 0 ? argv._.map(String) : [DEFAULT_PROJECT_PATH];
+    const {
+        out: outputPath,
+        stdout: writeToStdout,
+        format,
+        deleteComments,
+        keepLicense,
+        filterLevel: llmFilterLevel,
+        focus: customFocusPrompt,
+        include: includePatterns,
+        exclude: excludePatterns,
+        maxTokens,
+        chunkTokens,
+        maxFileSize,
+        includeGenerated,
+        diff: includeDiff,
+        withContext: includeUnchanged,
+        contentFilter,
+        contentFilterBatchTokens,
+        skeleton,
+        entry: entries,
+        depth,
+        tokenReport,
+        noRedact,
+        redactPattern: redactPatterns,
+        strict
+    } = argv;
+    let gitSelection = null;
+    if (argv.since) gitSelection = { since: argv.since };
+    else if (argv.range) gitSelection = { range: argv.range };
+    else if (argv.staged) gitSelection = { staged: true };
+    else if (argv.changed) gitSelection = { workingTree: true };
+    const llmConfig = resolveProviderConfig({
+        provider: argv.provider,
+        model: argv.model,
+        baseUrl: argv.baseUrl,
+        timeoutMs: Math.round(argv.llmTimeout * 1000),
+        maxRetries: argv.llmRetries
+    });
+    const llmConfigurationError = getConfigurationError(llmConfig);
+
+    // Keep stdout clean for the prompt (or the answer): the run's own report then goes to stderr like the library's status
+    const log = writeToStdout || askMode ? console.error : console.log;
+
+    log(`\nStarting project analyzer:`);
+    projectPaths.forEach(projectPath => {
+        log(`  Project Path: ${path.resolve(projectPath)}`);
+    });
+    if (argv.ref) {
+        log(`  Git Ref: ${argv.ref}`);
+    }
+    if (!writeToStdout) {
+        log(`  Output: ${outputPath ? path.resolve(outputPath) : path.resolve(DEFAULT_OUTPUT_DIRECTORY) + path.sep}`);
+    }
+    if (config.filePath) {
+        log(`  Config File: ${config.filePath}${config.profile ? ` (profile: ${config.profile})` : ''}`);
+    }
+    log(`  Remove Comments: ${deleteComments ? 'Yes' : 'No'}`);
+    log(`  Secret Redaction: ${noRedact ? 'Disabled' : `Enabled${redactPatterns.length > 0 ? ` (+${redactPatterns.length} custom pattern(s))` : ''}${strict ? ', strict' : ''}`}`);
+    log(`  Output Format: ${format}`);
+    if (argv.treeStyle !== 'ascii' || argv.treeAnnotate.length > 0 || argv.treeDepth !== undefined || argv.treeScope !== 'selected') {
+        log(`  Directory Structure: ${argv.treeScope} entries, ${argv.treeStyle} style${argv.treeAnnotate.length > 0 ? `, annotated with ${argv.treeAnnotate.join(', ')}` : ''}${argv.treeDepth !== undefined ? `, ${argv.treeDepth} level(s)` : ''}`);
+    }
+    const fileBlockFeatures = [[argv.toc, 'table of contents'], [argv.fileMetadata, 'file metadata'], [argv.lineNumbers, 'line numbers']]
+        .filter(([enabled]) => enabled)
+        .map(([, feature]) => feature);
+    if (fileBlockFeatures.length > 0) {
+        log(`  File Blocks: ${fileBlockFeatures.join(', ')}`);
+    }
+    log(`  LLM File Filtering: ${llmFilterLevel > 0 ? `Enabled (Level: ${llmFilterLevel}${contentFilter ? `, content-aware, score threshold ${CONTENT_FILTER_SCORE_THRESHOLDS[llmFilterLevel]}, ${contentFilterBatchTokens} tokens per request` : ''}${skeleton ? `, outlines for secondary files${contentFilter ? ` (score below ${CONTENT_FILTER_FULL_THRESHOLDS[llmFilterLevel]})` : ''}` : ''})` : 'Disabled'}`);
+    if (llmFilterLevel > 0) {
+        log(`  LLM Provider: ${llmConfig.label} (model: ${llmConfig.model}, endpoint: ${llmConfig.baseUrl}, timeout: ${argv.llmTimeout}s, retries: ${argv.llmRetries})`);
+        log(`  LLM Decision Cache: ${argv.noCache ? `refresh (--noCache), ${path.resolve(argv.cacheDir)}` : path.resolve(argv.cacheDir)}`);
+    }
     if (customFocusPrompt) {
-        console.log(`  Custom Analysis Focus: "${customFocusPrompt}"`);
+        log(`  Custom Analysis Focus: "${customFocusPrompt}"`);
+    }
+    if (includePatterns.length > 0) {
+        log(`  Include Globs: ${includePatterns.join(', ')}`);
+    }
+    if (excludePatterns.length > 0) {
+        log(`  Extra Exclude Globs: ${excludePatterns.join(', ')}`);
+    }
+    if (maxTokens > 0) {
+        log(`  Token Budget: ${maxTokens}`);
+    }
+    if (chunkTokens > 0) {
+        log(`  Chunk Size: ${chunkTokens} tokens`);
+    }
+    if (argv.watch) {
+        log(`  Watch Mode: regenerate on changes (debounce: ${argv.watchDebounce} ms)`);
+    }
+    if (entries.length > 0) {
+        log(`  Entry Points: ${entries.join(', ')} (import depth: ${depth === undefined ? 'unlimited' : depth})`);
+    }
+    if (gitSelection) {
+        log(`  Git Mode: ${describeGitSelection(gitSelection)}${includeDiff ? ', with diffs' : ''}${includeUnchanged ? ', with unchanged context files' : ''}`);
+    }
+    if (argv.diffSince) {
+        log(`  Diff Since: ${path.resolve(argv.diffSince)}${includeUnchanged ? ', with unchanged context files' : ''}`);
+    }
+    log(`  Content Cache: ${argv.noContentCache ? 'Disabled' : path.resolve(argv.contentCacheDir)}`);
+    if (askMode) {
+        log(`  Ask: ${argv.template ? `template "${argv.template}"${argv.question ? ', with additional instructions' : ''}` : 'custom question'} (${llmConfig.label}, model: ${llmConfig.model}${argv.noStream ? ', not streamed' : ''})`);
+    }
+    log('---');
+
+    if (askMode && llmConfigurationError) {
+        console.error(`\nError: ask needs a configured LLM provider. ${llmConfigurationError}`);
+        process.exit(1);
     }
-    console.log('---');
 
-    if (llmFilterLevel > 0 && (!OPENAI_API_KEY || OPENAI_API_KEY === 'YOUR_OPENAI_API_KEY_PLACEHOLDER' || OPENAI_API_KEY.length < 10)) {
+    if (llmFilterLevel > 0 && llmConfigurationError) {
         console.warn("\n!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!");
-        console.warn("!!! WARNING: LLM filtering requested (level > 0), BUT OPENAI API KEY   !!!");
-        console.warn("!!! IS NOT CONFIGURED or is a placeholder 'YOUR_OPENAI_API_KEY_PLACEHOLDER'. !!!");
-        console.warn("!!! Please set the OPENAI_API_KEY environment variable.                !!!");
+        console.warn("!!! WARNING: LLM filtering requested (level > 0), BUT THE LLM PROVIDER !!!");
+        console.warn("!!! IS NOT CONFIGURED.                                                 !!!");
+        console.warn(`!!! ${llmConfigurationError}`);
         console.warn("!!! LLM file filtering WILL NOT be performed.                          !!!");
         console.warn("!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!\n");
     }
 
+    let diffSince = null;
+    if (argv.diffSince) {
+        try {
+            diffSince = await loadManifest(argv.diffSince);
+        } catch (error) {
+            console.error(`\nError: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    const extractOptions = {
+        includePatterns,
+        excludePatterns,
+        maxTokens,
+        maxFileSize: Math.round(maxFileSize * 1024),
+        detectGenerated: !includeGenerated,
+        keepLicense,
+        llmConfig,
+        gitSelection,
+        includeDiff,
+        includeUnchanged,
+        format,
+        cache: { directory: argv.cacheDir, read: !argv.noCache },
+        contentCache: argv.noContentCache ? null : { directory: argv.contentCacheDir },
+        diffSince,
+        ref: argv.ref || null,
+        concurrency: argv.concurrency,
+        progress: !argv.noProgress,
+        treeStyle: argv.treeStyle,
+        treeAnnotations: argv.treeAnnotate,
+        treeDepth: argv.treeDepth === undefined ? null : argv.treeDepth,
+        treeScope: argv.treeScope,
+        lineNumbers: argv.lineNumbers,
+        fileMetadata: argv.fileMetadata,
+        tableOfContents: argv.toc,
+        contentFilter,
+        contentFilterBatchTokens,
+        skeleton,
+        entries,
+        depth: depth === undefined ? null : depth,
+        redact: !noRedact,
+        redactPatterns
+    };
+
+    if (argv.watch) {
+        await runWatchMode(projectPaths, {
+            ...extractOptions,
+            paths: projectPaths,
+            deleteComments,
+            filterLevel: llmFilterLevel,
+            focus: customFocusPrompt
+        }, { outputPath, strict, debounceMs: argv.watchDebounce });
+        return;
+    }
+
     try {
-        const { content: markdownPrompt, suggestedFileName } = await generateAnalysisMarkdown(
-            projectBasePath,
+        const { suggestedFileName, files, totalTokens, chunks, redactionReport, result } = await generateAnalysisMarkdown(
+            projectPaths,
             deleteComments,
             llmFilterLevel,
-            customFocusPrompt
+            customFocusPrompt,
+            { ...extractOptions, chunkTokens }
         );
 
-        await savePromptToFile(markdownPrompt, projectBasePath, suggestedFileName);
+        log(`\n${formatTokenReport(files, totalTokens, tokenReport ? Infinity : 15)}`);
+        if (redactionReport) {
+            log(`\n${formatRedactionReport(redactionReport)}`);
+            if (strict && redactionReport.residualCount > 0) {
+                console.error(`\n--strict: not writing the prompt because ${redactionReport.residualCount} possible secret(s) could not be redacted (see above). Exclude those files, add a --redactPattern for them, or run without --strict.`);
+                process.exit(1);
+            }
+        }
 
-        console.log("\nProcess complete. Analysis prompt generated and saved.");
+        if (writeToStdout) {
+            await writePromptParts(process.stdout, renderParts(result));
+            log("\nProcess complete. Analysis prompt written to stdout.");
+            reportFilterFailure(result);
+            return;
+        }
+
+        const { extension } = getFormatter(format);
+        if (chunks) {
+            await savePromptChunks(chunks, projectPaths, suggestedFileName, outputPath, extension, result.manifest);
+        } else {
+            const savedFile = await savePromptToFile(renderParts(result), projectPaths, suggestedFileName, outputPath, extension);
+            if (savedFile) {
+                await writeManifest(getManifestPath(savedFile), result.manifest);
+                log(`Manifest saved to: ${getManifestPath(savedFile)} (use it with --diffSince)`);
+            }
+            if (askMode) {
+                if (!savedFile) process.exit(1);
+                await runAsk(result, savedFile, { llmConfig, template: argv.template || null, question: argv.question, stream: !argv.noStream });
+                reportFilterFailure(result);
+                return;
+            }
+        }
+
+        log("\nProcess complete. Analysis prompt generated and saved.");
+        reportFilterFailure(result);
 
     } catch (error) { // Catch errors from generateAnalysisMarkdown specifically if needed
         console.error("\n--- Error during Markdown generation or saving ---");
@@ -550,9 +869,15 @@ async function main() {
     }
 }
 
-main().catch(error => {
-    console.error("\n--- Critical Unhandled Error During Script Execution ---");
-    console.error(error.message);
-    // console.error(error.stack); // Uncomment for detailed error stack
-    process.exit(1); // Exit with an error code
-});
\ No newline at end of file
+if (require.main === module) {
+    main().catch(error => {
+        console.error("\n--- Critical Unhandled Error During Script Execution ---");
+        console.error(error.message);
+        // console.error(error.stack); // Uncomment for detailed error stack
+        process.exit(1); // Exit with an error code
+    });
+}
+
+module.exports = {
+    main
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { askQuestion, saveAnswer } = require('../lib/ask');
+const { extract } = require('../lib/extractor');
+const { createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+const { startMockLlmServer } = require('./helpers/mockLlmServer');
+
+const QUESTION = 'Where are the values computed?';
+
+// Reply of a provider whose context window is exceeded
+const CONTEXT_LENGTH_REPLY = { status: 400, body: { error: { message: "This model's maximum context length is 8192 tokens." } } };
+
+silenceConsole();
+
+/**
+ * Extracts a project of six modules, ~24,000 tokens in all: three parts of two modules when split in half, and a dozen
+ * parts of ~4,000 tokens or less when split down to the smallest part size.
+ * @param {object} t - The test context.
+ * @returns {Promise<object>} The result of extract.
+ */
+async function extractLargeProject(t) {
+    const projectPath = await createTemporaryDirectory(t);
+    for (let module = 1; module <= 6; module++) {
+        const lines = Array.from({ length: 250 }, (unused, index) => `export const value${module}_${index} = compute(${index}, "module ${module}");`);
+        await fs.writeFile(path.join(projectPath, `module${module}.js`), `${lines.join('\n')}\n`);
+    }
+    return extract({ paths: projectPath, cache: null, contentCache: null });
+}
+
+/**
+ * Starts a mock model with a context window of `maxCharacters` characters of user message: it answers the whole
+ * project with "Whole answer", a part with `notes(part)` and a combination request with "Combined answer".
+ * @param {object} t - The test context.
+ * @param {number} maxCharacters - Longest user message answered; longer ones get a context length error.
+ * @param {function(number): string} [notes] - The answer on a part, by part number.
+ * @returns {Promise<object>} The server (see startMockLlmServer).
+ */
+async function startModel(t, maxCharacters, notes = part => `Notes on part ${part}`) {
+    const server = await startMockLlmServer(body => {
+        const content = body.messages[1].content;
+        if (content.length > maxCharacters) return CONTEXT_LENGTH_REPLY;
+        if (content.includes('# Partial answers')) return { content: 'Combined answer' };
+        const part = /This document is part (\d+) of \d+/.exec(content);
+        return { content: part ? notes(Number(part[1])) : 'Whole answer' };
+    });
+    t.after(() => server.close());
+    return server;
+}
+
+describe('askQuestion', () => {
+    it('sends the whole prompt in one request when it fits', async (t) => {
+        const result = await extractLargeProject(t);
+        const server = await startModel(t, Infinity);
+
+        const response = await askQuestion(result, QUESTION, { llmConfig: server.createConfig() });
+
+        assert.strictEqual(response.answer, 'Whole answer');
+        assert.strictEqual(response.strategy, 'single');
+        assert.deepStrictEqual(response.usage, { inputTokens: 100, outputTokens: 10 });
+        assert.strictEqual(server.requests.length, 1);
+        assert.ok(server.requests[0].body.messages[1].content.endsWith(`Question:\n${QUESTION}`));
+    });
+
+    it('falls back to map-reduce over parts when the prompt exceeds the context window', async (t) => {
+        const result = await extractLargeProject(t);
+        const server = await startModel(t, 30000);
+
+        const response = await askQuestion(result, QUESTION, { llmConfig: server.createConfig() });
+
+        assert.strictEqual(response.answer, 'Combined answer');
+        assert.strictEqual(response.strategy, 'map-reduce');
+        assert.strictEqual(response.parts, 3);
+        assert.deepStrictEqual(response.requests.map(request => request.step), ['map', 'map', 'map', 'reduce']);
+        assert.deepStrictEqual(response.usage, { inputTokens: 400, outputTokens: 40 });
+        const reduce = server.requests[server.requests.length - 1].body.messages[1].content;
+        assert.ok(['## Part 1 of 3', 'Notes on part 1', '## Part 3 of 3', 'Notes on part 3'].every(text => reduce.includes(text)));
+    });
+
+    it('splits parts that are still too large, down to the smallest part size', async (t) => {
+        const result = await extractLargeProject(t);
+        const server = await startModel(t, 13000);
+
+        const response = await askQuestion(result, QUESTION, { llmConfig: server.createConfig() });
+
+        assert.strictEqual(response.answer, 'Combined answer');
+        assert.strictEqual(response.parts, 12);
+        assert.strictEqual(response.requests.filter(request => request.step === 'map').length, 12);
+
+        const smallServer = await startModel(t, 5000);
+        await assert.rejects(
+            askQuestion(result, QUESTION, { llmConfig: smallServer.createConfig() }),
+            /Part 1 of 12 \(~\d+ tokens\) does not fit the context window of mock-model, and parts are not split below ~4000 tokens/
+        );
+    });
+
+    it('combines partial answers in groups when they do not fit the context window together', async (t) => {
+        const result = await extractLargeProject(t);
+        const server = await startModel(t, 30000, part => `Notes on part ${part}: ${'detail '.repeat(2000)}`);
+
+        const response = await askQuestion(result, QUESTION, { llmConfig: server.createConfig() });
+
+        assert.strictEqual(response.answer, 'Combined answer');
+        assert.deepStrictEqual(
+            response.requests.filter(request => request.step === 'reduce').map(request => request.parts),
+            [[1, 2], [1, 2, 3]]
+        );
+        const lastRequest = server.requests[server.requests.length - 1].body.messages[1].content;
+        assert.ok(lastRequest.includes('## Parts 1-2 of 3\n\nFiles: module1.js, module2.js, module3.js, module4.js\n\nCombined answer'));
+    });
+
+    it('reports a partial answer too long to be combined', async (t) => {
+        const result = await extractLargeProject(t);
+        const server = await startModel(t, 30000, part => `Notes on part ${part}: ${'detail '.repeat(5000)}`);
+
+        await assert.rejects(
+            askQuestion(result, QUESTION, { llmConfig: server.createConfig() }),
+            /The answers on part 1 of 3 and part 2 of 3 are too long to be combined within the context window of mock-model/
+        );
+    });
+});
+
+describe('saveAnswer', () => {
+    it('writes the answer next to the prompt as Markdown and as a JSON record', async (t) => {
+        const result = await extractLargeProject(t);
+        const server = await startModel(t, 30000);
+        const llmConfig = server.createConfig();
+        const response = await askQuestion(result, QUESTION, { llmConfig });
+        const promptFile = path.join(await createTemporaryDirectory(t), 'review.md');
+
+        const paths = await saveAnswer(promptFile, { question: QUESTION, template: null, llmConfig, response });
+
+        assert.deepStrictEqual(paths, { markdown: promptFile.replace(/\.md$/, '.answer.md'), json: promptFile.replace(/\.md$/, '.answer.json') });
+        const markdown = await fs.readFile(paths.markdown, 'utf8');
+        assert.ok(markdown.startsWith(`# Question\n\n${QUESTION}\n\n# Answer\n\nCombined answer\n\n---\n\n`));
+        assert.match(markdown, /mock-model · map-reduce over 3 parts · 400 input \/ 40 output tokens · \d{4}-\d{2}-\d{2}T/);
+        const record = JSON.parse(await fs.readFile(paths.json, 'utf8'));
+        assert.deepStrictEqual(
+            { ...record, askedAt: undefined },
+            {
+                question: QUESTION,
+                template: null,
+                provider: 'openai-compatible',
+                model: 'mock-model',
+                askedAt: undefined,
+                promptFile: 'review.md',
+                strategy: 'map-reduce',
+                parts: 3,
+                answer: 'Combined answer',
+                usage: { inputTokens: 400, outputTokens: 40 },
+                requests: response.requests
+            }
+        );
+    });
+});
@@ -0,0 +1,155 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { buildSkeleton, supportsSkeleton } = require('../lib/codeSkeleton');
+const { extract } = require('../lib/extractor');
+const { FIXTURES_DIRECTORY, createFixtureProject, silenceConsole } = require('./helpers/fixtures');
+const { startMockLlmServer } = require('./helpers/mockLlmServer');
+
+// Outlines of the files of the outline project
+const OUTLINES = {
+    'src/api.ts': [
+        "import { request } from './http';",
+        "import type { Order } from '../models/order';",
+        '',
+        '/** Statuses an order goes through. */',
+        'export enum OrderStatus {',
+        "    Open = 'open',",
+        "    Paid = 'paid'",
+        '}',
+        '',
+        'export interface OrderQuery {',
+        '    status?: OrderStatus;',
+        '    limit: number;',
+        '}',
+        '',
+        'export type OrderId = string;',
+        '',
+        'const DEFAULT_QUERY: OrderQuery = …;',
+        '',
+        '/**',
+        ' * Client of the order endpoints.',
+        ' */',
+        'export class OrderClient {',
+        '    private readonly baseUrl: string;',
+        '',
+        '    constructor(baseUrl: string) { … }',
+        '',
+        '    /** Lists the orders matching a query. */',
+        '    async list(query: OrderQuery = DEFAULT_QUERY): Promise<Order[]> { … }',
+        '',
+        '    get endpoint(): string { … }',
+        '}',
+        '',
+        'export const isPaid = (order: Order): boolean => order.status === OrderStatus.Paid;'
+    ].join('\n'),
+    'src/client.js': [
+        "const https = require('https');",
+        "const { promisify } = require('util');",
+        "const { formatPrice } = require('./format').helpers;",
+        '',
+        'const RETRY_DELAYS = …;',
+        '',
+        '/**',
+        ' * Fetches a URL and parses the JSON reply.',
+        ' * @param {string} url - The URL.',
+        ' * @returns {Promise<object>} The reply.',
+        ' */',
+        'async function fetchJson(url) { … }',
+        '',
+        'const api = {',
+        '    async getOrder(id) { … },',
+        '    describe: order => formatPrice(order.total)',
+        '};',
+        '',
+        'module.exports = { api, fetchJson, RETRY_DELAYS };'
+    ].join('\n'),
+    'models/order.py': [
+        '"""Order models."""',
+        'import dataclasses',
+        'from decimal import Decimal',
+        'TAX_RATE = Decimal("0.2")',
+        'STATUSES = ...',
+        '',
+        '@dataclasses.dataclass',
+        'class Order:',
+        '    """An order of a customer."""',
+        '    id: str',
+        '    total: Decimal = Decimal(0)',
+        '',
+        '    def with_tax(self) -> Decimal:',
+        '        """Returns the total including tax."""',
+        '        ...',
+        '',
+        '    @property',
+        '    def is_open(self):',
+        '        ...',
+        '',
+        'async def load_order(order_id: str,',
+        '                     repository) -> Order:',
+        '    ...'
+    ].join('\n')
+};
+
+silenceConsole();
+
+/**
+ * Reads a file of the outline project fixture.
+ * @param {string} relativePath - Path of the file in the fixture.
+ * @returns {Promise<string>} Its content.
+ */
+function readFixtureFile(relativePath) {
+    return fs.readFile(path.join(FIXTURES_DIRECTORY, 'outline-project', relativePath), 'utf8');
+}
+
+describe('supportsSkeleton', () => {
+    it('accepts JavaScript, TypeScript and Python files, whatever the case of the extension', () => {
+        ['a.js', 'a.cjs', 'a.mjs', 'a.jsx', 'a.ts', 'a.cts', 'a.mts', 'a.tsx', 'a.py', 'a.pyi', 'A.TS'].forEach(filePath => {
+            assert.ok(supportsSkeleton(filePath), filePath);
+        });
+        ['README.md', 'package.json', 'style.css', 'Makefile'].forEach(filePath => {
+            assert.ok(!supportsSkeleton(filePath), filePath);
+        });
+    });
+});
+
+describe('buildSkeleton', () => {
+    for (const [relativePath, outline] of Object.entries(OUTLINES)) {
+        it(`outlines ${relativePath}: declarations with their docs, bodies and multi-line values elided, side effects dropped`, async () => {
+            const content = await readFixtureFile(relativePath);
+            assert.strictEqual(buildSkeleton(content, relativePath), outline);
+        });
+    }
+
+    it('returns null for unsupported languages and for files without any declaration', async () => {
+        assert.strictEqual(buildSkeleton(await readFixtureFile('README.md'), 'README.md'), null);
+        assert.strictEqual(buildSkeleton('console.log("side effect");\n', 'run.js'), null);
+        assert.strictEqual(buildSkeleton('if __name__ == "__main__":\n    main()\n', 'run.py'), null);
+    });
+});
+
+describe('extract with skeleton', () => {
+    it('includes the files the LLM filter picks as outlines, and the others in full', async (t) => {
+        const projectPath = await createFixtureProject(t, 'outline-project');
+        const server = await startMockLlmServer([{ json: { excludedFiles: [], skeletonFiles: ['src/client.js', 'models/order.py', 'README.md'] } }]);
+        t.after(() => server.close());
+
+        const result = await extract({ paths: projectPath, filterLevel: 2, skeleton: true, llmConfig: server.createConfig(), cache: null, contentCache: null });
+
+        const prompt = server.requests[0].body.messages.map(message => message.content).join('\n');
+        assert.ok(prompt.includes('"skeletonFiles"'), 'outlines are requested from the LLM filter');
+        // README.md cannot be outlined, so it stays in full
+        assert.deepStrictEqual(result.llmFilter.skeletonFiles, ['models/order.py', 'src/client.js']);
+        const files = Object.fromEntries(result.files.map(file => [file.path, file]));
+        assert.strictEqual(files['src/client.js'].skeleton, true);
+        assert.strictEqual(files['src/client.js'].content, OUTLINES['src/client.js']);
+        assert.strictEqual(files['models/order.py'].content, OUTLINES['models/order.py']);
+        assert.strictEqual(files['src/api.ts'].skeleton, undefined);
+        assert.strictEqual(files['src/api.ts'].content, await readFixtureFile('src/api.ts'));
+        assert.strictEqual(files['README.md'].skeleton, undefined);
+    });
+});
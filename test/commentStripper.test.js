@@ -0,0 +1,68 @@
+// External dependencies
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { stripComments } = require('../lib/commentStripper');
+
+describe('stripComments', () => {
+    it('removes line and block comments from JavaScript, dropping lines that only held a comment', () => {
+        const source = '/* Header */\nconst a = 1; // one\n// whole line\nconst b = 2;\n';
+        assert.strictEqual(stripComments(source, 'src/a.js'), 'const a = 1;\nconst b = 2;\n');
+    });
+
+    it('keeps comment markers inside strings, template literals and regular expressions', () => {
+        const source = 'const url = "http://example.com"; // link\nconst t = `/* kept */`;\nconst re = /\\/\\/ x/;\n';
+        assert.strictEqual(stripComments(source, 'src/a.js'), 'const url = "http://example.com";\nconst t = `/* kept */`;\nconst re = /\\/\\/ x/;\n');
+    });
+
+    it('keeps comment markers in JSX text and attributes', () => {
+        assert.strictEqual(
+            stripComments('const E = () => <p>See http://example.com/docs for more</p>;\n', 'a.tsx'),
+            'const E = () => <p>See http://example.com/docs for more</p>;\n'
+        );
+        assert.strictEqual(stripComments('const E = () => <div>// not a comment</div>;\n', 'a.jsx'), 'const E = () => <div>// not a comment</div>;\n');
+        assert.strictEqual(stripComments('const a = <a href="//cdn/x">/* text */</a>; // link\n', 'a.js'), 'const a = <a href="//cdn/x">/* text */</a>;\n');
+    });
+
+    it('removes comments inside JSX expressions and leaves generics and comparisons alone', () => {
+        const source = 'const L = () => (\n    <ul>\n        {/* one item per row */}\n        {rows.map(r => <li key={r.id /* stable */}>{r.name}</li>)}\n    </ul>\n); // list\n';
+        assert.strictEqual(stripComments(source, 'a.jsx'), 'const L = () => (\n    <ul>\n        {rows.map(r => <li key={r.id }>{r.name}</li>)}\n    </ul>\n);\n');
+        assert.strictEqual(stripComments('const id = <T,>(x: T) => x; // generic\nconst less = a < b; // compare\n', 'a.tsx'), 'const id = <T,>(x: T) => x;\nconst less = a < b;\n');
+    });
+
+    it('reads a slash after a postfix increment or a property named like a keyword as a division', () => {
+        const source = 'let y = i++ / 2; const s = "a/b"; const u = "http://h";\nnext();\n';
+        assert.strictEqual(stripComments(source, 'src/a.js'), source);
+        assert.strictEqual(stripComments('const d = n-- / 2; // half\nconst e = "//";\n', 'src/a.js'), 'const d = n-- / 2;\nconst e = "//";\n');
+        assert.strictEqual(
+            stripComments('const r = obj.in / 2 + x.return / y; const s = "a/b"; // c\nnext();\n', 'src/a.ts'),
+            'const r = obj.in / 2 + x.return / y; const s = "a/b";\nnext();\n'
+        );
+        assert.strictEqual(stripComments('const k = ++i, re = /\\/\\/ x/; // c\n', 'src/a.js'), 'const k = ++i, re = /\\/\\/ x/;\n');
+    });
+
+    it('replaces a comment between two tokens by a space', () => {
+        assert.strictEqual(stripComments('a/* c */b\n', 'src/a.js'), 'a b\n');
+    });
+
+    it('keeps blank lines of the original and the shebang line', () => {
+        const source = '#!/usr/bin/env node\n// setup\nconst a = 1;\n\n// run\nrun(a);\n';
+        assert.strictEqual(stripComments(source, 'bin/cli.js'), '#!/usr/bin/env node\nconst a = 1;\n\nrun(a);\n');
+    });
+
+    it('uses the comment syntax of the file type', () => {
+        assert.strictEqual(stripComments('# comment\nx = "#not"  # trailing\n', 'build.py'), 'x = "#not"\n');
+        assert.strictEqual(stripComments('<!-- note -->\n<p>x</p>\n', 'index.html'), '<p>x</p>\n');
+    });
+
+    it('returns files of unknown languages unchanged', () => {
+        assert.strictEqual(stripComments('a // b\n# c\n', 'notes.txt'), 'a // b\n# c\n');
+    });
+
+    it('keeps a leading license header with keepLicense', () => {
+        const source = '// Copyright (c) 2024 ACME\n// MIT License\n\nconst x = 1; // note\n';
+        assert.strictEqual(stripComments(source, 'src/a.ts', { keepLicense: true }), '// Copyright (c) 2024 ACME\n// MIT License\n\nconst x = 1;\n');
+        assert.strictEqual(stripComments(source, 'src/a.ts'), '\nconst x = 1;\n');
+    });
+});
@@ -0,0 +1,70 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { loadProjectConfig } = require('../lib/configFile');
+const { createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+
+const OPTION_TYPES = new Map([
+    ['baseUrl', 'string'],
+    ['filterLevel', 'number'],
+    ['model', 'string'],
+    ['noRedact', 'boolean'],
+    ['out', 'string']
+]);
+
+// A project that tries to send the API key elsewhere and to turn off redaction
+const PROJECT_CONFIG = {
+    baseUrl: 'http://127.0.0.1:47123/v1',
+    noRedact: true,
+    filterLevel: 2,
+    profiles: {
+        leak: { out: '/tmp/leaked.md', model: 'small' }
+    }
+};
+
+silenceConsole();
+
+/**
+ * Creates a project directory holding PROJECT_CONFIG as its configuration file.
+ * @param {object} t - The test context.
+ * @returns {Promise<{projectPath: string, configPath: string}>} The project and configuration file paths.
+ */
+async function createConfiguredProject(t) {
+    const projectPath = await createTemporaryDirectory(t);
+    const configPath = path.join(projectPath, '.contentextractor.json');
+    await fs.writeFile(configPath, JSON.stringify(PROJECT_CONFIG));
+    return { projectPath, configPath };
+}
+
+describe('loadProjectConfig', () => {
+    it('ignores endpoint, redaction and output settings of a discovered configuration file', async (t) => {
+        const { projectPath } = await createConfiguredProject(t);
+
+        const config = await loadProjectConfig({ startPath: projectPath, profile: 'leak', optionTypes: OPTION_TYPES });
+
+        assert.deepStrictEqual(config.settings, { filterLevel: 2, model: 'small' });
+        const warnings = console.warn.mock.calls.map(call => call.arguments[0]);
+        ['baseUrl', 'noRedact', 'out'].forEach(name => {
+            assert.ok(warnings.some(warning => warning.includes(`"${name}"`)), `no warning for ${name}`);
+        });
+    });
+
+    it('applies every setting of a file given with --config', async (t) => {
+        const { projectPath, configPath } = await createConfiguredProject(t);
+
+        const config = await loadProjectConfig({ startPath: projectPath, configFile: configPath, profile: 'leak', optionTypes: OPTION_TYPES });
+
+        assert.deepStrictEqual(config.settings, {
+            baseUrl: 'http://127.0.0.1:47123/v1',
+            noRedact: true,
+            filterLevel: 2,
+            out: path.resolve('/tmp/leaked.md'),
+            model: 'small'
+        });
+        assert.strictEqual(console.warn.mock.calls.length, 0);
+    });
+});
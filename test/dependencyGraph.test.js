@@ -0,0 +1,145 @@
+// External dependencies
+const assert = require('assert');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { extractPythonImports, resolveEntryFile } = require('../lib/dependencyGraph');
+const { extract } = require('../lib/extractor');
+const { createFixtureProject, silenceConsole } = require('./helpers/fixtures');
+
+silenceConsole();
+
+/**
+ * Extracts the import project from the given entry files, without any cache.
+ * @param {object} t - The test context.
+ * @param {object} options - Options of extract (`entries`, `depth`, ...).
+ * @returns {Promise<object>} The result of extract.
+ */
+async function extractImportProject(t, options) {
+    const projectPath = await createFixtureProject(t, 'import-project');
+    return extract({ paths: projectPath, cache: null, contentCache: null, ...options });
+}
+
+/**
+ * Lists the modules of a dependency graph as [path, depth, imports] triples.
+ * @param {object} dependencyGraph - The graph of an extraction result.
+ * @returns {Array<Array>} The modules, in graph order.
+ */
+function listModules(dependencyGraph) {
+    return dependencyGraph.modules.map(module => [module.path, module.depth, module.imports]);
+}
+
+describe('extractPythonImports', () => {
+    it('reads plain, relative, aliased and parenthesized imports', () => {
+        const content = [
+            'import os, json as j',
+            'from . import models',
+            'from ..core.service import (run,',
+            '    Service as S)',
+            'from helpers import *  # everything',
+            '    import lazy'
+        ].join('\n');
+        assert.deepStrictEqual(extractPythonImports(content), [
+            { level: 1, module: '', names: ['models'] },
+            { level: 2, module: 'core.service', names: ['run', 'Service'] },
+            { level: 0, module: 'helpers', names: [] },
+            { level: 0, module: 'os', names: [] },
+            { level: 0, module: 'json', names: [] },
+            { level: 0, module: 'lazy', names: [] }
+        ]);
+    });
+});
+
+describe('resolveEntryFile', () => {
+    it('finds an entry relative to a project root or behind its root label', async (t) => {
+        const projectPath = await createFixtureProject(t, 'import-project');
+        const roots = [{ path: projectPath, label: 'import-project' }];
+        const mainPath = path.join(projectPath, 'src', 'main.ts');
+        assert.strictEqual(await resolveEntryFile('src/main.ts', roots), mainPath);
+        assert.strictEqual(await resolveEntryFile('import-project/src/main.ts', roots), mainPath);
+        assert.strictEqual(await resolveEntryFile(mainPath, roots), mainPath);
+    });
+
+    it('rejects entries that do not exist or lie outside the project roots', async (t) => {
+        const projectPath = await createFixtureProject(t, 'import-project');
+        const roots = [{ path: path.join(projectPath, 'src'), label: 'src' }];
+        await assert.rejects(resolveEntryFile('missing.ts', roots), /Entry file 'missing.ts' was not found/);
+        await assert.rejects(resolveEntryFile(path.join(projectPath, 'python', 'pkg', 'main.py'), roots), /is outside the project path\(s\)/);
+    });
+});
+
+describe('extract with entries', () => {
+    it('includes only the files reachable from the entry, resolving aliases, index files, require, import() and assets', async (t) => {
+        const result = await extractImportProject(t, { entries: ['src/main.ts'] });
+
+        assert.deepStrictEqual(result.dependencyGraph.entries, ['src/main.ts']);
+        assert.strictEqual(result.dependencyGraph.maxDepth, null);
+        // `express` is an external package; src/unused.ts and the Python files are not imported
+        assert.deepStrictEqual(listModules(result.dependencyGraph), [
+            ['src/main.ts', 0, ['src/app/index.ts', 'src/legacy.js', 'src/lib/log.ts', 'src/plugins.ts', 'src/styles.css']],
+            ['src/app/index.ts', 1, ['src/lib/config.ts', 'src/lib/log.ts']],
+            ['src/legacy.js', 1, []],
+            ['src/lib/log.ts', 1, []],
+            ['src/plugins.ts', 1, ['src/lib/log.ts']],
+            ['src/styles.css', 1, []],
+            ['src/lib/config.ts', 2, ['src/lib/defaults.json']],
+            ['src/lib/defaults.json', 3, []]
+        ]);
+        assert.deepStrictEqual(result.files.map(file => file.path), [
+            'src/app/index.ts',
+            'src/lib/config.ts',
+            'src/lib/defaults.json',
+            'src/lib/log.ts',
+            'src/legacy.js',
+            'src/main.ts',
+            'src/plugins.ts',
+            'src/styles.css'
+        ]);
+    });
+
+    it('follows imports at most --depth levels from the entry', async (t) => {
+        const result = await extractImportProject(t, { entries: ['src/main.ts'], depth: 1 });
+
+        assert.strictEqual(result.dependencyGraph.maxDepth, 1);
+        assert.deepStrictEqual(listModules(result.dependencyGraph), [
+            ['src/main.ts', 0, ['src/app/index.ts', 'src/legacy.js', 'src/lib/log.ts', 'src/plugins.ts', 'src/styles.css']],
+            ['src/app/index.ts', 1, ['src/lib/log.ts']],
+            ['src/legacy.js', 1, []],
+            ['src/lib/log.ts', 1, []],
+            ['src/plugins.ts', 1, ['src/lib/log.ts']],
+            ['src/styles.css', 1, []]
+        ]);
+        assert.ok(!result.files.some(file => file.path === 'src/lib/config.ts'), 'config.ts is two levels away');
+    });
+
+    it('resolves relative, package and absolute Python imports', async (t) => {
+        const result = await extractImportProject(t, { entries: ['python/pkg/main.py'] });
+
+        // `os` is part of the standard library
+        assert.deepStrictEqual(listModules(result.dependencyGraph), [
+            ['python/pkg/main.py', 0, ['python/helpers/tools.py', 'python/pkg/__init__.py', 'python/pkg/models.py', 'python/pkg/service.py']],
+            ['python/helpers/tools.py', 1, []],
+            ['python/pkg/__init__.py', 1, []],
+            ['python/pkg/models.py', 1, []],
+            ['python/pkg/service.py', 1, ['python/pkg/models.py']]
+        ]);
+    });
+
+    it('does not follow imports into excluded files', async (t) => {
+        const result = await extractImportProject(t, { entries: ['src/main.ts'], excludePatterns: ['src/lib/'] });
+
+        assert.deepStrictEqual(result.dependencyGraph.modules.map(module => module.path), [
+            'src/main.ts', 'src/app/index.ts', 'src/legacy.js', 'src/plugins.ts', 'src/styles.css'
+        ]);
+        assert.ok(!result.files.some(file => file.path.startsWith('src/lib/')));
+    });
+
+    it('warns about an excluded entry and leaves it out of the graph', async (t) => {
+        const result = await extractImportProject(t, { entries: ['src/main.ts', 'src/unused.ts'], excludePatterns: ['src/unused.ts'] });
+
+        assert.deepStrictEqual(result.dependencyGraph.entries, ['src/main.ts']);
+        const warnings = console.warn.mock.calls.map(call => call.arguments[0]);
+        assert.ok(warnings.some(warning => warning.includes('unused.ts is excluded by the ignore rules')));
+    });
+});
@@ -0,0 +1,179 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const {
+    LLM_EXCLUSION_PLACEHOLDER,
+    createProjectIgnoreFilter,
+    extract,
+    generateFolderStructureString,
+    readProjectFiles,
+    render
+} = require('../lib/extractor');
+const { pruneCache } = require('../lib/llmCache');
+const { createFixtureProject, createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+
+// Files that are never committed with the fixture: statically excluded, ignored by its .gitignore, or binary
+const EXTRA_FILES = {
+    'node_modules/left-pad/index.js': 'module.exports = () => {};\n',
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    'package-lock.json': '{}\n',
+    'secrets.txt': 'API_KEY=not-a-real-key\n',
+    'tmp/scratch.js': 'console.log("scratch");\n',
+    'docs/.extractorignore': 'drafts/\n',
+    'docs/drafts/plan.md': '# Plan\n',
+    'assets/logo.png': 'PNG\0\0\0binary'
+};
+
+silenceConsole();
+
+describe('generateFolderStructureString', () => {
+    it('lists the project in tree order without statically excluded and ignored entries', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', EXTRA_FILES);
+        const structure = await generateFolderStructureString(projectPath, projectPath);
+        assert.strictEqual(structure, [
+            '-- assets/',
+            '  -- logo.png',
+            '-- docs/',
+            '  -- guide.md',
+            '-- memory-bank/',
+            '  -- context.md',
+            '-- scripts/',
+            '  -- build.py',
+            '-- src/',
+            '  -- utils/',
+            '    -- format.js',
+            '    -- math.js',
+            '  -- file2.js',
+            '  -- file10.js',
+            '  -- index.js',
+            '-- package.json',
+            '-- README.md',
+            ''
+        ].join('\n'));
+    });
+
+    it('applies include and exclude globs and marks changed files', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', EXTRA_FILES);
+        const ignoreFilter = createProjectIgnoreFilter(projectPath, ['src/**'], ['src/utils/']);
+        const changes = new Map([['src/index.js', { status: 'modified' }]]);
+        const structure = await generateFolderStructureString(projectPath, projectPath, '', ignoreFilter, changes);
+        // Folders are listed whatever the include globs, since files below them could match
+        const fileLines = structure.split('\n').filter(line => line && !line.endsWith('/'));
+        assert.deepStrictEqual(fileLines, ['  -- file2.js', '  -- file10.js', '  -- index.js [modified]']);
+    });
+});
+
+describe('readProjectFiles', () => {
+    it('reads the files of the structure in tree order', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', EXTRA_FILES);
+        const files = await readProjectFiles(projectPath, projectPath, false, new Set());
+        assert.deepStrictEqual(files.map(file => file.path), [
+            'assets/logo.png',
+            'docs/guide.md',
+            'memory-bank/context.md',
+            'scripts/build.py',
+            'src/utils/format.js',
+            'src/utils/math.js',
+            'src/file2.js',
+            'src/file10.js',
+            'src/index.js',
+            'package.json',
+            'README.md'
+        ]);
+        assert.strictEqual(files.find(file => file.path === 'src/file10.js').content, 'module.exports = 10;\n');
+    });
+
+    it('replaces files excluded by the LLM and binary files by placeholders', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', EXTRA_FILES);
+        const files = await readProjectFiles(projectPath, projectPath, false, new Set(['src/file2.js']));
+        const byPath = new Map(files.map(file => [file.path, file]));
+        assert.strictEqual(byPath.get('src/file2.js').content, LLM_EXCLUSION_PLACEHOLDER);
+        assert.strictEqual(byPath.get('src/file2.js').excludedByLLM, true);
+        assert.strictEqual(byPath.get('assets/logo.png').omitted, 'binary');
+        assert.strictEqual(byPath.get('src/index.js').excludedByLLM, false);
+    });
+
+    it('never reads excluded files, even with an include glob that matches them', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', EXTRA_FILES);
+        const ignoreFilter = createProjectIgnoreFilter(projectPath, ['**/*.js', '**/*.txt'], ['scripts/']);
+        const files = await readProjectFiles(projectPath, projectPath, false, new Set(), ignoreFilter);
+        assert.deepStrictEqual(files.map(file => file.path), [
+            'src/utils/format.js',
+            'src/utils/math.js',
+            'src/file2.js',
+            'src/file10.js',
+            'src/index.js'
+        ]);
+    });
+
+    it('removes comments when asked to', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const files = await readProjectFiles(projectPath, projectPath, true, new Set());
+        const byPath = new Map(files.map(file => [file.path, file]));
+        assert.strictEqual(byPath.get('src/utils/math.js').content.includes('Arithmetic helpers'), false);
+        assert.strictEqual(byPath.get('src/utils/format.js').content.includes('`$${value.toFixed(2)}`;'), true);
+        assert.strictEqual(byPath.get('src/utils/format.js').content.includes('inside a string'), false);
+        assert.strictEqual(byPath.get('scripts/build.py').content, 'print("building")\n');
+    });
+});
+
+describe('extract', () => {
+    it('writes its status messages to stderr, never to stdout', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const result = await extract({ paths: projectPath, cache: null, contentCache: null, maxTokens: 100 });
+        render(result);
+
+        assert.strictEqual(console.log.mock.calls.length, 0);
+        assert.ok(console.error.mock.calls.some(call => String(call.arguments[0]).startsWith('Generating markdown prompt.')));
+    });
+});
+
+describe('content cache', () => {
+    it('does not reuse an entry for the same content under a name that is processed differently', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', { 'notes.txt': 'DB_HOST=prod-db.internal.corp\n' });
+        const options = { paths: projectPath, cache: null, contentCache: { directory: await createTemporaryDirectory(t) } };
+        const first = await extract(options);
+        assert.strictEqual(first.files.find(file => file.path === 'notes.txt').content, 'DB_HOST=prod-db.internal.corp\n');
+
+        await fs.writeFile(path.join(projectPath, '.env'), 'DB_HOST=prod-db.internal.corp\n');
+        const second = await extract(options);
+        assert.strictEqual(second.files.find(file => file.path === '.env').content, 'DB_HOST=[REDACTED:ENV_VALUE#1]\n');
+        assert.strictEqual(second.files.find(file => file.path === 'notes.txt').content, 'DB_HOST=prod-db.internal.corp\n');
+    });
+
+    it('is not read back when it lies inside the project', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const workingDirectory = process.cwd();
+        process.chdir(projectPath);
+        t.after(() => process.chdir(workingDirectory));
+        const options = { paths: '.', cache: null, contentCache: { directory: path.join('.cache', 'content') } };
+
+        await extract(options);
+        assert.ok((await fs.readdir(path.join(projectPath, '.cache', 'content'))).length > 0);
+        const second = await extract(options);
+        assert.deepStrictEqual(second.files.filter(file => file.path.startsWith('.cache')), []);
+        assert.ok(!second.structure.includes('content'));
+    });
+
+    it('skips an LLM filter cache directory inside the project', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', { 'cache/llm-filter/decision.json': '{"excludedFiles": []}\n' });
+        const cache = { directory: path.join(projectPath, 'cache', 'llm-filter'), read: true };
+
+        const result = await extract({ paths: projectPath, cache, contentCache: null });
+        assert.deepStrictEqual(result.files.filter(file => file.path.startsWith('cache')), []);
+        assert.ok(!result.structure.includes('decision.json'));
+    });
+
+    it('keeps its index when the entries are pruned', async (t) => {
+        const directory = await createTemporaryDirectory(t);
+        await extract({ paths: await createFixtureProject(t, 'sample-project'), cache: null, contentCache: { directory } });
+        const entryCount = (await fs.readdir(directory)).length - 1;
+
+        assert.deepStrictEqual(await pruneCache(directory, { all: true }), { removed: entryCount, kept: 0 });
+        assert.deepStrictEqual(await fs.readdir(directory), ['index.json']);
+    });
+});
@@ -0,0 +1,6 @@
+import os
+from . import models
+from .service import run, Service
+from helpers import tools
+
+run(models.Order(), tools.now(), os.getcwd())
@@ -0,0 +1,5 @@
+from .models import Order
+
+
+def run(order: Order, now, cwd):
+    return order
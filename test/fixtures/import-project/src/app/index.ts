@@ -0,0 +1,6 @@
+import { config } from '../lib/config';
+import { log } from '@lib/log';
+
+export function startApp(server: unknown, legacy: unknown, plugins: unknown): void {
+    log(`listening on ${config.port}`);
+}
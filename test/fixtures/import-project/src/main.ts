@@ -0,0 +1,12 @@
+import { startApp } from './app';
+import { log } from '@lib/log';
+import express from 'express';
+import './styles.css';
+
+const legacy = require('./legacy.js');
+
+export async function main(): Promise<void> {
+    const { loadPlugins } = await import('./plugins');
+    log('starting');
+    startApp(express(), legacy, loadPlugins());
+}
@@ -0,0 +1,6 @@
+import { log } from './lib/log';
+
+export function loadPlugins(): string[] {
+    log('loading plugins');
+    return [];
+}
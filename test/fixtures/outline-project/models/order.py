@@ -0,0 +1,36 @@
+"""Order models."""
+
+import dataclasses
+from decimal import Decimal
+
+TAX_RATE = Decimal("0.2")
+STATUSES = (
+    "open",
+    "paid",
+)
+
+
+@dataclasses.dataclass
+class Order:
+    """An order of a customer."""
+
+    id: str
+    total: Decimal = Decimal(0)
+
+    def with_tax(self) -> Decimal:
+        """Returns the total including tax."""
+        return self.total * (1 + TAX_RATE)
+
+    @property
+    def is_open(self):
+        return self.status == "open"
+
+
+async def load_order(order_id: str,
+                     repository) -> Order:
+    row = await repository.fetch(order_id)
+    return Order(**row)
+
+
+if __name__ == "__main__":
+    print(load_order("1", None))
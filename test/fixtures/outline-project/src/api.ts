@@ -0,0 +1,45 @@
+import { request } from './http';
+import type { Order } from '../models/order';
+
+/** Statuses an order goes through. */
+export enum OrderStatus {
+    Open = 'open',
+    Paid = 'paid'
+}
+
+export interface OrderQuery {
+    status?: OrderStatus;
+    limit: number;
+}
+
+export type OrderId = string;
+
+const DEFAULT_QUERY: OrderQuery = {
+    status: OrderStatus.Open,
+    limit: 20
+};
+
+/**
+ * Client of the order endpoints.
+ */
+export class OrderClient {
+    private readonly baseUrl: string;
+
+    constructor(baseUrl: string) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    /** Lists the orders matching a query. */
+    async list(query: OrderQuery = DEFAULT_QUERY): Promise<Order[]> {
+        const response = await request(`${this.baseUrl}/orders`, { query });
+        return response.items;
+    }
+
+    get endpoint(): string {
+        return `${this.baseUrl}/orders`;
+    }
+}
+
+export const isPaid = (order: Order): boolean => order.status === OrderStatus.Paid;
+
+console.log('api loaded');
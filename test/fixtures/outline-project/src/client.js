@@ -0,0 +1,35 @@
+// External dependencies
+const https = require('https');
+const { promisify } = require('util');
+
+// Local modules
+const { formatPrice } = require('./format').helpers;
+
+const RETRY_DELAYS = [
+    100,
+    500,
+    2000
+];
+
+/**
+ * Fetches a URL and parses the JSON reply.
+ * @param {string} url - The URL.
+ * @returns {Promise<object>} The reply.
+ */
+async function fetchJson(url) {
+    const body = await promisify(https.get)(url);
+    return JSON.parse(body);
+}
+
+const api = {
+    async getOrder(id) {
+        return fetchJson(`/orders/${id}`);
+    },
+    describe: order => formatPrice(order.total)
+};
+
+if (process.env.DEBUG) {
+    console.log('client loaded');
+}
+
+module.exports = { api, fetchJson, RETRY_DELAYS };
@@ -0,0 +1,2 @@
+# Build script
+print("building")  # not really
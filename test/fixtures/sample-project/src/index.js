@@ -0,0 +1,13 @@
+// Entry point of the order service
+const { total } = require('./utils/math');
+const { formatPrice } = require('./utils/format');
+
+/**
+ * Prints the total of an order.
+ * @param {Array<{price: number, quantity: number}>} items - The order lines.
+ */
+function printOrder(items) {
+    console.log(`Total: ${formatPrice(total(items))}`); // Rounded to cents
+}
+
+printOrder([{ price: 2.5, quantity: 4 }]);
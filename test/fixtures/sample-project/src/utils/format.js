@@ -0,0 +1,5 @@
+function formatPrice(value) {
+    return `$${value.toFixed(2)}`; // "//" inside a string is not a comment: http://example.com
+}
+
+module.exports = { formatPrice };
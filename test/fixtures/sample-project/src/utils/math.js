@@ -0,0 +1,6 @@
+/* Arithmetic helpers */
+function total(items) {
+    return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+
+module.exports = { total };
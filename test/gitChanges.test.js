@@ -0,0 +1,226 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { extract } = require('../lib/extractor');
+const { getChangedFiles, getFileDiff, getLastCommits } = require('../lib/gitChanges');
+const { getManifestPath, loadManifest, writeManifest } = require('../lib/manifest');
+const { createFixtureProject, createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+
+silenceConsole();
+
+/**
+ * Runs git in a directory.
+ * @param {string} cwd - The directory.
+ * @param {string[]} args - Git arguments.
+ * @returns {string} The output.
+ */
+function git(cwd, args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'init.defaultBranch=main', ...args], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Creates a repository of the sample project with changes of every kind: on the branch "feature" (checked out), a
+ * commit that modifies src/index.js, renames src/file2.js to src/two.js, deletes src/file10.js and adds
+ * src/feature.js; then a staged change to README.md, an unstaged change to docs/guide.md and an untracked notes.md.
+ * @param {object} t - The test context.
+ * @returns {Promise<string>} The path of the repository.
+ */
+async function createChangedRepository(t) {
+    const repository = await createFixtureProject(t, 'sample-project');
+    git(repository, ['init', '--quiet']);
+    git(repository, ['add', '-A']);
+    git(repository, ['commit', '--quiet', '-m', 'Initial commit']);
+    git(repository, ['checkout', '--quiet', '-b', 'feature']);
+    await fs.appendFile(path.join(repository, 'src', 'index.js'), 'printOrder([]);\n');
+    git(repository, ['mv', 'src/file2.js', 'src/two.js']);
+    git(repository, ['rm', '--quiet', 'src/file10.js']);
+    await fs.writeFile(path.join(repository, 'src', 'feature.js'), 'module.exports = { feature: true };\n');
+    git(repository, ['add', '-A']);
+    git(repository, ['commit', '--quiet', '-m', 'Add feature']);
+    await fs.appendFile(path.join(repository, 'README.md'), '\nStaged line.\n');
+    git(repository, ['add', 'README.md']);
+    await fs.appendFile(path.join(repository, 'docs', 'guide.md'), '\nUnstaged line.\n');
+    await fs.writeFile(path.join(repository, 'notes.md'), '# Notes\n');
+    return repository;
+}
+
+/**
+ * Lists changes as sorted [path, status] pairs, with the previous path of renamed files and a mark for untracked ones.
+ * @param {Map<string, object>} changes - Result of getChangedFiles.
+ * @returns {Array<Array<string>>} The pairs.
+ */
+function listChanges(changes) {
+    return [...changes]
+        .map(([filePath, change]) => [
+            filePath.split(path.sep).join('/'),
+            change.status + (change.previousPath ? ` from ${change.previousPath.split(path.sep).join('/')}` : '') + (change.untracked ? ' (untracked)' : '')
+        ])
+        .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+describe('getChangedFiles', () => {
+    it('selects committed, staged, unstaged and untracked changes since the branch point with --since', async (t) => {
+        const repository = await createChangedRepository(t);
+        assert.deepStrictEqual(listChanges(await getChangedFiles(repository, { since: 'main' })), [
+            ['docs/guide.md', 'modified'],
+            ['notes.md', 'added (untracked)'],
+            ['README.md', 'modified'],
+            ['src/feature.js', 'added'],
+            ['src/file10.js', 'deleted'],
+            ['src/index.js', 'modified'],
+            ['src/two.js', 'renamed from src/file2.js']
+        ]);
+    });
+
+    it('selects only the committed changes of a --range', async (t) => {
+        const repository = await createChangedRepository(t);
+        assert.deepStrictEqual(listChanges(await getChangedFiles(repository, { range: 'main..feature' })), [
+            ['src/feature.js', 'added'],
+            ['src/file10.js', 'deleted'],
+            ['src/index.js', 'modified'],
+            ['src/two.js', 'renamed from src/file2.js']
+        ]);
+    });
+
+    it('selects only the index with --staged', async (t) => {
+        const repository = await createChangedRepository(t);
+        assert.deepStrictEqual(listChanges(await getChangedFiles(repository, { staged: true })), [
+            ['README.md', 'modified']
+        ]);
+    });
+
+    it('selects staged, unstaged and untracked changes against HEAD with --workingTree', async (t) => {
+        const repository = await createChangedRepository(t);
+        assert.deepStrictEqual(listChanges(await getChangedFiles(repository, { workingTree: true })), [
+            ['docs/guide.md', 'modified'],
+            ['notes.md', 'added (untracked)'],
+            ['README.md', 'modified']
+        ]);
+    });
+
+    it('lists the changes of a subdirectory relative to it and ignores the others', async (t) => {
+        const repository = await createChangedRepository(t);
+        assert.deepStrictEqual(listChanges(await getChangedFiles(path.join(repository, 'src'), { since: 'main' })), [
+            ['feature.js', 'added'],
+            ['file10.js', 'deleted'],
+            ['index.js', 'modified'],
+            ['two.js', 'renamed from file2.js']
+        ]);
+    });
+
+    it('fails outside a working tree and on an unknown ref', async (t) => {
+        const directory = await createTemporaryDirectory(t);
+        await assert.rejects(getChangedFiles(directory, { workingTree: true }), /Git mode requires a git working tree/);
+        const repository = await createChangedRepository(t);
+        await assert.rejects(getChangedFiles(repository, { since: 'no-such-branch' }), /git diff .* failed in/);
+    });
+});
+
+describe('getFileDiff', () => {
+    it('returns the diff of a modified or renamed file, and null for an untracked one', async (t) => {
+        const repository = await createChangedRepository(t);
+        const selection = { since: 'main' };
+        const changes = await getChangedFiles(repository, selection);
+
+        const indexDiff = await getFileDiff(repository, selection, path.join('src', 'index.js'), changes.get(path.join('src', 'index.js')));
+        assert.match(indexDiff, /^diff --git a\/src\/index\.js b\/src\/index\.js\n/);
+        assert.match(indexDiff, /\n\+printOrder\(\[\]\);$/);
+        const renameDiff = await getFileDiff(repository, selection, path.join('src', 'two.js'), changes.get(path.join('src', 'two.js')));
+        assert.match(renameDiff, /rename from src\/file2\.js\nrename to src\/two\.js/);
+        assert.strictEqual(await getFileDiff(repository, selection, 'notes.md', changes.get('notes.md')), null);
+    });
+});
+
+describe('getLastCommits', () => {
+    // The sample project committed by Ada, then src/index.js and README.md changed by Grace, then src/index.js by Linus
+    const createHistory = async (t) => {
+        const repository = await createFixtureProject(t, 'sample-project');
+        const commit = (author, date, message) => {
+            git(repository, ['add', '-A']);
+            git(repository, ['commit', '--quiet', `--author=${author} <${author.toLowerCase()}@example.com>`, `--date=${date}T12:00:00Z`, '-m', message]);
+        };
+        git(repository, ['init', '--quiet']);
+        commit('Ada', '2024-01-01', 'Initial commit');
+        await fs.appendFile(path.join(repository, 'src', 'index.js'), 'printOrder([]);\n');
+        await fs.appendFile(path.join(repository, 'README.md'), '\nMore.\n');
+        commit('Grace', '2024-02-01', 'Second commit');
+        await fs.appendFile(path.join(repository, 'src', 'index.js'), 'printOrder([]);\n');
+        commit('Linus', '2024-03-01', 'Third commit');
+        await fs.writeFile(path.join(repository, 'notes.md'), '# Notes\n');
+        return repository;
+    };
+
+    it('finds the last commit of every file of the history', async (t) => {
+        const repository = await createHistory(t);
+        const lastCommits = await getLastCommits(repository);
+
+        assert.deepStrictEqual(lastCommits.get(path.join('src', 'index.js')), { author: 'Linus', date: '2024-03-01' });
+        assert.deepStrictEqual(lastCommits.get('README.md'), { author: 'Grace', date: '2024-02-01' });
+        assert.deepStrictEqual(lastCommits.get('package.json'), { author: 'Ada', date: '2024-01-01' });
+        assert.strictEqual(lastCommits.has('notes.md'), false);
+    });
+
+    it('stops walking the history once every requested file has been seen', async (t) => {
+        const repository = await createHistory(t);
+        // notes.md was never committed, so it is not waited for
+        const lastCommits = await getLastCommits(repository, 'HEAD', [path.join('src', 'index.js'), 'README.md', 'notes.md']);
+
+        assert.deepStrictEqual([...lastCommits.keys()].sort(), ['README.md', path.join('src', 'index.js')]);
+        assert.deepStrictEqual(lastCommits.get('README.md'), { author: 'Grace', date: '2024-02-01' });
+        assert.deepStrictEqual(await getLastCommits(repository, 'HEAD', ['notes.md']), new Map());
+    });
+
+    it('returns null outside a repository', async (t) => {
+        assert.strictEqual(await getLastCommits(await createTemporaryDirectory(t)), null);
+    });
+});
+
+describe('extract with changes', () => {
+    it('extracts only the changed files of a git mode, with their diffs and the deleted files', async (t) => {
+        const repository = await createChangedRepository(t);
+
+        const result = await extract({ paths: repository, gitSelection: { range: 'main..feature' }, includeDiff: true, cache: null, contentCache: null });
+
+        const files = result.files.map(file => [file.path, file.changeStatus, file.previousPath || null]);
+        assert.deepStrictEqual(files.sort((a, b) => a[0].localeCompare(b[0])), [
+            ['src/feature.js', 'added', null],
+            ['src/file10.js', 'deleted', null],
+            ['src/index.js', 'modified', null],
+            ['src/two.js', 'renamed', 'src/file2.js']
+        ]);
+        const index = result.files.find(file => file.path === 'src/index.js');
+        assert.match(index.diff, /\n\+printOrder\(\[\]\);$/);
+    });
+
+    it('extracts only the files added, modified or deleted since an earlier extraction with diffSince', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const first = await extract({ paths: projectPath, cache: null, contentCache: null });
+        const manifestPath = getManifestPath(path.join(await createTemporaryDirectory(t), 'review.md'));
+        await writeManifest(manifestPath, first.manifest);
+
+        await fs.appendFile(path.join(projectPath, 'src', 'index.js'), 'printOrder([]);\n');
+        await fs.rm(path.join(projectPath, 'src', 'file10.js'));
+        await fs.writeFile(path.join(projectPath, 'src', 'feature.js'), 'module.exports = { feature: true };\n');
+        // Touched but unchanged: compared by content, not by modification time
+        const now = new Date();
+        await fs.utimes(path.join(projectPath, 'README.md'), now, now);
+
+        const result = await extract({ paths: projectPath, diffSince: await loadManifest(manifestPath), cache: null, contentCache: null });
+
+        const files = result.files.map(file => [file.path, file.changeStatus]);
+        assert.deepStrictEqual(files.sort((a, b) => a[0].localeCompare(b[0])), [
+            ['src/feature.js', 'added'],
+            ['src/file10.js', 'deleted'],
+            ['src/index.js', 'modified']
+        ]);
+        await assert.rejects(
+            extract({ paths: projectPath, diffSince: await loadManifest(manifestPath), gitSelection: { workingTree: true }, cache: null, contentCache: null }),
+            /diffSince cannot be combined with a git mode/
+        );
+    });
+});
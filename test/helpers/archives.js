@@ -0,0 +1,140 @@
+// External dependencies
+const zlib = require('zlib');
+
+// Modification time stored in the generated archives: 2024-01-02 03:04:06 UTC
+const ARCHIVE_MTIME = new Date(Date.UTC(2024, 0, 2, 3, 4, 6));
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum stored in zip headers.
+ * @param {Buffer} buffer - The data.
+ * @returns {number} The checksum.
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = Array.from({ length: 256 }, (unused, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        });
+    }
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates a zip archive in memory. Files are deflated unless listed in `stored`; paths ending with "/" become
+ * directory entries.
+ * @param {Object<string, string | Buffer>} files - Path in the archive -> content.
+ * @param {{stored?: string[]}} [options={}] - Paths of files to store uncompressed.
+ * @returns {Buffer} The archive.
+ */
+function createZip(files, { stored = [] } = {}) {
+    const dosTime = (ARCHIVE_MTIME.getHours() << 11) | (ARCHIVE_MTIME.getMinutes() << 5) | (ARCHIVE_MTIME.getSeconds() / 2);
+    const dosDate = ((ARCHIVE_MTIME.getFullYear() - 1980) << 9) | ((ARCHIVE_MTIME.getMonth() + 1) << 5) | ARCHIVE_MTIME.getDate();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const [entryPath, content] of Object.entries(files)) {
+        const name = Buffer.from(entryPath);
+        const data = Buffer.from(content);
+        const method = entryPath.endsWith('/') || stored.includes(entryPath) ? 0 : 8;
+        const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+        const mode = entryPath.endsWith('/') ? 0o040755 : 0o100644;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x800, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc32(data), 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(0x031e, 4); // Made on Unix, so the external attributes hold the file mode
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc32(data), 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(mode * 0x10000, 38);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Creates a tar header block.
+ * @param {string} name - Entry name (at most 100 bytes).
+ * @param {number} size - Size of the entry's content.
+ * @param {string} type - Type flag ('0' file, '5' directory, 'x' pax header).
+ * @returns {Buffer} The block.
+ */
+function createTarHeader(name, size, type) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write(type === '5' ? '0000755\0' : '0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(`${Math.floor(ARCHIVE_MTIME.getTime() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+    header.write(type, 156);
+    header.write('ustar\0' + '00', 257);
+    header.fill(0x20, 148, 156);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+/**
+ * Creates a tar archive in memory. Paths ending with "/" become directory entries; paths longer than 100 bytes are
+ * stored in pax extended headers.
+ * @param {Object<string, string | Buffer>} files - Path in the archive -> content.
+ * @returns {Buffer} The archive.
+ */
+function createTar(files) {
+    const blocks = [];
+    const addEntry = (name, data, type) => {
+        blocks.push(createTarHeader(name.slice(0, 100), data.length, type), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    };
+    for (const [entryPath, content] of Object.entries(files)) {
+        if (Buffer.byteLength(entryPath) > 100) {
+            const record = ` path=${entryPath}\n`;
+            let length = Buffer.byteLength(record);
+            length += String(length + String(length).length).length;
+            addEntry('PaxHeader', Buffer.from(`${length}${record}`), 'x');
+        }
+        addEntry(entryPath, Buffer.from(content), entryPath.endsWith('/') ? '5' : '0');
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+module.exports = {
+    ARCHIVE_MTIME,
+    createTar,
+    createZip
+};
@@ -0,0 +1,63 @@
+// External dependencies
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, mock } = require('node:test');
+
+// Fixture trees checked into the repository
+const FIXTURES_DIRECTORY = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Copies a fixture tree into a temporary directory, which is removed when the test ends. Tests work on the copy,
+ * so files that must not be committed (node_modules, .git, ignored files) can be added and nothing is written into
+ * the repository.
+ * @param {object} t - The test context.
+ * @param {string} name - Folder name under test/fixtures.
+ * @param {Object<string, string>} [extraFiles={}] - Relative path -> content of files to add to the copy.
+ * @returns {Promise<string>} The absolute path of the copy.
+ */
+async function createFixtureProject(t, name, extraFiles = {}) {
+    const temporaryDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'content-extractor-test-'));
+    t.after(() => fs.rm(temporaryDirectory, { recursive: true, force: true }));
+    const projectPath = path.join(temporaryDirectory, name);
+    await fs.cp(path.join(FIXTURES_DIRECTORY, name), projectPath, { recursive: true });
+    for (const [relativePath, content] of Object.entries(extraFiles)) {
+        const filePath = path.join(projectPath, relativePath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content);
+    }
+    return projectPath;
+}
+
+/**
+ * Creates an empty temporary directory, which is removed when the test ends.
+ * @param {object} t - The test context.
+ * @returns {Promise<string>} Its absolute path.
+ */
+async function createTemporaryDirectory(t) {
+    const temporaryDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'content-extractor-test-'));
+    t.after(() => fs.rm(temporaryDirectory, { recursive: true, force: true }));
+    return temporaryDirectory;
+}
+
+/**
+ * Silences the progress output of the code under test (console.log, console.warn and console.error) in every test
+ * of the calling file. The calls are still recorded: `console.warn.mock.calls` lists the warnings of the current test.
+ */
+function silenceConsole() {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => {
+        mock.restoreAll();
+    });
+}
+
+module.exports = {
+    FIXTURES_DIRECTORY,
+    createFixtureProject,
+    createTemporaryDirectory,
+    silenceConsole
+};
@@ -0,0 +1,75 @@
+// External dependencies
+const http = require('http');
+
+// Local modules
+const { resolveProviderConfig } = require('../../lib/llmProviders');
+
+/**
+ * Starts a local stand-in for an OpenAI-compatible chat completions endpoint (POST /v1/chat/completions), so LLM
+ * requests can be tested without network access. Every request is answered with the next of the given replies; the
+ * last one is repeated.
+ * @param {Array<object> | function(object): object} replies - The replies, in order, or a function that returns the reply
+ *   to a request body. A reply is one of:
+ *   `{json: object}` - a completion whose text is the JSON of the object;
+ *   `{content: string}` - a completion with this text;
+ *   `{status: number, body?: object | string, headers?: object}` - an HTTP error;
+ *   `{raw: object}` - a successful response with this body instead of a completion;
+ *   `{hang: true}` - no response at all (for timeouts).
+ * @returns {Promise<{baseUrl: string, requests: Array<{url: string, body: object}>, createConfig: function(object=): object,
+ *   close: function(): Promise<void>}>} The base URL of the endpoint, the requests received, a provider configuration
+ *   pointing at it (settings of resolveProviderConfig can be overridden; retries are off by default), and a function
+ *   that stops the server.
+ */
+async function startMockLlmServer(replies) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, body: JSON.parse(body) });
+            const reply = typeof replies === 'function'
+                ? replies(requests[requests.length - 1].body)
+                : replies[Math.min(requests.length, replies.length) - 1];
+            if (reply.hang) return;
+            if (reply.status) {
+                res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+                res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body || { error: { message: 'Mock error' } }));
+                return;
+            }
+            if (reply.raw) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(reply.raw));
+                return;
+            }
+            const content = reply.json !== undefined ? JSON.stringify(reply.json) : reply.content;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                choices: [{ message: { role: 'assistant', content } }],
+                usage: { prompt_tokens: 100, completion_tokens: 10 }
+            }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    return {
+        baseUrl,
+        requests,
+        createConfig: (settings = {}) => resolveProviderConfig({
+            provider: 'openai-compatible',
+            model: 'mock-model',
+            baseUrl,
+            maxRetries: 0,
+            ...settings
+        }, {}),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections(); // Hanging requests would keep the server open
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = {
+    startMockLlmServer
+};
@@ -0,0 +1,30 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// Golden files of rendered output
+const SNAPSHOTS_DIRECTORY = path.join(__dirname, '..', 'snapshots');
+
+/**
+ * Compares output with its golden file in test/snapshots. Set UPDATE_SNAPSHOTS=1 to write the golden files
+ * instead (review the diff before committing them); a missing golden file is written unless CI is set.
+ * @param {string} name - File name of the golden file, e.g. "sample-project.md".
+ * @param {string} actual - The output.
+ */
+function assertMatchesSnapshot(name, actual) {
+    const snapshotPath = path.join(SNAPSHOTS_DIRECTORY, name);
+    if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(snapshotPath) && !process.env.CI)) {
+        fs.mkdirSync(SNAPSHOTS_DIRECTORY, { recursive: true });
+        fs.writeFileSync(snapshotPath, actual);
+        return;
+    }
+    if (!fs.existsSync(snapshotPath)) {
+        assert.fail(`Golden file ${path.relative(process.cwd(), snapshotPath)} does not exist; run the tests with UPDATE_SNAPSHOTS=1 to create it.`);
+    }
+    assert.strictEqual(actual, fs.readFileSync(snapshotPath, 'utf8'), `Output differs from ${name}; run the tests with UPDATE_SNAPSHOTS=1 if the change is intended.`);
+}
+
+module.exports = {
+    assertMatchesSnapshot
+};
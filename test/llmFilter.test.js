@@ -0,0 +1,161 @@
+// External dependencies
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { generateFolderStructureString } = require('../lib/extractor');
+const { getLLMFilteredExclusions, readAdditionalContext } = require('../lib/llmFilter');
+const { resolveProviderConfig } = require('../lib/llmProviders');
+const { createFixtureProject, createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+const { startMockLlmServer } = require('./helpers/mockLlmServer');
+
+// Files of the sample project, as listed in its structure
+const SAMPLE_PROJECT_FILES = [
+    'docs/guide.md',
+    'memory-bank/context.md',
+    'scripts/build.py',
+    'src/utils/format.js',
+    'src/utils/math.js',
+    'src/file2.js',
+    'src/file10.js',
+    'src/index.js',
+    'package.json',
+    'README.md'
+];
+
+silenceConsole();
+
+describe('readAdditionalContext', () => {
+    it('reads the README, the memory bank and the other Markdown files of the root', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', { 'CHANGELOG.md': '# Changelog\n\n- First release\n' });
+        const context = await readAdditionalContext(projectPath);
+        assert.strictEqual(context.readmeContent, '# Sample Project\n\nA tiny order service used as a test fixture. `src/index.js` starts it.');
+        assert.deepStrictEqual(context.memoryBankFiles, [
+            { name: 'context.md', path: 'memory-bank/context.md', content: '# Context\n\nOrders are priced in dollars.' }
+        ]);
+        assert.deepStrictEqual(context.mdFiles, [
+            { name: 'CHANGELOG.md', path: 'CHANGELOG.md', content: '# Changelog\n\n- First release' }
+        ]);
+    });
+
+    it('returns an empty context for a project without documentation', async (t) => {
+        const projectPath = await createTemporaryDirectory(t);
+        assert.deepStrictEqual(await readAdditionalContext(projectPath), { readmeContent: null, memoryBankFiles: [], mdFiles: [] });
+    });
+});
+
+describe('getLLMFilteredExclusions', () => {
+    // Filters the sample project (level 2) with the given provider configuration
+    const filter = async (t, llmConfig) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const structure = await generateFolderStructureString(projectPath, projectPath);
+        const result = await getLLMFilteredExclusions(structure, 2, projectPath, '', {
+            llmConfig,
+            cache: null,
+            knownPaths: SAMPLE_PROJECT_FILES
+        });
+        return { result, structure };
+    };
+    const startServer = async (t, replies) => {
+        const server = await startMockLlmServer(replies);
+        t.after(() => server.close());
+        return server;
+    };
+
+    it('returns the exclusions and the project name of a valid reply', async (t) => {
+        const mock = await startServer(t, [{ json: { excludedFiles: ['docs/guide.md', './src/file2.js'], suggestedFileName: 'order service' } }]);
+        const { result, structure } = await filter(t, mock.createConfig());
+        assert.deepStrictEqual(result.excludedFiles, ['docs/guide.md', 'src/file2.js']);
+        assert.strictEqual(result.suggestedFileName, 'order-service');
+        assert.strictEqual(result.failure, undefined);
+        assert.strictEqual(mock.requests.length, 1);
+        assert.strictEqual(mock.requests[0].url, '/v1/chat/completions');
+        assert.strictEqual(mock.requests[0].body.model, 'mock-model');
+        const prompt = mock.requests[0].body.messages.map(message => message.content).join('\n');
+        assert.ok(prompt.includes(structure), 'the prompt contains the project structure');
+        assert.ok(prompt.includes('A tiny order service'), 'the prompt contains the README');
+    });
+
+    it('asks for a correction of paths that are not in the structure, and drops the ones that remain', async (t) => {
+        const mock = await startServer(t, [
+            { json: { excludedFiles: ['src/missing.js', 'docs/', 'src/file2.js'] } },
+            { json: { excludedFiles: ['docs/', 'src/file2.js'] } }
+        ]);
+        const { result } = await filter(t, mock.createConfig());
+        assert.deepStrictEqual(result.excludedFiles, ['src/file2.js']);
+        assert.strictEqual(result.failure, undefined);
+        assert.strictEqual(mock.requests.length, 2);
+        const repairMessages = mock.requests[1].body.messages.filter(message => message.role !== 'system');
+        assert.deepStrictEqual(repairMessages.map(message => message.role), ['user', 'assistant', 'user']);
+        assert.ok(repairMessages[2].content.includes('src/missing.js, docs/'));
+    });
+
+    it('uses the corrected reply when the first one is not valid JSON', async (t) => {
+        const mock = await startServer(t, [
+            { content: 'Here are the files to exclude: docs/guide.md' },
+            { content: '```json\n{"excludedFiles": ["docs/guide.md"]}\n```' }
+        ]);
+        const { result } = await filter(t, mock.createConfig());
+        assert.deepStrictEqual(result.excludedFiles, ['docs/guide.md']);
+        assert.strictEqual(mock.requests.length, 2);
+    });
+
+    it('excludes nothing and reports a failure when no reply is valid JSON', async (t) => {
+        const mock = await startServer(t, [{ content: 'I cannot help with that.' }]);
+        const { result } = await filter(t, mock.createConfig());
+        assert.deepStrictEqual(result.excludedFiles, []);
+        assert.match(result.failure, /not valid JSON/);
+        assert.strictEqual(mock.requests.length, 2);
+    });
+
+    it('retries server errors and reports a failure when they persist', async (t) => {
+        const mock = await startServer(t, [{ status: 503, headers: { 'Retry-After': '0' }, body: { error: { message: 'Overloaded' } } }]);
+        const { result } = await filter(t, mock.createConfig({ maxRetries: 2 }));
+        assert.deepStrictEqual(result.excludedFiles, []);
+        assert.strictEqual(result.failure, 'OpenAI-compatible filtering failed: HTTP 503: Overloaded');
+        assert.strictEqual(mock.requests.length, 3);
+    });
+
+    it('succeeds when a retry after rate limiting is answered', async (t) => {
+        const mock = await startServer(t, [
+            { status: 429, headers: { 'Retry-After': '0' }, body: { error: { message: 'Rate limit reached' } } },
+            { json: { excludedFiles: ['src/file2.js'] } }
+        ]);
+        const { result } = await filter(t, mock.createConfig({ maxRetries: 1 }));
+        assert.deepStrictEqual(result.excludedFiles, ['src/file2.js']);
+        assert.strictEqual(mock.requests.length, 2);
+    });
+
+    it('does not retry client errors', async (t) => {
+        const mock = await startServer(t, [{ status: 401, body: { error: { message: 'Invalid API key' } } }]);
+        const { result } = await filter(t, mock.createConfig({ maxRetries: 2 }));
+        assert.strictEqual(result.failure, 'OpenAI-compatible filtering failed: HTTP 401: Invalid API key');
+        assert.strictEqual(mock.requests.length, 1);
+    });
+
+    it('reports a failure when a successful response holds no reply', async (t) => {
+        const mock = await startServer(t, [{ raw: { choices: [] } }]);
+        const { result } = await filter(t, mock.createConfig());
+        assert.deepStrictEqual(result.excludedFiles, []);
+        assert.strictEqual(result.failure, 'OpenAI-compatible filtering failed: OpenAI API error: the response has no choices');
+    });
+
+    it('reports the error of a proxy that answers with an error and status 200', async (t) => {
+        const mock = await startServer(t, [{ raw: { error: { message: 'Upstream model unavailable' } } }]);
+        const { result } = await filter(t, mock.createConfig());
+        assert.strictEqual(result.failure, 'OpenAI-compatible filtering failed: OpenAI API error: Upstream model unavailable');
+    });
+
+    it('gives up on a request that times out', async (t) => {
+        const mock = await startServer(t, [{ hang: true }]);
+        const { result } = await filter(t, mock.createConfig({ timeoutMs: 200 }));
+        assert.deepStrictEqual(result.excludedFiles, []);
+        assert.match(result.failure, /timeout of 200ms exceeded/);
+    });
+
+    it('does not send anything when the provider is not configured', async (t) => {
+        const { result } = await filter(t, resolveProviderConfig({ provider: 'openai' }, {}));
+        assert.deepStrictEqual(result.excludedFiles, []);
+        assert.match(result.failure, /API key is not configured/);
+    });
+});
@@ -0,0 +1,210 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { extract, generateFolderStructureString, readProjectFiles, render } = require('../lib/extractor');
+const { readArchive } = require('../lib/archives');
+const { openProjectSource } = require('../lib/projectSources');
+const virtualFs = require('../lib/virtualFs');
+const { ARCHIVE_MTIME, createTar, createZip } = require('./helpers/archives');
+const { FIXTURES_DIRECTORY, createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+
+const FIXTURE_PATH = path.join(FIXTURES_DIRECTORY, 'sample-project');
+
+silenceConsole();
+
+/**
+ * Reads every file of the fixture project.
+ * @returns {Promise<Object<string, Buffer>>} '/'-separated relative path -> content.
+ */
+async function readFixtureFiles() {
+    const files = {};
+    const readDirectory = async (directory) => {
+        for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                await readDirectory(entryPath);
+            } else {
+                files[path.relative(FIXTURE_PATH, entryPath).split(path.sep).join('/')] = await fs.readFile(entryPath);
+            }
+        }
+    };
+    await readDirectory(FIXTURE_PATH);
+    return files;
+}
+
+/**
+ * Prefixes the paths of archive entries with a folder.
+ * @param {Object<string, Buffer>} files - Path -> content.
+ * @param {string} folder - The folder.
+ * @returns {Object<string, Buffer>} The entries, with the folder's own entry first.
+ */
+function wrapInFolder(files, folder) {
+    return Object.fromEntries([[`${folder}/`, ''], ...Object.entries(files).map(([entryPath, content]) => [`${folder}/${entryPath}`, content])]);
+}
+
+/**
+ * Runs git in a directory.
+ * @param {string} cwd - The directory.
+ * @param {string[]} args - Git arguments.
+ * @returns {string} The output.
+ */
+function git(cwd, args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'init.defaultBranch=main', ...args], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Creates a git repository with the fixture project on main, and an extra file on the branch "feature".
+ * @param {object} t - The test context.
+ * @returns {Promise<{directory: string, repository: string}>} The temporary directory and the repository in it.
+ */
+async function createFixtureRepository(t) {
+    const directory = await createTemporaryDirectory(t);
+    const repository = path.join(directory, 'sample-project');
+    await fs.cp(FIXTURE_PATH, repository, { recursive: true });
+    git(repository, ['init', '--quiet']);
+    git(repository, ['add', '-A']);
+    git(repository, ['commit', '--quiet', '-m', 'Initial commit']);
+    git(repository, ['checkout', '--quiet', '-b', 'feature']);
+    await fs.writeFile(path.join(repository, 'src', 'feature.js'), 'module.exports = { feature: true };\n');
+    git(repository, ['add', '-A']);
+    git(repository, ['commit', '--quiet', '-m', 'Add feature']);
+    git(repository, ['checkout', '--quiet', 'main']);
+    return { directory, repository };
+}
+
+/**
+ * Reads the structure and file contents of a project path, opening it first (and closing it afterwards) if it is an
+ * archive or repository.
+ * @param {string} projectPath - The project path.
+ * @param {object} [options] - Options of openProjectSource.
+ * @returns {Promise<{structure: string, files: Array<{path: string, content: string}>}>}
+ */
+async function readProject(projectPath, options) {
+    const source = await openProjectSource(projectPath, options);
+    try {
+        const structure = await generateFolderStructureString(projectPath, projectPath);
+        const files = await readProjectFiles(projectPath, projectPath, false, new Set());
+        return { structure, files: files.map(file => ({ path: file.path, content: file.content })) };
+    } finally {
+        if (source) await source.close();
+    }
+}
+
+describe('readArchive', () => {
+    it('stops inflating a zip entry at its declared size', async () => {
+        const zip = createZip({ 'bomb.txt': 'x'.repeat(100000) });
+        // Declare 10 bytes in the local and the central header
+        zip.writeUInt32LE(10, 22);
+        zip.writeUInt32LE(10, zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+        const { files } = await readArchive(zip, 'zip');
+        await assert.rejects(files[0].read(), /corrupt zip entry \(more than 10 bytes\)/);
+        assert.throws(() => files[0].readSync(), /corrupt zip entry \(more than 10 bytes\)/);
+    });
+
+    it('rejects a gzip file that unpacks to more than the size limit', async () => {
+        const tarGz = zlib.gzipSync(createTar({ 'big.txt': 'x'.repeat(100000) }));
+
+        await assert.rejects(readArchive(tarGz, 'tar.gz', { maxTarSize: 10000 }), /unpacks to more than 10000 bytes/);
+        assert.strictEqual((await readArchive(tarGz, 'tar.gz')).files[0].size, 100000);
+    });
+});
+
+describe('openProjectSource', () => {
+    it('reads a zip archive like the directory it was made from, without its wrapper folder', async (t) => {
+        const directory = await createTemporaryDirectory(t);
+        const zipPath = path.join(directory, 'sample-project.zip');
+        const files = await readFixtureFiles();
+        await fs.writeFile(zipPath, createZip(wrapInFolder(files, 'sample-project-main'), { stored: ['sample-project-main/README.md'] }));
+
+        const expected = await readProject(FIXTURE_PATH);
+        assert.deepStrictEqual(await readProject(zipPath), expected);
+    });
+
+    it('reads tar and gzip-compressed tar archives, including pax long names', async (t) => {
+        const directory = await createTemporaryDirectory(t);
+        const longName = `src/${'nested-folder/'.repeat(8)}deep.js`;
+        const files = { ...(await readFixtureFiles()), [longName]: 'module.exports = "deep";\n' };
+        const tarPath = path.join(directory, 'sample-project.tar');
+        const tarGzPath = path.join(directory, 'sample-project.tar.gz');
+        await fs.writeFile(tarPath, createTar(files));
+        await fs.writeFile(tarGzPath, zlib.gzipSync(createTar(files)));
+
+        const tarProject = await readProject(tarPath);
+        assert.ok(tarProject.files.some(file => file.path === path.normalize(longName) && file.content === 'module.exports = "deep";\n'));
+        assert.deepStrictEqual(await readProject(tarGzPath), tarProject);
+
+        const source = await openProjectSource(tarPath);
+        t.after(() => source.close());
+        const stats = await virtualFs.stat(path.join(tarPath, 'README.md'));
+        assert.strictEqual(stats.mtimeMs, ARCHIVE_MTIME.getTime());
+    });
+
+    it('reads a git bundle at HEAD or at a given ref, and removes its temporary repository when closed', async (t) => {
+        const { directory, repository } = await createFixtureRepository(t);
+        const bundlePath = path.join(directory, 'sample-project.bundle');
+        git(repository, ['bundle', 'create', '--quiet', bundlePath, '--all']);
+
+        const atHead = await readProject(bundlePath);
+        assert.deepStrictEqual(atHead, await readProject(FIXTURE_PATH));
+
+        const listTemporaryRepositories = async () => (await fs.readdir(os.tmpdir())).filter(name => name.startsWith('content-extractor-bundle-'));
+        const before = await listTemporaryRepositories();
+        const source = await openProjectSource(bundlePath, { ref: 'feature' });
+        assert.match(source.description, /^git bundle at feature \([0-9a-f]{7}\)$/);
+        const files = await readProjectFiles(bundlePath, bundlePath, false, new Set());
+        assert.ok(files.some(file => file.path === path.join('src', 'feature.js')));
+        assert.strictEqual((await listTemporaryRepositories()).length, before.length + 1);
+        await source.close();
+        assert.deepStrictEqual(await listTemporaryRepositories(), before);
+    });
+
+    it('reads a bare repository and reports unknown refs', async (t) => {
+        const { directory, repository } = await createFixtureRepository(t);
+        const barePath = path.join(directory, 'sample-project.git');
+        git(directory, ['clone', '--quiet', '--bare', repository, barePath]);
+
+        const atFeature = await readProject(barePath, { ref: 'feature' });
+        assert.ok(atFeature.structure.includes('-- feature.js'));
+        await assert.rejects(openProjectSource(barePath, { ref: 'no-such-branch' }), /Unknown ref "no-such-branch"/);
+    });
+
+    it('rejects files that are neither archives nor bundles, and leaves directories on the disk', async (t) => {
+        await assert.rejects(openProjectSource(path.join(FIXTURE_PATH, 'README.md')), /is not a directory, a zip or tar archive/);
+        assert.strictEqual(await openProjectSource(FIXTURE_PATH), null);
+    });
+});
+
+describe('extract from an archive', () => {
+    it('renders the same prompt as the extracted directory, labeled without the archive extension', async (t) => {
+        const directory = await createTemporaryDirectory(t);
+        const zipPath = path.join(directory, 'sample-project.zip');
+        await fs.writeFile(zipPath, createZip(await readFixtureFiles()));
+        const options = { filterLevel: 0, contentCache: null, redact: true };
+
+        const fromZip = await extract({ ...options, paths: zipPath });
+        const fromDirectory = await extract({ ...options, paths: FIXTURE_PATH });
+        assert.strictEqual(render(fromZip), render(fromDirectory));
+        assert.strictEqual(fromZip.roots[0].label, 'sample-project');
+        assert.strictEqual(virtualFs.isVirtualPath(zipPath), false);
+
+        await assert.rejects(extract({ ...options, paths: zipPath, ref: 'main' }), /can only be read from git bundles and bare repositories/);
+    });
+
+    it('does not store the contents of archives in the content cache', async (t) => {
+        const directory = await createTemporaryDirectory(t);
+        const zipPath = path.join(directory, 'sample-project.zip');
+        const cacheDirectory = path.join(directory, 'content-cache');
+        await fs.writeFile(zipPath, createZip(await readFixtureFiles()));
+
+        await extract({ paths: zipPath, filterLevel: 0, cache: null, contentCache: { directory: cacheDirectory } });
+        await assert.rejects(fs.readdir(cacheDirectory), { code: 'ENOENT' });
+    });
+});
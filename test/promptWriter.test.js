@@ -0,0 +1,44 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { savePromptToFile } = require('../lib/promptWriter');
+const { createTemporaryDirectory, silenceConsole } = require('./helpers/fixtures');
+
+// Generated names start with the date and time of the run: YYYYMMDD_HHMMSS_
+const TIMESTAMP_PATTERN = '\\d{8}_\\d{6}';
+
+silenceConsole();
+
+describe('savePromptToFile', () => {
+    it('names the file after the project folder inside an output directory', async (t) => {
+        const outputDirectory = await createTemporaryDirectory(t);
+        const savedFile = await savePromptToFile('# Prompt\n', '/work/order-service', null, outputDirectory);
+        assert.strictEqual(path.dirname(savedFile), outputDirectory);
+        assert.match(path.basename(savedFile), new RegExp(`^${TIMESTAMP_PATTERN}_order-service\\.md$`));
+        assert.strictEqual(await fs.readFile(savedFile, 'utf8'), '# Prompt\n');
+    });
+
+    it('uses the sanitized name suggested by the LLM', async (t) => {
+        const outputDirectory = await createTemporaryDirectory(t);
+        const savedFile = await savePromptToFile('# Prompt\n', '/work/app', 'Order Service: v2!', outputDirectory);
+        assert.match(path.basename(savedFile), new RegExp(`^${TIMESTAMP_PATTERN}_Order_Service_v2\\.md$`));
+    });
+
+    it('joins the folder names of several projects and uses the extension of the format', async (t) => {
+        const outputDirectory = await createTemporaryDirectory(t);
+        const savedFile = await savePromptToFile('<prompt/>', ['/work/api', '/work/web'], null, `${outputDirectory}${path.sep}`, '.xml');
+        assert.match(path.basename(savedFile), new RegExp(`^${TIMESTAMP_PATTERN}_api_web\\.xml$`));
+    });
+
+    it('writes to an explicit file name, creating its folder, and accepts the prompt in parts', async (t) => {
+        const outputDirectory = await createTemporaryDirectory(t);
+        const outputFile = path.join(outputDirectory, 'reviews', 'review.md');
+        const savedFile = await savePromptToFile(['# Part 1\n', '# Part 2\n'], '/work/app', 'ignored-name', outputFile);
+        assert.strictEqual(savedFile, outputFile);
+        assert.strictEqual(await fs.readFile(outputFile, 'utf8'), '# Part 1\n# Part 2\n');
+    });
+});
@@ -0,0 +1,122 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { extract, render, renderChunks } = require('../lib/extractor');
+const { createFixtureProject, silenceConsole } = require('./helpers/fixtures');
+const { startMockLlmServer } = require('./helpers/mockLlmServer');
+const { assertMatchesSnapshot } = require('./helpers/snapshots');
+
+// Files added to the sample project: a secret for the redaction report and a binary file for its placeholder
+const EXTRA_FILES = {
+    'src/config.js': 'module.exports = { apiKey: "sk-live-1234567890abcdefghijklmnop" };\n',
+    'assets/logo.png': 'PNG\0\0\0binary'
+};
+
+/**
+ * Extracts the sample project without any cache, so every run reads the same files in the same way.
+ * @param {object} t - The test context.
+ * @param {object} [options={}] - Options of extract.
+ * @returns {Promise<object>} The result of extract.
+ */
+async function extractSampleProject(t, options = {}) {
+    const projectPath = await createFixtureProject(t, 'sample-project', EXTRA_FILES);
+    return extract({ paths: projectPath, cache: null, contentCache: null, progress: false, ...options });
+}
+
+silenceConsole();
+
+describe('rendered prompt', () => {
+    it('matches the golden Markdown file', async (t) => {
+        const result = await extractSampleProject(t);
+        assertMatchesSnapshot('sample-project.md', render(result));
+    });
+
+    it('matches the golden Markdown file with comments removed, a focus and the annotated box tree', async (t) => {
+        const result = await extractSampleProject(t, {
+            deleteComments: true,
+            focus: 'order totals',
+            treeStyle: 'box',
+            treeAnnotations: ['lines', 'tokens']
+        });
+        assertMatchesSnapshot('sample-project-stripped.md', render(result));
+    });
+
+    it('matches the golden Markdown file of an LLM-filtered extraction', async (t) => {
+        const server = await startMockLlmServer([{ json: { excludedFiles: ['docs/guide.md', 'scripts/build.py'], suggestedFileName: 'orderService' } }]);
+        t.after(() => server.close());
+        const result = await extractSampleProject(t, { filterLevel: 3, llmConfig: server.createConfig() });
+        assert.strictEqual(result.suggestedFileName, 'orderService');
+        assertMatchesSnapshot('sample-project-filtered.md', render(result));
+    });
+
+    it('matches the golden XML file', async (t) => {
+        const result = await extractSampleProject(t);
+        assertMatchesSnapshot('sample-project.xml', render(result, 'xml'));
+    });
+
+    it('matches the golden Markdown file with a table of contents, file metadata and line numbers', async (t) => {
+        const result = await extractSampleProject(t, { tableOfContents: true, fileMetadata: true, lineNumbers: true });
+        assertMatchesSnapshot('sample-project-file-blocks.md', render(result));
+    });
+});
+
+describe('file blocks', () => {
+    it('show the last commit of each file and keep numbering the lines of split files', async (t) => {
+        const longFile = Array.from({ length: 300 }, (unused, index) => `const value${index + 1} = ${index + 1};`).join('\n');
+        const projectPath = await createFixtureProject(t, 'sample-project', { 'src/long.js': `${longFile}\n` });
+        const git = args => execFileSync('git', ['-c', 'user.name=Jane Doe', '-c', 'user.email=jane@example.com', ...args], { cwd: projectPath, stdio: 'ignore' });
+        git(['init', '--quiet']);
+        git(['add', '-A']);
+        git(['commit', '--quiet', '-m', 'Initial commit']);
+        await fs.writeFile(path.join(projectPath, 'src', 'draft.js'), 'module.exports = {};\n');
+
+        const result = await extract({
+            paths: projectPath,
+            cache: null,
+            contentCache: null,
+            fileMetadata: true,
+            lineNumbers: true,
+            tableOfContents: true
+        });
+        const prompt = render(result);
+        assert.match(prompt, /### File: src\/long\.js\n\n\*\d+(\.\d)? KB, 300 lines, JavaScript, ~\d+ tokens, last changed \d{4}-\d{2}-\d{2} by Jane Doe\*/);
+        assert.match(prompt, /### File: src\/draft\.js\n\n\*21 B, 1 line, JavaScript, ~\d+ tokens, not committed\*/);
+        assert.match(prompt, /  - \[src\/long\.js\]\(#file-src-long\.js\) — 300 lines/);
+        assert.ok(prompt.includes('<a id="file-src-long.js"></a>\n\n### File: src/long.js'));
+
+        const segments = renderChunks(result, 1500).filter(chunk => chunk.files.some(file => file.path === path.join('src', 'long.js')));
+        assert.ok(segments.length > 1);
+        for (const chunk of segments) {
+            const { firstLine, index } = chunk.files[0].segment;
+            assert.ok(chunk.content.includes(`${String(firstLine).padStart(3)} | const value${firstLine} = ${firstLine};`));
+            assert.ok(chunk.content.includes(`(#file-src-long.js-part${index})`));
+            assert.ok(chunk.content.includes(`<a id="file-src-long.js-part${index}"></a>`));
+            assert.ok(chunk.tokens <= 1500, `part of ${chunk.tokens} tokens`);
+        }
+    });
+
+    it('give files whose paths map to the same anchor anchors of their own', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project', {
+            'lib/a/b.js': 'module.exports = "nested";\n',
+            'lib/a-b.js': 'module.exports = "flat";\n'
+        });
+        const result = await extract({ paths: projectPath, cache: null, contentCache: null, tableOfContents: true });
+        const markdown = render(result);
+        const xml = render(result, 'xml');
+
+        const ids = [...markdown.matchAll(/<a id="([^"]+)">/g)].map(match => match[1]);
+        assert.strictEqual(new Set(ids).size, ids.length);
+        const links = [...markdown.matchAll(/\]\(#([^)]+)\)/g)].map(match => match[1]);
+        assert.deepStrictEqual(links, ids);
+        assert.deepStrictEqual(ids.filter(id => id.startsWith('file-lib-a-b.js')).sort(), ['file-lib-a-b.js', 'file-lib-a-b.js-2']);
+
+        const xmlIds = [...xml.matchAll(/<file id="([^"]+)"/g)].map(match => match[1]);
+        assert.deepStrictEqual(xmlIds, ids);
+        assert.deepStrictEqual([...xml.matchAll(/<entry ref="([^"]+)"/g)].map(match => match[1]), ids);
+    });
+});
@@ -0,0 +1,81 @@
+// External dependencies
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Local modules
+const { createProjectIgnoreFilter } = require('../lib/extractor');
+const { watchProjectTrees } = require('../lib/watcher');
+const { createFixtureProject, silenceConsole } = require('./helpers/fixtures');
+
+const DEBOUNCE_MS = 100;
+
+silenceConsole();
+
+/**
+ * Watches a project and records the reported changes as paths relative to it.
+ * @param {object} t - The test context.
+ * @param {string} projectPath - The project root.
+ * @param {string[]} [ignoredPaths=[]] - Paths whose changes are ignored (see watchProjectTrees).
+ * @returns {Promise<{reports: string[][], nextReport: function(): Promise<string[]>}>} The reports so far, and a
+ *   function resolving with the next one.
+ */
+async function watchProject(t, projectPath, ignoredPaths = []) {
+    const reports = [];
+    let notify = null;
+    const watcher = await watchProjectTrees([{ path: projectPath }], {
+        createFilter: rootPath => createProjectIgnoreFilter(rootPath),
+        onChange: async changedPaths => {
+            const report = changedPaths.map(p => path.relative(projectPath, p).split(path.sep).join('/')).sort();
+            reports.push(report);
+            if (notify) notify(report);
+        },
+        debounceMs: DEBOUNCE_MS,
+        ignoredPaths
+    });
+    t.after(() => watcher.close());
+    const nextReport = () => new Promise(resolve => { notify = resolve; });
+    return { reports, nextReport };
+}
+
+/**
+ * Waits for a while, to give ignored changes the opportunity to be reported.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('watchProjectTrees', () => {
+    it('reports changed project files at once, after the quiet period', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const { nextReport } = await watchProject(t, projectPath);
+
+        const report = nextReport();
+        await fs.writeFile(path.join(projectPath, 'src', 'index.js'), 'module.exports = 1;\n');
+        await fs.writeFile(path.join(projectPath, 'README.md'), '# Changed\n');
+        assert.deepStrictEqual(await report, ['README.md', 'src/index.js']);
+    });
+
+    it('ignores excluded files and everything under ignored directories, even directories created later', async (t) => {
+        const projectPath = await createFixtureProject(t, 'sample-project');
+        const cacheDirectory = path.join(projectPath, '.cache');
+        await fs.mkdir(path.join(cacheDirectory, 'content'), { recursive: true });
+        const { reports, nextReport } = await watchProject(t, projectPath, [cacheDirectory]);
+
+        await fs.writeFile(path.join(cacheDirectory, 'content', 'entry.json'), '{}');
+        await fs.mkdir(path.join(cacheDirectory, 'llm-filter'));
+        await fs.writeFile(path.join(cacheDirectory, 'llm-filter', 'entry.json'), '{}');
+        await fs.mkdir(path.join(projectPath, 'node_modules', 'left-pad'), { recursive: true });
+        await delay(DEBOUNCE_MS * 4);
+        await fs.writeFile(path.join(cacheDirectory, 'llm-filter', 'other.json'), '{}');
+        await delay(DEBOUNCE_MS * 4);
+        assert.deepStrictEqual(reports, []);
+
+        const report = nextReport();
+        await fs.writeFile(path.join(projectPath, 'src', 'index.js'), 'module.exports = 2;\n');
+        assert.deepStrictEqual(await report, ['src/index.js']);
+    });
+});